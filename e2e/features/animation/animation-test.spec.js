@@ -71,3 +71,15 @@ test('Disable playback when max frames exceeded', async () => {
   await expect(yearStartInput).toHaveValue('1948')
   await expect(playButton).toHaveClass(/disabled/)
 })
+
+test('Saving start and end views moves the map during playback', async () => {
+  await page.goto(activeAnimationWidget)
+  const status = page.locator('#animation-camera-status')
+  await expect(status).toHaveText('Map view is fixed')
+  await page.locator('#animation-camera-start').click()
+  await expect(status).toHaveText('Set the end view to move the map')
+  await page.locator('#animation-camera-end').click()
+  await expect(status).toHaveText('Moving from the start view to the end view')
+  await page.locator('#animation-camera-clear').click()
+  await expect(status).toHaveText('Map view is fixed')
+})
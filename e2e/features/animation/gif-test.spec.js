@@ -67,3 +67,26 @@ test('GIF download is disabled when too many frames would be requested with cust
   const createGif = page.locator('#create-gif-button')
   await expect(createGif).toHaveClass(/disabled/)
 })
+
+test('Video formats offer quality and frame rate options', async () => {
+  const { createGifIcon, gifPreviewFrameRateValue, createGifButton } = selectors
+  await page.goto(activeAnimationWidget)
+  await createGifIcon.click()
+  await expect(page.locator('#gif-video-quality')).not.toBeVisible()
+  await page.locator('#gif-format').selectOption('webm')
+  await expect(page.locator('#gif-video-quality')).toHaveValue('medium')
+  await expect(page.locator('#gif-video-frame-rate')).toHaveValue('3')
+  await page.locator('#gif-video-frame-rate').selectOption('10')
+  await expect(gifPreviewFrameRateValue).toHaveText('10 Frames Per Second')
+  await expect(createGifButton).toHaveText('Create WebM')
+})
+
+test('Small multiples offer column and file type options', async () => {
+  const { createGifButton } = selectors
+  await page.locator('#gif-format').selectOption('grid')
+  await expect(page.locator('#gif-video-quality')).not.toBeVisible()
+  await expect(page.locator('#gif-grid-columns')).toHaveValue('0')
+  await page.locator('#gif-grid-file-type').selectOption('application/pdf')
+  await expect(page.locator('#gif-grid-file-type')).toHaveValue('application/pdf')
+  await expect(createGifButton).toHaveText('Create Small Multiples')
+})
@@ -1,7 +1,9 @@
 // @ts-check
 const { test, expect } = require('@playwright/test')
 const createSelectors = require('../../test-utils/global-variables/selectors')
-const { swipeAndAIsActive, multipleDataLayers, referenceLayersOnly } = require('../../test-utils/global-variables/querystrings')
+const {
+  swipeAndAIsActive, multipleDataLayers, referenceLayersOnly, chartingPermalink
+} = require('../../test-utils/global-variables/querystrings')
 
 let page
 let selectors
@@ -135,3 +137,61 @@ test('User can toggle active layer', async () => {
     await expect(layerTwoAnchor).toHaveClass('layer-visible visibility active-chart')
   }
 })
+
+test('Charting state is restored from the permalink', async () => {
+  const { chartingButton, chartingDateSingleButton } = selectors
+  await page.goto(chartingPermalink)
+  const isChartingEnabled = await page.$('#chart-toggle-button')
+  if (isChartingEnabled) {
+    await expect(chartingButton).toHaveText('Exit Charting')
+    const aoiIcon = page.locator('#wv-charting-mode-container > div.charting-aoi-container > h3')
+    await expect(aoiIcon).toHaveText('Area of Interest Selected')
+    await expect(chartingDateSingleButton).toHaveClass(/btn-active/)
+    const layerTwoAnchor = page.locator('#activate-MODIS_Terra_Brightness_Temp_Band31_Day')
+    await expect(layerTwoAnchor).toHaveClass('layer-visible visibility active-chart')
+  }
+})
+
+test('Chart is requested from the mock statistics service on permalink load', async () => {
+  await page.goto(`${chartingPermalink}&mockCharting=true`)
+  const isChartingEnabled = await page.$('#chart-toggle-button')
+  if (isChartingEnabled) {
+    const statsModal = page.locator('#charting_stats_modal')
+    await expect(statsModal).toBeVisible()
+    await expect(statsModal.locator('.charting-statistics-value').first()).toHaveText('0.219')
+  }
+})
+
+test('User can select multiple layers for comparison', async () => {
+  await page.goto(multipleDataLayers)
+  const isChartingEnabled = await page.$('#chart-toggle-button')
+  if (isChartingEnabled) {
+    await page.locator('#chart-toggle-button').click()
+    const layerOneAnchor = page.locator('#activate-MODIS_Terra_Aerosol')
+    const layerTwoAnchor = page.locator('#activate-MODIS_Terra_Brightness_Temp_Band31_Day')
+    await page.locator('#charting-layer-multiple-button').click()
+    await page.locator('#activate-MODIS_Terra_Brightness_Temp_Band31_Day > svg').click()
+    await expect(layerOneAnchor).toHaveClass('layer-visible visibility active-chart')
+    await expect(layerTwoAnchor).toHaveClass('layer-visible visibility active-chart')
+    await page.locator('#charting-layer-single-button').click()
+    await expect(layerOneAnchor).toHaveClass('layer-visible visibility active-chart')
+    await expect(layerTwoAnchor).toHaveClass('layer-visible visibility')
+  }
+})
+
+test('User can draw a point Area of Interest', async () => {
+  await page.goto(multipleDataLayers)
+  const isChartingEnabled = await page.$('#chart-toggle-button')
+  if (isChartingEnabled) {
+    await page.locator('#chart-toggle-button').click()
+    const pointButton = page.locator('#charting-aoi-point-button')
+    await expect(page.locator('#charting-aoi-box-button')).toHaveClass(/btn-active/)
+    await pointButton.click()
+    await expect(pointButton).toHaveClass(/btn-active/)
+    const aoiIcon = page.locator('#wv-charting-mode-container > div.charting-aoi-container > h3')
+    await page.locator('#wv-charting-mode-container > div.charting-aoi-container > svg').click()
+    await page.mouse.click(300, 300)
+    await expect(aoiIcon).toHaveText('Area of Interest Selected')
+    await expect(page).toHaveURL(/chg=point,/)
+  }
+})
@@ -0,0 +1,69 @@
+// @ts-check
+const { test, expect } = require('@playwright/test')
+const {
+  clickDownload,
+  closeImageDownloadPanel,
+  openImageDownloadPanel
+} = require('../../test-utils/hooks/wvHooks')
+const { joinUrl } = require('../../test-utils/hooks/basicHooks')
+
+let page
+
+const startParams = [
+  'l=MODIS_Terra_CorrectedReflectance_TrueColor',
+  'v=-1,-1,1,1',
+  't=2018-06-01',
+  'imageDownload='
+]
+
+test.describe.configure({ mode: 'serial' })
+
+test.beforeAll(async ({ browser }) => {
+  page = await browser.newPage()
+})
+
+test.afterAll(async () => {
+  await page.close()
+})
+
+test('Client mode only offers JPEG and PNG without worldfiles', async () => {
+  const url = await joinUrl([...startParams, 'imageDownloadMode=client'], null)
+  await page.goto(url)
+  await openImageDownloadPanel(page)
+  await expect(page.locator('#wv-image-format option')).toHaveCount(2)
+  await expect(page.locator('#wv-image-worldfile')).not.toBeVisible()
+})
+
+test('Client mode renders the snapshot in the browser', async () => {
+  const downloadPromise = page.waitForEvent('download')
+  await clickDownload(page)
+  const download = await downloadPromise
+  expect(download.suggestedFilename()).toBe('snapshot-2018-06-01.jpg')
+  await expect(page.locator('#wv-image-download-url')).toHaveAttribute('url', '')
+  await closeImageDownloadPanel(page)
+})
+
+test('Overlays are drawn over the rendered snapshot', async () => {
+  await openImageDownloadPanel(page)
+  await page.locator('label[for="wv-image-overlay-date"]').click()
+  await page.locator('label[for="wv-image-overlay-scaleBar"]').click()
+  await expect(page.locator('#wv-image-overlay-date')).toBeChecked()
+  const downloadPromise = page.waitForEvent('download')
+  await clickDownload(page)
+  const download = await downloadPromise
+  expect(download.suggestedFilename()).toBe('snapshot-2018-06-01.jpg')
+  await closeImageDownloadPanel(page)
+})
+
+test('Falls back to rendering in the browser when the snapshot service fails', async () => {
+  await page.route('**/snapshot-service**', (route) => route.fulfill({ status: 503 }))
+  const url = await joinUrl([...startParams.slice(0, -1), 'imageDownload=snapshot-service'], null)
+  await page.goto(url)
+  await openImageDownloadPanel(page)
+  const downloadPromise = page.waitForEvent('download')
+  await clickDownload(page)
+  const download = await downloadPromise
+  expect(download.suggestedFilename()).toBe('snapshot-2018-06-01.jpg')
+  await expect(page.locator('#snapshot-client-fallback-alert')).toBeVisible()
+  await closeImageDownloadPanel(page)
+})
@@ -0,0 +1,51 @@
+// @ts-check
+const { test, expect } = require('@playwright/test')
+const {
+  clickDownload,
+  closeImageDownloadPanel,
+  openImageDownloadPanel
+} = require('../../test-utils/hooks/wvHooks')
+const { joinUrl, selectOption } = require('../../test-utils/hooks/basicHooks')
+
+let page
+
+const startParams = [
+  'l=MODIS_Terra_CorrectedReflectance_TrueColor',
+  'v=-1,-1,1,1',
+  't=2018-06-01',
+  'ab=on',
+  'as=2018-05-30T00:00:00Z',
+  'ae=2018-06-01T00:00:00Z',
+  'imageDownload=snapshot-service'
+]
+
+test.describe.configure({ mode: 'serial' })
+
+test.beforeAll(async ({ browser }) => {
+  page = await browser.newPage()
+  await page.route('**/snapshot-service**', (route) => route.fulfill({
+    status: 200,
+    contentType: 'image/jpeg',
+    body: Buffer.from([0xff, 0xd8, 0xff, 0xd9])
+  }))
+})
+
+test.afterAll(async () => {
+  await page.close()
+})
+
+test('Series mode lists the animation range', async () => {
+  const url = await joinUrl(startParams, null)
+  await page.goto(url)
+  await openImageDownloadPanel(page)
+  await selectOption(page, '#wv-image-download-type', 1)
+  await expect(page.locator('#wv-image-series-frames')).toContainText('3 frames')
+})
+
+test('Series frames are downloaded as a zip', async () => {
+  const downloadPromise = page.waitForEvent('download')
+  await clickDownload(page)
+  const download = await downloadPromise
+  expect(download.suggestedFilename()).toBe('snapshots-2018-05-30_2018-06-01.zip')
+  await closeImageDownloadPanel(page)
+})
@@ -0,0 +1,56 @@
+// @ts-check
+const { test, expect } = require('@playwright/test')
+
+let page
+
+const startQueryString = 'http://localhost:3000/?l=Coastlines_15m,MODIS_Terra_CorrectedReflectance_TrueColor'
+const perimeter = {
+  type: 'FeatureCollection',
+  features: [{
+    type: 'Feature',
+    properties: { name: 'Burn perimeter' },
+    geometry: {
+      type: 'Polygon',
+      coordinates: [[[-120, 38], [-119, 38], [-119, 39], [-120, 38]]]
+    }
+  }]
+}
+
+test.describe.configure({ mode: 'serial' })
+
+test.beforeAll(async ({ browser }) => {
+  page = await browser.newPage()
+})
+
+test.afterAll(async () => {
+  await page.close()
+})
+
+test('Importing a GeoJSON file adds an overlay to the layer list', async () => {
+  await page.goto(startQueryString)
+  await page.locator('#layers-import-input').setInputFiles({
+    name: 'burn_perimeter.geojson',
+    mimeType: 'application/geo+json',
+    buffer: Buffer.from(JSON.stringify(perimeter))
+  })
+  const importedLayer = page.locator('[id^="active-imported-"]')
+  await expect(importedLayer).toBeVisible()
+  await expect(importedLayer).toContainText('burn_perimeter')
+  await expect(page).toHaveURL(/il=/)
+})
+
+test('Imported overlays are restored from the permalink', async () => {
+  await page.goto(page.url())
+  const importedLayer = page.locator('[id^="active-imported-"]')
+  await expect(importedLayer).toBeVisible()
+  await expect(importedLayer).toContainText('burn_perimeter')
+})
+
+test('Unsupported files show an error', async () => {
+  await page.locator('#layers-import-input').setInputFiles({
+    name: 'image.tif',
+    mimeType: 'image/tiff',
+    buffer: Buffer.from('')
+  })
+  await expect(page.locator('.modal-header')).toContainText('Unable to import file')
+})
@@ -0,0 +1,34 @@
+// @ts-check
+const { test, expect } = require('@playwright/test')
+const createSelectors = require('../../test-utils/global-variables/selectors')
+const { multipleDataLayers } = require('../../test-utils/global-variables/querystrings')
+
+let page
+let selectors
+
+test.describe.configure({ mode: 'serial' })
+
+test.beforeAll(async ({ browser }) => {
+  const context = await browser.newContext({
+    viewport: { width: 1700, height: 1000 }
+  })
+  page = await context.newPage()
+  selectors = createSelectors(page)
+})
+
+test.afterAll(async () => {
+  await page.close()
+})
+
+test('Drawing a profile line opens the transect profile', async ({ browserName }) => {
+  test.skip(browserName === 'firefox', 'firefox pointer issue')
+  const { measureBtn, geoMeasurementTooltip } = selectors
+  await page.goto(multipleDataLayers)
+  await measureBtn.click()
+  await page.locator('#measure-profile-button').click()
+  await page.mouse.click(800, 400)
+  await page.mouse.dblclick(1000, 500)
+  await expect(geoMeasurementTooltip).toHaveCount(1)
+  await expect(page.locator('.measure-profile-dialog')).toBeVisible()
+  await expect(page.locator('.measure-profile-dialog .modal-header')).toContainText('Transect Profile')
+})
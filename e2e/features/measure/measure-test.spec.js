@@ -125,12 +125,57 @@ test('Clearing a measurements removes all tooltips', async ({ browserName }) =>
   await expect(measurementTooltip).toHaveCount(0)
 })
 
-test('Toggling unit of measure updates the measurement value', async ({ browserName }) => {
+test('Changing unit of measure updates the measurement value', async ({ browserName }) => {
   test.skip(browserName === 'firefox', 'firefox pointer issue')
-  const { measureBtn, unitOfMeasureToggle } = selectors
+  const { measureBtn, unitOfMeasureSelect } = selectors
   await createDistanceMeasurement(page, [850, 500], [850, 700])
   await measureBtn.click()
-  await unitOfMeasureToggle.click()
+  await unitOfMeasureSelect.selectOption('mi')
   const tooltip = await page.locator('.tooltip-measure span').first()
   await expect(tooltip).toContainText('mi')
+  await unitOfMeasureSelect.selectOption('nmi')
+  await expect(tooltip).toContainText('nmi')
+  await page.locator('.modal').click()
+})
+
+test('Area measurements can be shown in hectares', async ({ browserName }) => {
+  test.skip(browserName === 'firefox', 'firefox pointer issue')
+  const { measureBtn, unitOfMeasureSelect } = selectors
+  await createAreaMeasurement(page, [500, 500], [500, 700], [600, 600])
+  await measureBtn.click()
+  await unitOfMeasureSelect.selectOption('ha')
+  await expect(page.locator('.tooltip-measure span', { hasText: 'ha' })).toHaveCount(1)
+  await page.locator('.modal').click()
+})
+
+test('Importing GeoJSON adds a tooltip for each line and polygon', async ({ browserName }) => {
+  test.skip(browserName === 'firefox', 'firefox pointer issue')
+  const { measureBtn, clearMeasurementsBtn, geoMeasurementTooltip } = selectors
+  await measureBtn.click()
+  await clearMeasurementsBtn.click()
+  const geoJSON = {
+    type: 'FeatureCollection',
+    features: [
+      { type: 'Feature', properties: {}, geometry: { type: 'LineString', coordinates: [[-10, 0], [10, 0]] } },
+      { type: 'Feature', properties: {}, geometry: { type: 'Polygon', coordinates: [[[0, 10], [10, 10], [10, 20], [0, 10]]] } }
+    ]
+  }
+  await measureBtn.click()
+  const fileChooserPromise = page.waitForEvent('filechooser')
+  await page.locator('#import-geojson-button').click()
+  const fileChooser = await fileChooserPromise
+  await fileChooser.setFiles({
+    name: 'measurements.geojson',
+    mimeType: 'application/geo+json',
+    buffer: Buffer.from(JSON.stringify(geoJSON))
+  })
+  await expect(geoMeasurementTooltip).toHaveCount(2)
+})
+
+test('Measurements in the permalink are drawn on load', async ({ browserName }) => {
+  test.skip(browserName === 'firefox', 'firefox pointer issue')
+  const { geoMeasurementTooltip } = selectors
+  await page.goto(`${skipTour}&me=geographic;l-10,0,10,0;p0,10,10,10,10,20`)
+  await expect(geoMeasurementTooltip).toHaveCount(2)
+  expect(page.url()).toContain('me=geographic;l-10,0,10,0;p0,10,10,10,10,20')
 })
@@ -17,6 +17,9 @@ module.exports = {
   swipeAOD:
     'http://localhost:3000/?ca=true&cm=swipe&cv=51&p=geographic&l=MODIS_Terra_CorrectedReflectance_TrueColor,MODIS_Terra_Aerosol&l1=VIIRS_SNPP_CorrectedReflectance_TrueColor(hidden),MODIS_Aqua_CorrectedReflectance_TrueColor(hidden),MODIS_Terra_CorrectedReflectance_TrueColor,Reference_Labels_15m(hidden),Reference_Features_15m(hidden),Coastlines_15m&t=2018-08-17-T00%3A00%3A00Z&z=3&t1=2018-08-16-T00%3A00%3A00Z&v=-127.6171875,-46.5556640625,31.7109375,53.0244140625',
 
+  // charting
+  chartingPermalink: 'http://localhost:3000/?p=geographic&l=MODIS_Terra_Aerosol,MODIS_Terra_Brightness_Temp_Band31_Day&t=2017-03-22&z=3&v=136.07019188386334,14.722152527011556,155.59817576644127,24.312819167567586&cha=on&chl=MODIS_Terra_Brightness_Temp_Band31_Day&chc=140,15,150,22&cht=date&chs=2017-03-20-T00%3A00%3A00Z',
+
   // date
   knownDate: 'http://localhost:3000/?t=2019-07-22',
 
@@ -98,7 +98,7 @@ module.exports = (page) => ({
   measureDistanceBtn: page.locator('#measure-distance-button'),
   measureAreaBtn: page.locator('#measure-area-button'),
   clearMeasurementsBtn: page.locator('#clear-measurements-button'),
-  unitOfMeasureToggle: page.locator('#unit-toggle'),
+  unitOfMeasureSelect: page.locator('#unit-select'),
   measurementTooltip: page.locator('.tooltip-measure'),
   geoMeasurementTooltip: page.locator('#wv-map-geographic .tooltip-measure'),
   arcticMeasurementTooltip: page.locator('#wv-map-arctic .tooltip-measure'),
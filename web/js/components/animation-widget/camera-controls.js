@@ -0,0 +1,88 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import { Button } from 'reactstrap';
+import Checkbox from '../util/checkbox';
+
+/**
+ * Buttons to save the map view at the start & end of the animation, or to
+ * follow the track of the selected natural event, so the map moves during playback
+ */
+function CameraControls(props) {
+  const {
+    followEvent,
+    hasEventTrack,
+    isPlaying,
+    keyframes,
+    onClearKeyframes,
+    onSetKeyframe,
+    onToggleFollowEvent,
+  } = props;
+  const { start, end } = keyframes;
+  const status = followEvent && hasEventTrack
+    ? 'Following the selected event'
+    : start && end
+      ? 'Moving from the start view to the end view'
+      : start || end
+        ? `Set the ${start ? 'end' : 'start'} view to move the map`
+        : 'Map view is fixed';
+
+  return (
+    <div className="wv-animation-camera no-drag">
+      <div className="wv-animation-camera-buttons">
+        <Button
+          id="animation-camera-start"
+          size="sm"
+          color={start ? 'primary' : 'secondary'}
+          disabled={isPlaying}
+          onClick={() => onSetKeyframe('start')}
+          title="Use the current map view at the start of the animation"
+        >
+          View at start
+        </Button>
+        <Button
+          id="animation-camera-end"
+          size="sm"
+          color={end ? 'primary' : 'secondary'}
+          disabled={isPlaying}
+          onClick={() => onSetKeyframe('end')}
+          title="Use the current map view at the end of the animation"
+        >
+          View at end
+        </Button>
+        <Button
+          id="animation-camera-clear"
+          size="sm"
+          color="link"
+          disabled={isPlaying || (!start && !end && !followEvent)}
+          onClick={onClearKeyframes}
+        >
+          Clear
+        </Button>
+      </div>
+      {hasEventTrack && (
+        <Checkbox
+          id="animation-camera-follow-event"
+          label="Follow selected event"
+          checked={followEvent}
+          disabled={isPlaying}
+          onCheck={onToggleFollowEvent}
+        />
+      )}
+      <div id="animation-camera-status" className="wv-animation-camera-status">
+        {status}
+      </div>
+    </div>
+  );
+}
+
+CameraControls.propTypes = {
+  followEvent: PropTypes.bool,
+  hasEventTrack: PropTypes.bool,
+  isPlaying: PropTypes.bool,
+  keyframes: PropTypes.object,
+  onClearKeyframes: PropTypes.func,
+  onSetKeyframe: PropTypes.func,
+  onToggleFollowEvent: PropTypes.func,
+};
+
+export default CameraControls;
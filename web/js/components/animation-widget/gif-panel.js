@@ -5,10 +5,21 @@ import GifPanelGrid from './gif-panel-grid';
 import Button from '../util/button';
 import Checkbox from '../util/checkbox';
 import { getDimensions } from '../../modules/image-download/util';
+import { VIDEO_QUALITIES, VIDEO_FRAME_RATES } from '../../modules/animation/videostream';
+import { SMALL_MULTIPLES_FILE_TYPES } from '../../modules/animation/small-multiples';
 
 const MAX_GIF_SIZE = 250;
 const MAX_IMAGE_DIMENSION_SIZE = 8200;
 
+const GIF_FORMAT = { value: 'gif', text: 'GIF' };
+const GRID_FORMAT = { value: 'grid', text: 'Small Multiples' };
+const GRID_COLUMNS = {
+  values: [
+    { value: '0', text: 'Auto' },
+    ...[1, 2, 3, 4, 5, 6, 7, 8].map((n) => ({ value: `${n}`, text: `${n}` })),
+  ],
+};
+
 const isFileSizeValid = function(requestSize, imgHeight, imgWidth) {
   return (
     requestSize < MAX_GIF_SIZE
@@ -34,16 +45,87 @@ export default class GifPanel extends React.Component {
       resolutions: props.resolutions,
       resolution: props.resolution,
       increment: props.increment,
+      format: GIF_FORMAT.value,
+      quality: 'medium',
+      frameRate: `${props.speed}`,
+      columns: '0',
+      gridFileType: 'image/png',
     };
     this.handleChange = this.handleChange.bind(this);
   }
 
   handleChange(type, value) {
     this.setState({
-      resolution: value,
+      [type]: value,
     });
   }
 
+  getFrameRateOptions() {
+    const { speed } = this.props;
+    const rates = VIDEO_FRAME_RATES.includes(speed)
+      ? VIDEO_FRAME_RATES
+      : [...VIDEO_FRAME_RATES, speed].sort((a, b) => a - b);
+    return {
+      values: rates.map((rate) => ({ value: `${rate}`, text: `${rate} fps` })),
+    };
+  }
+
+  renderVideoOptions() {
+    const { quality, frameRate } = this.state;
+    return (
+      <div className="gif-selector-case gif-output-options">
+        <div>
+          Quality:
+          <SelectionList
+            id="gif-video-quality"
+            optionArray={{ values: VIDEO_QUALITIES }}
+            value={quality}
+            optionName="quality"
+            onChange={this.handleChange}
+          />
+        </div>
+        <div>
+          Frame Rate:
+          <SelectionList
+            id="gif-video-frame-rate"
+            optionArray={this.getFrameRateOptions()}
+            value={frameRate}
+            optionName="frameRate"
+            onChange={this.handleChange}
+          />
+        </div>
+      </div>
+    );
+  }
+
+  renderGridOptions() {
+    const { columns, gridFileType } = this.state;
+    return (
+      <div className="gif-selector-case gif-output-options">
+        <div>
+          Columns:
+          <SelectionList
+            id="gif-grid-columns"
+            optionArray={GRID_COLUMNS}
+            value={columns}
+            optionName="columns"
+            onChange={this.handleChange}
+          />
+        </div>
+        <div>
+          File Type:
+          <SelectionList
+            id="gif-grid-file-type"
+            optionArray={SMALL_MULTIPLES_FILE_TYPES}
+            value={gridFileType}
+            optionName="gridFileType"
+            onChange={this.handleChange}
+          />
+        </div>
+      </div>
+    );
+  }
+
   render() {
     const {
       projId,
@@ -56,10 +138,28 @@ export default class GifPanel extends React.Component {
       firstLabel,
       onClick,
       onDownloadClick,
+      videoFormats,
     } = this.props;
     const {
-      resolution, resolutions, speed, increment,
+      resolution, resolutions, speed, increment, format, quality, frameRate, columns, gridFileType,
     } = this.state;
+    const formats = [GIF_FORMAT, ...videoFormats, GRID_FORMAT];
+    const selectedFormat = formats.find(({ value }) => value === format) || GIF_FORMAT;
+    const isGrid = selectedFormat === GRID_FORMAT;
+    const isVideo = selectedFormat !== GIF_FORMAT && !isGrid;
+    const outputOptions = isVideo
+      ? {
+        format: selectedFormat.value,
+        bitrate: VIDEO_QUALITIES.find(({ value }) => value === quality).bitrate,
+        frameRate: Number(frameRate),
+      }
+      : isGrid
+        ? {
+          format: GRID_FORMAT.value,
+          columns: Number(columns),
+          fileType: gridFileType,
+        }
+        : { format: GIF_FORMAT.value };
     const dimensions = getDimensions(projId, lonlats, resolution);
     const { height } = dimensions;
     const { width } = dimensions;
@@ -78,6 +178,18 @@ export default class GifPanel extends React.Component {
               onChange={this.handleChange}
             />
           </div>
+          <div className="gif-selector-case">
+            Format:
+            <SelectionList
+              id="gif-format"
+              optionArray={{ values: formats }}
+              value={selectedFormat.value}
+              optionName="format"
+              onChange={this.handleChange}
+            />
+          </div>
+          {isVideo && this.renderVideoOptions()}
+          {isGrid && this.renderGridOptions()}
           <GifPanelGrid
             width={width}
             height={height}
@@ -88,12 +200,12 @@ export default class GifPanel extends React.Component {
             onClick={onDownloadClick}
             startDate={startDate}
             endDate={endDate}
-            speed={speed}
+            speed={isVideo ? outputOptions.frameRate : speed}
             increment={increment}
           />
           <Button
-            onClick={() => onClick(width, height)}
-            text="Create GIF"
+            onClick={() => onClick(width, height, outputOptions)}
+            text={`Create ${selectedFormat.text}`}
             valid={valid}
           />
           <Checkbox
@@ -113,6 +225,7 @@ export default class GifPanel extends React.Component {
 GifPanel.defaultProps = {
   firstLabel: 'Resolution (per pixel):',
   showDates: true,
+  videoFormats: [],
 };
 GifPanel.propTypes = {
   endDate: PropTypes.string,
@@ -129,4 +242,5 @@ GifPanel.propTypes = {
   showDates: PropTypes.bool,
   speed: PropTypes.number,
   startDate: PropTypes.string,
+  videoFormats: PropTypes.array,
 };
@@ -7,6 +7,7 @@ import googleTagManager from 'googleTagManager';
 import util from '../../util/util';
 import Button from '../util/button';
 import MonospaceDate from '../util/monospace-date';
+import { VIDEO_FORMATS } from '../../modules/animation/videostream';
 
 export default class GifResults extends Component {
   getStyle(imgElWidth, imgElHeight) {
@@ -36,15 +37,30 @@ export default class GifResults extends Component {
       screenHeight,
       onClose,
       closeBtn,
+      videoFallback,
     } = this.props;
     const { blob } = gifObject;
     const { size } = gifObject;
-    const blobURL = URL.createObjectURL(blob);
+    const frameRate = gifObject.frameRate || speed;
+    const videoFormat = VIDEO_FORMATS.find(({ value }) => value === gifObject.format);
+    const isGrid = gifObject.format === 'grid';
+    const blobURL = URL.createObjectURL(gifObject.preview || blob);
+    const extension = videoFormat
+      ? videoFormat.extension
+      : isGrid
+        ? `grid.${blob.type === 'application/pdf' ? 'pdf' : 'png'}`
+        : 'gif';
     const dlURL = util.format(
-      'nasa-worldview-{1}-to-{2}.gif',
+      'nasa-worldview-{1}-to-{2}.{3}',
       startDate,
       endDate,
+      extension,
     );
+    const headerText = videoFormat
+      ? 'Video Results'
+      : isGrid
+        ? 'Small Multiples Results'
+        : 'GIF Results';
     const pixelWidth = boundaries.x2 - boundaries.x;
     const pixelHeight = boundaries.y2 - boundaries.y;
     const imgElWidth = pixelWidth > screenWidth - 198 ? screenWidth - 198 : pixelWidth;
@@ -58,10 +74,32 @@ export default class GifResults extends Component {
         className="dynamic-modal"
         toggle={onClose}
       >
-        <ModalHeader close={closeBtn}>GIF Results</ModalHeader>
+        <ModalHeader close={closeBtn}>{headerText}</ModalHeader>
         <ModalBody>
+          {videoFallback && (
+            <p id="gif-video-fallback-notice" className="gif-video-fallback-notice">
+              This browser could not record the video, so an animated GIF was created instead.
+            </p>
+          )}
           <div className="gif-results-dialog-case clearfix">
-            <img src={blobURL} width={imgElWidth} height={imgElHeight} />
+            {videoFormat ? (
+              <video
+                src={blobURL}
+                width={imgElWidth}
+                height={imgElHeight}
+                autoPlay
+                loop
+                muted
+                controls
+              />
+            ) : (
+              <img
+                src={blobURL}
+                width={imgElWidth}
+                height={imgElHeight}
+                style={isGrid ? { objectFit: 'contain' } : undefined}
+              />
+            )}
             <div
               className="gif-results-dialog"
               style={{ minHeight: 210 }}
@@ -76,16 +114,18 @@ export default class GifResults extends Component {
                   MB
                 </div>
               </div>
-              <div>
+              {!isGrid && (
                 <div>
-                  <b>Speed:</b>
+                  <div>
+                    <b>Speed:</b>
+                  </div>
+                  <div>
+                    {frameRate}
+                    {' '}
+                    fps
+                  </div>
                 </div>
-                <div>
-                  {speed}
-                  {' '}
-                  fps
-                </div>
-              </div>
+              )}
               <div>
                 <div>
                   <b>Date Range:</b>
@@ -121,6 +161,28 @@ export default class GifResults extends Component {
                       ? '5MB-25MB'
                       : '>25MB';
 
+                  if (isGrid) {
+                    googleTagManager.pushEvent({
+                      event: 'small_multiples_download',
+                      smallMultiples: {
+                        fileType: blob.type,
+                        downloadSize: sizeRange,
+                        increments: increment,
+                      },
+                    });
+                    return;
+                  }
+                  if (videoFormat) {
+                    googleTagManager.pushEvent({
+                      event: 'video_download',
+                      video: {
+                        format: videoFormat.value,
+                        downloadSize: sizeRange,
+                        increments: increment,
+                      },
+                    });
+                    return;
+                  }
                   googleTagManager.pushEvent({
                     event: 'GIF_download',
                     GIF: {
@@ -149,4 +211,5 @@ GifResults.propTypes = {
   screenWidth: PropTypes.number,
   speed: PropTypes.number,
   startDate: PropTypes.string,
+  videoFallback: PropTypes.bool,
 };
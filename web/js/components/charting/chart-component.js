@@ -1,15 +1,26 @@
-import React from 'react';
+import React, { useRef, useState } from 'react';
 import {
   LineChart, Line, XAxis, YAxis, Legend, Tooltip,
 } from 'recharts';
 import PropTypes from 'prop-types';
+import { Button, ButtonGroup } from 'reactstrap';
+import { getAOIDescription } from '../../modules/charting/util';
+import { downloadChartCSV, downloadChartPNG } from './util';
+import AlertUtil from '../util/alert';
 
 function ChartComponent (props) {
   const {
     liveData,
   } = props;
 
-  const { data } = liveData;
+  const {
+    data, title, subtitle, unit, bbox, startDate, endDate,
+  } = liveData;
+  // Each charted layer; a single layer chart only provides its own data
+  const series = liveData.series || [liveData];
+  const isMultiLayer = series.length > 1;
+  const chartRef = useRef(null);
+  const [downloadError, setDownloadError] = useState(null);
 
   // Arbitrary array of colors to use
   const lineColors = ['#8884D8', '#82CA9D', 'orange', 'pink', 'green', 'red', 'yellow', 'aqua', 'maroon'];
@@ -51,6 +62,69 @@ function ChartComponent (props) {
 
   const yAxisValuesArr = getYAxisValues(data);
 
+  /**
+   * Layers sharing the same units share a Y axis; layers without units get their own
+   * @param {Object} layerSeries
+   */
+  function getYAxisId(layerSeries) {
+    return layerSeries.units || layerSeries.layerId;
+  }
+
+  /**
+   * Merge the data of each charted layer into one entry per date, keyed by series index
+   */
+  function getMultiLayerData() {
+    const entries = {};
+    series.forEach((layerSeries, index) => {
+      layerSeries.data.forEach(({ name, mean }) => {
+        entries[name] = { ...entries[name], name, [`mean-${index}`]: mean };
+      });
+    });
+    return Object.values(entries).sort((a, b) => (a.name > b.name ? 1 : -1));
+  }
+
+  /**
+   * Return a Recharts Line per charted layer, plotted against the Y axis for its units
+   */
+  function getMultiLayerLines() {
+    return series.map((layerSeries, index) => (
+      <Line
+        type="linear"
+        key={layerSeries.layerId}
+        dataKey={`mean-${index}`}
+        name={`${layerSeries.title} ${layerSeries.unit}`}
+        yAxisId={getYAxisId(layerSeries)}
+        stroke={lineColors[index % lineColors.length]}
+        connectNulls
+      />
+    ));
+  }
+
+  /**
+   * Return a Recharts YAxis per unit of measure, alternating sides of the chart
+   */
+  function getMultiLayerYAxes() {
+    const axisIds = [...new Set(series.map(getYAxisId))];
+    return axisIds.map((axisId, index) => {
+      const axisData = series
+        .filter((layerSeries) => getYAxisId(layerSeries) === axisId)
+        .reduce((prev, layerSeries) => prev.concat(layerSeries.data), []);
+      const axisSeries = series.find((layerSeries) => getYAxisId(layerSeries) === axisId);
+      return (
+        <YAxis
+          key={axisId}
+          yAxisId={axisId}
+          type="number"
+          orientation={index % 2 === 0 ? 'left' : 'right'}
+          domain={getYAxisValues(axisData)}
+          label={axisSeries.units ? {
+            value: axisSeries.units, angle: -90, position: 'insideLeft',
+          } : undefined}
+        />
+      );
+    });
+  }
+
   /**
    * Extracts each key from the provided object & returns the list, removing 'name' from the collection
    * @param {Object} chartData
@@ -83,7 +157,7 @@ function ChartComponent (props) {
    * Processes each date in the chart data, computes & returns the averages as "quick statistics"
    * @param {Object} chartData
    */
-  function getQuickStatistics(chartData) {
+  function getQuickStatistics(chartData, heading) {
     const count = chartData.length;
     let minTotal = 0;
     let maxTotal = 0;
@@ -102,6 +176,13 @@ function ChartComponent (props) {
     return (
       <>
         <div className="charting-statistics-container">
+          {heading && (
+            <div className="charting-statistics-row">
+              <div className="charting-statistics-label">
+                {heading}
+              </div>
+            </div>
+          )}
           <div className="charting-statistics-row">
             <div className="charting-statistics-label">
               Median:
@@ -143,32 +224,105 @@ function ChartComponent (props) {
             </div>
           </div>
         </div>
-        <div className="charting-discalimer">
-          <strong>NOTE:</strong>
-          {' '}
-          Numerical analyses performed on imagery should only be used for initial basic exploratory purposes
-        </div>
       </>
     );
   }
 
+  const chartData = series.map((layerSeries) => ({
+    title: `${layerSeries.title} - ${layerSeries.subtitle} ${layerSeries.unit}`,
+    layerId: layerSeries.layerId,
+    units: layerSeries.units,
+    bbox,
+    startDate,
+    endDate,
+    rows: layerSeries.data,
+  }));
+
+  function onDownloadError(error) {
+    setDownloadError(error.message || 'Unable to create the chart image.');
+  }
+
+  function onDownloadPNGClick() {
+    const svgEl = chartRef.current.querySelector('svg.recharts-surface');
+    const legendItems = isMultiLayer
+      ? series.map((layerSeries, index) => ({
+        name: `${layerSeries.title} ${layerSeries.unit}`,
+        color: lineColors[index % lineColors.length],
+      }))
+      : getLineNames(data).map((name, index) => ({
+        name,
+        color: lineColors[index],
+      }));
+    const pngData = { ...chartData[0], title: `${title} - ${subtitle} ${unit}` };
+    downloadChartPNG(pngData, svgEl, {
+      legendItems,
+      textLines: [`${startDate} - ${endDate}`, getAOIDescription(bbox)],
+    }).catch(onDownloadError);
+  }
+
   return (
     <div className="charting-chart-container">
-      <div className="charting-chart-text">
-        <LineChart width={600} height={300} data={data}>
-          <Tooltip />
-          {' '}
-          <Legend />
-          {getLineChart(data)}
-          <XAxis dataKey="name" />
-          <YAxis type="number" domain={yAxisValuesArr} />
-          <Legend />
-        </LineChart>
+      {downloadError && (
+        <AlertUtil
+          id="charting-download-error-alert"
+          isOpen
+          title="Unable To Download Chart"
+          message={downloadError}
+          onDismiss={() => setDownloadError(null)}
+        />
+      )}
+      <div className="charting-chart-text" ref={chartRef}>
+        {isMultiLayer ? (
+          <LineChart width={600} height={300} data={getMultiLayerData()}>
+            <Tooltip />
+            <Legend />
+            {getMultiLayerLines()}
+            <XAxis dataKey="name" />
+            {getMultiLayerYAxes()}
+          </LineChart>
+        ) : (
+          <LineChart width={600} height={300} data={data}>
+            <Tooltip />
+            {' '}
+            <Legend />
+            {getLineChart(data)}
+            <XAxis dataKey="name" />
+            <YAxis type="number" domain={yAxisValuesArr} />
+            <Legend />
+          </LineChart>
+        )}
       </div>
       <div className="charting-stat-text">
         <h3>Average Statistics</h3>
         <br />
-        {getQuickStatistics(data)}
+        {isMultiLayer
+          ? series.map((layerSeries) => (
+            <React.Fragment key={layerSeries.layerId}>
+              {getQuickStatistics(layerSeries.data, layerSeries.title)}
+            </React.Fragment>
+          ))
+          : getQuickStatistics(data)}
+        <div className="charting-discalimer">
+          <strong>NOTE:</strong>
+          {' '}
+          Numerical analyses performed on imagery should only be used for initial basic exploratory purposes
+        </div>
+        <ButtonGroup size="sm" className="charting-download-buttons">
+          <Button
+            id="charting-download-csv-button"
+            className="charting-button"
+            onClick={() => downloadChartCSV(chartData)}
+          >
+            Download CSV
+          </Button>
+          <Button
+            id="charting-download-png-button"
+            className="charting-button"
+            onClick={onDownloadPNGClick}
+          >
+            Download PNG
+          </Button>
+        </ButtonGroup>
       </div>
     </div>
   );
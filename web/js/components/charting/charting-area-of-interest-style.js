@@ -50,5 +50,16 @@ export const vectorStyles = [
       lineJoin: 'round',
       width: 2,
     }),
+    // Point AOIs are drawn as a circle marker with the same fill & outline
+    image: new OlStyleCircle({
+      radius: 6,
+      stroke: new OlStyleStroke({
+        color: 'rgba(0, 0, 0, 1)',
+        width: 3,
+      }),
+      fill: new OlStyleFill({
+        color: '#fff',
+      }),
+    }),
   }),
 ];
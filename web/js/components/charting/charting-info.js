@@ -8,10 +8,14 @@ function ChartingInfo(props) {
           Click on the pencil icon to click and drag a bounding box on the map to define an Area of Interest (AOI).
         </p>
 
+        <p className="charting-info">To use an irregular area, choose Polygon and click each vertex on the map, double-clicking to finish; choose Point to chart the values of a single pixel. A polygon can also be loaded from a GeoJSON file with the upload icon.</p>
+
         <p className="charting-info">In Date Range mode (the default mode), select the calendar icon near the bottom of the Layers panel and increment the values in the resulting window to change their dates. To use a single date instead of a range, choose One Date at the bottom of the Layers panel.</p>
 
         <p className="charting-info">Select the active layer via the toggle icon on its left. Click on Request Chart & you will see additional data as you hover over points on the enlarged chart.</p>
 
+        <p className="charting-info">To compare layers, choose Compare Layers and toggle each additional layer to include. In Date Range mode, the selected layers are charted together over the same Area of Interest & dates, with a separate axis for each unit of measure.</p>
+
         <p className="charting-info">Exit the charting mode by selecting Exit Charting near the botom of the Layers Panel.</p>
 
         <h3>NOTE:</h3>
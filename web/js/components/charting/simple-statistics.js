@@ -1,11 +1,17 @@
-import React from 'react';
+import React, { useState } from 'react';
 import PropTypes from 'prop-types';
+import { Button, ButtonGroup } from 'reactstrap';
+import { getAOIDescription } from '../../modules/charting/util';
+import { downloadChartCSV, downloadChartPNG } from './util';
+import AlertUtil from '../util/alert';
 
 function SimpleStatistics(props) {
   const { data } = props;
+  const [downloadError, setDownloadError] = useState(null);
 
   const {
     median, mean, max, min, stdev, timestamp, type, endTimestamp,
+    title, subtitle, unit, units, layer, areaOfInterestCoords,
   } = data;
 
   let dateStr;
@@ -19,8 +25,51 @@ function SimpleStatistics(props) {
     return parseFloat(str).toFixed(3);
   }
 
+  const endDate = type === 'date' ? undefined : endTimestamp;
+  const chartData = {
+    title: `${title} - ${subtitle} ${unit}`,
+    layerId: layer,
+    units,
+    bbox: areaOfInterestCoords,
+    startDate: timestamp,
+    endDate,
+    rows: [{
+      name: endDate ? `${timestamp} - ${endDate}` : timestamp,
+      min,
+      max,
+      mean,
+      median,
+      stddev: stdev,
+    }],
+  };
+
+  function onDownloadError(error) {
+    setDownloadError(error.message || 'Unable to create the chart image.');
+  }
+
+  function onDownloadPNGClick() {
+    const stats = {
+      Median: median, Mean: mean, Min: min, Max: max, Stdev: stdev,
+    };
+    const textLines = [
+      dateStr,
+      ...Object.keys(stats).map((label) => `${label}: ${formatToThreeDigits(stats[label])}`),
+      getAOIDescription(areaOfInterestCoords),
+    ];
+    downloadChartPNG(chartData, null, { textLines }).catch(onDownloadError);
+  }
+
   return (
     <>
+      {downloadError && (
+        <AlertUtil
+          id="charting-download-error-alert"
+          isOpen
+          title="Unable To Download Chart"
+          message={downloadError}
+          onDismiss={() => setDownloadError(null)}
+        />
+      )}
       <div className="charting-statistics-container">
         <div className="charting-statistics-row">
           <div className="charting-statistics-label">
@@ -68,6 +117,22 @@ function SimpleStatistics(props) {
           </div>
         </div>
       </div>
+      <ButtonGroup size="sm" className="charting-download-buttons">
+        <Button
+          id="charting-download-csv-button"
+          className="charting-button"
+          onClick={() => downloadChartCSV(chartData)}
+        >
+          Download CSV
+        </Button>
+        <Button
+          id="charting-download-png-button"
+          className="charting-button"
+          onClick={onDownloadPNGClick}
+        >
+          Download PNG
+        </Button>
+      </ButtonGroup>
       <div className="charting-discalimer">
         <strong>NOTE:</strong>
         {' '}
@@ -0,0 +1,134 @@
+import FileSaver from 'file-saver';
+import { getChartingCSV } from '../../modules/charting/util';
+
+const PNG_PADDING = 20;
+const PNG_LINE_HEIGHT = 20;
+const PNG_FONT = '14px "Open Sans", sans-serif';
+const PNG_TITLE_FONT = 'bold 16px "Open Sans", sans-serif';
+
+/**
+ * Build a file name for chart downloads from the layer id & requested dates
+ * @param {Object} chartData
+ * @param {String} extension
+ */
+function getChartFileName({ layerId, startDate, endDate }, extension) {
+  const dates = endDate && endDate !== startDate ? `${startDate}_${endDate}` : startDate;
+  return `${layerId}_${dates}.${extension}`;
+}
+
+/**
+ * Download the chart statistics as CSV
+ * @param {Object|Array} chartData | See getChartingCSV for the expected properties;
+ * an array of these for multi-layer charts, written as consecutive CSV sections
+ */
+export function downloadChartCSV(chartData) {
+  const chartDataList = [].concat(chartData);
+  const data = chartDataList.map(getChartingCSV).join('\n\n');
+  const fileName = getChartFileName(chartDataList[0], 'csv');
+  const blob = new Blob([data], { type: 'text/csv;charset=utf-8' });
+  FileSaver.saveAs(blob, fileName);
+}
+
+/**
+ * Load a rendered chart SVG element as an image
+ * @param {SVGElement} svgEl
+ */
+function loadSvgImage(svgEl) {
+  return new Promise((resolve, reject) => {
+    const { width, height } = svgEl.getBoundingClientRect();
+    const svgClone = svgEl.cloneNode(true);
+    svgClone.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+    svgClone.setAttribute('width', width);
+    svgClone.setAttribute('height', height);
+    const svgString = new XMLSerializer().serializeToString(svgClone);
+    const image = new Image();
+    image.onload = () => resolve(image);
+    image.onerror = () => reject(new Error('Unable to render the chart.'));
+    image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svgString)}`;
+  });
+}
+
+/**
+ * Draw the chart (if provided) along with its title, legend & text lines onto a canvas
+ * @param {Object} options
+ * @param {String} options.title
+ * @param {Image} options.chartImage | Rendered chart; omitted for single date statistics
+ * @param {Array} options.legendItems | [{ name, color }]
+ * @param {Array} options.textLines | Additional lines (statistics, AOI description)
+ */
+function drawChartCanvas({
+  title, chartImage, legendItems = [], textLines = [],
+}) {
+  const canvas = document.createElement('canvas');
+  const ctx = canvas.getContext('2d');
+  const chartWidth = chartImage ? chartImage.width : 0;
+  const chartHeight = chartImage ? chartImage.height : 0;
+  ctx.font = PNG_FONT;
+  const textWidth = Math.max(
+    ...[title, ...textLines].map((line) => ctx.measureText(line).width),
+  );
+  const legendHeight = legendItems.length ? PNG_LINE_HEIGHT : 0;
+  canvas.width = Math.max(chartWidth, textWidth) + PNG_PADDING * 2;
+  canvas.height = PNG_PADDING * 2
+    + PNG_LINE_HEIGHT * (textLines.length + 1)
+    + chartHeight
+    + legendHeight;
+
+  ctx.fillStyle = '#fff';
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.fillStyle = '#000';
+  ctx.textBaseline = 'top';
+
+  let y = PNG_PADDING;
+  ctx.font = PNG_TITLE_FONT;
+  ctx.fillText(title, PNG_PADDING, y);
+  y += PNG_LINE_HEIGHT;
+
+  if (chartImage) {
+    ctx.drawImage(chartImage, PNG_PADDING, y);
+    y += chartHeight;
+  }
+
+  ctx.font = PNG_FONT;
+  let x = PNG_PADDING;
+  legendItems.forEach(({ name, color }) => {
+    ctx.fillStyle = color;
+    ctx.fillRect(x, y + 4, 12, 12);
+    ctx.fillStyle = '#000';
+    ctx.fillText(name, x + 16, y + 2);
+    x += 16 + ctx.measureText(name).width + PNG_PADDING;
+  });
+  y += legendHeight;
+
+  textLines.forEach((line) => {
+    ctx.fillText(line, PNG_PADDING, y);
+    y += PNG_LINE_HEIGHT;
+  });
+  return canvas;
+}
+
+/**
+ * Download the chart as a PNG image including title, legend & AOI description
+ * @param {Object} chartData
+ * @param {SVGElement} svgEl | The rendered Recharts chart; omit for single date statistics
+ * @param {Object} options | legendItems & textLines to draw below the chart
+ */
+export async function downloadChartPNG(chartData, svgEl, { legendItems, textLines }) {
+  const chartImage = svgEl ? await loadSvgImage(svgEl) : undefined;
+  const canvas = drawChartCanvas({
+    title: chartData.title,
+    chartImage,
+    legendItems,
+    textLines,
+  });
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => {
+      if (!blob) {
+        reject(new Error('Unable to create the chart image.'));
+        return;
+      }
+      FileSaver.saveAs(blob, getChartFileName(chartData, 'png'));
+      resolve();
+    }, 'image/png');
+  });
+}
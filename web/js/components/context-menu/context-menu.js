@@ -10,6 +10,7 @@ import { ContextMenu, MenuItem } from '../../util/context-menu';
 import util from '../../util/util';
 import CopyClipboardTooltip from '../location-search/copy-tooltip';
 import { changeUnits } from '../../modules/measure/actions';
+import { IMPERIAL_UNITS } from '../../modules/measure/constants';
 import { getFormattedCoordinates, getNormalizedCoordinate } from '../location-search/util';
 import { areCoordinatesWithinExtent } from '../../modules/location-search/util';
 import { CONTEXT_MENU_LOCATION, MAP_SINGLE_CLICK, MAP_CONTEXT_MENU } from '../../util/constants';
@@ -54,10 +55,20 @@ function RightClickMenu(props) {
     setToolTipToggleTime(Date.now());
   }
 
+  // Switch between the metric & imperial systems
+  const oppositeUnitOfMeasure = () => {
+    const isImperial = IMPERIAL_UNITS.includes(unitOfMeasure);
+    const faToggle = isImperial ? faToggleOn : faToggleOff;
+    const oppositeUnit = isImperial ? 'km' : 'mi';
+    return {
+      oppositeUnit,
+      fontAwesomeTag: <FontAwesomeIcon icon={faToggle} />,
+    };
+  };
+
   function handleMeasurementMenu(action) {
     if (action === 'units') {
-      const oppositeUnit = unitOfMeasure === 'km' ? 'mi' : 'km';
-      return onToggleUnits(oppositeUnit);
+      return onToggleUnits(oppositeUnitOfMeasure().oppositeUnit);
     }
     setShow(false);
     events.trigger(`measure:${action}`);
@@ -68,15 +79,6 @@ function RightClickMenu(props) {
     setShow(false);
   }
 
-  const oppositeUnitOfMeasure = () => {
-    const faToggle = unitOfMeasure === 'km' ? faToggleOff : faToggleOn;
-    const oppositeUnit = unitOfMeasure === 'km' ? 'mi' : 'km';
-    return {
-      oppositeUnit,
-      fontAwesomeTag: <FontAwesomeIcon icon={faToggle} />,
-    };
-  };
-
   useEffect(() => {
     if (isCoordinateSearchActive) return;
     events.on(MAP_SINGLE_CLICK, handleClick);
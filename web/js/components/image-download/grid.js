@@ -37,7 +37,7 @@ export default class ResolutionTable extends React.Component {
   render() {
     const imageSize = this.renderImageSize();
     const {
-      width, height, maxImageSize, onClick, validLayers, validSize,
+      width, height, maxImageSize, onClick, validLayers, validSize, buttonText,
     } = this.props;
     return (
       <div className="wv-image-download-grid">
@@ -65,7 +65,7 @@ export default class ResolutionTable extends React.Component {
         </div>
         <div className="grid-child wv-image-button">
           <Button
-            text="Download"
+            text={buttonText}
             onClick={() => {
               onClick(width, height);
             }}
@@ -76,7 +76,11 @@ export default class ResolutionTable extends React.Component {
     );
   }
 }
+ResolutionTable.defaultProps = {
+  buttonText: 'Download',
+};
 ResolutionTable.propTypes = {
+  buttonText: PropTypes.string,
   fileSize: PropTypes.string,
   height: PropTypes.number,
   maxImageSize: PropTypes.string,
@@ -1,11 +1,26 @@
-import React, { useState } from 'react';
+import React, { useEffect, useRef, useState } from 'react';
 import PropTypes from 'prop-types';
+import { Progress } from 'reactstrap';
 import googleTagManager from 'googleTagManager';
+import FileSaver from 'file-saver';
 import {
   imageSizeValid,
   getDimensions,
   getDownloadUrl,
+  getSnapshotFileName,
+  fetchSnapshot,
 } from '../../modules/image-download/util';
+import { addSnapshotOverlays } from '../../modules/image-download/overlays';
+import { downloadSnapshotSeries, getSeriesFileName } from '../../modules/image-download/series';
+import {
+  DOWNLOAD_MODE_CLIENT,
+  DOWNLOAD_MODE_SERVER,
+  MAX_SERIES_FRAMES,
+  fileTypesClient,
+  overlayOptions,
+} from '../../modules/image-download/constants';
+import Checkbox from '../util/checkbox';
+import Button from '../util/button';
 import SelectionList from '../util/selector';
 import ResTable from './grid';
 import AlertUtil from '../util/alert';
@@ -13,6 +28,7 @@ import LatLongSelect from './lat-long-inputs';
 import GlobalSelectCheckbox from './global-select';
 
 const MAX_DIMENSION_SIZE = 8200;
+const CLIENT_FILE_TYPES = fileTypesClient.values.map(({ value }) => value);
 const RESOLUTION_KEY = {
   0.125: '30m',
   0.25: '60m',
@@ -30,12 +46,17 @@ function ImageDownloadPanel(props) {
     isWorldfile,
     resolution,
     getLayers,
+    getOverlayContent,
+    getSeriesFrames,
+    hasSubdailyLayers,
     url,
     lonlats,
     projection,
     date,
+    downloadMode,
     markerCoordinates,
     onPanelChange,
+    overlays,
     fileTypeOptions,
     fileTypes,
     secondLabel,
@@ -48,42 +69,163 @@ function ImageDownloadPanel(props) {
     firstLabel,
     geoLatLong,
     onLatLongChange,
+    renderSnapshot,
+    series,
   } = props;
 
   const [currFileType, setFileType] = useState(fileType);
   const [currIsWorldfile, setIsWorldfile] = useState(isWorldfile);
   const [currResolution, setResolution] = useState(resolution);
   const [debugUrl, setDebugUrl] = useState('');
+  const [isDownloading, setIsDownloading] = useState(false);
+  const [downloadAlert, setDownloadAlert] = useState(null);
+  const [isSeries, setIsSeries] = useState(false);
+  const [seriesProgress, setSeriesProgress] = useState(null);
+  const seriesController = useRef(null);
 
-  const onDownload = (width, height) => {
-    const time = new Date(date.getTime());
+  // Stop downloading the series if the panel is closed
+  useEffect(() => () => {
+    if (seriesController.current) seriesController.current.abort();
+  }, []);
 
-    const layerList = getLayers();
+  const canDrawOverlays = CLIENT_FILE_TYPES.includes(currFileType) && !currIsWorldfile && !isSeries;
+  const hasOverlays = canDrawOverlays && Object.values(overlays).some(Boolean);
+
+  const saveClientSnapshot = async (dimensions, time) => {
+    const overlayContent = hasOverlays ? getOverlayContent(overlays, dimensions) : undefined;
+    const blob = await renderSnapshot(dimensions, currFileType, overlayContent);
+    FileSaver.saveAs(blob, getSnapshotFileName(time, currFileType, false));
+  };
+
+  /**
+   * Request the snapshot from the snapshot service, rendering it in the browser
+   * instead if the service fails
+   * @returns {Boolean} | true if the snapshot was rendered in the browser
+   */
+  const downloadServerSnapshot = async (dimensions, time, layerList) => {
+    const worldfile = currFileType === 'application/vnd.google-earth.kmz' ? false : currIsWorldfile;
     const dlURL = getDownloadUrl(
       url,
       projection,
       layerList,
       lonlats,
-      { width, height },
+      dimensions,
       time,
       currFileType,
-      currFileType === 'application/vnd.google-earth.kmz' ? false : currIsWorldfile,
+      worldfile,
       markerCoordinates,
     );
-
-    window.open(dlURL, '_blank');
-    googleTagManager.pushEvent({
-      event: 'image_download',
-      layers: {
-        activeCount: layerList.length,
-      },
-      image: {
-        resolution: RESOLUTION_KEY[currResolution],
-        format: currFileType,
-        worldfile: currIsWorldfile,
-      },
-    });
     setDebugUrl(dlURL);
+    let blob;
+    try {
+      blob = await fetchSnapshot(dlURL);
+    } catch (e) {
+      if (!CLIENT_FILE_TYPES.includes(currFileType)) {
+        throw new Error(`${e.message} Choose JPEG or PNG to render the snapshot in your browser instead.`);
+      }
+      await saveClientSnapshot(dimensions, time);
+      return true;
+    }
+    if (hasOverlays) {
+      blob = await addSnapshotOverlays(blob, currFileType, getOverlayContent(overlays, dimensions));
+    }
+    FileSaver.saveAs(blob, getSnapshotFileName(time, currFileType, worldfile));
+    return false;
+  };
+
+  const onDownload = async (width, height) => {
+    const time = new Date(date.getTime());
+    const layerList = getLayers();
+    const isClientMode = downloadMode === DOWNLOAD_MODE_CLIENT;
+
+    setIsDownloading(true);
+    setDownloadAlert(null);
+    try {
+      let renderedInBrowser = true;
+      if (isClientMode) {
+        await saveClientSnapshot({ width, height }, time);
+      } else {
+        renderedInBrowser = await downloadServerSnapshot({ width, height }, time, layerList);
+        if (renderedInBrowser) {
+          setDownloadAlert({
+            id: 'snapshot-client-fallback-alert',
+            title: 'Snapshot Rendered In Browser',
+            message: 'The snapshot service is unavailable, so this image was rendered from the map in your browser. '
+              + 'Worldfiles and location markers are not included.',
+          });
+        }
+      }
+      googleTagManager.pushEvent({
+        event: 'image_download',
+        layers: {
+          activeCount: layerList.length,
+        },
+        image: {
+          resolution: RESOLUTION_KEY[currResolution],
+          format: currFileType,
+          worldfile: currIsWorldfile,
+          renderedInBrowser,
+        },
+      });
+    } catch (e) {
+      setDownloadAlert({
+        id: 'snapshot-download-error-alert',
+        title: 'Unable To Download Image',
+        message: e.message,
+      });
+    }
+    setIsDownloading(false);
+  };
+
+  const onDownloadSeries = async (width, height) => {
+    const worldfile = currFileType === 'application/vnd.google-earth.kmz' ? false : currIsWorldfile;
+    const frames = getSeriesFrames({ width, height }, currFileType, worldfile);
+    if (!frames) return;
+    const controller = new AbortController();
+    seriesController.current = controller;
+    setIsDownloading(true);
+    setDownloadAlert(null);
+    setSeriesProgress({ completed: 0, total: frames.length });
+    try {
+      const blob = await downloadSnapshotSeries(frames, {
+        projId: projection.id,
+        fileType: currFileType,
+        isWorldfile: worldfile,
+        includeTime: hasSubdailyLayers,
+        onProgress: (completed, total) => setSeriesProgress({ completed, total }),
+        signal: controller.signal,
+      });
+      FileSaver.saveAs(blob, getSeriesFileName(series.startDate, series.endDate, hasSubdailyLayers));
+      googleTagManager.pushEvent({
+        event: 'image_download_series',
+        image: {
+          resolution: RESOLUTION_KEY[currResolution],
+          format: currFileType,
+          worldfile,
+          frames: frames.length,
+        },
+      });
+    } catch (e) {
+      if (!controller.signal.aborted) {
+        setDownloadAlert({
+          id: 'snapshot-download-error-alert',
+          title: 'Unable To Download Series',
+          message: e.message,
+        });
+      }
+    }
+    if (seriesController.current === controller) {
+      seriesController.current = null;
+      setSeriesProgress(null);
+      setIsDownloading(false);
+    }
+  };
+
+  const onCancelSeries = () => {
+    seriesController.current.abort();
+    seriesController.current = null;
+    setSeriesProgress(null);
+    setIsDownloading(false);
   };
 
   const handleChange = (type, value) => {
@@ -141,6 +283,79 @@ function ImageDownloadPanel(props) {
     }
   };
 
+  const _renderDownloadTypeSelect = () => series && downloadMode !== DOWNLOAD_MODE_CLIENT && (
+    <div className="wv-image-header">
+      <select
+        id="wv-image-download-type"
+        value={isSeries ? 'series' : 'single'}
+        disabled={isDownloading}
+        onChange={(e) => setIsSeries(e.target.value === 'series')}
+      >
+        <option value="single">Single date</option>
+        <option value="series">Animation series</option>
+      </select>
+      Download
+    </div>
+  );
+
+  const _renderSeriesInfo = () => {
+    if (!isSeries) return;
+    const {
+      startDateStr, endDateStr, increment, numberOfFrames,
+    } = series;
+    const tooManyFrames = numberOfFrames > MAX_SERIES_FRAMES;
+    return (
+      <div className="wv-image-series">
+        <div id="wv-image-series-range">{`${startDateStr} - ${endDateStr}`}</div>
+        <div
+          id="wv-image-series-frames"
+          className={tooManyFrames ? 'wv-image-size-invalid' : ''}
+        >
+          {`${numberOfFrames} frames, ${increment} apart`}
+          {tooManyFrames && ` (maximum ${MAX_SERIES_FRAMES})`}
+        </div>
+        <div className="wv-image-series-note">
+          Change the range in the animation widget. Each frame is packaged in a zip with a manifest.
+        </div>
+        {seriesProgress && (
+          <div className="wv-image-series-progress">
+            <Progress
+              value={seriesProgress.completed}
+              max={seriesProgress.total}
+            />
+            <span>{`${seriesProgress.completed} / ${seriesProgress.total}`}</span>
+            <Button
+              id="wv-image-series-cancel"
+              text="Cancel"
+              onClick={onCancelSeries}
+            />
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  const onOverlayCheck = (key) => {
+    onPanelChange('overlays', { [key]: !overlays[key] });
+  };
+
+  const _renderOverlayOptions = () => canDrawOverlays && (
+    <div className="wv-image-header wv-image-overlays">
+      <span>Include</span>
+      <div className="wv-image-overlay-options">
+        {overlayOptions.map(({ key, label }) => (
+          <Checkbox
+            key={key}
+            id={`wv-image-overlay-${key}`}
+            label={label}
+            checked={!!overlays[key]}
+            onCheck={() => onOverlayCheck(key)}
+          />
+        ))}
+      </div>
+    </div>
+  );
+
   const crossesDatelineAlert = () => datelineMessage && (
     <AlertUtil
       id="snapshot-dateline-alert"
@@ -150,6 +365,16 @@ function ImageDownloadPanel(props) {
     />
   );
 
+  const downloadAlertMessage = () => downloadAlert && (
+    <AlertUtil
+      id={downloadAlert.id}
+      isOpen
+      title={downloadAlert.title}
+      message={downloadAlert.message}
+      onDismiss={() => setDownloadAlert(null)}
+    />
+  );
+
   const { crs } = projection.selected;
   const dimensions = getDimensions(projection.id, lonlats, currResolution);
   const { height } = dimensions;
@@ -161,6 +386,7 @@ function ImageDownloadPanel(props) {
   return (
     <>
       {crossesDatelineAlert()}
+      {downloadAlertMessage()}
       <div className="wv-re-pick-wrapper wv-image">
         <div
           id="wv-image-download-url"
@@ -180,6 +406,9 @@ function ImageDownloadPanel(props) {
         </div>
         {filetypeSelect}
         {worldfileSelect}
+        {_renderDownloadTypeSelect()}
+        {_renderSeriesInfo()}
+        {_renderOverlayOptions()}
         <LatLongSelect
           viewExtent={viewExtent}
           geoLatLong={projection.id === 'geographic' ? lonlats : geoLatLong}
@@ -199,8 +428,10 @@ function ImageDownloadPanel(props) {
           fileSize={((width * height * 24) / 8388608).toFixed(2)}
           maxImageSize={maxImageSize}
           validSize={imageSizeValid(height, width, MAX_DIMENSION_SIZE)}
-          validLayers={layerList.length > 0}
-          onClick={onDownload}
+          validLayers={layerList.length > 0 && !isDownloading
+            && !(isSeries && series.numberOfFrames > MAX_SERIES_FRAMES)}
+          onClick={isSeries ? onDownloadSeries : onDownload}
+          buttonText={isSeries ? 'Download Series' : 'Download'}
         />
       </div>
     </>
@@ -208,11 +439,13 @@ function ImageDownloadPanel(props) {
 }
 
 ImageDownloadPanel.defaultProps = {
+  downloadMode: DOWNLOAD_MODE_SERVER,
   fileType: 'image/jpeg',
   fileTypeOptions: true,
   firstLabel: 'Resolution (per pixel)',
   isWorldfile: false,
   maxImageSize: '8200px x 8200px',
+  overlays: {},
   resolution: '1',
   secondLabel: 'Format',
   worldFileOptions: true,
@@ -220,18 +453,25 @@ ImageDownloadPanel.defaultProps = {
 
 ImageDownloadPanel.propTypes = {
   datelineMessage: PropTypes.string,
+  downloadMode: PropTypes.string,
   fileType: PropTypes.string,
   fileTypeOptions: PropTypes.bool,
   fileTypes: PropTypes.object,
   firstLabel: PropTypes.string,
   getLayers: PropTypes.func,
+  getOverlayContent: PropTypes.func,
+  getSeriesFrames: PropTypes.func,
+  hasSubdailyLayers: PropTypes.bool,
   isWorldfile: PropTypes.bool,
   lonlats: PropTypes.array,
   map: PropTypes.object,
   maxImageSize: PropTypes.string,
   markerCoordinates: PropTypes.array,
   onPanelChange: PropTypes.func,
+  overlays: PropTypes.object,
   projection: PropTypes.object,
+  renderSnapshot: PropTypes.func,
+  series: PropTypes.object,
   date: PropTypes.object,
   resolution: PropTypes.string,
   resolutions: PropTypes.object,
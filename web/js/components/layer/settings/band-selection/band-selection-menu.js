@@ -1,16 +1,26 @@
-import React, { useState } from 'react';
+import React, { useMemo, useState } from 'react';
 import { useDispatch, useSelector } from 'react-redux';
 import PropTypes from 'prop-types';
 import { Button, UncontrolledTooltip } from 'reactstrap';
 import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import lodashDebounce from 'lodash/debounce';
 import BandsDropdown from './menu-components/band-dropdown';
 import PresetOptions from './menu-components/preset-options';
+import ExpressionEditor from './menu-components/expression-editor';
 import {
   updateBandCombination as updateBandCombinationAction,
   removeLayer as removeLayerAction,
 } from '../../../../modules/layers/actions';
 import { getActiveLayers } from '../../../../modules/layers/selectors';
 import { onClose } from '../../../../modules/modal/actions';
+import {
+  DEFAULT_RESCALE,
+  getExpressionBandCombo,
+  getLayerBands,
+  getStoredBandPresets,
+  removeBandPreset,
+  saveBandPreset,
+} from '../../../../modules/layers/band-math';
 
 export default function BandSelection({ layer }) {
   const dispatch = useDispatch();
@@ -26,18 +36,66 @@ export default function BandSelection({ layer }) {
 
 
   const [selectedPreset, setSelectedPreset] = useState(null);
-  const [bandSelection, setBandSelection] = useState({
-    r: layer.bandCombo.r,
-    g: layer.bandCombo.g,
-    b: layer.bandCombo.b,
-  });
+  const [bandSelection, setBandSelection] = useState(layer.bandCombo.expression
+    ? { ...layer.bandCombo }
+    : {
+      r: layer.bandCombo.r,
+      g: layer.bandCombo.g,
+      b: layer.bandCombo.b,
+    });
+  const [appliedExpression, setAppliedExpression] = useState(layer.bandCombo.expression);
+  const presetOptions = layer.id === 'HLS_Customizable_Landsat' ? 'landsat' : 'sentinel';
+  const [userPresets, setUserPresets] = useState(() => getStoredBandPresets()
+    .filter(({ type }) => type === presetOptions));
+  const bands = getLayerBands(layer);
+  const isExpression = bandSelection.expression !== undefined;
+  const expressionBandCombo = isExpression && getExpressionBandCombo(bandSelection, bands);
 
-  const confirmSelection = () => {
+  const applyBandCombination = (bandCombo) => {
     removeLayer(layer.id);
-    updateBandCombination(layer.id, bandSelection);
+    updateBandCombination(layer.id, bandCombo);
+    setAppliedExpression(bandCombo.expression);
+  };
+  // Rescale & colormap changes to the applied expression update the layer as they are made
+  const debounceApply = useMemo(() => lodashDebounce(applyBandCombination, 500), [layerIndex]);
+
+  const confirmSelection = () => {
+    debounceApply.cancel();
+    // Built-in presets are applied as they are configured
+    applyBandCombination(isExpression && !selectedPreset ? expressionBandCombo : bandSelection);
     closeModal();
   };
 
+  const onExpressionChange = (changes, isLive) => {
+    const newSelection = { ...bandSelection, ...changes };
+    setBandSelection(newSelection);
+    setSelectedPreset(null);
+    const bandCombo = getExpressionBandCombo(newSelection, bands);
+    if (isLive && bandCombo && bandCombo.expression === appliedExpression) {
+      debounceApply(bandCombo);
+    }
+  };
+
+  const onSavePreset = (title) => {
+    const presets = saveBandPreset({
+      ...expressionBandCombo,
+      title,
+      type: presetOptions,
+    });
+    setUserPresets(presets.filter(({ type }) => type === presetOptions));
+  };
+
+  const onRemovePreset = (id) => {
+    setUserPresets(removeBandPreset(id).filter(({ type }) => type === presetOptions));
+  };
+
+  const toggleExpression = () => {
+    setSelectedPreset(null);
+    setBandSelection(isExpression
+      ? { r: layer.bandCombo.r || bands[3], g: layer.bandCombo.g || bands[2], b: layer.bandCombo.b || bands[1] }
+      : { expression: '', rescale: DEFAULT_RESCALE });
+  };
+
   // eslint-disable-next-line no-unused-vars
   const rwbInfo = (
     <div className="band-selection-rwb-info">
@@ -47,8 +105,6 @@ export default function BandSelection({ layer }) {
     </div>
   );
 
-  const presetOptions = layer.id === 'HLS_Customizable_Landsat' ? 'landsat' : 'sentinel';
-
   const isValidBandSelection = () => (bandSelection.r !== 'undefined' && bandSelection.r !== undefined) && (bandSelection.g !== 'undefined' && bandSelection.g !== undefined) && (bandSelection.b !== 'undefined' && bandSelection.b !== undefined);
 
   return (
@@ -58,7 +114,24 @@ export default function BandSelection({ layer }) {
         setSelectedPreset={setSelectedPreset}
         setBandSelection={setBandSelection}
         presetOptions={presetOptions}
+        userPresets={userPresets}
+        onRemovePreset={onRemovePreset}
       />
+      <Button
+        id="toggle-band-math"
+        className="wv-button"
+        onClick={toggleExpression}
+      >
+        {isExpression ? 'Select a band for each channel' : 'Write a band math expression'}
+      </Button>
+      {isExpression && (
+        <ExpressionEditor
+          bands={bands}
+          bandSelection={bandSelection}
+          onChange={onExpressionChange}
+          onSavePreset={onSavePreset}
+        />
+      )}
       {isValidBandSelection() && (
       <div>
         <div className="band-selection-title-row">
@@ -113,6 +186,7 @@ export default function BandSelection({ layer }) {
           id="confirm-band-selection"
           aria-label="Confirm band selection"
           className="wv-button red"
+          disabled={isExpression && !expressionBandCombo}
           onClick={() => confirmSelection()}
         >
           <span className="button-text">
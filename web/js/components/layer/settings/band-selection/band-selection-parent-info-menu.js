@@ -30,6 +30,8 @@ export default function BandSelectionParentInfoMenu({ layer }) {
     g,
     b,
     expression,
+    rescale,
+    colormap_name: colormap,
   } = layer.bandCombo;
 
   const isValidBandSelection = () => (r !== 'undefined' && r !== undefined) && (g !== 'undefined' && g !== undefined) && (b !== 'undefined' && b !== undefined);
@@ -77,6 +79,22 @@ export default function BandSelectionParentInfoMenu({ layer }) {
                   {expression}
                 </span>
               </div>
+              {rescale && (
+                <div>
+                  <span className="band-color">Rescale:</span>
+                  <span className="band-name">
+                    {rescale.replace(',', ' to ')}
+                  </span>
+                </div>
+              )}
+              {colormap && (
+                <div>
+                  <span className="band-color">Colormap:</span>
+                  <span className="band-name">
+                    {colormap}
+                  </span>
+                </div>
+              )}
             </div>
           )
       }
@@ -5,6 +5,7 @@ import {
   DropdownMenu,
   DropdownItem,
 } from 'reactstrap';
+import { getLayerBands } from '../../../../../modules/layers/band-math';
 
 export default function BandsDropdown(props) {
   const {
@@ -15,9 +16,7 @@ export default function BandsDropdown(props) {
   const toggle = () => setDropdownOpen(!dropdownOpen);
   const bandValue = bandSelection[channel] || layer.bandCombo[0];
 
-  const sentinelBandChoices = ['B01', 'B02', 'B03', 'B04', 'B05', 'B06', 'B07', 'B08', 'B8A', 'B09', 'B10', 'B11', 'B12'];
-  const landsatBandChoices = ['B01', 'B02', 'B03', 'B04', 'B05', 'B06', 'B07', 'B09', 'B10'];
-  const activeBandChoices = layer.title.includes('Landsat') ? landsatBandChoices : sentinelBandChoices;
+  const activeBandChoices = getLayerBands(layer);
 
   const handleSelection = (band) => {
     setBandSelection({
@@ -0,0 +1,117 @@
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+import { Button } from 'reactstrap';
+import {
+  BAND_MATH_COLORMAPS,
+  DEFAULT_RESCALE,
+  parseRescale,
+  validateExpression,
+} from '../../../../../modules/layers/band-math';
+
+export default function ExpressionEditor(props) {
+  const {
+    bands, bandSelection, onChange, onSavePreset,
+  } = props;
+  const { expression = '', rescale = DEFAULT_RESCALE, colormap_name: colormap } = bandSelection;
+  const [presetTitle, setPresetTitle] = useState('');
+  const { bands: usedBands, error } = validateExpression(expression, bands);
+  const isRGB = expression.includes(';');
+  const [min, max] = `${rescale}`.split(',');
+  const rescaleError = parseRescale(rescale) ? null : 'The minimum must be less than the maximum';
+
+  const insertBand = (band) => onChange({ expression: `${expression}${band}` });
+  const setRescale = (newMin, newMax) => onChange({ rescale: `${newMin},${newMax}` }, true);
+  const savePreset = () => {
+    onSavePreset(presetTitle.trim());
+    setPresetTitle('');
+  };
+
+  return (
+    <div className="band-math-editor">
+      <label htmlFor="band-math-expression">
+        Band math expression:
+      </label>
+      <textarea
+        id="band-math-expression"
+        rows="2"
+        spellCheck="false"
+        value={expression}
+        placeholder="(B05-B04)/(B05+B04)"
+        onChange={(e) => onChange({ expression: e.target.value })}
+      />
+      <div className="band-math-bands">
+        {bands.map((band) => (
+          <button
+            type="button"
+            key={band}
+            className={usedBands.includes(band) ? 'band-math-band used' : 'band-math-band'}
+            onClick={() => insertBand(band)}
+          >
+            {band}
+          </button>
+        ))}
+      </div>
+      <p className={error ? 'band-math-error' : 'band-math-info'}>
+        {error || `Bands used: ${usedBands.join(', ')}`}
+      </p>
+      <div className="band-math-row">
+        <label htmlFor="band-math-rescale-min">Rescale:</label>
+        <input
+          id="band-math-rescale-min"
+          type="number"
+          step="0.05"
+          value={min}
+          onChange={(e) => setRescale(e.target.value, max)}
+        />
+        <span>to</span>
+        <input
+          id="band-math-rescale-max"
+          type="number"
+          step="0.05"
+          value={max}
+          onChange={(e) => setRescale(min, e.target.value)}
+        />
+      </div>
+      {rescaleError && <p className="band-math-error">{rescaleError}</p>}
+      {!isRGB && (
+        <div className="band-math-row">
+          <label htmlFor="band-math-colormap">Colormap:</label>
+          <select
+            id="band-math-colormap"
+            value={colormap || ''}
+            onChange={(e) => onChange({ colormap_name: e.target.value || undefined }, true)}
+          >
+            <option value="">Grayscale</option>
+            {BAND_MATH_COLORMAPS.map((name) => (
+              <option key={name} value={name}>{name}</option>
+            ))}
+          </select>
+        </div>
+      )}
+      <div className="band-math-row">
+        <input
+          id="band-math-preset-title"
+          type="text"
+          placeholder="Preset name"
+          value={presetTitle}
+          onChange={(e) => setPresetTitle(e.target.value)}
+        />
+        <Button
+          id="band-math-save-preset"
+          className="wv-button"
+          disabled={!!error || !!rescaleError || !presetTitle.trim()}
+          onClick={savePreset}
+        >
+          Save preset
+        </Button>
+      </div>
+    </div>
+  );
+}
+
+ExpressionEditor.propTypes = {
+  bands: PropTypes.array,
+  bandSelection: PropTypes.object,
+  onChange: PropTypes.func,
+  onSavePreset: PropTypes.func,
+};
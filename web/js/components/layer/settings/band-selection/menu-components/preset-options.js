@@ -2,6 +2,7 @@ import React from 'react';
 import {
   Card, CardImg, CardBody, CardTitle, CardText,
 } from 'reactstrap';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
 
 const imgPath = 'images/layers/previews/geographic/';
 
@@ -154,7 +155,7 @@ const sentinelPresets = [
 
 export default function PresetOptions(props) {
   const {
-    setBandSelection, selectedPreset, setSelectedPreset, presetOptions,
+    setBandSelection, selectedPreset, setSelectedPreset, presetOptions, userPresets = [], onRemovePreset,
   } = props;
   const handlePresetSelect = (preset) => {
     setSelectedPreset(preset);
@@ -172,19 +173,27 @@ export default function PresetOptions(props) {
 
   const presets = presetOptions === 'landsat' ? landsatPresets : sentinelPresets;
 
+  const removePreset = (e, preset) => {
+    e.stopPropagation();
+    if (preset.id === selectedPreset?.id) setSelectedPreset(null);
+    onRemovePreset(preset.id);
+  };
+
   return (
     <div className="band-selection-presets-container">
       <div className="band-selection-presets-title-row">
         <p>Other selectable presets (optional):</p>
       </div>
       <div className="band-selection-presets-scrollable">
-        {presets.map((preset) => (
+        {presets.concat(userPresets).map((preset) => (
           <Card
             key={preset.id}
             onClick={() => handlePresetSelect(preset)}
             className={`band-selection-preset-card ${preset.id === selectedPreset?.id ? 'selected-preset' : ''}`}
           >
-            <CardImg top className="band-selection-preset-image" src={imgPath + preset.img} alt={preset.title} />
+            {preset.img
+              ? <CardImg top className="band-selection-preset-image" src={imgPath + preset.img} alt={preset.title} />
+              : <div className="band-selection-preset-image user-preset-image" />}
             <CardBody>
               <CardTitle tag="h5">{preset.title}</CardTitle>
               {
@@ -193,6 +202,16 @@ export default function PresetOptions(props) {
                   : <CardText>{preset.expression}</CardText>
               }
             </CardBody>
+            {!preset.img && (
+              <button
+                type="button"
+                className="band-selection-preset-remove"
+                title={`Remove the ${preset.title} preset`}
+                onClick={(e) => removePreset(e, preset)}
+              >
+                <FontAwesomeIcon icon="trash" />
+              </button>
+            )}
           </Card>
         ))}
       </div>
@@ -1,20 +1,142 @@
-import React, { useState } from 'react';
+import React, { useMemo, useState } from 'react';
 import PropTypes from 'prop-types';
 import lodashGet from 'lodash/get';
+import lodashDebounce from 'lodash/debounce';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
 import Switch from '../../util/switch';
 import Scrollbar from '../../util/scrollbar';
+import { addGroup } from '../../../modules/palettes/classification';
 
 
 export default function ClassificationToggle(props) {
   const {
-    legend, toggle, palette, height, toggleAll,
+    legend, toggle, palette, height, toggleAll, setStyle,
   } = props;
   const switchLength = legend.colors.length;
 
   const [isEnableAllSelected, toggleEnableAll] = useState((lodashGet(palette, 'disabled.length') === switchLength) && switchLength);
+  const [selected, setSelected] = useState([]);
+  const [groupLabel, setGroupLabel] = useState('');
 
   const { tooltips } = legend;
+  const disabled = palette.disabled || [];
+  const recolor = palette.recolor || {};
+  const groups = palette.groups || [];
+  const canEditStyle = !!setStyle && !palette.custom;
 
+  const updateStyle = (style) => setStyle({
+    recolor: palette.recolor,
+    groups: palette.groups,
+    ...style,
+  });
+  // Color pickers fire while dragging, only update the layer once they settle
+  const debounceRecolor = useMemo(() => lodashDebounce((classIndex, hex) => {
+    updateStyle({ recolor: { ...recolor, [classIndex]: hex.substring(1).toLowerCase() } });
+  }, 300), [palette.recolor, palette.groups]);
+
+  const resetColor = (classIndex) => {
+    const rest = { ...recolor };
+    delete rest[classIndex];
+    updateStyle({ recolor: Object.keys(rest).length ? rest : undefined });
+  };
+  const toggleSelected = (classIndex) => setSelected(selected.includes(classIndex)
+    ? selected.filter((i) => i !== classIndex)
+    : selected.concat(classIndex));
+  const createGroup = () => {
+    updateStyle({ groups: addGroup(palette.groups, groupLabel, selected) });
+    setSelected([]);
+    setGroupLabel('');
+  };
+  const removeGroup = (groupIndex) => {
+    const remaining = groups.filter((group, i) => i !== groupIndex);
+    updateStyle({ groups: remaining.length ? remaining : undefined });
+  };
+  const toggleGroup = ({ classes }, isActive) => {
+    toggleAll(isActive
+      ? [...new Set(disabled.concat(classes))]
+      : disabled.filter((classIndex) => !classes.includes(classIndex)));
+  };
+
+  const renderColorInput = (classIndex, color, label) => canEditStyle && (
+    <input
+      type="color"
+      key={`${legend.id}-recolor${classIndex}-${color}`}
+      id={`${legend.id}-recolor${classIndex}`}
+      className="classification-recolor"
+      title={`Recolor ${label}`}
+      defaultValue={`#${color.substring(0, 6)}`}
+      onChange={(e) => debounceRecolor(classIndex, e.target.value)}
+    />
+  );
+
+  const renderGroup = (group, groupIndex) => {
+    const [first] = group.classes;
+    const id = `${legend.id}-group${groupIndex}`;
+    const isActive = !group.classes.every((classIndex) => disabled.includes(classIndex));
+    const color = legend.colors[first] || '000000ff';
+    const label = group.label || tooltips[first];
+    return (
+      <div className="classification-row classification-group" key={id}>
+        <Switch
+          id={id}
+          color={color.substring(0, 6)}
+          label={`${label} (${group.classes.length} classes)`}
+          active={isActive}
+          toggle={() => toggleGroup(group, isActive)}
+        />
+        {renderColorInput(first, color, label)}
+        {canEditStyle && (
+          <button
+            type="button"
+            id={`${id}-remove`}
+            className="classification-row-button"
+            title={`Ungroup ${label}`}
+            onClick={() => removeGroup(groupIndex)}
+          >
+            <FontAwesomeIcon icon="times" />
+          </button>
+        )}
+      </div>
+    );
+  };
+
+  const renderClass = (color, index) => {
+    const id = legend.id + index;
+    const tooltip = tooltips[index];
+    const inActive = disabled.includes(index);
+    return (
+      <div className="classification-row" key={id}>
+        {canEditStyle && (
+          <input
+            type="checkbox"
+            id={`${id}-select`}
+            title={`Select ${tooltip} to group`}
+            checked={selected.includes(index)}
+            onChange={() => toggleSelected(index)}
+          />
+        )}
+        <Switch
+          id={id}
+          color={color.substring(0, 6)}
+          label={tooltip}
+          active={!inActive}
+          toggle={() => toggle(index)}
+        />
+        {renderColorInput(index, color, tooltip)}
+        {canEditStyle && recolor[index] && (
+          <button
+            type="button"
+            id={`${id}-reset`}
+            className="classification-row-button"
+            title={`Reset the color of ${tooltip}`}
+            onClick={() => resetColor(index)}
+          >
+            <FontAwesomeIcon icon="undo" />
+          </button>
+        )}
+      </div>
+    );
+  };
 
   return (
     <div className="layer-classification-toggle settings-component">
@@ -36,21 +158,34 @@ export default function ClassificationToggle(props) {
       </div>
       <Scrollbar className="classification-list" style={{ maxHeight: `${height}px` }}>
         {legend.colors.map((color, index) => {
-          const id = legend.id + index;
-          const tooltip = tooltips[index];
-          const inActive = palette.disabled && palette.disabled.includes(index);
-          return (
-            <Switch
-              id={id}
-              key={id}
-              color={color.substring(0, 6)}
-              label={tooltip}
-              active={!inActive}
-              toggle={() => toggle(index)}
-            />
-          );
+          // Grouped classes are listed once, at the position of the group's first class
+          const groupIndex = groups.findIndex(({ classes }) => classes.includes(index));
+          if (groupIndex < 0) return renderClass(color, index);
+          return groups[groupIndex].classes[0] === index
+            ? renderGroup(groups[groupIndex], groupIndex)
+            : null;
         })}
       </Scrollbar>
+      {canEditStyle && (
+        <div className="classification-grouping">
+          <input
+            type="text"
+            id={`${legend.id}-group-label`}
+            placeholder="Group name, e.g. Forest"
+            value={groupLabel}
+            onChange={(e) => setGroupLabel(e.target.value.replace(/[^A-Za-z0-9 ]/g, ''))}
+          />
+          <button
+            type="button"
+            id={`${legend.id}-group-create`}
+            className="wv-button"
+            disabled={selected.length < 2}
+            onClick={createGroup}
+          >
+            Group selected
+          </button>
+        </div>
+      )}
     </div>
   );
 }
@@ -59,6 +194,7 @@ ClassificationToggle.propTypes = {
   height: PropTypes.number,
   legend: PropTypes.object,
   palette: PropTypes.object,
+  setStyle: PropTypes.func,
   toggle: PropTypes.func,
   toggleAll: PropTypes.func,
 };
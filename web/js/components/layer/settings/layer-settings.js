@@ -33,10 +33,12 @@ import {
 } from '../../../modules/layers/selectors';
 import {
   setThresholdRangeAndSquash,
+  setPaletteStretch,
   setCustomPalette,
   clearCustomPalette,
   setToggledClassification,
   refreshDisabledClassification,
+  setClassificationStyle,
 } from '../../../modules/palettes/actions';
 import {
   setFilterRange,
@@ -88,9 +90,11 @@ class LayerSettings extends React.Component {
       palettesTranslate,
       groupName,
       setThresholdRange,
+      setStretch,
       layer,
       toggleClassification,
       toggleAllClassifications,
+      setClassificationStyle,
       screenHeight,
     } = this.props;
     const { activeIndex } = this.state;
@@ -124,6 +128,7 @@ class LayerSettings extends React.Component {
               toggle={(classIndex) => toggleClassification(layer.id, classIndex, i, groupName)}
               legend={legend}
               toggleAll={(disabledArray) => { toggleAllClassifications(layer.id, disabledArray, i, groupName); }}
+              setStyle={(style) => setClassificationStyle(layer.id, style, i, groupName)}
             />
           </TabPane>
         );
@@ -145,6 +150,7 @@ class LayerSettings extends React.Component {
                 key={`${layer.id + i}_threshold`}
                 legend={legend}
                 setRange={setThresholdRange}
+                setStretch={setStretch}
                 globalTemperatureUnit={globalTemperatureUnit}
                 min={0}
                 max={max}
@@ -201,11 +207,13 @@ class LayerSettings extends React.Component {
       getPalette,
       getPaletteLegend,
       setThresholdRange,
+      setStretch,
       paletteOrder,
       groupName,
       layer,
       toggleClassification,
       toggleAllClassifications,
+      setClassificationStyle,
       screenHeight,
     } = this.props;
     const paletteLegends = getPaletteLegends(layer.id);
@@ -226,6 +234,7 @@ class LayerSettings extends React.Component {
           toggle={(classIndex) => toggleClassification(layer.id, classIndex, 0, groupName)}
           legend={legend}
           toggleAll={(disabledArray) => { toggleAllClassifications(layer.id, disabledArray, 0, groupName); }}
+          setStyle={(style) => setClassificationStyle(layer.id, style, 0, groupName)}
         />
       );
     }
@@ -238,6 +247,7 @@ class LayerSettings extends React.Component {
               legend={legend}
               globalTemperatureUnit={globalTemperatureUnit}
               setRange={setThresholdRange}
+              setStretch={setStretch}
               min={0}
               max={max}
               start={start}
@@ -417,11 +427,19 @@ const mapDispatchToProps = (dispatch) => ({
       refreshDisabledClassification(layerId, disabledArray, index, groupName),
     );
   },
+  setClassificationStyle: (layerId, style, index, groupName) => {
+    dispatch(
+      setClassificationStyle(layerId, style, index, groupName),
+    );
+  },
   setThresholdRange: (layerId, min, max, squash, index, groupName) => {
     dispatch(
       setThresholdRangeAndSquash(layerId, { min, max, squash }, index, groupName),
     );
   },
+  setStretch: (layerId, stretch, index, groupName) => dispatch(
+    setPaletteStretch(layerId, stretch, index, groupName),
+  ),
   setFilterRange: (layerId, min, max, index, groupName) => {
     dispatch(
       setFilterRange(layerId, { min, max }, index, groupName),
@@ -478,8 +496,10 @@ LayerSettings.propTypes = {
   palettesTranslate: PropTypes.func,
   resetGranuleLayerDates: PropTypes.func,
   screenHeight: PropTypes.number,
+  setClassificationStyle: PropTypes.func,
   setCustomPalette: PropTypes.func,
   setOpacity: PropTypes.func,
+  setStretch: PropTypes.func,
   setStyle: PropTypes.func,
   setThresholdRange: PropTypes.func,
   toggleClassification: PropTypes.func,
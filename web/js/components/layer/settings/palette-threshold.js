@@ -1,7 +1,9 @@
 import React from 'react';
 import PropTypes from 'prop-types';
 import lodashDebounce from 'lodash/debounce';
+import { Button } from 'reactstrap';
 import Checkbox from '../../util/checkbox';
+import { STRETCH_TYPES, DEFAULT_GAMMA } from '../../../modules/palettes/stretch';
 import {
   checkTemperatureUnitConversion, convertPaletteValue,
 } from '../../../modules/settings/util';
@@ -11,17 +13,26 @@ const thumbsize = 26;
 class PaletteThreshold extends React.Component {
   constructor(props) {
     super(props);
-    const { start, end, squashed } = props;
+    const {
+      start, end, squashed, palette,
+    } = props;
+    const stretch = palette.stretch || { type: 'linear' };
     this.state = {
       start,
       end,
       squashed,
       avg: Math.round((start + end) / 2),
       sliderWidth: 264,
+      stretchType: stretch.type,
+      gamma: stretch.gamma || DEFAULT_GAMMA,
+      isStretching: false,
+      stretchError: null,
     };
     this.debounceSetRange = lodashDebounce(props.setRange, 300);
     this.updateSquash = this.updateSquash.bind(this);
     this.updateThreshold = this.updateThreshold.bind(this);
+    this.updateStretch = this.updateStretch.bind(this);
+    this.debounceUpdateStretch = lodashDebounce(this.updateStretch, 300);
     this.slider = React.createRef();
   }
 
@@ -52,6 +63,75 @@ class PaletteThreshold extends React.Component {
     this.setState({ squashed: isSquashed });
   }
 
+  /**
+   * Apply a stretch. Histogram equalization is recomputed for the current map view
+   * each time it is applied.
+   * @param {String} stretchType
+   * @param {Number} gamma
+   */
+  updateStretch(stretchType, gamma) {
+    const {
+      setStretch, layerId, index, groupName,
+    } = this.props;
+    const stretch = stretchType === 'gamma' ? { type: stretchType, gamma } : { type: stretchType };
+    this.setState({
+      stretchType, gamma, isStretching: true, stretchError: null,
+    });
+    Promise.resolve(setStretch(layerId, stretch, index, groupName))
+      .then(() => this.setState({ isStretching: false }))
+      .catch((error) => this.setState({ isStretching: false, stretchError: error.message }));
+  }
+
+  renderStretch() {
+    const { index } = this.props;
+    const {
+      stretchType, gamma, isStretching, stretchError,
+    } = this.state;
+    return (
+      <div id={`wv-palette-stretch${index}`} className="wv-palette-stretch">
+        <label htmlFor={`wv-palette-stretch-select${index}`}>Stretch</label>
+        <select
+          id={`wv-palette-stretch-select${index}`}
+          value={stretchType}
+          disabled={isStretching}
+          onChange={(e) => this.updateStretch(e.target.value, parseFloat(gamma) || DEFAULT_GAMMA)}
+        >
+          {STRETCH_TYPES.map(({ value, text }) => (
+            <option key={value} value={value}>{text}</option>
+          ))}
+        </select>
+        {stretchType === 'gamma' && (
+          <input
+            id={`wv-palette-gamma${index}`}
+            type="number"
+            title="Gamma"
+            min="0.1"
+            max="5"
+            step="0.1"
+            value={gamma}
+            onChange={(e) => {
+              const value = parseFloat(e.target.value);
+              this.setState({ gamma: e.target.value });
+              if (value > 0) this.debounceUpdateStretch('gamma', value);
+            }}
+          />
+        )}
+        {stretchType === 'histogram' && (
+          <Button
+            id={`wv-palette-equalize${index}`}
+            size="sm"
+            title="Equalize the colors for the layer in the current map view"
+            disabled={isStretching}
+            onClick={() => this.updateStretch('histogram')}
+          >
+            {isStretching ? 'Equalizing ...' : 'Re-equalize'}
+          </Button>
+        )}
+        {stretchError && <div className="wv-palette-stretch-error">{stretchError}</div>}
+      </div>
+    );
+  }
+
   /**
    * Update threshold values
    * @param {Array} thresholdArray | Array of start/end indexes for colormap
@@ -206,6 +286,7 @@ class PaletteThreshold extends React.Component {
             </span>
           </div>
         </div>
+        {this.renderStretch()}
       </div>
     );
   }
@@ -221,6 +302,7 @@ PaletteThreshold.propTypes = {
   min: PropTypes.number,
   palette: PropTypes.object,
   setRange: PropTypes.func,
+  setStretch: PropTypes.func,
   squashed: PropTypes.bool,
   start: PropTypes.number,
 };
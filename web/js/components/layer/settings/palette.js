@@ -1,10 +1,200 @@
 import React, { useState } from 'react';
 import PropTypes from 'prop-types';
 import lodashIndexOf from 'lodash/indexOf';
+import { Button } from 'reactstrap';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
 import { drawPaletteOnCanvas } from '../../../modules/palettes/util';
+import {
+  USER_PALETTE_IMPORT_FORMATS,
+  MAX_USER_PALETTE_STOPS,
+  defaultUserPaletteStops,
+  encodeUserPaletteId,
+  getStoredUserPalettes,
+  interpolateStops,
+  isUserPaletteId,
+  parsePaletteText,
+  removeUserPalette,
+  saveUserPalette,
+} from '../../../modules/palettes/user-palettes';
 import util from '../../../util/util';
 import Scrollbar from '../../util/scrollbar';
 
+/**
+ * Draw colors on the shared legend canvas
+ * @returns {String} image data URL
+ */
+function getPaletteDataURL(canvas, colors) {
+  const ctx = canvas.getContext('2d');
+  drawPaletteOnCanvas(ctx, colors, canvas.width, canvas.height);
+  return canvas.toDataURL('image/png');
+}
+
+let stopCount = 0;
+
+// Give each stop a stable key so removing a stop doesn't shift the inputs of the others
+const withStopIds = (stops) => stops.map((stop) => {
+  stopCount += 1;
+  return { ...stop, id: stopCount };
+});
+
+/**
+ * Create a color ramp from color stops, or from a pasted CPT, QGIS or Matplotlib
+ * colormap. Saved palettes are kept in local storage & the stops are encoded in
+ * the palette id used in the permalink.
+ */
+function PaletteEditor(props) {
+  const {
+    canvas, index, onSave, palettesTranslate, sourceColors,
+  } = props;
+  const [isOpen, setIsOpen] = useState(false);
+  const [name, setName] = useState('');
+  const [stops, setStops] = useState(() => withStopIds(defaultUserPaletteStops));
+  const [importFormat, setImportFormat] = useState(USER_PALETTE_IMPORT_FORMATS[0].value);
+  const [importText, setImportText] = useState('');
+  const [error, setError] = useState(null);
+  const idPrefix = `wv-palette-editor${index}`;
+
+  if (!isOpen) {
+    return (
+      <Button
+        id={`${idPrefix}-open`}
+        className="wv-palette-editor-open"
+        color="secondary"
+        size="sm"
+        onClick={() => setIsOpen(true)}
+      >
+        <FontAwesomeIcon icon="plus" />
+        {' Create palette'}
+      </Button>
+    );
+  }
+
+  const updateStop = (stopIndex, changes) => {
+    setStops(stops.map((stop, i) => (i === stopIndex ? { ...stop, ...changes } : stop)));
+  };
+
+  const importPalette = () => {
+    try {
+      setStops(withStopIds(parsePaletteText(importText, importFormat)));
+      setImportText('');
+      setError(null);
+    } catch (e) {
+      setError(e.message);
+    }
+  };
+
+  const save = () => {
+    const id = encodeUserPaletteId(stops);
+    saveUserPalette(id, name.trim() || 'Custom Palette');
+    onSave(id);
+    setIsOpen(false);
+  };
+
+  const preview = getPaletteDataURL(canvas, palettesTranslate(sourceColors, interpolateStops(stops)));
+
+  return (
+    <div id={idPrefix} className="wv-palette-editor">
+      <img className="wv-palette-editor-preview" src={preview} />
+      <input
+        id={`${idPrefix}-name`}
+        className="wv-palette-editor-name"
+        type="text"
+        placeholder="Palette name"
+        value={name}
+        onChange={(e) => setName(e.target.value)}
+      />
+      <div className="wv-palette-editor-stops">
+        {stops.map(({ id, offset, color }, i) => (
+          <div key={id} className="wv-palette-editor-stop">
+            <input
+              id={`${idPrefix}-color-${i}`}
+              type="color"
+              title="Stop color"
+              value={`#${color.substring(0, 6)}`}
+              onChange={(e) => updateStop(i, { color: `${e.target.value.substring(1)}${color.substring(6)}` })}
+            />
+            <input
+              id={`${idPrefix}-offset-${i}`}
+              type="number"
+              title="Stop position (%)"
+              min="0"
+              max="100"
+              step="0.1"
+              value={Math.round(offset * 1000) / 10}
+              onChange={(e) => updateStop(i, { offset: Number(e.target.value) / 100 })}
+            />
+            <span>%</span>
+            <Button
+              id={`${idPrefix}-remove-${i}`}
+              className="wv-palette-editor-remove"
+              size="sm"
+              title="Remove stop"
+              disabled={stops.length <= 2}
+              onClick={() => setStops(stops.filter((stop) => stop.id !== id))}
+            >
+              <FontAwesomeIcon icon="times" />
+            </Button>
+          </div>
+        ))}
+        <Button
+          id={`${idPrefix}-add`}
+          size="sm"
+          disabled={stops.length >= MAX_USER_PALETTE_STOPS}
+          onClick={() => setStops([
+            ...stops,
+            ...withStopIds([{ offset: 1, color: stops[stops.length - 1].color }]),
+          ])}
+        >
+          Add stop
+        </Button>
+      </div>
+      <div className="wv-palette-editor-import">
+        <select
+          id={`${idPrefix}-format`}
+          value={importFormat}
+          onChange={(e) => setImportFormat(e.target.value)}
+        >
+          {USER_PALETTE_IMPORT_FORMATS.map(({ value, text }) => (
+            <option key={value} value={value}>{text}</option>
+          ))}
+        </select>
+        <textarea
+          id={`${idPrefix}-import-text`}
+          placeholder="Paste a colormap"
+          rows="3"
+          value={importText}
+          onChange={(e) => setImportText(e.target.value)}
+        />
+        <Button
+          id={`${idPrefix}-import`}
+          size="sm"
+          disabled={!importText.trim()}
+          onClick={importPalette}
+        >
+          Import
+        </Button>
+        {error && <div className="wv-palette-editor-error">{error}</div>}
+      </div>
+      <div className="wv-palette-editor-actions">
+        <Button id={`${idPrefix}-cancel`} size="sm" onClick={() => setIsOpen(false)}>
+          Cancel
+        </Button>
+        <Button id={`${idPrefix}-save`} color="primary" size="sm" onClick={save}>
+          Save &amp; apply
+        </Button>
+      </div>
+    </div>
+  );
+}
+
+PaletteEditor.propTypes = {
+  canvas: PropTypes.object,
+  index: PropTypes.number,
+  onSave: PropTypes.func,
+  palettesTranslate: PropTypes.func,
+  sourceColors: PropTypes.array,
+};
+
 function PaletteSelect (props) {
   const {
     activePalette: initialActivePalette,
@@ -21,6 +211,7 @@ function PaletteSelect (props) {
   } = props;
 
   const [activePalette, setActivePalette] = useState(initialActivePalette);
+  const [userPalettes, setUserPalettes] = useState(getStoredUserPalettes);
 
   /**
    * Clears the custom palette if Id is set to __default
@@ -35,6 +226,16 @@ function PaletteSelect (props) {
     setActivePalette(id);
   };
 
+  const onSaveUserPalette = (id) => {
+    setUserPalettes(getStoredUserPalettes());
+    onChangePalette(id);
+  };
+
+  const onRemoveUserPalette = (id) => {
+    setUserPalettes(removeUserPalette(id));
+    if (activePalette === id) onChangePalette('__default');
+  };
+
   /**
    * Render classification customs when there is only one
    * Color in colormap
@@ -78,18 +279,12 @@ function PaletteSelect (props) {
    * @param {String} id | colormap Id
    * @param {Object} legend | Legend Object
    * @param {Boolean} isSelected | is this colormap active
+   * @param {Function} onRemove | optional, for palettes the user can delete
    */
-  const renderSelectorItemScale = (palette, id, legend, isSelected) => {
+  const renderSelectorItemScale = (palette, id, legend, isSelected, onRemove) => {
     const caseDefaultClassName = 'wv-palette-selector-row wv-checkbox wv-checkbox-round gray ';
     const checkedClassName = isSelected ? 'checked' : '';
-    const ctx = canvas.getContext('2d');
-    drawPaletteOnCanvas(
-      ctx,
-      palette,
-      canvas.width,
-      canvas.height,
-    );
-    const dataURL = canvas.toDataURL('image/png');
+    const dataURL = getPaletteDataURL(canvas, palette);
     return (
       <div key={id} className={caseDefaultClassName + checkedClassName}>
         <input
@@ -102,6 +297,17 @@ function PaletteSelect (props) {
           <img src={dataURL} />
           <span className="wv-palette-label">{legend.name || 'Default'}</span>
         </label>
+        {onRemove && (
+          <Button
+            id={`wv-palette-remove-${id}`}
+            className="wv-palette-remove"
+            size="sm"
+            title="Delete palette"
+            onClick={onRemove}
+          >
+            <FontAwesomeIcon icon="trash" />
+          </Button>
+        )}
       </div>
     );
   };
@@ -128,8 +334,9 @@ function PaletteSelect (props) {
    * Renders as renderSelectorItemScale or renderSelectorItemSingle depending on if
    * the source type is continuous or discrete.
    * @param {String} id | colormap Id
+   * @param {Object} userPalette | optional, saved user palette { id, name }
    */
-  const customLegend = (id) => {
+  const customLegend = (id, userPalette) => {
     const source = getDefaultLegend(layer.id, index);
     const target = getCustomPalette(id);
     const targetType = target.colors.length === 1 ? 'classification' : 'continuous';
@@ -140,8 +347,9 @@ function PaletteSelect (props) {
       return renderSelectorItemScale(
         translated,
         id,
-        target,
+        userPalette ? { ...target, name: userPalette.name } : target,
         activePalette === target.id,
+        userPalette && (() => onRemoveUserPalette(id)),
       );
     }
     if (source.type === 'classification' && targetType === 'classification') {
@@ -154,7 +362,20 @@ function PaletteSelect (props) {
     }
   };
 
+  /**
+   * Saved user palettes, plus the active one when it came from a shared link
+   */
+  const renderUserPalettes = () => {
+    const palettes = isUserPaletteId(activePalette)
+      && !userPalettes.some(({ id }) => id === activePalette)
+      ? [...userPalettes, { id: activePalette, name: getCustomPalette(activePalette).name }]
+      : userPalettes;
+    return palettes.map((userPalette) => customLegend(userPalette.id, userPalette));
+  };
+
   const recommended = layer.palette.recommended || [];
+  const defaultLegend = getDefaultLegend(layer.id, index);
+  const isEditable = defaultLegend.type === 'continuous' || defaultLegend.type === 'discrete';
 
   return (
     <div
@@ -175,7 +396,17 @@ function PaletteSelect (props) {
             }
           })
         }
+        {isEditable && renderUserPalettes()}
       </Scrollbar>
+      {isEditable && (
+        <PaletteEditor
+          canvas={canvas}
+          index={index}
+          onSave={onSaveUserPalette}
+          palettesTranslate={palettesTranslate}
+          sourceColors={defaultLegend.colors}
+        />
+      )}
     </div>
   );
 }
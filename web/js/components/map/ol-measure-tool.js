@@ -4,12 +4,13 @@ import ReactDOM from 'react-dom';
 import PropTypes from 'prop-types';
 import { connect } from 'react-redux';
 import { unByKey as OlObservableUnByKey } from 'ol/Observable';
+import { never } from 'ol/events/condition';
 import Overlay from 'ol/Overlay';
 import {
   LineString as OlLineString,
   Polygon as OlGeomPolygon,
 } from 'ol/geom';
-import { Draw as OlInteractionDraw } from 'ol/interaction';
+import { Draw as OlInteractionDraw, Modify as OlInteractionModify } from 'ol/interaction';
 import { Vector as OlVectorLayer } from 'ol/layer';
 import { Vector as OlVectorSource } from 'ol/source';
 import {
@@ -23,18 +24,27 @@ import {
   toggleMeasureActive as toggleMeasureActiveAction,
   updateMeasurements as updateMeasurementsAction,
 } from '../../modules/measure/actions';
+import { openBasicContent, openCustomContent } from '../../modules/modal/actions';
+import { getLegendValue } from '../../modules/palettes/util';
+import { getTitles } from '../../modules/layers/selectors';
 import {
   transformLineStringArc,
   transformPolygonArc,
   downloadGeoJSON,
+  readMeasurementFeatures,
+  getGeodesicSamplePoints,
+  getMeasurementVertices,
 } from '../measure-tool/util';
 import MeasureTooltip from '../measure-tool/measure-tooltip';
+import MeasureProfile from '../measure-tool/measure-profile';
 import util from '../../util/util';
 import {
   MEASURE_DISTANCE,
   MEASURE_AREA,
   MEASURE_CLEAR,
   MEASURE_DOWNLOAD_GEOJSON,
+  MEASURE_IMPORT_GEOJSON,
+  MEASURE_PROFILE,
   MAP_DISABLE_CLICK_ZOOM,
   MAP_ENABLE_CLICK_ZOOM,
 } from '../../util/constants';
@@ -50,6 +60,12 @@ const allMeasurements = {};
 const vectorLayers = {};
 const sources = {};
 let draw;
+let drawType;
+let modify;
+// Number of points sampled along a line for a transect profile
+const PROFILE_SAMPLE_COUNT = 200;
+// Distance in pixels from a vertex within which it can be dragged
+const VERTEX_PIXEL_TOLERANCE = 10;
 
 /**
  * A component to add measurement functionality to the OL map
@@ -60,7 +76,19 @@ function OlMeasureTool (props) {
   let twoFingerTouchListener;
 
   const {
-    map, olMap, crs, unitOfMeasure, toggleMeasureActive, updateMeasurements, projections, proj,
+    map,
+    olMap,
+    crs,
+    unitOfMeasure,
+    toggleMeasureActive,
+    updateMeasurements,
+    projections,
+    proj,
+    config,
+    storedMeasurements,
+    onImportError,
+    openProfile,
+    isMenuOpen,
   } = props;
 
   const areaBgFill = new OlStyleFill({
@@ -90,6 +118,7 @@ function OlMeasureTool (props) {
     tooltipElement = null;
     toggleMeasureActive(false);
     olMapToTerminate.removeInteraction(draw);
+    if (modify) modify.setActive(false);
     OlObservableUnByKey(drawChangeListener);
     OlObservableUnByKey(rightClickListener);
     OlObservableUnByKey(twoFingerTouchListener);
@@ -128,6 +157,16 @@ function OlMeasureTool (props) {
     }),
   ];
 
+  const vertexStyle = new OlStyleCircle({
+    radius: 7,
+    stroke: new OlStyleStroke({
+      color: 'rgba(0, 0, 0, 0.7)',
+    }),
+    fill: new OlStyleFill({
+      color: 'rgba(255, 255, 255, 0.3)',
+    }),
+  });
+
   const drawStyles = [
     new OlStyle({
       fill: areaBgFill,
@@ -141,19 +180,37 @@ function OlMeasureTool (props) {
         lineJoin: 'round',
         width: 2,
       }),
-      image: new OlStyleCircle({
-        radius: 7,
-        stroke: new OlStyleStroke({
-          color: 'rgba(0, 0, 0, 0.7)',
-        }),
-        fill: new OlStyleFill({
-          color: 'rgba(255, 255, 255, 0.3)',
-        }),
-      }),
+      image: vertexStyle,
       geometry: styleGeometryFn,
     }),
   ];
 
+  const modifyStyle = new OlStyle({
+    image: vertexStyle,
+  });
+
+  const isVertexOf = (coordinate, geom) => getMeasurementVertices(geom)
+    .some(([x, y]) => x === coordinate[0] && y === coordinate[1]);
+
+  /**
+   * Whether the pointer is over a vertex of a measurement. Only vertices are editable, as the
+   * segments between them are drawn as great circle arcs rather than the straight lines of
+   * the measurement geometry.
+   * @param {*} evt | OpenLayers map browser event
+   */
+  const isPointerOnVertex = ({ map: eventMap, pixel }) => sources[crs].getFeatures()
+    .some((feature) => getMeasurementVertices(feature.getGeometry()).some((vertex) => {
+      const [x, y] = eventMap.getPixelFromCoordinate(vertex);
+      return Math.hypot(x - pixel[0], y - pixel[1]) <= VERTEX_PIXEL_TOLERANCE;
+    }));
+
+  // Only mark the pointer when it has snapped to a vertex
+  const modifyStyleFn = (feature) => {
+    const coordinate = feature.getGeometry().getCoordinates();
+    const geometries = feature.get('geometries') || [];
+    return geometries.some((geom) => isVertexOf(coordinate, geom)) ? modifyStyle : null;
+  };
+
   const renderTooltip = (feature, overlay) => {
     const removeFeature = () => {
       sources[crs].removeFeature(feature);
@@ -177,21 +234,65 @@ function OlMeasureTool (props) {
     );
   };
 
+  /**
+   * Get the position of a measurement's tooltip
+   * @param {*} geom
+   */
+  const getTooltipCoord = (geom) => {
+    if (geom instanceof OlGeomPolygon) {
+      return geom.getInteriorPoint().getCoordinates();
+    }
+    if (geom instanceof OlLineString) {
+      return geom.getLastCoordinate();
+    }
+  };
+
   const drawStartCallback = ({ feature }) => {
     let tooltipCoord;
     events.trigger(MAP_DISABLE_CLICK_ZOOM);
     drawChangeListener = feature.getGeometry().on('change', (e) => {
-      const geom = e.target;
-      if (geom instanceof OlGeomPolygon) {
-        tooltipCoord = geom.getInteriorPoint().getCoordinates();
-      } else if (geom instanceof OlLineString) {
-        tooltipCoord = geom.getLastCoordinate();
-      }
+      tooltipCoord = getTooltipCoord(e.target) || tooltipCoord;
       renderTooltip(feature, tooltipOverlay);
       tooltipOverlay.setPosition(tooltipCoord);
     });
   };
 
+  /**
+   * Sample the palette layers rendered along a measured line & chart their values.
+   * Colors are decoded to values with the layer legend, as for running data.
+   * @param {*} feature
+   */
+  const showProfile = (feature) => {
+    const profiles = {};
+    const samples = getGeodesicSamplePoints(feature.getGeometry(), crs, PROFILE_SAMPLE_COUNT);
+    samples.forEach(({ distance, lonLat, coordinate }) => {
+      const pixel = olMap.getPixelFromCoordinate(coordinate);
+      if (!pixel) return;
+      // Transparent pixels have no data to look up in the palette
+      const rasterData = map.ui.runningdata.getRasterData(pixel, olMap, true);
+      Object.entries(rasterData).forEach(([layerId, { paletteLegends, paletteHex }]) => {
+        const legend = paletteLegends && paletteLegends.legend;
+        const legendValue = legend && getLegendValue(legend, paletteHex);
+        if (!legendValue) return;
+        if (!profiles[layerId]) {
+          profiles[layerId] = {
+            layerId,
+            title: getTitles(config, layerId, proj.id).title,
+            units: legend.units || '',
+            rows: [],
+          };
+        }
+        profiles[layerId].rows.push({
+          distance,
+          lonLat,
+          value: legendValue.value,
+          label: legendValue.label,
+        });
+      });
+    });
+    openProfile(Object.values(profiles), unitOfMeasure);
+  };
+
   const drawEndCallback = ({ feature }) => {
     tooltipOverlay.setOffset([0, -7]);
     allMeasurements[crs][feature.ol_uid] = {
@@ -201,18 +302,34 @@ function OlMeasureTool (props) {
     updateMeasurements(allMeasurements);
     terminateDraw();
     renderTooltip(feature, tooltipOverlay);
+    if (drawType === 'profile') {
+      showProfile(feature);
+    }
+  };
+
+  const addVectorLayer = () => {
+    if (!vectorLayers[crs]) {
+      vectorLayers[crs] = new OlVectorLayer({
+        source: sources[crs],
+        style: vectorStyles,
+        map: olMap,
+      });
+    }
   };
 
   /**
-   * Initiate a measurement interaction of the given measureType ('distance' or 'area')
+   * Initiate a measurement interaction of the given measureType ('distance', 'area' or 'profile')
    * @param {String} measureType
    */
   function initMeasurement (measureType) {
     const type = measureType === 'area' ? 'Polygon' : 'LineString';
+    drawType = measureType;
     const source = sources[crs];
     if (draw) {
       olMap.removeInteraction(draw);
     }
+    // Don't drag existing measurements while a new one is being drawn
+    if (modify) modify.setActive(false);
     draw = new OlInteractionDraw({
       source,
       type,
@@ -225,13 +342,7 @@ function OlMeasureTool (props) {
       },
     });
     olMap.addInteraction(draw);
-    if (!vectorLayers[crs]) {
-      vectorLayers[crs] = new OlVectorLayer({
-        source,
-        style: vectorStyles,
-        map: olMap,
-      });
-    }
+    addVectorLayer();
     toggleMeasureActive(true);
 
     tooltipElement = document.createElement('div');
@@ -254,6 +365,60 @@ function OlMeasureTool (props) {
 
   const initDistanceMeasurement = () => initMeasurement('distance');
   const initAreaMeasurement = () => initMeasurement('area');
+  const initProfileMeasurement = () => initMeasurement('profile');
+
+  /**
+   * Add a finished measurement to the current map projection along with its tooltip
+   * @param {*} feature
+   */
+  const addMeasurement = (feature) => {
+    const overlay = new Overlay({
+      element: document.createElement('div'),
+      offset: [0, -7],
+      positioning: 'bottom-center',
+      stopEvent: false,
+    });
+    overlay.setPosition(getTooltipCoord(feature.getGeometry()));
+    olMap.addOverlay(overlay);
+    sources[crs].addFeature(feature);
+    allMeasurements[crs][feature.ol_uid] = { feature, overlay };
+    renderTooltip(feature, overlay);
+  };
+
+  /**
+   * Add the lines & polygons of a GeoJSON file as measurements on the current map projection
+   * @param {File} file
+   */
+  async function importMeasurements (file) {
+    let features = [];
+    try {
+      features = readMeasurementFeatures(await file.text(), crs);
+    } catch (e) {
+      // eslint-disable-next-line no-console
+      console.warn(`Error reading measurements from ${file.name}: ${e}`);
+    }
+    if (!features.length) {
+      onImportError(`No lines or polygons were found in ${file.name}.`);
+      return;
+    }
+    if (tooltipElement) {
+      terminateDraw();
+      olMap.removeOverlay(tooltipOverlay);
+    }
+    addVectorLayer();
+    features.forEach(addMeasurement);
+    updateMeasurements(allMeasurements);
+  }
+
+  const openImportDialog = () => {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.geojson,.json';
+    input.onchange = () => {
+      if (input.files.length) importMeasurements(input.files[0]);
+    };
+    input.click();
+  };
 
   /**
    * Clear all existing measurements on the current map projection
@@ -269,6 +434,7 @@ function OlMeasureTool (props) {
     allMeasurements[crs] = {};
     updateMeasurements(allMeasurements);
     terminateDraw();
+    if (modify) modify.setActive(false);
     olMap.removeOverlay(tooltipOverlay);
     if (vectorLayers[crs]) {
       vectorLayers[crs].setMap(null);
@@ -297,7 +463,8 @@ function OlMeasureTool (props) {
   useEffect(() => {
     if (!init) {
       projections.forEach((key) => {
-        allMeasurements[key] = {};
+        // Start with any measurements parsed from the permalink
+        allMeasurements[key] = { ...storedMeasurements[key] };
         vectorLayers[key] = null;
         sources[key] = new OlVectorSource({ wrapX: false });
       });
@@ -305,21 +472,79 @@ function OlMeasureTool (props) {
     }
   }, [projections]);
 
+  // Draw measurements parsed from the permalink once the map of their projection is shown
+  useEffect(() => {
+    if (!olMap || !allMeasurements[crs]) return;
+    const pendingFeatures = Object.values(allMeasurements[crs])
+      .filter(({ overlay }) => !overlay)
+      .map(({ feature }) => feature);
+    if (!pendingFeatures.length) return;
+    addVectorLayer();
+    pendingFeatures.forEach(addMeasurement);
+    updateMeasurements(allMeasurements);
+  }, [olMap, crs]);
+
+  // Allow the vertices of finished measurements to be dragged while the measure menu is open.
+  // Tooltips follow the edit and the great circle arcs are re-drawn by styleGeometryFn as
+  // the geometry changes.
+  useEffect(() => {
+    if (!olMap || !sources[crs]) return;
+    let modifyListeners = [];
+    modify = new OlInteractionModify({
+      source: sources[crs],
+      style: modifyStyleFn,
+      condition: isPointerOnVertex,
+      insertVertexCondition: never,
+      pixelTolerance: VERTEX_PIXEL_TOLERANCE,
+    });
+    modify.setActive(isMenuOpen);
+    modify.on('modifystart', ({ features }) => {
+      events.trigger(MAP_DISABLE_CLICK_ZOOM);
+      modifyListeners = features.getArray().map((feature) => feature.getGeometry().on('change', () => {
+        const measurement = allMeasurements[crs][feature.ol_uid];
+        if (!measurement) return;
+        renderTooltip(feature, measurement.overlay);
+        measurement.overlay.setPosition(getTooltipCoord(feature.getGeometry()));
+      }));
+    });
+    modify.on('modifyend', () => {
+      OlObservableUnByKey(modifyListeners);
+      modifyListeners = [];
+      updateMeasurements(allMeasurements);
+      events.trigger(MAP_ENABLE_CLICK_ZOOM);
+    });
+    olMap.addInteraction(modify);
+    return () => {
+      OlObservableUnByKey(modifyListeners);
+      olMap.removeInteraction(modify);
+      modify = null;
+    };
+  }, [olMap, crs, unitOfMeasure]);
+
+  // Drags pan the map rather than edit measurements once the measure menu is closed
+  useEffect(() => {
+    if (modify) modify.setActive(isMenuOpen);
+  }, [isMenuOpen]);
+
   useEffect(() => {
     const dlGeoJSON = () => downloadGeoJSON(allMeasurements[crs], crs);
 
     if (map && map.rendered) {
       events.on(MEASURE_DISTANCE, initDistanceMeasurement);
       events.on(MEASURE_AREA, initAreaMeasurement);
+      events.on(MEASURE_PROFILE, initProfileMeasurement);
       events.on(MEASURE_CLEAR, clearMeasurements);
       events.on(MEASURE_DOWNLOAD_GEOJSON, dlGeoJSON);
+      events.on(MEASURE_IMPORT_GEOJSON, openImportDialog);
     }
     return () => {
       if (map && map.rendered) {
         events.off(MEASURE_DISTANCE, initDistanceMeasurement);
         events.off(MEASURE_AREA, initAreaMeasurement);
+        events.off(MEASURE_PROFILE, initProfileMeasurement);
         events.off(MEASURE_CLEAR, clearMeasurements);
         events.off(MEASURE_DOWNLOAD_GEOJSON, dlGeoJSON);
+        events.off(MEASURE_IMPORT_GEOJSON, openImportDialog);
       }
     };
   }, [map, unitOfMeasure]);
@@ -332,6 +557,7 @@ function OlMeasureTool (props) {
     Object.values(allMeasurements).forEach((measurementsForProj) => {
       Object.values(measurementsForProj).forEach(
         ({ feature, overlay }) => {
+          if (!overlay) return;
           renderTooltip(feature, overlay);
           feature.getGeometry().changed();
           overlay.setOffset([0, -7]);
@@ -354,11 +580,16 @@ OlMeasureTool.propTypes = {
   map: PropTypes.object,
   olMap: PropTypes.object,
   crs: PropTypes.string,
+  config: PropTypes.object,
+  isMenuOpen: PropTypes.bool,
+  onImportError: PropTypes.func,
+  openProfile: PropTypes.func,
   toggleMeasureActive: PropTypes.func,
   unitOfMeasure: PropTypes.string,
   updateMeasurements: PropTypes.func,
   projections: PropTypes.array,
   proj: PropTypes.object,
+  storedMeasurements: PropTypes.object,
 };
 
 const mapDispatchToProps = (dispatch) => ({
@@ -368,6 +599,25 @@ const mapDispatchToProps = (dispatch) => ({
   updateMeasurements: (measurements) => {
     dispatch(updateMeasurementsAction(measurements));
   },
+  onImportError: (message) => {
+    dispatch(openBasicContent('Unable to import measurements', message));
+  },
+  openProfile: (profiles, unitOfMeasure) => {
+    dispatch(
+      openCustomContent('MEASURE_PROFILE', {
+        headerText: 'Transect Profile',
+        backdrop: false,
+        bodyComponent: MeasureProfile,
+        wrapClassName: 'unclickable-behind-modal',
+        modalClassName: 'chart-dialog measure-profile-dialog',
+        type: 'selection', // This forces the user to specifically close the modal
+        bodyComponentProps: {
+          profiles,
+          unitOfMeasure,
+        },
+      }),
+    );
+  },
 });
 
 const mapStateToProps = (state) => {
@@ -376,8 +626,9 @@ const mapStateToProps = (state) => {
     proj,
     measure,
     config,
+    modal,
   } = state;
-  const { unitOfMeasure } = measure;
+  const { unitOfMeasure, allMeasurements: storedMeasurements } = measure;
   const { crs } = proj.selected;
   const projections = Object.keys(config.projections).map((key) => config.projections[key].crs);
   return {
@@ -387,6 +638,9 @@ const mapStateToProps = (state) => {
     unitOfMeasure,
     projections,
     proj,
+    config,
+    storedMeasurements,
+    isMenuOpen: modal.isOpen && modal.id === 'MEASURE_MENU',
   };
 };
 
@@ -4,6 +4,7 @@ import { Form } from 'reactstrap';
 
 import { onToggle as onToggleAction } from '../../modules/modal/actions';
 import { changeUnits as changeUnitsAction } from '../../modules/measure/actions';
+import { UNITS_OF_MEASURE } from '../../modules/measure/constants';
 import IconList from '../util/icon-list';
 import util from '../../util/util';
 
@@ -33,6 +34,13 @@ const OPTIONS_ARRAY = [
     id: 'measure-area-button',
     key: 'measure:area',
   },
+  {
+    text: 'Measure profile',
+    iconClass: 'ui-icon icon-large',
+    iconName: 'chart-line',
+    id: 'measure-profile-button',
+    key: 'measure:profile',
+  },
   {
     text: 'Remove Measurements',
     iconClass: 'ui-icon icon-large',
@@ -41,6 +49,13 @@ const OPTIONS_ARRAY = [
     key: 'measure:clear',
     hidden: true,
   },
+  {
+    text: 'Import GeoJSON',
+    iconClass: 'ui-icon icon-large',
+    iconName: 'upload',
+    id: 'import-geojson-button',
+    key: 'measure:import-geojson',
+  },
   DOWNLOAD_GEOJSON,
 ];
 
@@ -64,27 +79,26 @@ const MeasureMenu = function () {
     onToggle();
   };
 
-  const unitToggle = (evt) => {
-    const { checked } = evt.target;
-    const units = checked ? 'mi' : 'km';
-    changeUnits(units);
+  const onUnitChange = (evt) => {
+    changeUnits(evt.target.value);
   };
 
   return (
     <>
       <Form>
-        <div className="measure-unit-toggle form-check form-switch">
-          <input
-            id="unit-toggle"
-            className="form-check-input"
-            type="checkbox"
-            data-bs-toggle="switch"
-            onChange={unitToggle}
-            defaultChecked={unitOfMeasure === 'mi'}
-          />
-          <label className="custom-control-label" htmlFor="unit-toggle">
-            {unitOfMeasure}
-          </label>
+        <div className="measure-unit-select">
+          <label htmlFor="unit-select">Units</label>
+          <select
+            id="unit-select"
+            value={unitOfMeasure}
+            onChange={onUnitChange}
+          >
+            {Object.entries(UNITS_OF_MEASURE).map(([unit, label]) => (
+              <option key={unit} value={unit}>
+                {label}
+              </option>
+            ))}
+          </select>
         </div>
       </Form>
       <IconList
@@ -92,6 +106,11 @@ const MeasureMenu = function () {
         onClick={triggerEvent}
         size={listSize}
       />
+      {measurementsInProj && (
+        <p className="measure-edit-hint">
+          Drag a point of a measurement to edit it while this menu is open.
+        </p>
+      )}
     </>
   );
 };
@@ -0,0 +1,110 @@
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+import {
+  LineChart, Line, XAxis, YAxis, Tooltip,
+} from 'recharts';
+import { Button } from 'reactstrap';
+import FileSaver from 'file-saver';
+import { getProfileDistanceUnit, getTransectProfileCSV } from './util';
+
+/**
+ * Chart of the palette values sampled along a measured line
+ */
+export default function MeasureProfile(props) {
+  const { profiles, unitOfMeasure } = props;
+  const [selectedLayerId, setSelectedLayerId] = useState();
+
+  if (!profiles.length) {
+    return (
+      <div className="measure-profile-empty">
+        No palette layer data was found along this line. Profiles can only be
+        drawn across visible layers that have a color palette.
+      </div>
+    );
+  }
+
+  const profile = profiles.find(({ layerId }) => layerId === selectedLayerId) || profiles[0];
+  const { units, metersPerUnit } = getProfileDistanceUnit(unitOfMeasure);
+  const data = profile.rows.map(({ distance, value, label }) => ({
+    distance: Number((distance / metersPerUnit).toFixed(3)),
+    value,
+    label,
+  }));
+  const hasValues = data.some(({ value }) => value !== null);
+
+  const onDownloadCSV = () => {
+    const csv = getTransectProfileCSV(profile);
+    const blob = new Blob([csv], { type: 'text/csv;charset=utf-8' });
+    FileSaver.saveAs(blob, `${profile.layerId}_profile.csv`);
+  };
+
+  return (
+    <div className="measure-profile">
+      {profiles.length > 1 && (
+        <select
+          id="measure-profile-layer-select"
+          value={profile.layerId}
+          onChange={(e) => setSelectedLayerId(e.target.value)}
+        >
+          {profiles.map(({ layerId, title }) => (
+            <option key={layerId} value={layerId}>{title}</option>
+          ))}
+        </select>
+      )}
+      {hasValues ? (
+        <LineChart width={600} height={300} data={data}>
+          <Tooltip
+            labelFormatter={(distance) => `${distance} ${units}`}
+            formatter={(value, name, { payload }) => [payload.label, profile.units || 'Value']}
+          />
+          <XAxis
+            dataKey="distance"
+            type="number"
+            domain={['dataMin', 'dataMax']}
+            unit={` ${units}`}
+          />
+          <YAxis
+            type="number"
+            domain={['auto', 'auto']}
+            label={profile.units ? {
+              value: profile.units, angle: -90, position: 'insideLeft',
+            } : undefined}
+          />
+          <Line
+            type="linear"
+            dataKey="value"
+            stroke="#8884D8"
+            dot={false}
+            isAnimationActive={false}
+          />
+        </LineChart>
+      ) : (
+        <div className="measure-profile-empty">
+          This layer has no numeric values to chart. The legend classes along the
+          line are included in the CSV download.
+        </div>
+      )}
+      <div className="measure-profile-footer">
+        <span className="measure-profile-note">
+          <strong>NOTE:</strong>
+          {' '}
+          Values are decoded from the colors rendered on the map using the layer legend
+          and are limited to the visible portion of the line.
+        </span>
+        <Button
+          id="measure-profile-download-csv-button"
+          className="charting-button"
+          size="sm"
+          onClick={onDownloadCSV}
+        >
+          Download CSV
+        </Button>
+      </div>
+    </div>
+  );
+}
+
+MeasureProfile.propTypes = {
+  profiles: PropTypes.array,
+  unitOfMeasure: PropTypes.string,
+};
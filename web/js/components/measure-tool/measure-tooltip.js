@@ -12,17 +12,11 @@ import { areCoordinatesWithinExtent } from '../../modules/location-search/util';
 import {
   getGeographicLibDistance,
   getGeographicLibArea,
+  getFormattedLength as formatLength,
+  getFormattedArea as formatArea,
 } from './util';
 import { CRS } from '../../modules/map/constants';
 
-
-const metersPerKilometer = 1000;
-const ftPerMile = 5280;
-const sqFtPerSqMile = 27878400;
-const sqMeterPerKilometer = 1000000;
-const metersToFeet = (meters) => meters * 3.28084;
-const squareMetersToFeet = (sqMeters) => sqMeters * 10.76391;
-
 export default function MeasureTooltip(props) {
   const {
     active,
@@ -37,41 +31,12 @@ export default function MeasureTooltip(props) {
     ? 'tooltip-active'
     : 'tooltip-static';
 
-  /**
-   * Convert and format raw measurements to two decimal points
-   * @param {*} measurement
-   * @param {*} factor
-   * @return {String} - The measurement, converted based on factor and locale
-   */
-  const roundAndLocale = (measurement, factor = 1) => {
-    const number = Math.round((measurement / factor) * 100) / 100;
-    const format = (num, decimal) => Number(num.toFixed(decimal)).toLocaleString();
-    if (number < 10) {
-      return format(number, 2);
-    }
-    if (number >= 10 && number < 100) {
-      return format(number, 1);
-    }
-    return format(number, 0);
-  };
-
   /**
    * @return {String} - The formatted distance measurement
    */
   const getFormattedLength = () => {
     const transformedLine = geometry.clone().transform(crs, CRS.GEOGRAPHIC);
-    const metricLength = getGeographicLibDistance(transformedLine);
-    if (unitOfMeasure === 'km') {
-      return metricLength > 100
-        ? `${roundAndLocale(metricLength, metersPerKilometer)} km`
-        : `${roundAndLocale(metricLength)} m`;
-    }
-    if (unitOfMeasure === 'mi') {
-      const imperialLength = metersToFeet(metricLength);
-      return imperialLength > (ftPerMile / 4)
-        ? `${roundAndLocale(imperialLength, ftPerMile)} mi`
-        : `${roundAndLocale(imperialLength)} ft`;
-    }
+    return formatLength(getGeographicLibDistance(transformedLine), unitOfMeasure);
   };
 
   /**
@@ -79,18 +44,7 @@ export default function MeasureTooltip(props) {
    */
   const getFormattedArea = () => {
     const transformedPoly = geometry.clone().transform(crs, CRS.GEOGRAPHIC);
-    const metricArea = getGeographicLibArea(transformedPoly);
-    if (unitOfMeasure === 'km') {
-      return metricArea > 10000
-        ? `${roundAndLocale(metricArea, sqMeterPerKilometer)} km<sup>2</sup>`
-        : `${roundAndLocale(metricArea)} m<sup>2</sup>`;
-    }
-    if (unitOfMeasure === 'mi') {
-      const imperialArea = squareMetersToFeet(metricArea);
-      return imperialArea > (sqFtPerSqMile / 8)
-        ? `${roundAndLocale(imperialArea, sqFtPerSqMile)} mi<sup>2</sup>`
-        : `${roundAndLocale(imperialArea)} ft<sup>2</sup>`;
-    }
+    return formatArea(getGeographicLibArea(transformedPoly), unitOfMeasure);
   };
 
   const getMeasurementValue = () => {
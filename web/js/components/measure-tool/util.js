@@ -1,13 +1,28 @@
+import OlFeature from 'ol/Feature';
+import OlFormatGeoJSON from 'ol/format/GeoJSON';
 import {
+  LineString as OlGeomLineString,
   MultiLineString as OlGeomMultiLineString,
   Polygon as OlGeomPolygon,
 } from 'ol/geom';
+import { transform } from 'ol/proj';
 import geographiclib from 'geographiclib';
 import FileSaver from 'file-saver';
 import { CRS } from '../../modules/map/constants';
+import { escapeCSVValue } from '../../util/csv';
 
 const geod = geographiclib.Geodesic.WGS84;
 
+const metersPerKilometer = 1000;
+const metersPerNauticalMile = 1852;
+const sqMeterPerKilometer = 1000000;
+const sqMeterPerHectare = 10000;
+const ftPerMile = 5280;
+const sqFtPerSqMile = 27878400;
+const sqFtPerAcre = 43560;
+const metersToFeet = (meters) => meters * 3.28084;
+const squareMetersToFeet = (sqMeters) => sqMeters * 10.76391;
+
 /**
  * Shift x value of every coord except the last,
  * which is the active drawing point
@@ -123,6 +138,82 @@ export function getGeographicLibDistance(line) {
   return totalDistance;
 }
 
+/**
+ * Convert and format raw measurements to two decimal points
+ * @param {Number} measurement
+ * @param {Number} factor
+ * @return {String} - The measurement, converted based on factor and locale
+ */
+export function roundAndLocale(measurement, factor = 1) {
+  const number = Math.round((measurement / factor) * 100) / 100;
+  const format = (num, decimal) => Number(num.toFixed(decimal)).toLocaleString();
+  if (number < 10) {
+    return format(number, 2);
+  }
+  if (number >= 10 && number < 100) {
+    return format(number, 1);
+  }
+  return format(number, 0);
+}
+
+/**
+ * Format a distance in the given unit of measure.  Metric & imperial units switch
+ * to m/ft for short distances; area-only units use their system's distance units.
+ * @param {Number} metricLength - distance in meters
+ * @param {String} unitOfMeasure
+ * @return {String}
+ */
+export function getFormattedLength(metricLength, unitOfMeasure) {
+  const imperialLength = metersToFeet(metricLength);
+  switch (unitOfMeasure) {
+    case 'm':
+      return `${roundAndLocale(metricLength)} m`;
+    case 'ft':
+      return `${roundAndLocale(imperialLength)} ft`;
+    case 'nmi':
+      return `${roundAndLocale(metricLength, metersPerNauticalMile)} nmi`;
+    case 'mi':
+    case 'acres':
+      return imperialLength > (ftPerMile / 4)
+        ? `${roundAndLocale(imperialLength, ftPerMile)} mi`
+        : `${roundAndLocale(imperialLength)} ft`;
+    default:
+      return metricLength > 100
+        ? `${roundAndLocale(metricLength, metersPerKilometer)} km`
+        : `${roundAndLocale(metricLength)} m`;
+  }
+}
+
+/**
+ * Format an area in the given unit of measure
+ * @param {Number} metricArea - area in square meters
+ * @param {String} unitOfMeasure
+ * @return {String} - HTML string
+ */
+export function getFormattedArea(metricArea, unitOfMeasure) {
+  const imperialArea = squareMetersToFeet(metricArea);
+  switch (unitOfMeasure) {
+    case 'm':
+      return `${roundAndLocale(metricArea)} m<sup>2</sup>`;
+    case 'ha':
+      return `${roundAndLocale(metricArea, sqMeterPerHectare)} ha`;
+    case 'ft':
+      return `${roundAndLocale(imperialArea)} ft<sup>2</sup>`;
+    case 'acres':
+      return `${roundAndLocale(imperialArea, sqFtPerAcre)} acres`;
+    case 'nmi':
+      return `${roundAndLocale(metricArea, metersPerNauticalMile ** 2)} nmi<sup>2</sup>`;
+    case 'mi':
+      return imperialArea > (sqFtPerSqMile / 8)
+        ? `${roundAndLocale(imperialArea, sqFtPerSqMile)} mi<sup>2</sup>`
+        : `${roundAndLocale(imperialArea)} ft<sup>2</sup>`;
+    default:
+      return metricArea > 10000
+        ? `${roundAndLocale(metricArea, sqMeterPerKilometer)} km<sup>2</sup>`
+        : `${roundAndLocale(metricArea)} m<sup>2</sup>`;
+  }
+}
+
 function getFeatureJSON(measurements, crs) {
   return {
     type: 'FeatureCollection',
@@ -159,3 +250,137 @@ export function downloadGeoJSON(measurements, crs) {
   const blob = new Blob([data], { fileType, fileName });
   FileSaver.saveAs(blob, fileName);
 }
+
+/**
+ * Split a geometry into the LineStrings & Polygons that can be measured.
+ * Only the outer ring of a polygon is kept; other geometry types are ignored.
+ * @param {*} geom
+ * @returns {Array} - OL LineString & Polygon geometries
+ */
+function getMeasurableGeometries(geom) {
+  switch (geom.getType()) {
+    case 'LineString':
+      return [geom];
+    case 'MultiLineString':
+      return geom.getLineStrings();
+    case 'Polygon':
+      return [new OlGeomPolygon([geom.getLinearRing(0).getCoordinates()])];
+    case 'MultiPolygon':
+      return geom.getPolygons().flatMap(getMeasurableGeometries);
+    case 'GeometryCollection':
+      return geom.getGeometries().flatMap(getMeasurableGeometries);
+    default:
+      return [];
+  }
+}
+
+/**
+ * Read measurements from GeoJSON, e.g. a file saved with downloadGeoJSON()
+ * @param {String|Object} source - GeoJSON text or object in geographic coordinates
+ * @param {String} crs - the projection to read the features into
+ * @returns {Array} - OL features with a LineString or Polygon geometry
+ */
+export function readMeasurementFeatures(source, crs) {
+  const features = new OlFormatGeoJSON().readFeatures(source, {
+    dataProjection: CRS.GEOGRAPHIC,
+    featureProjection: crs,
+  });
+  return features
+    .filter((feature) => feature.getGeometry())
+    .flatMap((feature) => getMeasurableGeometries(feature.getGeometry()))
+    .filter((geom) => (geom instanceof OlGeomLineString
+      ? geom.getCoordinates().length > 1
+      : geom.getCoordinates()[0].length > 3))
+    .map((geometry) => new OlFeature({ geometry }));
+}
+
+/**
+ * The vertices of a measurement. These are the only points a measurement's geometry shares
+ * with the great circle arcs drawn for it.
+ * @param {*} geom - LineString or Polygon
+ * @returns {Array} - coordinates, excluding the closing coordinate of a polygon
+ */
+export function getMeasurementVertices(geom) {
+  return geom instanceof OlGeomPolygon
+    ? geom.getCoordinates()[0].slice(0, -1)
+    : geom.getCoordinates();
+}
+
+/**
+ * Evenly spaced points along the geodesic path of a line, e.g. to sample a raster profile
+ * @param {*} geom - LineString in the given projection
+ * @param {String} crs
+ * @param {Number} count - number of points, including both ends
+ * @returns {Array} - [{ distance, lonLat, coordinate }] with distance in meters from the start
+ * of the line & coordinate in the given projection
+ */
+export function getGeodesicSamplePoints(geom, crs, count) {
+  const segments = [];
+  let totalDistance = 0;
+  geom.clone().transform(crs, CRS.GEOGRAPHIC).forEachSegment((segStart, segEnd) => {
+    const line = geod.InverseLine(segStart[1], segStart[0], segEnd[1], segEnd[0]);
+    segments.push({ line, start: totalDistance });
+    totalDistance += line.s13;
+  });
+  if (!segments.length) return [];
+
+  const points = [];
+  for (let i = 0; i < count; i += 1) {
+    const distance = count > 1 ? (totalDistance * i) / (count - 1) : 0;
+    const { line, start } = segments.find((seg) => distance <= seg.start + seg.line.s13)
+      || segments[segments.length - 1];
+    const r = line.Position(Math.min(distance - start, line.s13), geographiclib.Geodesic.LONG_UNROLL);
+    points.push({
+      distance,
+      lonLat: [r.lon2, r.lat2],
+      coordinate: transform([r.lon2, r.lat2], CRS.GEOGRAPHIC, crs),
+    });
+  }
+  return points;
+}
+
+/**
+ * The distance unit used for profile charts in the given unit of measure
+ * @param {String} unitOfMeasure
+ * @returns {Object} - { units, metersPerUnit }
+ */
+export function getProfileDistanceUnit(unitOfMeasure) {
+  if (unitOfMeasure === 'nmi') {
+    return { units: 'nmi', metersPerUnit: metersPerNauticalMile };
+  }
+  if (['mi', 'ft', 'acres'].includes(unitOfMeasure)) {
+    return { units: 'mi', metersPerUnit: ftPerMile / metersToFeet(1) };
+  }
+  return { units: 'km', metersPerUnit: metersPerKilometer };
+}
+
+/**
+ * Build CSV text for a transect profile
+ * @param {Object} profile
+ * @param {String} profile.layerId
+ * @param {String} profile.title
+ * @param {String} profile.units - Units of measure from the layer palette legend
+ * @param {Array} profile.rows - { distance (meters), lonLat, value, label }
+ */
+export function getTransectProfileCSV({
+  layerId, title, units, rows,
+}) {
+  const header = [
+    ['Layer', layerId],
+    ['Title', title],
+    ['Units', units],
+  ];
+  const columns = ['distance_m', 'longitude', 'latitude', 'value', 'legend_label'];
+  const dataRows = rows.map(({
+    distance, lonLat: [lon, lat], value, label,
+  }) => [
+    Math.round(distance),
+    lon.toFixed(5),
+    lat.toFixed(5),
+    value,
+    label,
+  ]);
+  return [...header, [], columns, ...dataRows]
+    .map((row) => row.map(escapeCSVValue).join(','))
+    .join('\n');
+}
@@ -2,6 +2,13 @@ import { Polygon, LineString } from 'ol/geom';
 import {
   getGeographicLibArea,
   getGeographicLibDistance,
+  readMeasurementFeatures,
+  getFormattedLength,
+  getFormattedArea,
+  getGeodesicSamplePoints,
+  getMeasurementVertices,
+  getProfileDistanceUnit,
+  getTransectProfileCSV,
 } from './util';
 import { registerProjections } from '../../fixtures';
 
@@ -118,3 +125,142 @@ test('always use the shortest distance between two points if within normal exten
 
   expect(lineString1Distance).toBe(lineString2Distance);
 });
+
+test('imported GeoJSON lines & polygons are read as measurements [measure-import-geojson]', () => {
+  const geoJSON = JSON.stringify({
+    type: 'FeatureCollection',
+    features: [
+      { type: 'Feature', geometry: { type: 'LineString', coordinates: [[-50, 0], [0, 0]] }, properties: {} },
+      {
+        type: 'Feature',
+        geometry: { type: 'Polygon', coordinates: [[[0, 90], [-150, 80], [-90, 80], [0, 90]]] },
+        properties: {},
+      },
+      { type: 'Feature', geometry: { type: 'Point', coordinates: [1, 2] }, properties: {} },
+    ],
+  });
+  const [line, polygon, ...rest] = readMeasurementFeatures(geoJSON, 'EPSG:4326');
+  expect(rest).toHaveLength(0);
+  expect(getGeographicLibDistance(line.getGeometry()))
+    .toBe(getGeographicLibDistance(new LineString([[-50, 0], [0, 0]])));
+  expect(getGeographicLibArea(polygon.getGeometry()).toFixed(0))
+    .toBe(getGeographicLibArea(new Polygon([[[0, 90], [-150, 80], [-90, 80], [0, 90]]])).toFixed(0));
+});
+
+test('imported multi-part geometries are split into separate measurements [measure-import-multi]', () => {
+  const features = readMeasurementFeatures({
+    type: 'Feature',
+    geometry: {
+      type: 'MultiPolygon',
+      coordinates: [
+        [[[0, 0], [10, 0], [10, 10], [0, 0]], [[2, 1], [8, 1], [8, 7], [2, 1]]],
+        [[[20, 0], [30, 0], [30, 10], [20, 0]]],
+      ],
+    },
+    properties: {},
+  }, 'EPSG:4326');
+  expect(features).toHaveLength(2);
+  // holes are dropped so that the area matches a drawn polygon
+  expect(features[0].getGeometry().getCoordinates()).toHaveLength(1);
+});
+
+test('imported geometries are transformed to the current projection [measure-import-projection]', () => {
+  const [line] = readMeasurementFeatures({
+    type: 'Feature',
+    geometry: { type: 'LineString', coordinates: [[0, 80], [90, 80]] },
+    properties: {},
+  }, 'EPSG:3413');
+  const [x, y] = line.getGeometry().getFirstCoordinate();
+  expect(Math.abs(x) + Math.abs(y)).toBeGreaterThan(1000);
+});
+
+test('degenerate imported geometries are ignored [measure-import-degenerate]', () => {
+  const features = readMeasurementFeatures({
+    type: 'Feature',
+    geometry: { type: 'LineString', coordinates: [[0, 0]] },
+    properties: {},
+  }, 'EPSG:4326');
+  expect(features).toHaveLength(0);
+});
+
+test('distances are formatted in the selected unit of measure [measure-format-length]', () => {
+  expect(getFormattedLength(1852, 'nmi')).toBe('1 nmi');
+  expect(getFormattedLength(1500, 'm')).toBe('1,500 m');
+  expect(getFormattedLength(10, 'ft')).toBe('32.8 ft');
+  expect(getFormattedLength(1500, 'km')).toBe('1.5 km');
+  expect(getFormattedLength(50, 'km')).toBe('50 m');
+  expect(getFormattedLength(16093.44, 'mi')).toBe('10 mi');
+});
+
+test('area-only units use their measurement system for distances [measure-format-length-area-units]', () => {
+  expect(getFormattedLength(1500, 'ha')).toBe('1.5 km');
+  expect(getFormattedLength(16093.44, 'acres')).toBe('10 mi');
+});
+
+test('areas are formatted in the selected unit of measure [measure-format-area]', () => {
+  expect(getFormattedArea(25000, 'ha')).toBe('2.5 ha');
+  expect(getFormattedArea(4046.8564224, 'acres')).toBe('1 acres');
+  expect(getFormattedArea(2000000, 'km')).toBe('2 km<sup>2</sup>');
+  expect(getFormattedArea(5000, 'km')).toBe('5,000 m<sup>2</sup>');
+  expect(getFormattedArea(1852 * 1852, 'nmi')).toBe('1 nmi<sup>2</sup>');
+  expect(getFormattedArea(100, 'ft')).toBe('1,076 ft<sup>2</sup>');
+});
+
+test('measurement vertices exclude the closing coordinate of a polygon [measure-vertices]', () => {
+  const line = new LineString([[0, 0], [10, 0], [10, 10]]);
+  const polygon = new Polygon([[[0, 0], [10, 0], [10, 10], [0, 0]]]);
+  expect(getMeasurementVertices(line)).toEqual([[0, 0], [10, 0], [10, 10]]);
+  expect(getMeasurementVertices(polygon)).toEqual([[0, 0], [10, 0], [10, 10]]);
+});
+
+test('profile samples are evenly spaced along the geodesic [measure-profile-samples]', () => {
+  const line = new LineString([[0, 0], [10, 0], [10, 10]]);
+  const samples = getGeodesicSamplePoints(line, 'EPSG:4326', 5);
+  const total = getGeographicLibDistance(line);
+  expect(samples).toHaveLength(5);
+  expect(samples[0].coordinate[0]).toBeCloseTo(0);
+  expect(samples[4].distance).toBeCloseTo(total);
+  expect(samples[4].lonLat[0]).toBeCloseTo(10);
+  expect(samples[4].lonLat[1]).toBeCloseTo(10);
+  expect(samples[2].distance).toBeCloseTo(total / 2);
+});
+
+test('profile samples are returned in the map projection [measure-profile-samples-projection]', () => {
+  const line = new LineString([[0, 70], [90, 70]]).transform('EPSG:4326', 'EPSG:3413');
+  const samples = getGeodesicSamplePoints(line, 'EPSG:3413', 3);
+  expect(samples[0].lonLat[1]).toBeCloseTo(70);
+  // the geodesic bends poleward of the rhumb line
+  expect(samples[1].lonLat[1]).toBeGreaterThan(70);
+  expect(Math.abs(samples[1].coordinate[0])).toBeGreaterThan(1000);
+});
+
+test('profile distances follow the unit of measure [measure-profile-distance-unit]', () => {
+  expect(getProfileDistanceUnit('ha').units).toBe('km');
+  expect(getProfileDistanceUnit('acres').units).toBe('mi');
+  expect(getProfileDistanceUnit('nmi').metersPerUnit).toBe(1852);
+});
+
+test('transect profile is formatted as CSV [measure-profile-csv]', () => {
+  const csv = getTransectProfileCSV({
+    layerId: 'GHRSST_L4_MUR_Sea_Surface_Temperature',
+    title: 'Sea Surface Temperature',
+    units: 'C',
+    rows: [
+      {
+        distance: 0, lonLat: [-70.1, 40.25], value: 15.5, label: '15 - 16',
+      },
+      {
+        distance: 1234.56, lonLat: [-70, 40.3], value: null, label: 'Land',
+      },
+    ],
+  });
+  expect(csv).toBe([
+    'Layer,GHRSST_L4_MUR_Sea_Surface_Temperature',
+    'Title,Sea Surface Temperature',
+    'Units,C',
+    '',
+    'distance_m,longitude,latitude,value,legend_label',
+    '0,-70.10000,40.25000,15.5,15 - 16',
+    '1235,-70.00000,40.30000,,Land',
+  ].join('\n'));
+});
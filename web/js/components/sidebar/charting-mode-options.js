@@ -1,9 +1,14 @@
-import React, { useEffect } from 'react';
+import React, { useEffect, useRef } from 'react';
 import PropTypes from 'prop-types';
+import { get as lodashGet } from 'lodash';
 import { Button, ButtonGroup } from 'reactstrap';
 import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
-import { faPencilAlt, faCalendarDay } from '@fortawesome/free-solid-svg-icons';
+import { faPencilAlt, faCalendarDay, faUpload } from '@fortawesome/free-solid-svg-icons';
 import { connect } from 'react-redux';
+import OlFeature from 'ol/Feature';
+import OlFormatGeoJSON from 'ol/format/GeoJSON';
+import { Point as OlGeomPoint, Polygon as OlGeomPolygon } from 'ol/geom';
+import { fromExtent } from 'ol/geom/Polygon';
 import { Draw as OlInteractionDraw } from 'ol/interaction';
 import { createBox } from 'ol/interaction/Draw';
 import { Vector as OlVectorLayer } from 'ol/layer';
@@ -13,10 +18,14 @@ import {
   toggleChartingAOIOnOff,
   toggleAOISelected,
   updateChartingAOICoordinates,
+  updateChartingAOIDrawMode,
   updateChartingDateSelection,
+  updateChartingLayerSelection,
   updateRequestInProgressAction,
   updateRequestStatusMessageAction,
 } from '../../modules/charting/actions';
+import { getAOIGeometryForImageStat } from '../../modules/charting/util';
+import { requestChartingStatistics } from '../../modules/charting/util-api';
 import { openCustomContent } from '../../modules/modal/actions';
 import { CRS } from '../../modules/map/constants';
 import { areCoordinatesWithinExtent } from '../../modules/location-search/util';
@@ -33,21 +42,37 @@ const vectorLayers = {};
 const sources = {};
 let init = false;
 let draw;
+// OpenLayers draw interaction type for each AOI draw mode
+const DRAW_MODE_TYPES = {
+  box: 'Circle',
+  polygon: 'Polygon',
+  point: 'Point',
+};
+// Set when charting mode is opened from a permalink
+let requestChartOnLoad = false;
+// Charting mode can only have been opened from the permalink the first time it is shown
+let isFirstMount = true;
 
 function ChartingModeOptions (props) {
   const {
     activeLayer,
     activeLayers,
+    additionalLayers,
     aoiActive,
     aoiCoordinates,
+    aoiDrawMode,
+    aoiGeometry,
     aoiSelected,
     chartRequestInProgress,
+    config,
     crs,
     displayChart,
     displaySimpleStats,
     isChartingActive,
     isMobile,
+    layerSelection,
     onChartDateButtonClick,
+    onChartLayerButtonClick,
     openChartingDateModal,
     openChartingInfoModal,
     olMap,
@@ -63,9 +88,11 @@ function ChartingModeOptions (props) {
     toggleAreaOfInterestActive,
     toggleAreaOfInterestSelected,
     updateAOICoordinates,
+    updateAOIDrawMode,
     updateRequestInProgress,
     updateRequestStatusMessage,
   } = props;
+  const geoJSONInputRef = useRef(null);
 
   function endDrawingAreaOfInterest () {
     if (draw) {
@@ -115,8 +142,17 @@ function ChartingModeOptions (props) {
     return `${year} ${month} ${day}`;
   }
 
-  function getAreaOfInterestCoordinates(geometry) {
-    updateAOICoordinates(geometry.getExtent());
+  /**
+   * Store the AOI extent, along with the polygon/point geometry unless it was drawn as a box
+   * @param {Object} geometry | OpenLayers geometry of the AOI feature
+   * @param {Boolean} isBox
+   */
+  function getAreaOfInterestCoordinates(geometry, isBox) {
+    const aoiShape = isBox ? null : {
+      type: geometry.getType(),
+      coordinates: geometry.getCoordinates(),
+    };
+    updateAOICoordinates(geometry.getExtent(), aoiShape);
   }
 
   const drawEndCallback = ({ feature }) => {
@@ -127,14 +163,91 @@ function ChartingModeOptions (props) {
     endDrawingAreaOfInterest();
     toggleAreaOfInterestActive();
     toggleAreaOfInterestSelected();
-    getAreaOfInterestCoordinates(feature.getGeometry());
+    getAreaOfInterestCoordinates(feature.getGeometry(), aoiDrawMode === 'box');
   };
 
+  function addAreaOfInterestLayer() {
+    if (!vectorLayers[crs]) {
+      vectorLayers[crs] = new OlVectorLayer({
+        source: sources[crs],
+        style: vectorStyles,
+        map: olMap,
+      });
+    }
+  }
+
+  /**
+   * Add a feature to the Area of Interest layer
+   * @param {Object} feature | OpenLayers feature
+   */
+  function addAreaOfInterestFeature(feature) {
+    sources[crs].addFeature(feature);
+    AOIFeatureObj[crs][feature.ol_uid] = {
+      feature,
+    };
+    addAreaOfInterestLayer();
+  }
+
+  /**
+   * Re-create the Area of Interest feature from the stored extent & geometry (e.g. from a permalink)
+   * @param {Array} extent | [minX, minY, maxX, maxY] in map projection units
+   * @param {Object} geometry | { type, coordinates } of a polygon/point AOI; null for a box AOI
+   */
+  function restoreAreaOfInterest(extent, geometry) {
+    let olGeometry = fromExtent(extent);
+    if (geometry && geometry.type === 'Point') {
+      olGeometry = new OlGeomPoint(geometry.coordinates);
+    } else if (geometry) {
+      olGeometry = new OlGeomPolygon(geometry.coordinates);
+    }
+    addAreaOfInterestFeature(new OlFeature(olGeometry));
+  }
+
+  /**
+   * Use the first polygon of an uploaded GeoJSON file as the Area of Interest
+   * @param {Object} event | File input change event
+   */
+  async function onGeoJSONUpload(event) {
+    const [file] = event.target.files;
+    event.target.value = '';
+    if (!file) return;
+    let features = [];
+    try {
+      features = new OlFormatGeoJSON().readFeatures(await file.text(), {
+        dataProjection: CRS.GEOGRAPHIC,
+        featureProjection: crs,
+      });
+    } catch (e) {
+      updateRequestStatusMessage('Unable to read the uploaded GeoJSON file.');
+      return;
+    }
+    const polygonFeature = features.find((feature) => {
+      const geometry = feature.getGeometry();
+      return geometry && ['Polygon', 'MultiPolygon'].includes(geometry.getType());
+    });
+    if (!polygonFeature) {
+      updateRequestStatusMessage('No polygon found in the uploaded GeoJSON file.');
+      return;
+    }
+    const geometry = polygonFeature.getGeometry();
+    const polygon = geometry.getType() === 'MultiPolygon' ? geometry.getPolygon(0) : geometry;
+    if (aoiActive) {
+      endDrawingAreaOfInterest();
+      toggleAreaOfInterestActive();
+    }
+    resetAreaOfInterest();
+    addAreaOfInterestFeature(new OlFeature(polygon));
+    updateAOIDrawMode('polygon');
+    toggleAreaOfInterestSelected(true);
+    getAreaOfInterestCoordinates(polygon, false);
+    updateRequestStatusMessage('');
+  }
+
   function beginDrawingAOI () {
     resetAreaOfInterest();
     draw = new OlInteractionDraw({
       source: sources[crs], // Destination source for the drawn features (i.e. VectorSource)
-      type: 'Circle', // Geometry type of the geometries being drawn with this instance.
+      type: DRAW_MODE_TYPES[aoiDrawMode], // Geometry type of the geometries being drawn with this instance.
       style: drawStyles, // Style used to indicate Area of Interest
       // This is from measurement tool; validate area selected
       condition(e) {
@@ -143,19 +256,13 @@ function ChartingModeOptions (props) {
         const tCoord = transform(coord, crs, CRS.GEOGRAPHIC);
         return areCoordinatesWithinExtent(proj, tCoord);
       },
-      geometryFunction: createBox(), // Function that is called when a geometry's coordinates are updated.
+      // Function that is called when a geometry's coordinates are updated.
+      geometryFunction: aoiDrawMode === 'box' ? createBox() : undefined,
 
     });
     olMap.addInteraction(draw);
     draw.on('drawend', drawEndCallback);
-
-    if (!vectorLayers[crs]) {
-      vectorLayers[crs] = new OlVectorLayer({
-        source: sources[crs],
-        style: vectorStyles,
-        map: olMap,
-      });
-    }
+    addAreaOfInterestLayer();
   }
 
   useEffect(() => {
@@ -170,7 +277,14 @@ function ChartingModeOptions (props) {
   }, [projections]);
 
   useEffect(() => {
-    resetAreaOfInterest();
+    const { cha, ca } = config.parameters || {};
+    // Compare mode takes precedence over charting mode in the permalink
+    requestChartOnLoad = isFirstMount && cha === 'on' && ca === undefined;
+    isFirstMount = false;
+    // An AOI present on mount can only have come from the permalink
+    if (!aoiSelected || !aoiCoordinates || !aoiCoordinates.length) {
+      resetAreaOfInterest();
+    }
     endDrawingAreaOfInterest();
   }, [isChartingActive]);
 
@@ -187,6 +301,13 @@ function ChartingModeOptions (props) {
     }
   };
 
+  const onDrawModeButtonClick = (mode) => {
+    if (aoiActive) {
+      endDrawingAreaOfInterest();
+      toggleAreaOfInterestActive();
+    }
+    updateAOIDrawMode(mode);
+  };
 
   function getActiveChartingLayer() {
     const liveLayers = getLiveLayers();
@@ -215,7 +336,7 @@ function ChartingModeOptions (props) {
    * @param {Object} aoi (Area Of Interest)
    */
   function convertOLcoordsForImageStat(aoi) {
-    if (aoi == null) {
+    if (aoi == null || !aoi.length) {
       return [-90, -180, 90, 180];
     }
     // lat/lon needs to be lon/lat; swap index 0 & 1, and index 2 & 3
@@ -231,6 +352,7 @@ function ChartingModeOptions (props) {
     const startDateForImageStat = formatDateForImageStat(primaryDate);
     const endDateForImageStat = formatDateForImageStat(secondaryDate);
     const AOIForImageStat = convertOLcoordsForImageStat(aoiCoordinates);
+    const geometryForImageStat = getAOIGeometryForImageStat(aoiGeometry, crs);
     return {
       timestamp: startDateForImageStat, // start date
       endTimestamp: endDateForImageStat, // end date
@@ -239,62 +361,12 @@ function ChartingModeOptions (props) {
       layer: layerInfo.id, // Layer to be pulled from gibs api. e.g. 'GHRSST_L4_MUR_Sea_Surface_Temperature'
       colormap: `${layerInfo.palette.id}.xml`, // Colormap to use to decipher layer. e.g. 'GHRSST_Sea_Surface_Temperature.xml'
       areaOfInterestCoords: AOIForImageStat, // Bounding box of latitude and longitude.
+      geometry: geometryForImageStat, // GeoJSON polygon/point of a non-box AOI; the bbox is its extent
       bins: 10, // Number of bins to used in returned histogram. e.g. 10
       scale: 1, // unused
     };
   }
 
-  function getImageStatStatsRequestURL(uriParameters) {
-    const {
-      type,
-      timestamp,
-      endTimestamp,
-      steps,
-      layer,
-      colormap,
-      areaOfInterestCoords,
-      bins,
-    } = uriParameters;
-    let requestURL = `https://d1igaxm6d8pbn2.cloudfront.net/get_stats?_type=${type}&timestamp=${timestamp}&steps=${steps}&layer=${layer}&colormap=${colormap}&bbox=${areaOfInterestCoords}&bins=${bins}`;
-    if (type !== 'date') {
-      requestURL += `&end_timestamp=${endTimestamp}`;
-    }
-    return requestURL;
-  }
-
-  /**
-   * Execute the ImageStat API request
-   * @param {String} simpleStatsURI
-   */
-  async function getImageStatData(simpleStatsURI) {
-    const requestOptions = {
-      method: 'GET',
-      redirect: 'follow',
-    };
-
-    try {
-      const response = await fetch(simpleStatsURI, requestOptions);
-      const data = await response.text();
-      // This is the response when the imageStat server fails
-      if (data === 'Internal Server Error') {
-        return {
-          ok: false,
-          body: data,
-        };
-      }
-
-      return {
-        ok: true,
-        body: JSON.parse(data),
-      };
-    } catch (error) {
-      return {
-        ok: false,
-        error,
-      };
-    }
-  }
-
   function getKeysFromObj(data) {
     return Object.keys(data);
   }
@@ -321,6 +393,31 @@ function ChartingModeOptions (props) {
     return rechartsData;
   }
 
+  /**
+   * Returns the layers to be charted; additional layers are only selectable in Date Range mode
+   */
+  function getChartingLayers() {
+    const liveLayers = getLiveLayers();
+    return [activeLayer, ...additionalLayers]
+      .map((layerId) => liveLayers.find(({ id }) => id === layerId))
+      .filter((layer) => layer != null);
+  }
+
+  /**
+   * Unit determination from the rendered palette legend
+   * @param {Object} layerInfo
+   */
+  function getLayerUnits(layerInfo) {
+    const paletteName = layerInfo.palette.id;
+    return lodashGet(renderedPalettes, [paletteName, 'maps', 0, 'legend', 'units']) || '';
+  }
+
+  async function requestLayerStatistics(layerInfo) {
+    const uriParameters = getImageStatRequestParameters(layerInfo, timeSpanSelection);
+    const data = await requestChartingStatistics(uriParameters, config);
+    return { layerInfo, uriParameters, data };
+  }
+
   async function onRequestChartClick() {
     updateChartRequestStatus(true);
     const layerInfo = getActiveChartingLayer();
@@ -328,49 +425,84 @@ function ChartingModeOptions (props) {
       updateChartRequestStatus(false, 'No valid layer detected for request.');
       return;
     }
-    const requestedLayerSource = layerInfo.projections.geographic.source;
-    if (requestedLayerSource === 'GIBS:geographic') {
-      const uriParameters = getImageStatRequestParameters(layerInfo, timeSpanSelection);
-      const requestURI = getImageStatStatsRequestURL(uriParameters);
-      const data = await getImageStatData(requestURI);
-
-      if (!data.ok) {
-        updateChartRequestStatus(false, 'Chart request failed.');
-        return;
-      }
-
-      // unit determination: renderedPalettes
-      const paletteName = layerInfo.palette.id;
-      const paletteLegend = renderedPalettes[paletteName].maps[0].legend;
-      const unitOfMeasure = Object.prototype.hasOwnProperty.call(paletteLegend, 'units') ? `(${paletteLegend.units})` : '';
-      console.log(unitOfMeasure);
-      const dataToRender = {
-        title: layerInfo.title,
-        subtitle: layerInfo.subtitle,
-        unit: unitOfMeasure,
-        ...data.body,
-        ...uriParameters,
-      };
-
-      if (timeSpanSelection === 'range') {
-        const rechartsData = formatGIBSDataForRecharts(dataToRender);
-        displayChart({
-          title: dataToRender.title,
-          subtitle: dataToRender.subtitle,
-          unit: dataToRender.unit,
-          data: rechartsData,
-        });
-        updateChartRequestStatus(false, 'Success');
-      } else {
-        displaySimpleStats(dataToRender);
-        updateChartRequestStatus(false, 'Success');
-      }
-    } else {
+    const chartingLayers = getChartingLayers();
+    const isGIBSRequest = chartingLayers.every((layer) => layer.projections.geographic.source === 'GIBS:geographic');
+    if (!isGIBSRequest) {
       // handle requests for layers outside of GIBS here!
       updateChartRequestStatus(false, 'Unable to process non-GIBS layer.');
+      return;
+    }
+    const responses = await Promise.all(chartingLayers.map(requestLayerStatistics));
+    if (responses.some(({ data }) => !data.ok)) {
+      updateChartRequestStatus(false, 'Chart request failed.');
+      return;
+    }
+
+    const series = responses.map(({ layerInfo: { id, title, subtitle }, uriParameters, data }) => {
+      const units = getLayerUnits(chartingLayers.find((layer) => layer.id === id));
+      return {
+        title,
+        subtitle,
+        unit: units ? `(${units})` : '',
+        units,
+        layerId: id,
+        uriParameters,
+        body: data.body,
+      };
+    });
+    const [primary] = series;
+    const { uriParameters } = primary;
+
+    if (timeSpanSelection === 'range') {
+      const chartSeries = series.map(({
+        title, subtitle, unit, units, layerId, body,
+      }) => ({
+        title,
+        subtitle,
+        unit,
+        units,
+        layerId,
+        data: formatGIBSDataForRecharts(body),
+      }));
+      const isMultiLayer = chartSeries.length > 1;
+      displayChart({
+        ...chartSeries[0],
+        ...isMultiLayer && {
+          title: 'Layer Comparison',
+          subtitle: `${uriParameters.timestamp} - ${uriParameters.endTimestamp}`,
+          unit: '',
+          series: chartSeries,
+        },
+        bbox: uriParameters.areaOfInterestCoords,
+        startDate: uriParameters.timestamp,
+        endDate: uriParameters.endTimestamp,
+      });
+    } else {
+      displaySimpleStats({
+        title: primary.title,
+        subtitle: primary.subtitle,
+        unit: primary.unit,
+        units: primary.units,
+        ...primary.body,
+        ...uriParameters,
+      });
     }
+    updateChartRequestStatus(false, 'Success');
   }
 
+  useEffect(() => {
+    if (!requestChartOnLoad || !olMap) return;
+    const layerInfo = getActiveChartingLayer();
+    // Wait until the layer palette has been rendered so units can be determined
+    if (layerInfo == null || !renderedPalettes[layerInfo.palette.id]) return;
+    requestChartOnLoad = false;
+    // Without an Area of Interest the chart covers the entire map, as for a manual request
+    if (aoiSelected && aoiCoordinates && aoiCoordinates.length) {
+      restoreAreaOfInterest(aoiCoordinates, aoiGeometry);
+    }
+    onRequestChartClick();
+  }, [olMap, activeLayer, activeLayers, renderedPalettes]);
+
   function onDateIconClick() {
     const layerInfo = getActiveChartingLayer();
     const layerStartDate = new Date(layerInfo.dateRanges[0].startDate);
@@ -379,8 +511,12 @@ function ChartingModeOptions (props) {
   }
 
   const aoiTextPrompt = aoiSelected ? 'Area of Interest Selected' : 'Select Area of Interest';
+  const getDrawModeBtnStatus = (mode) => (aoiDrawMode === mode ? 'btn-active' : '');
+  const oneLayerBtnStatus = layerSelection === 'multiple' ? '' : 'btn-active';
+  const multipleLayersBtnStatus = layerSelection === 'multiple' ? 'btn-active' : '';
   const oneDateBtnStatus = timeSpanSelection === 'date' ? 'btn-active' : '';
   const dateRangeBtnStatus = timeSpanSelection === 'date' ? '' : 'btn-active';
+  const isCompareLayersDisabled = timeSpanSelection === 'date';
   const dateRangeValue = timeSpanSelection === 'range' ? `${primaryDate} - ${secondaryDate}` : primaryDate;
   const chartRequestMessage = chartRequestInProgress ? 'In progress...' : '';
 
@@ -397,6 +533,73 @@ function ChartingModeOptions (props) {
           onClick={onAreaOfInterestButtonClick}
         />
       </div>
+      <div className="charting-timespan-container">
+        <h3>Shape:</h3>
+        <ButtonGroup size="sm">
+          <Button
+            id="charting-aoi-box-button"
+            className={`charting-button ${getDrawModeBtnStatus('box')}`}
+            onClick={() => onDrawModeButtonClick('box')}
+          >
+            Box
+          </Button>
+          <Button
+            id="charting-aoi-polygon-button"
+            className={`charting-button ${getDrawModeBtnStatus('polygon')}`}
+            onClick={() => onDrawModeButtonClick('polygon')}
+          >
+            Polygon
+          </Button>
+          <Button
+            id="charting-aoi-point-button"
+            className={`charting-button ${getDrawModeBtnStatus('point')}`}
+            onClick={() => onDrawModeButtonClick('point')}
+          >
+            Point
+          </Button>
+          <Button
+            id="charting-aoi-upload-button"
+            className="charting-button"
+            title="Upload a GeoJSON polygon"
+            onClick={() => geoJSONInputRef.current.click()}
+          >
+            <FontAwesomeIcon icon={faUpload} />
+          </Button>
+        </ButtonGroup>
+        <input
+          id="charting-aoi-upload-input"
+          ref={geoJSONInputRef}
+          type="file"
+          accept=".json,.geojson,application/geo+json,application/json"
+          style={{ display: 'none' }}
+          onChange={onGeoJSONUpload}
+        />
+      </div>
+      <div className="charting-timespan-container">
+        <h3>Layers:</h3>
+        <ButtonGroup size="sm">
+          <Button
+            id="charting-layer-single-button"
+            className={`charting-button ${oneLayerBtnStatus}`}
+            onClick={() => onChartLayerButtonClick('single')}
+          >
+            One Layer
+          </Button>
+          <Button
+            id="charting-layer-multiple-button"
+            className={`charting-button ${multipleLayersBtnStatus}`}
+            disabled={isCompareLayersDisabled}
+            onClick={() => onChartLayerButtonClick('multiple')}
+          >
+            Compare Layers
+          </Button>
+        </ButtonGroup>
+      </div>
+      {isCompareLayersDisabled && (
+        <div className="charting-layer-note">
+          Select a date range to compare layers
+        </div>
+      )}
       <div className="charting-timespan-container">
         <h3>Time Span:</h3>
         <ButtonGroup size="sm">
@@ -465,7 +668,7 @@ const mapStateToProps = (state) => {
   const activeLayers = layers.active.layers;
   const { crs } = proj.selected;
   const {
-    activeLayer, aoiActive, aoiCoordinates, aoiSelected, chartRequestInProgress, timeSpanSelection, timeSpanStartDate, timeSpanEndDate, requestStatusMessage,
+    activeLayer, additionalLayers, layerSelection, aoiActive, aoiCoordinates, aoiDrawMode, aoiGeometry, aoiSelected, chartRequestInProgress, timeSpanSelection, timeSpanStartDate, timeSpanEndDate, requestStatusMessage,
   } = charting;
   const projections = Object.keys(config.projections).map((key) => config.projections[key].crs);
   const timelineStartDate = date.selected;
@@ -473,11 +676,16 @@ const mapStateToProps = (state) => {
   return {
     activeLayers,
     activeLayer,
+    additionalLayers,
     aoiActive,
     aoiCoordinates,
+    aoiDrawMode,
+    aoiGeometry,
     aoiSelected,
     chartRequestInProgress,
+    config,
     crs,
+    layerSelection,
     olMap: map.ui.selected,
     proj,
     projections,
@@ -498,8 +706,11 @@ const mapDispatchToProps = (dispatch) => ({
   toggleAreaOfInterestSelected: (featureSetting) => {
     dispatch(toggleAOISelected(featureSetting));
   },
-  updateAOICoordinates: (extent) => {
-    dispatch(updateChartingAOICoordinates(extent));
+  updateAOICoordinates: (extent, geometry) => {
+    dispatch(updateChartingAOICoordinates(extent, geometry));
+  },
+  updateAOIDrawMode: (mode) => {
+    dispatch(updateChartingAOIDrawMode(mode));
   },
   updateRequestInProgress: (status) => {
     dispatch(updateRequestInProgressAction(status));
@@ -537,6 +748,9 @@ const mapDispatchToProps = (dispatch) => ({
   onChartDateButtonClick: (buttonClicked) => {
     dispatch(updateChartingDateSelection(buttonClicked));
   },
+  onChartLayerButtonClick: (buttonClicked) => {
+    dispatch(updateChartingLayerSelection(buttonClicked));
+  },
   displaySimpleStats: (data) => {
     dispatch(
       openCustomContent('CHARTING_STATS_MODAL', {
@@ -555,7 +769,7 @@ const mapDispatchToProps = (dispatch) => ({
   displayChart: (liveData) => {
     dispatch(
       openCustomContent('CHARTING-CHART', {
-        headerText: `${liveData.title} - ${liveData.subtitle} ${liveData.unit}`,
+        headerText: `${liveData.title} - ${liveData.subtitle} ${liveData.unit}`.trim(),
         backdrop: false,
         bodyComponent: ChartComponent,
         wrapClassName: 'unclickable-behind-modal',
@@ -577,11 +791,17 @@ export default connect(
 ChartingModeOptions.propTypes = {
   activeLayers: PropTypes.array,
   activeLayer: PropTypes.string,
+  additionalLayers: PropTypes.array,
+  layerSelection: PropTypes.string,
+  onChartLayerButtonClick: PropTypes.func,
   isChartingActive: PropTypes.bool,
   isMobile: PropTypes.bool,
   aoiSelected: PropTypes.bool,
   chartRequestInProgress: PropTypes.bool,
   aoiCoordinates: PropTypes.array,
+  aoiDrawMode: PropTypes.string,
+  aoiGeometry: PropTypes.object,
+  config: PropTypes.object,
   requestStatusMessage: PropTypes.string,
   timeSpanSelection: PropTypes.string,
   timeSpanStartDate: PropTypes.instanceOf(Date),
@@ -591,6 +811,7 @@ ChartingModeOptions.propTypes = {
   updateRequestInProgress: PropTypes.func,
   updateRequestStatusMessage: PropTypes.func,
   updateAOICoordinates: PropTypes.func,
+  updateAOIDrawMode: PropTypes.func,
   openChartingInfoModal: PropTypes.func,
   openChartingDateModal: PropTypes.func,
   onChartDateButtonClick: PropTypes.func,
@@ -4,6 +4,7 @@ import lodashFind from 'lodash/find';
 import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
 import googleTagManager from 'googleTagManager';
 import { getDefaultEventDate } from '../../modules/natural-events/util';
+import { formatMagnitude, getMagnitudeClass, MAGNITUDE_CLASS_COLORS } from '../../modules/natural-events/magnitude';
 import util from '../../util/util';
 import EventIcon from './event-icon';
 import { formatDisplayDate } from '../../modules/date/util';
@@ -73,17 +74,19 @@ function Event (props) {
    * @param {Object} geometry | Geometry object containing magnitude data
    * @returns Magnitude data output
    */
-  function magnitudeOutput({ magnitudeUnit, magnitudeValue }) {
-    if (!magnitudeUnit || !magnitudeValue) return;
-    const formattedunit = magnitudeUnit === 'kts' ? ' kts' : ' NM';
+  function magnitudeOutput(geometry) {
+    const text = formatMagnitude(geometry);
+    if (!text) return;
+    const magnitudeClass = getMagnitudeClass(geometry);
     return (
       <p className="magnitude">
-        {formattedunit === ' NM' ? 'Surface Area: ' : 'Wind Speed: '}
-        {magnitudeValue.toLocaleString()}
-        {formattedunit}
-        {formattedunit === ' NM' && (
-          <sup>2</sup>
+        {magnitudeClass > -1 && (
+          <span
+            className="magnitude-swatch"
+            style={{ background: MAGNITUDE_CLASS_COLORS[magnitudeClass] }}
+          />
         )}
+        {text}
       </p>
     );
   }
@@ -142,7 +145,7 @@ function Event (props) {
       return references.map((reference) => {
         const source = lodashFind(sources, {
           id: reference.id,
-        });
+        }) || { title: reference.title || reference.id };
         if (reference.url) {
           return (
             <a
@@ -180,6 +183,11 @@ function Event (props) {
         className="title"
       >
         {event.title}
+        {event.provider && (
+          <span className="event-provider-badge" title={`Event from ${event.provider.title}`}>
+            {event.provider.title}
+          </span>
+        )}
         {' '}
         <br />
         {' '}
@@ -187,6 +195,7 @@ function Event (props) {
           <MonospaceDate date={dateString} />
         )}
       </h4>
+      {(!isSelected || event.geometry.length === 1) && magnitudeOutput(event.geometry[0])}
       {isSelected && (<p className="subtitle">{renderReferenceList()}</p>)}
       {renderDateLists()}
     </li>
@@ -0,0 +1,76 @@
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+import { connect } from 'react-redux';
+import FileSaver from 'file-saver';
+import googleTagManager from 'googleTagManager';
+import {
+  Dropdown, DropdownToggle, DropdownMenu, DropdownItem,
+} from 'reactstrap';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import { getFilteredEvents } from '../../modules/natural-events/selectors';
+import {
+  EVENT_EXPORT_FORMATS,
+  getEventsExportBlob,
+  getEventsExportFileName,
+} from '../../modules/natural-events/export';
+
+/**
+ * Download the filtered event list, with observations and tracks, for use in GIS tools
+ */
+function EventsExport(props) {
+  const { events, selectedDates } = props;
+  const [isOpen, setIsOpen] = useState(false);
+
+  const exportEvents = (format) => {
+    const blob = getEventsExportBlob(events, format);
+    FileSaver.saveAs(blob, getEventsExportFileName(selectedDates, format));
+    googleTagManager.pushEvent({
+      event: 'natural_events_export',
+      natural_events: { format, count: events.length },
+    });
+  };
+
+  return (
+    <Dropdown
+      id="events-export"
+      className="events-export"
+      isOpen={isOpen}
+      toggle={() => setIsOpen(!isOpen)}
+      size="sm"
+    >
+      <DropdownToggle
+        id="events-export-button"
+        color="secondary"
+        title="Export the listed events"
+        disabled={!events.length}
+        caret
+      >
+        <FontAwesomeIcon icon="download" />
+        {' Export'}
+      </DropdownToggle>
+      <DropdownMenu end>
+        {EVENT_EXPORT_FORMATS.map(({ value, text }) => (
+          <DropdownItem
+            id={`events-export-${value}`}
+            key={value}
+            onClick={() => exportEvents(value)}
+          >
+            {text}
+          </DropdownItem>
+        ))}
+      </DropdownMenu>
+    </Dropdown>
+  );
+}
+
+EventsExport.propTypes = {
+  events: PropTypes.array,
+  selectedDates: PropTypes.object,
+};
+
+const mapStateToProps = (state) => ({
+  events: getFilteredEvents(state),
+  selectedDates: state.events.selectedDates,
+});
+
+export default connect(mapStateToProps)(EventsExport);
@@ -8,12 +8,27 @@ import { createPortal } from 'react-dom';
 import googleTagManager from 'googleTagManager';
 import Switch from '../util/switch';
 import Checkbox from '../util/checkbox';
+import SelectionList from '../util/selector';
+import EventsLoadMore from './events-load-more';
 import {
   setEventsFilter as setEventsFilterAction,
 } from '../../modules/natural-events/actions';
 import util from '../../util/util';
 import DateRangeSelector from '../date-selector/date-range-selector';
 import { CRS } from '../../modules/map/constants';
+import { MAGNITUDE_UNITS } from '../../modules/natural-events/magnitude';
+
+const magnitudeUnitOptions = {
+  values: [
+    { value: '', text: 'Any magnitude' },
+    ...Object.entries(MAGNITUDE_UNITS).map(([value, { label, unit }]) => ({
+      value,
+      text: `${label} (${unit})`,
+    })),
+  ],
+};
+
+const parseMagnitudeBound = (value) => (value === '' || Number.isNaN(Number(value)) ? null : Number(value));
 
 function EventFilterModalBody (props) {
   const {
@@ -21,6 +36,7 @@ function EventFilterModalBody (props) {
     selectedCategories,
     selectedStartDate,
     selectedEndDate,
+    selectedMagnitude,
     setFilter,
     closeModal,
     showAll,
@@ -34,6 +50,7 @@ function EventFilterModalBody (props) {
   const [categories, setCategories] = useState(selectedCategories);
   const [listAll, setListAll] = useState(showAll);
   const [showAllTracksData, toggleShowAllTracks] = useState(showAllTracks);
+  const [magnitude, setMagnitude] = useState(selectedMagnitude);
 
   const parsedStartDate = selectedStartDate && new Date(moment(selectedStartDate).valueOf());
   const parsedEndDate = selectedEndDate && new Date(moment(selectedEndDate).valueOf());
@@ -60,7 +77,7 @@ function EventFilterModalBody (props) {
     const start = startDate && util.toISOStringDate(startDate);
     const end = endDate && util.toISOStringDate(endDate);
     closeModal();
-    setFilter(categories, start, end, listAll, showAllTracksData);
+    setFilter(categories, start, end, listAll, showAllTracksData, magnitude);
     if (showAll !== listAll) {
       const event = listAll ? 'natural_events_show_all' : 'natural_events_current_view_only';
       googleTagManager.pushEvent({ event });
@@ -75,7 +92,18 @@ function EventFilterModalBody (props) {
     }
     setAllNone(!allNone);
   };
-  const disableApply = !categories.length || !!(!startDate && endDate) || !!(!endDate && startDate);
+  const setMagnitudeFilter = (key, value) => {
+    if (key === 'unit') {
+      setMagnitude({ unit: value || null, min: null, max: null });
+    } else {
+      setMagnitude({ ...magnitude, [key]: parseMagnitudeBound(value) });
+    }
+  };
+  const invalidMagnitudeRange = magnitude.min !== null && magnitude.max !== null
+    && magnitude.min > magnitude.max;
+
+  const disableApply = !categories.length || !!(!startDate && endDate) || !!(!endDate && startDate)
+    || invalidMagnitudeRange;
   const getDisableApplyMsg = () => {
     let msg = '';
     if (!startDate || !endDate) {
@@ -84,6 +112,9 @@ function EventFilterModalBody (props) {
     if (!categories.length) {
       msg += ' At least one category must be selected';
     }
+    if (invalidMagnitudeRange) {
+      msg += ' Minimum magnitude must not be greater than the maximum';
+    }
     return msg;
   };
   const minDate = new Date('2000-01-01');
@@ -137,6 +168,34 @@ function EventFilterModalBody (props) {
         })}
       </div>
 
+      <div className="magnitude-filter">
+        <h2 className="wv-header" style={mobileStyle}>Magnitude</h2>
+        <SelectionList
+          id="magnitude-unit-filter"
+          optionArray={magnitudeUnitOptions}
+          optionName="unit"
+          value={magnitude.unit || ''}
+          onChange={setMagnitudeFilter}
+        />
+        {magnitude.unit && (
+          <div className="magnitude-range">
+            {['min', 'max'].map((key) => (
+              <input
+                key={key}
+                id={`magnitude-${key}-filter`}
+                type="number"
+                min="0"
+                placeholder={key === 'min' ? 'Min' : 'Max'}
+                aria-label={`${key === 'min' ? 'Minimum' : 'Maximum'} magnitude`}
+                value={magnitude[key] === null ? '' : magnitude[key]}
+                onChange={(e) => setMagnitudeFilter(key, e.target.value)}
+              />
+            ))}
+            <span>{MAGNITUDE_UNITS[magnitude.unit].unit}</span>
+          </div>
+        )}
+      </div>
+
       {!isPolarProj && (
         <>
           <Checkbox
@@ -174,6 +233,8 @@ function EventFilterModalBody (props) {
         show for a selected event.
       </UncontrolledTooltip>
 
+      <EventsLoadMore id="filter-load-more" />
+
       {modalFooterNode && createPortal(
         <>
           <Button
@@ -207,6 +268,7 @@ EventFilterModalBody.propTypes = {
   selectedCategories: PropTypes.array,
   selectedStartDate: PropTypes.string,
   selectedEndDate: PropTypes.string,
+  selectedMagnitude: PropTypes.object,
   setFilter: PropTypes.func,
   showAll: PropTypes.bool,
   showAllTracks: PropTypes.bool,
@@ -218,7 +280,7 @@ const mapStateToProps = (state) => {
     events, proj, config, screenSize,
   } = state;
   const {
-    selectedCategories, selectedDates, showAll, showAllTracks,
+    selectedCategories, selectedDates, selectedMagnitude, showAll, showAllTracks,
   } = events;
 
   const isPolarProj = proj.selected.crs === CRS.ANTARCTIC || proj.selected.crs === CRS.ARCTIC;
@@ -229,6 +291,7 @@ const mapStateToProps = (state) => {
     selectedCategories,
     selectedStartDate: selectedDates.start,
     selectedEndDate: selectedDates.end,
+    selectedMagnitude,
     showAll,
     showAllTracks,
     isMobile: screenSize.isMobileDevice,
@@ -237,7 +300,7 @@ const mapStateToProps = (state) => {
 };
 
 const mapDispatchToProps = (dispatch) => ({
-  setFilter: (categories, startDate, endDate, showAll, showAllTracks) => {
+  setFilter: (categories, startDate, endDate, showAll, showAllTracks, magnitude) => {
     dispatch(
       setEventsFilterAction(
         categories,
@@ -245,6 +308,7 @@ const mapDispatchToProps = (dispatch) => ({
         endDate,
         showAll,
         showAllTracks,
+        magnitude,
       ),
     );
   },
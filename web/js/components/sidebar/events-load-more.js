@@ -0,0 +1,63 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import { connect } from 'react-redux';
+import { Button } from 'reactstrap';
+import { loadMoreEvents as loadMoreEventsAction } from '../../modules/natural-events/actions';
+
+/**
+ * Number of events loaded for the applied filter, with a button to load the
+ * next page when EONET has more events than were requested. EONET doesn't
+ * report the total number of events, so that count is only a partial one.
+ */
+function EventsLoadMore(props) {
+  const {
+    id, count, hasMore, isLoadingMore, loadMore,
+  } = props;
+  if (!count && !hasMore) return null;
+
+  return (
+    <div id={id} className="events-load-more">
+      <span className="events-load-more-count">
+        {hasMore
+          ? `Showing ${count} events, more are available`
+          : `${count} event${count === 1 ? '' : 's'}`}
+      </span>
+      {hasMore && (
+        <Button
+          id={`${id}-btn`}
+          color="secondary"
+          size="sm"
+          disabled={isLoadingMore}
+          onClick={loadMore}
+        >
+          {isLoadingMore ? 'Loading ...' : 'Load more'}
+        </Button>
+      )}
+    </div>
+  );
+}
+
+EventsLoadMore.propTypes = {
+  count: PropTypes.number,
+  hasMore: PropTypes.bool,
+  id: PropTypes.string,
+  isLoadingMore: PropTypes.bool,
+  loadMore: PropTypes.func,
+};
+
+const mapStateToProps = ({ requestedEvents }) => {
+  const { response, hasMore, isLoadingMore } = requestedEvents;
+  return {
+    count: response ? response.length : 0,
+    hasMore,
+    isLoadingMore,
+  };
+};
+
+const mapDispatchToProps = (dispatch) => ({
+  loadMore: () => {
+    dispatch(loadMoreEventsAction());
+  },
+});
+
+export default connect(mapStateToProps, mapDispatchToProps)(EventsLoadMore);
@@ -0,0 +1,40 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import { connect } from 'react-redux';
+import { getEventsMagnitudeLegend } from '../../modules/natural-events/selectors';
+
+/**
+ * Marker size & color classes for each magnitude unit of the listed events
+ */
+function EventsMagnitudeLegend({ legend }) {
+  if (!legend.length) return null;
+  return (
+    <div id="events-magnitude-legend" className="events-magnitude-legend">
+      {legend.map(({
+        magnitudeUnit, label, unit, classes,
+      }) => (
+        <div key={magnitudeUnit} className="events-magnitude-legend-unit">
+          <h4>{`${label} (${unit})`}</h4>
+          <ul>
+            {classes.map(({ text, color }) => (
+              <li key={text}>
+                <span className="magnitude-swatch" style={{ background: color }} />
+                {text}
+              </li>
+            ))}
+          </ul>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+EventsMagnitudeLegend.propTypes = {
+  legend: PropTypes.array,
+};
+
+const mapStateToProps = (state) => ({
+  legend: getEventsMagnitudeLegend(state),
+});
+
+export default connect(mapStateToProps)(EventsMagnitudeLegend);
@@ -0,0 +1,91 @@
+import React, { useEffect, useRef } from 'react';
+import PropTypes from 'prop-types';
+import { connect } from 'react-redux';
+import googleTagManager from 'googleTagManager';
+import Button from '../util/button';
+import { importLayerFile } from '../../modules/imported-layers/actions';
+
+const ACCEPTED_FILE_TYPES = '.geojson,.json,.kml,.gpx,.zip';
+
+const hasFiles = (event) => event.dataTransfer
+  && Array.from(event.dataTransfer.types || []).includes('Files');
+
+const isOverMap = (event) => event.target instanceof Element
+  && !!event.target.closest('#wv-map');
+
+/**
+ * Import GeoJSON, KML, GPX or zipped Shapefile overlays from the file picker,
+ * or by dropping files onto the map
+ */
+function ImportLayers (props) {
+  const { importFiles } = props;
+  const fileInputRef = useRef(null);
+
+  useEffect(() => {
+    const onDragOver = (event) => {
+      if (!hasFiles(event) || !isOverMap(event)) return;
+      event.preventDefault();
+      event.dataTransfer.dropEffect = 'copy';
+    };
+    const onDrop = (event) => {
+      if (!hasFiles(event) || !isOverMap(event)) return;
+      event.preventDefault();
+      importFiles(event.dataTransfer.files);
+    };
+    window.addEventListener('dragover', onDragOver);
+    window.addEventListener('drop', onDrop);
+    return () => {
+      window.removeEventListener('dragover', onDragOver);
+      window.removeEventListener('drop', onDrop);
+    };
+  }, []);
+
+  const onClickImport = (e) => {
+    e.stopPropagation();
+    fileInputRef.current.click();
+  };
+
+  const onFileChange = (e) => {
+    importFiles(e.target.files);
+    e.target.value = '';
+  };
+
+  return (
+    <>
+      <Button
+        id="layers-import"
+        aria-label="Import layers from file"
+        className="layers-import"
+        text="Import"
+        onClick={onClickImport}
+      />
+      <input
+        id="layers-import-input"
+        ref={fileInputRef}
+        type="file"
+        multiple
+        accept={ACCEPTED_FILE_TYPES}
+        style={{ display: 'none' }}
+        onChange={onFileChange}
+      />
+    </>
+  );
+}
+
+const mapDispatchToProps = (dispatch) => ({
+  importFiles: (files) => {
+    Array.from(files).forEach((file) => {
+      dispatch(importLayerFile(file));
+    });
+    googleTagManager.pushEvent({ event: 'import_layers' });
+  },
+});
+
+export default connect(
+  null,
+  mapDispatchToProps,
+)(ImportLayers);
+
+ImportLayers.propTypes = {
+  importFiles: PropTypes.func,
+};
@@ -367,6 +367,8 @@ class PaletteLegend extends React.Component {
         {({ isVisible }) => (
           <div className={legendClass} key={`${legend.id}_${legendIndex}`}>
             {legend.colors.map((color, keyIndex) => {
+              // Classes merged into a group are shown by the group's first class
+              if (legend.merged && legend.merged.includes(keyIndex)) return null;
               const isActiveKey = activeKeyObj && activeKeyObj.index === keyIndex;
               let palletteClass = isActiveKey ? 'wv-active wv-palettes-class' : 'wv-palettes-class';
               const isSubLayer = !!parentLayer;
@@ -18,6 +18,7 @@ import {
 import {
   snapToIntervalDelta,
   getNumberOfSteps,
+  getCameraView,
 } from '../../modules/animation/util';
 import {
   subdailyLayersActive,
@@ -36,7 +37,12 @@ import {
   changeStartAndEndDate,
   toggleAnimationCollapse,
   toggleAnimationAutoplay,
+  setCameraKeyframe,
+  clearCameraKeyframes,
+  toggleFollowEvent,
 } from '../../modules/animation/actions';
+import { getAnimationCamera } from '../../modules/animation/selectors';
+import { getFilteredEvents } from '../../modules/natural-events/selectors';
 import usePrevious from '../../util/customHooks';
 import DesktopAnimationWidget from './desktop-animation-widget';
 import MobileAnimationWidget from './mobile-animation-widget';
@@ -49,10 +55,13 @@ function AnimationWidget (props) {
     animationCustomModalOpen,
     autoplay,
     breakpoints,
+    camera,
     checkAnimationAvailability,
     currentDate,
     delta,
     endDate,
+    followEvent,
+    hasEventTrack,
     hasFutureLayers,
     hasSubdailyLayers,
     interval,
@@ -67,17 +76,22 @@ function AnimationWidget (props) {
     isMobileTablet,
     isPlaying,
     isPortrait,
+    keyframes,
     looping,
+    map,
     minDate,
     maxDate,
     numberOfFrames,
+    onClearKeyframes,
     onClose,
     onPushLoop,
     onPushPause,
     onPushPlay,
+    onSetKeyframe,
     onSlide,
     onToggleAnimationAutoplay,
     onToggleAnimationCollapse,
+    onToggleFollowEvent,
     onUpdateEndDate,
     onUpdateStartDate,
     onUpdateStartAndEndDate,
@@ -216,6 +230,25 @@ function AnimationWidget (props) {
     };
   };
 
+  /**
+   * Select the date of a playback frame and, when the camera moves, pan & zoom
+   * the map to the frame's view over the length of the frame
+   *
+   * @param {Object} date | JS Date of the frame
+   */
+  const selectFrame = (date) => {
+    selectDate(date);
+    if (!camera) return;
+    const { center, zoom } = getCameraView(camera, date);
+    const view = map.ui.selected.getView();
+    view.cancelAnimations();
+    view.animate({
+      center,
+      zoom,
+      duration: speed === 0.5 ? 2000 : 1000 / speed,
+    });
+  };
+
   const onPushPlayFunc = () => {
     const {
       startDate,
@@ -250,7 +283,7 @@ function AnimationWidget (props) {
             isKioskModeActive={isKioskModeActive}
             delta={delta}
             speed={speed}
-            selectDate={selectDate}
+            selectDate={selectFrame}
             togglePlaying={onPushPause}
             promiseImageryForTime={promiseImageryForTime}
             onClose={onPushPause}
@@ -316,22 +349,28 @@ function AnimationWidget (props) {
             customModalType={customModalType}
             isDistractionFreeModeActive={isDistractionFreeModeActive}
             endDate={endDate}
+            followEvent={followEvent}
             handleDragStart={handleDragStart}
+            hasEventTrack={hasEventTrack}
             hasSubdailyLayers={hasSubdailyLayers}
             interval={interval}
             isKioskModeActive={isKioskModeActive}
             isPlaying={isPlaying}
+            keyframes={keyframes}
             looping={looping}
             maxDate={maxDate}
             minDate={minDate}
             numberOfFrames={numberOfFrames}
+            onClearKeyframes={onClearKeyframes}
             onClose={onClose}
             onDateChange={onDateChange}
             onExpandedDrag={onExpandedDrag}
             onLoop={onLoop}
             onPushPause={onPushPause}
             onPushPlay={onPushPlayFunc}
+            onSetKeyframe={onSetKeyframe}
             onSlide={onSlide}
+            onToggleFollowEvent={onToggleFollowEvent}
             playDisabled={playDisabled}
             toggleCollapse={toggleCollapse}
             setSpeed={setSpeed}
@@ -360,9 +399,10 @@ const mapStateToProps = (state) => {
     screenSize,
     ui,
     proj,
+    events,
   } = state;
   const {
-    startDate, endDate, speed, loop, isPlaying, isActive, isCollapsed, autoplay,
+    startDate, endDate, speed, loop, isPlaying, isActive, isCollapsed, autoplay, keyframes, followEvent,
   } = animation;
   const {
     customSelected,
@@ -435,17 +475,23 @@ const mapStateToProps = (state) => {
   const {
     isMobilePhone, screenWidth, isMobileTablet, breakpoints, screenHeight,
   } = screenSize;
+  const selectedEvent = events.selected.id
+    && getFilteredEvents(state).find(({ id }) => id === events.selected.id);
 
   return {
     appNow,
     animationCustomModalOpen,
     autoplay,
+    camera: animationIsActive ? getAnimationCamera(state) : null,
     checkAnimationAvailability,
     customSelected,
     startDate,
     endDate,
     isCollapsed,
     isKioskModeActive,
+    keyframes,
+    followEvent,
+    hasEventTrack: !!selectedEvent && selectedEvent.geometry.length > 1,
     snappedCurrentDate,
     currentDate,
     minDate,
@@ -520,6 +566,15 @@ const mapDispatchToProps = (dispatch) => ({
   onToggleAnimationAutoplay: () => {
     dispatch(toggleAnimationAutoplay());
   },
+  onSetKeyframe: (key) => {
+    dispatch(setCameraKeyframe(key));
+  },
+  onClearKeyframes: () => {
+    dispatch(clearCameraKeyframes());
+  },
+  onToggleFollowEvent: () => {
+    dispatch(toggleFollowEvent());
+  },
 });
 
 AnimationWidget.propTypes = {
@@ -527,11 +582,14 @@ AnimationWidget.propTypes = {
   animationCustomModalOpen: PropTypes.bool,
   autoplay: PropTypes.bool,
   breakpoints: PropTypes.object,
+  camera: PropTypes.object,
   checkAnimationAvailability: PropTypes.bool,
   snappedCurrentDate: PropTypes.object,
   currentDate: PropTypes.object,
   delta: PropTypes.number,
   endDate: PropTypes.object,
+  followEvent: PropTypes.bool,
+  hasEventTrack: PropTypes.bool,
   hasFutureLayers: PropTypes.bool,
   hasSubdailyLayers: PropTypes.bool,
   interval: PropTypes.string,
@@ -546,17 +604,22 @@ AnimationWidget.propTypes = {
   isPlaying: PropTypes.bool,
   isPortrait: PropTypes.bool,
   isLandscape: PropTypes.bool,
+  keyframes: PropTypes.object,
   looping: PropTypes.bool,
+  map: PropTypes.object,
   maxDate: PropTypes.object,
   minDate: PropTypes.object,
   numberOfFrames: PropTypes.number,
   onToggleAnimationCollapse: PropTypes.func,
   onToggleAnimationAutoplay: PropTypes.func,
+  onClearKeyframes: PropTypes.func,
   onClose: PropTypes.func,
   onPushLoop: PropTypes.func,
   onPushPause: PropTypes.func,
   onPushPlay: PropTypes.func,
+  onSetKeyframe: PropTypes.func,
   onSlide: PropTypes.func,
+  onToggleFollowEvent: PropTypes.func,
   onUpdateEndDate: PropTypes.func,
   onUpdateStartAndEndDate: PropTypes.func,
   onUpdateStartDate: PropTypes.func,
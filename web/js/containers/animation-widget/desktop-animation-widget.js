@@ -8,27 +8,34 @@ import PlayButton from '../../components/animation-widget/play-button';
 import GifButton from '../../components/animation-widget/gif-button';
 import TimeScaleIntervalChange from '../../components/timeline/timeline-controls/timescale-interval-change';
 import CustomIntervalSelector from '../../components/timeline/custom-interval-selector/custom-interval-selector';
+import CameraControls from '../../components/animation-widget/camera-controls';
 
 function DesktopAnimationWidget(props) {
   const {
     animationCustomModalOpen,
     customModalType,
     endDate,
+    followEvent,
     handleDragStart,
+    hasEventTrack,
     hasSubdailyLayers,
     interval,
     isPlaying,
+    keyframes,
     looping,
     maxDate,
     minDate,
     numberOfFrames,
+    onClearKeyframes,
     onClose,
     onDateChange,
     onExpandedDrag,
     onLoop,
     onPushPause,
     onPushPlay,
+    onSetKeyframe,
     onSlide,
+    onToggleFollowEvent,
     playDisabled,
     toggleCollapse,
     setSpeed,
@@ -126,6 +133,15 @@ function DesktopAnimationWidget(props) {
           <FontAwesomeIcon icon="chevron-down" className="wv-minimize" onClick={toggleCollapse} />
           <FontAwesomeIcon icon="times" className="wv-close" onClick={onClose} />
         </div>
+        <CameraControls
+          followEvent={followEvent}
+          hasEventTrack={hasEventTrack}
+          isPlaying={isPlaying}
+          keyframes={keyframes}
+          onClearKeyframes={onClearKeyframes}
+          onSetKeyframe={onSetKeyframe}
+          onToggleFollowEvent={onToggleFollowEvent}
+        />
       </div>
     </Draggable>
   );
@@ -135,21 +151,27 @@ DesktopAnimationWidget.propTypes = {
   animationCustomModalOpen: PropTypes.bool,
   customModalType: PropTypes.object,
   endDate: PropTypes.object,
+  followEvent: PropTypes.bool,
   handleDragStart: PropTypes.func,
+  hasEventTrack: PropTypes.bool,
   hasSubdailyLayers: PropTypes.bool,
   interval: PropTypes.string,
   isPlaying: PropTypes.bool,
+  keyframes: PropTypes.object,
   looping: PropTypes.bool,
   maxDate: PropTypes.object,
   minDate: PropTypes.object,
   numberOfFrames: PropTypes.number,
+  onClearKeyframes: PropTypes.func,
   onClose: PropTypes.func,
   onDateChange: PropTypes.func,
   onExpandedDrag: PropTypes.func,
   onLoop: PropTypes.func,
   onPushPause: PropTypes.func,
   onPushPlay: PropTypes.func,
+  onSetKeyframe: PropTypes.func,
   onSlide: PropTypes.func,
+  onToggleFollowEvent: PropTypes.func,
   playDisabled: PropTypes.bool,
   toggleCollapse: PropTypes.func,
   setSpeed: PropTypes.func,
@@ -5,9 +5,16 @@ import {
 } from 'reactstrap';
 import { connect } from 'react-redux';
 import * as olProj from 'ol/proj';
-import { debounce as lodashDebounce, round as lodashRound } from 'lodash';
+import {
+  debounce as lodashDebounce,
+  round as lodashRound,
+  uniqBy as lodashUniqBy,
+} from 'lodash';
 
 import GifStream from '../modules/animation/gifstream';
+import VideoStream, { getSupportedVideoFormats } from '../modules/animation/videostream';
+import { createSmallMultiples } from '../modules/animation/small-multiples';
+import { getSnapshotOverlayContent } from '../modules/image-download/overlays';
 import GifPanel from '../components/animation-widget/gif-panel';
 import util from '../util/util';
 import Crop from '../components/util/image-crop';
@@ -21,15 +28,17 @@ import {
 } from '../modules/image-download/util';
 import { TIME_SCALE_FROM_NUMBER } from '../modules/date/constants';
 import GifResults from '../components/animation-widget/gif-post-creation';
-import getImageArray from '../modules/animation/selectors';
+import getImageArray, { getAnimationCamera } from '../modules/animation/selectors';
 import { getStampProps, svgToPng, getNumberOfSteps } from '../modules/animation/util';
 import { changeCropBounds } from '../modules/animation/actions';
-import { subdailyLayersActive } from '../modules/layers/selectors';
+import { subdailyLayersActive, getLayerTitles } from '../modules/layers/selectors';
+import { getPaletteLegends } from '../modules/palettes/selectors';
 import { formatDisplayDate } from '../modules/date/util';
 import { CRS } from '../modules/map/constants';
 
 const DEFAULT_URL = 'http://localhost:3002/api/v1/snapshot';
 const gifStream = new GifStream();
+const videoStream = new VideoStream();
 
 class GIF extends Component {
   constructor(props) {
@@ -70,6 +79,7 @@ class GIF extends Component {
     const { isDownloading } = this.state;
     if (isDownloading) {
       gifStream.cancel();
+      videoStream.cancel();
     }
   }
 
@@ -150,6 +160,7 @@ class GIF extends Component {
             onClick={this.createGIF}
             onCheck={this.toggleShowDates}
             numberOfFrames={numberOfFrames}
+            videoFormats={getSupportedVideoFormats()}
           />
 
           <Crop
@@ -177,9 +188,45 @@ class GIF extends Component {
     this.setState({ showDates: !showDates });
   }
 
-  createGIF(width, height) {
+  /**
+   * Get the titles & legends of every layer shown in the frames, top layer first
+   * @param {Array} imageArray | From getImageArray
+   */
+  getLegendLayers(imageArray) {
+    const { getTitle, getLegends } = this.props;
+    const layers = lodashUniqBy(
+      imageArray.flatMap((frame) => frame.layers || []).reverse(),
+      'id',
+    );
+    return getSnapshotOverlayContent(
+      { titles: true, legends: true },
+      { layers, getTitle, getLegends },
+    ).layers;
+  }
+
+  createSmallMultiples(imageArray, width, height, outputOptions) {
+    const { columns, fileType } = outputOptions;
+    createSmallMultiples(imageArray, {
+      width,
+      height,
+      columns,
+      fileType,
+      legendLayers: this.getLegendLayers(imageArray),
+      onProgress: (loaded, total) => {
+        if (this.mounted) this.onGifProgress(Math.round((loaded / total) * 100));
+      },
+    }).then(({ blob, preview }) => {
+      if (!this.mounted) return;
+      this.onGifComplete({ blob, preview, error: '' }, width, height, 'grid');
+    }).catch((error) => {
+      util.warn('Unable to create the small multiples image', error);
+      if (this.mounted) this.onGifComplete({ blob: null, error }, width, height);
+    });
+  }
+
+  createGIF(width, height, outputOptions = { format: 'gif' }) {
     const {
-      getImageArray, startDate, endDate, url,
+      getImageArray, startDate, endDate, url, camera,
     } = this.props;
     const { boundaries, showDates } = this.state;
     const dimensions = {
@@ -197,42 +244,59 @@ class GIF extends Component {
         url,
         boundaries,
         showDates,
+        camera,
       };
       const imageArray = getImageArray(options, { width, height });
       if (!imageArray) return; // won't be true if there are too many frames
 
-      gifStream.createGIF(
-        {
-          gifWidth: width,
-          gifHeight: height,
-          images: imageArray,
-          waterMarkXCoordinate: stampHeight * 0.01, // Margin based on GIF Height
-          waterMarkYCoordinate: stampHeight * 0.01, // Margin based on GIF Height
-          waterMarkHeight: stamp.height,
-          waterMark: stampHeight > 20 ? stamp : null,
-          waterMarkWidth: stamp.width,
-          fontSize: `${dateStamp.fontSize}px`,
-          textXCoordinate: dateStamp.x,
-          textYCoordinate: dateStamp.y, // date location based on Dimensions
-          textAlign: dateStamp.align, // If textXCoordinate is null this takes precedence
-          textBaseline: 'top', // If textYCoordinate is null this takes precedence
-          fontColor: '#fff',
-          fontWeight: '300',
-          fontFamily: 'Open Sans, sans-serif',
-          progressCallback: this.onGifProgress,
-          showFrameText: stampHeight > 20,
-          extraLastFrameDelay: 1000,
-          text: '',
-          stroke: {
-            color: '#000',
-            pixels: dateStamp.fontSize * 0.05,
-          },
-          pause: 1,
+      const streamOptions = {
+        gifWidth: width,
+        gifHeight: height,
+        images: imageArray,
+        waterMarkXCoordinate: stampHeight * 0.01, // Margin based on GIF Height
+        waterMarkYCoordinate: stampHeight * 0.01, // Margin based on GIF Height
+        waterMarkHeight: stamp.height,
+        waterMark: stampHeight > 20 ? stamp : null,
+        waterMarkWidth: stamp.width,
+        fontSize: `${dateStamp.fontSize}px`,
+        textXCoordinate: dateStamp.x,
+        textYCoordinate: dateStamp.y, // date location based on Dimensions
+        textAlign: dateStamp.align, // If textXCoordinate is null this takes precedence
+        textBaseline: 'top', // If textYCoordinate is null this takes precedence
+        fontColor: '#fff',
+        fontWeight: '300',
+        fontFamily: 'Open Sans, sans-serif',
+        progressCallback: this.onGifProgress,
+        showFrameText: stampHeight > 20,
+        extraLastFrameDelay: 1000,
+        text: '',
+        stroke: {
+          color: '#000',
+          pixels: dateStamp.fontSize * 0.05,
         },
-        (obj) => {
-          this.onGifComplete(obj, width, height);
-        },
-      );
+        pause: 1,
+      };
+      if (outputOptions.format === 'grid') {
+        this.createSmallMultiples(imageArray, width, height, outputOptions);
+        return;
+      }
+      const onGifComplete = (obj) => {
+        this.onGifComplete(obj, width, height, 'gif');
+      };
+      if (outputOptions.format === 'gif') {
+        gifStream.createGIF(streamOptions, onGifComplete);
+        return;
+      }
+      videoStream.createVideo({ ...streamOptions, ...outputOptions }, (obj) => {
+        if (obj.error && this.mounted) {
+          // Fall back to a GIF when the browser fails to record the video
+          util.warn('Video recording failed, creating a GIF instead', obj.error);
+          this.setState({ progress: 0, downloadFormat: 'gif', videoFallback: true });
+          gifStream.createGIF(streamOptions, onGifComplete);
+          return;
+        }
+        this.onGifComplete(obj, width, height, outputOptions.format, outputOptions.frameRate);
+      });
     };
 
     const stampProps = getStampProps(
@@ -249,11 +313,15 @@ class GIF extends Component {
       stampProps.stampHeight,
     );
 
+    this.setState({
+      isDownloading: true,
+      downloadFormat: outputOptions.format,
+      videoFallback: false,
+    });
     build(newImage, stampProps.dateStamp, stampProps.stampHeight);
-    this.setState({ isDownloading: true });
   }
 
-  onGifComplete(obj, width, height) {
+  onGifComplete(obj, width, height, format, frameRate) {
     if (obj.error) {
       this.setState({
         isDownloading: false,
@@ -275,9 +343,12 @@ class GIF extends Component {
         isDownloading: false,
         downloadedObject: {
           blob: obj.blob,
+          preview: obj.preview || obj.blob,
           size: lodashRound((obj.blob.size / 1024) * 0.001, 2),
           width,
           height,
+          format,
+          frameRate,
         },
       });
     }
@@ -355,6 +426,8 @@ class GIF extends Component {
       progress,
       downloadedObject,
       boundaries,
+      videoFallback,
+      downloadFormat,
     } = this.state;
 
     const spinnerStyle = {
@@ -366,7 +439,12 @@ class GIF extends Component {
     const closeBtn = this.renderCloseBtn();
 
     if (isDownloading) {
-      const headerText = progress ? 'Creating GIF' : 'Requesting Imagery';
+      const creatingText = downloadFormat === 'gif'
+        ? 'Creating GIF'
+        : downloadFormat === 'grid'
+          ? 'Creating Small Multiples'
+          : 'Recording Video';
+      const headerText = progress ? creatingText : 'Requesting Imagery';
       return (
         <Modal
           isOpen
@@ -399,6 +477,7 @@ class GIF extends Component {
           screenWidth={screenWidth}
           screenHeight={screenHeight}
           closeBtn={closeBtn}
+          videoFallback={videoFallback}
         />
       );
     }
@@ -408,7 +487,7 @@ class GIF extends Component {
 
 function mapStateToProps(state) {
   const {
-    screenSize, proj, animation, map, date, config,
+    screenSize, proj, animation, map, date, config, compare,
   } = state;
   const {
     speed, startDate, endDate, boundaries,
@@ -443,6 +522,9 @@ function mapStateToProps(state) {
     speed,
     map,
     url,
+    camera: getAnimationCamera(state),
+    getTitle: (layer) => getLayerTitles(state, layer.id).title,
+    getLegends: (layer) => getPaletteLegends(layer.id, compare.activeString, state),
     numberOfFrames: getNumberOfSteps(
       startDate,
       endDate,
@@ -471,11 +553,14 @@ export default connect(
 
 GIF.propTypes = {
   boundaries: PropTypes.object,
+  camera: PropTypes.object,
   startDate: PropTypes.object,
   endDate: PropTypes.object,
   startDateStr: PropTypes.string,
   endDateStr: PropTypes.string,
   getImageArray: PropTypes.func,
+  getLegends: PropTypes.func,
+  getTitle: PropTypes.func,
   increment: PropTypes.string,
   map: PropTypes.object,
   numberOfFrames: PropTypes.number,
@@ -2,27 +2,43 @@ import React, { Component } from 'react';
 import PropTypes from 'prop-types';
 import { connect } from 'react-redux';
 import * as olProj from 'ol/proj';
-import { debounce as lodashDebounce } from 'lodash';
+import { debounce as lodashDebounce, get as lodashGet } from 'lodash';
 import ImageDownloadPanel from '../components/image-download/image-download-panel';
 import Crop from '../components/util/image-crop';
 import { onToggle } from '../modules/modal/actions';
 import ErrorBoundary from './error-boundary';
 import {
   getAlertMessageIfCrossesDateline,
+  getClientSnapshot,
   imageUtilCalculateResolution,
   imageUtilGetPixelValuesFromCoords,
 } from '../modules/image-download/util';
+import {
+  drawSnapshotOverlays,
+  getSnapshotOverlayContent,
+} from '../modules/image-download/overlays';
 import util from '../util/util';
 import {
   getLayers,
+  getLayerTitles,
   subdailyLayersActive,
 } from '../modules/layers/selectors';
+import { getPaletteLegends } from '../modules/palettes/selectors';
 import { getSelectedDate } from '../modules/date/selectors';
+import { formatDisplayDate } from '../modules/date/util';
+import { TIME_SCALE_FROM_NUMBER } from '../modules/date/constants';
+import { getAnimationFrames } from '../modules/animation/selectors';
+import { getNumberOfSteps } from '../modules/animation/util';
 import {
   resolutionsGeo,
   resolutionsPolar,
   fileTypesGeo,
   fileTypesPolar,
+  fileTypesClient,
+  DOWNLOAD_MODE_CLIENT,
+  DOWNLOAD_MODE_SERVER,
+  DEFAULT_ATTRIBUTION,
+  MAX_SERIES_FRAMES,
 } from '../modules/image-download/constants';
 import {
   onPanelChange,
@@ -61,6 +77,9 @@ class ImageDownloadContainer extends Component {
     this.debounceBoundaryStateUpdate = lodashDebounce(onBoundaryChange, 200);
     this.onBoundaryChange = this.onBoundaryChange.bind(this);
     this.onLatLongChange = this.onLatLongChange.bind(this);
+    this.renderSnapshot = this.renderSnapshot.bind(this);
+    this.getOverlayContent = this.getOverlayContent.bind(this);
+    this.getSeriesFrames = this.getSeriesFrames.bind(this);
   }
 
   /**
@@ -138,11 +157,77 @@ class ImageDownloadContainer extends Component {
     this.debounceBoundaryStateUpdate(newBoundaries);
   }
 
+  /**
+   * Get the content of the overlays to draw over the snapshot
+   * @param {Object} overlays selected overlay options
+   * @param {Object} dimensions output image width & height
+   *
+   * @returns {Object}
+   */
+  getOverlayContent(overlays, dimensions) {
+    const {
+      proj, date, getLayers, getTitle, getLegends, hasSubdailyLayers, attribution,
+    } = this.props;
+    const { bottomLeftLatLong, topRightLatLong } = this.state;
+    const { crs } = proj.selected;
+    return getSnapshotOverlayContent(overlays, {
+      layers: [...getLayers()].reverse(),
+      getTitle,
+      getLegends,
+      dateText: formatDisplayDate(date, hasSubdailyLayers),
+      attribution,
+      bbox: [
+        olProj.transform(bottomLeftLatLong, CRS.GEOGRAPHIC, crs),
+        olProj.transform(topRightLatLong, CRS.GEOGRAPHIC, crs),
+      ],
+      crs,
+      width: dimensions.width,
+    });
+  }
+
+  /**
+   * Get the snapshot URL of each frame of the animation range
+   * @param {Object} dimensions output image width & height
+   * @param {String} fileType
+   * @param {Boolean} isWorldfile
+   *
+   * @returns {Array|Boolean} false if there are too many frames
+   */
+  getSeriesFrames(dimensions, fileType, isWorldfile) {
+    const { getAnimationFrames, series, url } = this.props;
+    const { boundaries } = this.state;
+    return getAnimationFrames({
+      boundaries,
+      startDate: series.startDate,
+      endDate: series.endDate,
+      url,
+      fileType,
+      isWorldfile,
+    }, dimensions);
+  }
+
+  /**
+   * Render the area within the crop box from the imagery
+   * already drawn on the map
+   * @param {Object} dimensions output image width & height
+   * @param {String} fileType
+   * @param {Object} overlayContent optional, from getOverlayContent
+   *
+   * @returns {Promise<Blob>}
+   */
+  renderSnapshot(dimensions, fileType, overlayContent) {
+    const { map } = this.props;
+    const { boundaries } = this.state;
+    const drawOverlays = overlayContent && ((canvas) => drawSnapshotOverlays(canvas, overlayContent));
+    return getClientSnapshot(map.ui.selected, boundaries, dimensions, fileType, drawOverlays);
+  }
+
   render() {
     const {
       proj,
       map,
       url,
+      downloadMode,
       closeModal,
       screenWidth,
       screenHeight,
@@ -151,6 +236,8 @@ class ImageDownloadContainer extends Component {
       hasSubdailyLayers,
       markerCoordinates,
       onPanelChange,
+      overlays,
+      series,
     } = this.props;
     const {
       resolution, isWorldfile, fileType, bottomLeftLatLong, topRightLatLong, boundaries,
@@ -162,7 +249,15 @@ class ImageDownloadContainer extends Component {
     const lonLat1 = olProj.transform(bottomLeftLatLong, CRS.GEOGRAPHIC, crs);
     const lonLat2 = olProj.transform(topRightLatLong, CRS.GEOGRAPHIC, crs);
     const isGeoProjection = proj.id === 'geographic';
-    const fileTypes = isGeoProjection ? fileTypesGeo : fileTypesPolar;
+    const isClientMode = downloadMode === DOWNLOAD_MODE_CLIENT;
+    let fileTypes = isGeoProjection ? fileTypesGeo : fileTypesPolar;
+    let selectedFileType = fileType;
+    if (isClientMode) {
+      fileTypes = fileTypesClient;
+      selectedFileType = fileTypesClient.values.some(({ value }) => value === fileType)
+        ? fileType
+        : 'image/jpeg';
+    }
     const resolutions = isGeoProjection ? resolutionsGeo : resolutionsPolar;
     const mapView = map.ui.selected.getView();
     const newResolution = resolution
@@ -180,11 +275,18 @@ class ImageDownloadContainer extends Component {
         <ImageDownloadPanel
           projection={proj}
           fileTypes={fileTypes}
-          fileType={fileType}
+          fileType={selectedFileType}
           resolutions={resolutions}
           lonlats={[lonLat1, lonLat2]}
           resolution={newResolution}
-          isWorldfile={isWorldfile}
+          isWorldfile={isWorldfile && !isClientMode}
+          worldFileOptions={!isClientMode}
+          downloadMode={downloadMode}
+          renderSnapshot={this.renderSnapshot}
+          overlays={overlays}
+          getOverlayContent={this.getOverlayContent}
+          series={series}
+          getSeriesFrames={this.getSeriesFrames}
           hasSubdailyLayers={hasSubdailyLayers}
           markerCoordinates={markerCoordinates}
           date={date}
@@ -235,9 +337,12 @@ function mapStateToProps(state) {
     locationSearch,
     map,
     imageDownload,
+    compare,
+    animation,
+    date,
   } = state;
   const {
-    isWorldfile, fileType, resolution, boundaries,
+    isWorldfile, fileType, resolution, boundaries, overlays,
   } = imageDownload;
   const { screenWidth, screenHeight } = screenSize;
   const markerCoordinates = locationSearch.coordinates;
@@ -250,10 +355,36 @@ function mapStateToProps(state) {
     url = config.parameters.imageDownload;
     util.warn(`Redirecting image download to: ${url}`);
   }
+  const seriesInterval = date.customSelected
+    ? TIME_SCALE_FROM_NUMBER[date.customInterval]
+    : TIME_SCALE_FROM_NUMBER[date.interval];
+  // The same delta getAnimationFrames steps by
+  const seriesDelta = date.customSelected && date.customDelta ? date.customDelta : date.delta;
+  const series = config.features.animation && animation.startDate && animation.endDate
+    ? {
+      startDate: animation.startDate,
+      endDate: animation.endDate,
+      startDateStr: formatDisplayDate(animation.startDate, hasSubdailyLayers),
+      endDateStr: formatDisplayDate(animation.endDate, hasSubdailyLayers),
+      increment: `${seriesDelta} ${seriesInterval}${seriesDelta > 1 ? 's' : ''}`,
+      numberOfFrames: getNumberOfSteps(
+        animation.startDate,
+        animation.endDate,
+        seriesInterval,
+        seriesDelta,
+        MAX_SERIES_FRAMES + 1,
+      ),
+    }
+    : null;
+  let downloadMode = lodashGet(config, 'features.imageDownload.mode', DOWNLOAD_MODE_SERVER);
+  if ('imageDownloadMode' in config.parameters) {
+    downloadMode = config.parameters.imageDownloadMode;
+  }
 
   return {
     proj,
     url,
+    downloadMode,
     map,
     screenWidth,
     screenHeight,
@@ -263,7 +394,18 @@ function mapStateToProps(state) {
     boundaries,
     hasSubdailyLayers,
     markerCoordinates,
+    overlays,
+    attribution: lodashGet(config, 'features.imageDownload.attribution', DEFAULT_ATTRIBUTION),
     date: getSelectedDate(state),
+    getTitle: (layer) => getLayerTitles(state, layer.id).title,
+    getLegends: (layer) => getPaletteLegends(layer.id, compare.activeString, state),
+    series,
+    getAnimationFrames: (options, dimensions) => getAnimationFrames(
+      options,
+      dimensions,
+      state,
+      MAX_SERIES_FRAMES,
+    ),
     getLayers: () => getLayers(
       state,
       {
@@ -298,13 +440,20 @@ ImageDownloadContainer.propTypes = {
   onPanelChange: PropTypes.func.isRequired,
   proj: PropTypes.object.isRequired,
   url: PropTypes.string.isRequired,
+  attribution: PropTypes.string,
   date: PropTypes.object,
+  downloadMode: PropTypes.string,
+  getAnimationFrames: PropTypes.func,
   getLayers: PropTypes.func,
+  getLegends: PropTypes.func,
+  getTitle: PropTypes.func,
   hasSubdailyLayers: PropTypes.bool,
   isWorldfile: PropTypes.bool,
   markerCoordinates: PropTypes.array,
+  overlays: PropTypes.object,
   resolution: PropTypes.string,
   screenHeight: PropTypes.number,
+  series: PropTypes.object,
   screenWidth: PropTypes.number,
   boundaries: PropTypes.object,
 };
@@ -15,6 +15,7 @@ import {
 
 function ChartingLayerMenu (props) {
   const {
+    activeChartingLayer,
     activeLayersWithPalettes,
     height,
     isActive,
@@ -39,7 +40,11 @@ function ChartingLayerMenu (props) {
   };
 
   useEffect(() => {
-    updateActiveChartingLayer(activeLayersWithPalettes[0].id);
+    // Keep the charting layer restored from a permalink if it is still available
+    const hasActiveChartingLayer = activeLayersWithPalettes.some(({ id }) => id === activeChartingLayer);
+    if (!hasActiveChartingLayer) {
+      updateActiveChartingLayer(activeLayersWithPalettes[0].id);
+    }
   }, []);
 
   return isActive && (
@@ -79,6 +84,7 @@ const mapStateToProps = (state, ownProps) => {
   const activeLayersWithPalettes = overlays.filter((layer) => Object.prototype.hasOwnProperty.call(layer, 'palette'));
 
   return {
+    activeChartingLayer: charting.activeLayer,
     isAnimating: animation.isPlaying,
     isCompareActive,
     isChartingActive,
@@ -105,6 +111,7 @@ export default connect(
 )(ChartingLayerMenu);
 
 ChartingLayerMenu.propTypes = {
+  activeChartingLayer: PropTypes.string,
   activeLayersWithPalettes: PropTypes.array,
   height: PropTypes.number,
   isActive: PropTypes.bool,
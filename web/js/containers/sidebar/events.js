@@ -9,6 +9,9 @@ import { isMobileOnly, isTablet } from 'react-device-detect';
 import Event from '../../components/sidebar/event';
 import EventIcon from '../../components/sidebar/event-icon';
 import EventFilterModalBody from '../../components/sidebar/events-filter';
+import EventsExport from '../../components/sidebar/events-export';
+import EventsLoadMore from '../../components/sidebar/events-load-more';
+import EventsMagnitudeLegend from '../../components/sidebar/events-magnitude-legend';
 import Scrollbars from '../../components/util/scrollbar';
 import {
   selectEvent as selectEventActionCreator,
@@ -120,6 +123,11 @@ function Events(props) {
             />
           ))}
         </ul>
+        <div className="events-list-footer">
+          <EventsLoadMore id="events-load-more" />
+          {!isEmbedModeActive && <EventsExport />}
+        </div>
+        <EventsMagnitudeLegend />
       </div>
     ) : !isLoading && (
       <h3 className="no-events"> No events meet current criteria</h3>
@@ -12,6 +12,7 @@ import ChartingInfo from '../../components/charting/charting-info';
 import Button from '../../components/util/button';
 import CompareModeOptions from '../../components/sidebar/compare-mode-options';
 import ChartingModeOptions from '../../components/sidebar/charting-mode-options';
+import ImportLayers from '../../components/sidebar/import-layers';
 import { toggleCompareOnOff, changeMode } from '../../modules/compare/actions';
 import {
   toggleChartingModeOnOff,
@@ -34,6 +35,7 @@ const FooterContent = React.forwardRef((props, ref) => {
     compareMode,
     compareFeature,
     eventsData,
+    importFeature,
     isChartingActive,
     isCompareActive,
     isMobile,
@@ -101,6 +103,7 @@ const FooterContent = React.forwardRef((props, ref) => {
           onClick={onClickAddLayers}
         />
         )}
+        {!isChartingActive && importFeature && <ImportLayers />}
         {!isChartingActive
           && (
           <Button
@@ -176,10 +179,11 @@ const mapStateToProps = (state, ownProps) => {
   const eventsData = getFilteredEvents(state);
   return {
     breakpoints: screenSize.breakpoints,
-    chartFeature: config.features.charting,
+    chartFeature: !!config.features.charting,
     compareMode: compare.mode,
     compareFeature: config.features.compare,
     eventsData,
+    importFeature: !!config.features.importLayers,
     isChartingActive: charting.active,
     isCompareActive: compare.active,
     isMobile: screenSize.isMobileDevice,
@@ -258,6 +262,7 @@ FooterContent.propTypes = {
   compareFeature: PropTypes.bool,
   compareMode: PropTypes.string,
   eventsData: PropTypes.array,
+  importFeature: PropTypes.bool,
   isChartingActive: PropTypes.bool,
   isCompareActive: PropTypes.bool,
   isMobile: PropTypes.bool,
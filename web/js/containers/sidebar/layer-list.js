@@ -12,7 +12,7 @@ import LayerRow from './layer-row';
 import {
   replaceSubGroup,
   getZotsForActiveLayers,
-  getTitles,
+  getLayerTitles,
   getActiveLayers,
   memoizedAvailable as availableSelector,
 } from '../../modules/layers/selectors';
@@ -32,8 +32,8 @@ const reorder = (list, startIndex, endIndex) => {
 function LayerList(props) {
   const {
     activeLayers,
-    activeChartingLayer,
     available,
+    chartingLayers,
     compareState,
     collapsed,
     getNames,
@@ -108,7 +108,7 @@ function LayerList(props) {
         layer={layer}
         compareState={compareState}
         isChartingActive={isChartingActive}
-        activeChartingLayer={activeChartingLayer}
+        chartingLayers={chartingLayers}
         isInProjection={!!projections[projId]}
         key={id}
         index={index}
@@ -199,6 +199,7 @@ function LayerList(props) {
 LayerList.propTypes = {
   activeLayers: PropTypes.array,
   available: PropTypes.func,
+  chartingLayers: PropTypes.array,
   collapsed: PropTypes.bool,
   compareState: PropTypes.string,
   dragHandleProps: PropTypes.object,
@@ -220,10 +221,10 @@ LayerList.propTypes = {
 
 const mapStateToProps = (state, ownProps) => {
   const {
-    embed, proj, config, map, animation, screenSize, charting,
+    embed, proj, map, animation, screenSize, charting,
   } = state;
   const isChartingActive = charting.active;
-  const activeChartingLayer = charting.activeLayer;
+  const chartingLayers = [charting.activeLayer, ...charting.additionalLayers];
   const { isEmbedModeActive } = embed;
   const zots = lodashGet(map, 'ui.selected')
     ? getZotsForActiveLayers(state)
@@ -239,12 +240,12 @@ const mapStateToProps = (state, ownProps) => {
     isMobile: screenSize.isMobileDevice,
     activeLayers,
     projId: proj.id,
-    getNames: (layerId) => getTitles(config, layerId, proj.id),
+    getNames: (layerId) => getLayerTitles(state, layerId),
     available: (layerId) => availableSelector(state)(layerId),
     numVisible,
     isAnimating: animation.isPlaying,
     isChartingActive,
-    activeChartingLayer,
+    chartingLayers,
   };
 };
 
@@ -36,7 +36,7 @@ import {
 import { coverageDateFormatter } from '../../modules/date/util';
 import { SIDEBAR_LAYER_HOVER, MAP_RUNNING_DATA } from '../../util/constants';
 import {
-  updateActiveChartingLayerAction,
+  toggleChartingLayer,
 } from '../../modules/charting/actions';
 
 const { events } = util;
@@ -85,8 +85,8 @@ function LayerRow (props) {
     isAnimating,
     palettes,
     isChartingActive,
-    activeChartingLayer,
-    updateActiveChartingLayer,
+    chartingLayers,
+    toggleLayerForCharting,
   } = props;
 
   const encodedLayerId = util.encodeId(layer.id);
@@ -346,11 +346,7 @@ function LayerRow (props) {
 
   const collectionClass = collections?.type === 'NRT' ? 'collection-title badge rounded-pill bg-secondary' : 'collection-title badge rounded-pill text-dark bg-light';
 
-  const makeActiveForCharting = (layer) => {
-    if (layer !== activeChartingLayer) {
-      updateActiveChartingLayer(layer);
-    }
-  };
+  const isChartingLayer = isChartingActive && (chartingLayers || []).includes(layer.id);
 
   const renderLayerRow = () => (
     <>
@@ -378,8 +374,8 @@ function LayerRow (props) {
           <div />
           <a
             id={`activate-${encodedLayerId}`}
-            className={layer.id === activeChartingLayer ? 'layer-visible visibility active-chart' : 'layer-visible visibility'}
-            onClick={() => makeActiveForCharting(layer.id)}
+            className={isChartingLayer ? 'layer-visible visibility active-chart' : 'layer-visible visibility'}
+            onClick={() => toggleLayerForCharting(layer.id)}
           >
             <UncontrolledTooltip
               id="center-align-tooltip"
@@ -389,7 +385,7 @@ function LayerRow (props) {
               Select layer for processing
             </UncontrolledTooltip>
             {/* <FontAwesomeIcon icon="fa-solid fa-circle-dot" className="fa-circle-dot" /> */}
-            {layer.id === activeChartingLayer ? (
+            {isChartingLayer ? (
               <FontAwesomeIcon
                 icon={faToggleOn}
                 className="charting-indicator"
@@ -591,8 +587,8 @@ const mapDispatchToProps = (dispatch) => ({
   requestPalette: (id) => {
     dispatch(requestPalette(id));
   },
-  updateActiveChartingLayer: (layersId) => {
-    dispatch(updateActiveChartingLayerAction(layersId));
+  toggleLayerForCharting: (layerId) => {
+    dispatch(toggleChartingLayer(layerId));
   },
 });
 
@@ -628,7 +624,7 @@ LayerRow.propTypes = {
   onInfoClick: PropTypes.func,
   onOptionsClick: PropTypes.func,
   onRemoveClick: PropTypes.func,
-  updateActiveChartingLayer: PropTypes.func,
+  toggleLayerForCharting: PropTypes.func,
   palette: PropTypes.object,
   palettes: PropTypes.object,
   paletteLegends: PropTypes.array,
@@ -642,5 +638,5 @@ LayerRow.propTypes = {
   isVectorLayer: PropTypes.bool,
   isAnimating: PropTypes.bool,
   isChartingActive: PropTypes.bool,
-  activeChartingLayer: PropTypes.string,
+  chartingLayers: PropTypes.array,
 };
@@ -626,6 +626,9 @@ fixtures.config = function() {
     },
     features: {
       compare: true,
+      charting: {
+        url: 'fake.charting.url/get_stats',
+      },
       naturalEvents: {
         host: 'fake.eonet.url/api',
       },
@@ -30,6 +30,7 @@ import {
   faCaretRight,
   faCaretLeft,
   faCaretUp,
+  faChartLine,
   faCheckCircle,
   faChevronCircleDown,
   faChevronCircleRight,
@@ -80,6 +81,7 @@ import {
   faTrash,
   faTruck,
   faUndo,
+  faUpload,
   faVideo,
 } from '@fortawesome/free-solid-svg-icons';
 import { faFacebookF, faTwitter, faRedditAlien } from '@fortawesome/free-brands-svg-icons';
@@ -100,6 +102,7 @@ library.add(
   faCaretLeft,
   faCaretRight,
   faCaretUp,
+  faChartLine,
   faCheckCircle,
   faChevronCircleDown,
   faChevronCircleRight,
@@ -153,5 +156,6 @@ library.add(
   faTruck,
   faTwitter,
   faUndo,
+  faUpload,
   faVideo,
 );
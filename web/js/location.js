@@ -24,7 +24,14 @@ import {
   parseEventFilterDates,
 } from './modules/natural-events/util';
 import { mapLocationToCompareState } from './modules/compare/util';
-import { mapLocationToChartingState } from './modules/charting/util';
+import {
+  mapLocationToChartingState,
+  serializeChartingAOICoordinates,
+  parseChartingAOICoordinates,
+  serializeChartingAOIGeometry,
+  parseChartingAOIGeometry,
+  serializeChartingDate,
+} from './modules/charting/util';
 import {
   mapLocationToProjState,
   parseProjection,
@@ -35,6 +42,10 @@ import {
   serializeGroupOverlays,
   mapLocationToLayerState,
 } from './modules/layers/util';
+import {
+  serializeImportedLayers,
+  parseImportedLayers,
+} from './modules/imported-layers/util';
 import { resetLayers, subdailyLayersActive } from './modules/layers/selectors';
 import { getInitialEventsState } from './modules/natural-events/reducers';
 import { mapLocationToPaletteState } from './modules/palettes/util';
@@ -43,6 +54,8 @@ import { mapLocationToAnimationState } from './modules/animation/util';
 import { mapLocationToLocationSearchState, serializeCoordinatesWrapper } from './modules/location-search/util';
 import mapLocationToSidebarState from './modules/sidebar/util';
 import util from './util/util';
+import { serializeMeasurements, parseMeasurements } from './modules/measure/util';
+import { initialMeasureState } from './modules/measure/reducers';
 import {
   serializeSmartHandoff,
   parseSmartHandoff,
@@ -381,6 +394,15 @@ const getParameters = function(config, parameters) {
         setAsEmptyItem: true,
       },
     },
+    il: {
+      stateKey: 'importedLayers',
+      initialState: {},
+      options: {
+        serializeNeedsGlobalState: true,
+        serialize: serializeImportedLayers,
+        parse: parseImportedLayers,
+      },
+    },
     l: {
       stateKey: 'layers.active.layers',
       initialState: startingLayers,
@@ -466,6 +488,89 @@ const getParameters = function(config, parameters) {
         parse: (param) => (config.initialIsMobile ? 50 : param),
       },
     },
+    cha: {
+      stateKey: 'charting.active',
+      initialState: false,
+      options: {
+        serialize: (boo) => (boo ? 'on' : undefined),
+        parse: (str) => str === 'on',
+      },
+    },
+    chl: {
+      stateKey: 'charting.activeLayer',
+      initialState: undefined,
+      options: {
+        serializeNeedsGlobalState: true,
+        serialize: (layerId, state) => {
+          const isChartingActive = get(state, 'charting.active');
+          return isChartingActive ? layerId : undefined;
+        },
+      },
+    },
+    chal: {
+      stateKey: 'charting.additionalLayers',
+      initialState: [],
+      type: 'array',
+      options: {
+        serializeNeedsGlobalState: true,
+        serialize: (layerIds, state) => {
+          const isChartingActive = get(state, 'charting.active');
+          return isChartingActive && layerIds.length ? layerIds.join(',') : undefined;
+        },
+        parse: (str) => str.split(',').filter((layerId) => !!layerId),
+      },
+    },
+    chc: {
+      stateKey: 'charting.aoiCoordinates',
+      initialState: [],
+      type: 'array',
+      options: {
+        serializeNeedsGlobalState: true,
+        serialize: serializeChartingAOICoordinates,
+        parse: parseChartingAOICoordinates,
+      },
+    },
+    chg: {
+      stateKey: 'charting.aoiGeometry',
+      initialState: null,
+      options: {
+        serializeNeedsGlobalState: true,
+        serialize: serializeChartingAOIGeometry,
+        parse: parseChartingAOIGeometry,
+      },
+    },
+    cht: {
+      stateKey: 'charting.timeSpanSelection',
+      initialState: 'range',
+      options: {
+        serializeNeedsGlobalState: true,
+        serialize: (selection, state) => {
+          const isChartingActive = get(state, 'charting.active');
+          return isChartingActive ? selection : undefined;
+        },
+        parse: (str) => (str === 'date' ? 'date' : 'range'),
+      },
+    },
+    chs: {
+      stateKey: 'charting.timeSpanStartDate',
+      initialState: undefined,
+      type: 'date',
+      options: {
+        serializeNeedsGlobalState: true,
+        serialize: serializeChartingDate,
+        parse: (str) => tryCatchDate(str, undefined),
+      },
+    },
+    che: {
+      stateKey: 'charting.timeSpanEndDate',
+      initialState: undefined,
+      type: 'date',
+      options: {
+        serializeNeedsGlobalState: true,
+        serialize: serializeChartingDate,
+        parse: (str) => tryCatchDate(str, undefined),
+      },
+    },
     tr: {
       stateKey: 'tour.selected',
       initialState: '',
@@ -539,6 +644,15 @@ const getParameters = function(config, parameters) {
         serialize: serializeCoordinatesWrapper,
       },
     },
+    me: {
+      stateKey: 'measure.allMeasurements',
+      initialState: initialMeasureState.allMeasurements,
+      options: {
+        serializeNeedsGlobalState: true,
+        serialize: serializeMeasurements,
+        parse: (str) => parseMeasurements(str, config),
+      },
+    },
     t: {
       stateKey: 'date.selected',
       initialState: new Date(initialDate),
@@ -38,6 +38,7 @@ import {
   mockFutureTimeLayerOptions,
 } from './modules/layers/util';
 import { debugConfig } from './debug';
+import { watchImportedLayers } from './modules/imported-layers/util';
 import { CUSTOM_PALETTE_TYPE_ARRAY } from './modules/palettes/constants';
 
 const history = createBrowserHistory();
@@ -102,6 +103,7 @@ function render (config, legacyState) {
     ),
   );
   listenForHistoryChange(store, history);
+  watchImportedLayers(store);
 
   ReactDOM.render(
     <Provider store={store}>
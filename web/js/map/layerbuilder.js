@@ -11,10 +11,12 @@ import { get } from 'ol/proj';
 import OlTileGridTileGrid from 'ol/tilegrid/TileGrid';
 import MVT from 'ol/format/MVT';
 import axios from 'axios';
-import qs from 'qs';
 import LayerVectorTile from 'ol/layer/VectorTile';
 import SourceVectorTile from 'ol/source/VectorTile';
 import ImageLayer from 'ol/layer/Image';
+import OlLayerVector from 'ol/layer/Vector';
+import OlSourceVector from 'ol/source/Vector';
+import OlFormatGeoJSON from 'ol/format/GeoJSON';
 import Static from 'ol/source/ImageStatic';
 import lodashMerge from 'lodash/merge';
 import lodashEach from 'lodash/each';
@@ -43,7 +45,17 @@ import {
   applyStyle,
 } from '../modules/vector-styles/selectors';
 import { nearestInterval } from '../modules/layers/util';
+import { importedLayerStyle } from '../modules/imported-layers/util';
 import {
+  fillUrlTemplate,
+  getBandComboParams,
+  getStacCollection,
+  getStacMockURL,
+  getStacOptions,
+  getStacSearchBody,
+} from './stac';
+import {
+  CRS,
   LEFT_WING_EXTENT, RIGHT_WING_EXTENT, LEFT_WING_ORIGIN, RIGHT_WING_ORIGIN, CENTER_MAP_ORIGIN,
 } from '../modules/map/constants';
 
@@ -451,6 +463,37 @@ export default function mapLayerBuilder(config, cache, store) {
 
   const { getGranuleLayer } = granuleLayerBuilder(cache, store, createLayerWMTS);
 
+  /**
+   * Create a new layer from imported (client-side) vector data
+   *
+   * @method createLayerImported
+   * @static
+   * @param {object} def - Layer Specs
+   * @param {object} options - Layer options
+   * @param {number} day
+   * @param {object} state
+   * @returns {object} OpenLayers Vector layer
+   */
+  const createLayerImported = function(def, options, day, state) {
+    const { proj: { selected: { crs, maxExtent } }, importedLayers } = state;
+    const data = lodashGet(importedLayers, [def.id, 'data']);
+    const features = data
+      ? new OlFormatGeoJSON().readFeatures(data, {
+        dataProjection: CRS.GEOGRAPHIC,
+        featureProjection: crs,
+      })
+      : [];
+    return new OlLayerVector({
+      className: def.id,
+      extent: maxExtent,
+      source: new OlSourceVector({
+        features,
+        wrapX: false,
+      }),
+      style: importedLayerStyle,
+    });
+  };
+
   /**
    * Create a new WMS Layer
    *
@@ -663,70 +706,21 @@ export default function mapLayerBuilder(config, cache, store) {
     }
 
     const formattedDate = util.toISOStringSeconds(requestDate).slice(0, 10);
-    const layerID = def.id;
-    const BASE_URL = 'https://d1nzvsko7rbono.cloudfront.net';
-    const {
-      r,
-      g,
-      b,
-      expression,
-      assets = [],
-    } = def.bandCombo;
-    const bandCombo = [r, g, b, ...assets].filter((band) => band);
-
-    const landsatLayers = [
-      'HLS_Customizable_Landsat',
-      'HLS_False_Color_Landsat',
-      'HLS_False_Color_Urban_Landsat',
-      'HLS_False_Color_Vegetation_Landsat',
-      'HLS_Shortwave_Infrared_Landsat',
-      'HLS_NDVI_Landsat',
-      'HLS_NDWI_Landsat',
-      'HLS_NDSI_Landsat',
-      'HLS_Moisture_Index_Landsat',
-    ];
-
-    const collectionID = landsatLayers.includes(layerID) ? 'HLSL30' : 'HLSS30';
-
-    const temporalRange = [`${formattedDate}T00:00:00Z`, `${formattedDate}T23:59:59Z`];
-
-    const collectionsFilter = {
-      op: '=',
-      args: [{ property: 'collection' }, collectionID],
-    };
+    const stacOptions = getStacOptions(def, config.sources[def.source]);
+    const collection = getStacCollection(def, stacOptions);
+    const searchBody = getStacSearchBody(collection, formattedDate, stacOptions);
 
-    const temporalFilter = {
-      op: 't_intersects',
-      args: [{ property: 'datetime' }, { interval: temporalRange }],
-    };
-
-    const searchBody = {
-      'filter-lang': 'cql2-json',
-      context: 'on',
-      filter: {
-        op: 'and',
-        args: [
-          collectionsFilter,
-          temporalFilter,
-        ],
-      },
-    };
-
-    const mosaicResponse = await axios
-      .post(`${BASE_URL}/mosaic/register`, searchBody)
-      .then((res) => res.data);
+    const mockURL = getStacMockURL(config);
+    const mosaicResponse = await (mockURL
+      ? axios.get(mockURL)
+      : axios.post(stacOptions.searchUrl, searchBody)
+    ).then((res) => res.data);
 
     const tilesHref = mosaicResponse.links.find(
       (link) => link.rel === 'tilejson',
     ).href;
 
-    const params = {
-      post_process: 'swir',
-      assets: bandCombo,
-      expression,
-    };
-
-    const queryString = qs.stringify(params, { arrayFormat: 'repeat' });
+    const queryString = getBandComboParams(def.bandCombo, stacOptions.postProcess);
 
     const tilejsonResponse = await axios
       .get(tilesHref, {
@@ -742,29 +736,21 @@ export default function mapLayerBuilder(config, cache, store) {
   const createTtilerLayer = async (def, options, day, state) => {
     const { proj: { selected }, date } = state;
     const { maxExtent, crs } = selected;
-    const { r, g, b } = def.bandCombo;
 
     const source = config.sources[def.source];
+    const stacOptions = getStacOptions(def, source);
 
     const searchID = await registerSearch(def, options, state);
-
-    const tileUrlFunction = (tileCoord) => {
-      const z = tileCoord[0] - 1;
-      const x = tileCoord[1];
-      const y = tileCoord[2];
-
-      const assets = [r, g, b, ...def.bandCombo.assets || []].filter((b) => b);
-
-      const params = assets.map((asset) => `assets=${asset}`);
-      params.push(`expression=${encodeURIComponent(def?.bandCombo?.expression)}`);
-      params.push(`rescale=${encodeURIComponent(def?.bandCombo?.rescale)}`);
-      params.push(`colormap_name=${def?.bandCombo?.colormap_name}`);
-      params.push(`asset_as_band=${def?.bandCombo?.asset_as_band}`);
-
-      const urlParams = `mosaic/tiles/${searchID}/WGS1984Quad/${z}/${x}/${y}@1x?post_process=swir&${params.filter((p) => !p.split('=').includes('undefined')).join('&')}`;
-
-      return source.url + urlParams;
-    };
+    const params = getBandComboParams(def.bandCombo, stacOptions.postProcess);
+
+    const tileUrlFunction = (tileCoord) => fillUrlTemplate(stacOptions.tileUrl, {
+      url: source.url,
+      searchId: searchID,
+      z: tileCoord[0] - 1,
+      x: tileCoord[1],
+      y: tileCoord[2],
+      params,
+    });
 
     const xyzSourceOptions = {
       crossOrigin: 'anonymous',
@@ -849,6 +835,9 @@ export default function mapLayerBuilder(config, cache, store) {
           case 'ttiler':
             layer = await getLayer(createTtilerLayer, def, options, attributes, wrapLayer);
             break;
+          case 'imported':
+            layer = getLayer(createLayerImported, def, options, attributes, false);
+            break;
           default:
             throw new Error(`Unknown layer type: ${type}`);
         }
@@ -17,6 +17,7 @@ import EventIcon from '../../components/sidebar/event-icon';
 import { selectEvent as selectEventAction } from '../../modules/natural-events/actions';
 import { getDefaultEventDate } from '../../modules/natural-events/util';
 import { getFilteredEvents } from '../../modules/natural-events/selectors';
+import { getMagnitudeClass } from '../../modules/natural-events/magnitude';
 import { CRS } from '../../modules/map/constants';
 
 const icons = [
@@ -32,7 +33,7 @@ const icons = [
   'Wildfires',
 ];
 
-const createPin = function(id, category, isSelected, title, hideTooltip) {
+const createPin = function(id, category, isSelected, title, hideTooltip, magnitudeClass) {
   const overlayEl = document.createElement('div');
   ReactDOM.render(
     React.createElement(EventIcon, {
@@ -48,7 +49,11 @@ const createPin = function(id, category, isSelected, title, hideTooltip) {
     element: overlayEl,
     positioning: 'bottom-center',
     stopEvent: false,
-    className: isSelected ? 'marker selected' : 'marker',
+    className: [
+      'marker',
+      isSelected && 'selected',
+      magnitudeClass > -1 && `magnitude-${magnitudeClass}`,
+    ].filter(Boolean).join(' '),
     id,
   });
 };
@@ -103,14 +108,16 @@ class EventMarkers extends React.Component {
 
   componentDidUpdate(prevProps, prevState) {
     const {
-      proj, eventsDataIsLoading, isAnimatingToEvent, selectedEvent,
+      proj, eventsData, eventsDataIsLoading, isAnimatingToEvent, selectedEvent,
     } = this.props;
     const projChange = proj !== prevProps.proj;
     const finishedLoading = !eventsDataIsLoading && eventsDataIsLoading !== prevProps.eventsDataIsLoading;
     const animationFinished = !isAnimatingToEvent && isAnimatingToEvent !== prevProps.isAnimatingToEvent;
     const selectedEventChanged = selectedEvent && selectedEvent !== prevProps.selectedEvent;
+    // Loading more, cached responses & the magnitude filter change the events without loading
+    const eventsChanged = !eventsDataIsLoading && eventsData !== prevProps.eventsData;
 
-    if (finishedLoading || projChange || animationFinished || selectedEventChanged) {
+    if (finishedLoading || projChange || animationFinished || selectedEventChanged || eventsChanged) {
       this.remove();
       this.draw();
     }
@@ -174,7 +181,14 @@ class EventMarkers extends React.Component {
         ? category
         : { title: 'Default', slug: 'default' };
 
-      marker.pin = createPin(event.id, category, isSelected, event.title, hideTooltips);
+      marker.pin = createPin(
+        event.id,
+        category,
+        isSelected,
+        event.title,
+        hideTooltips,
+        getMagnitudeClass(geometry),
+      );
       marker.pin.setPosition(coordinates);
       map.addOverlay(marker.pin);
       this.addInteractions(marker, event, date, isSelected);
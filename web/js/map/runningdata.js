@@ -23,6 +23,39 @@ export default function MapRunningData(compareUi, store) {
     }
   }
 
+  // Determine if we should do anything with this raster layer
+  const shouldNotProcessRasterLayer = (layer) => {
+    const type = lodashGet(layer, 'wv.def.type');
+    const isGranule = type === 'granule' && !layer.get('granuleGroup');
+    const hasPalette = !!lodashGet(layer, 'wv.def.palette');
+    return isGranule || layer.isVector || !hasPalette;
+  };
+
+  /**
+   * Get the rendered color at a pixel of each raster layer that has a palette
+   * @param {Array} pixel
+   * @param {Object} map | OpenLayers map
+   * @param {Boolean} skipTransparent | Leave out layers with no data rendered at the pixel
+   * @returns {Object} | { [layerId]: { paletteLegends, paletteHex } }
+   */
+  function getRasterData(pixel, map, skipTransparent) {
+    const state = store.getState();
+    const rasterData = {};
+    map.getAllLayers().forEach((layer) => {
+      if (shouldNotProcessRasterLayer(layer)) return;
+      const { wv: { def: { id } } } = layer;
+      const data = layer.getData(pixel);
+      if (!data || (skipTransparent && !data[3])) return;
+      const [red, green, blue, alpha] = data;
+      const hexColor = util.rgbaToHex(red, green, blue, alpha);
+      rasterData[id] = {
+        paletteLegends: getPalette(id, undefined, undefined, state),
+        paletteHex: hexColor,
+      };
+    });
+    return rasterData;
+  }
+
   function newPoint(pixel, map) {
     const state = store.getState();
     const { proj, compare } = state;
@@ -76,29 +109,10 @@ export default function MapRunningData(compareUi, store) {
       };
     });
 
-    // Determine if we should do anything with this raster layer
-    const shouldNotProcessRasterLayer = (layer) => {
-      const state = store.getState();
-      const { sidebar: { isCollapsed } } = state;
-      const type = lodashGet(layer, 'wv.def.type');
-      const isGranule = type === 'granule' && !layer.get('granuleGroup');
-      const hasPalette = !!lodashGet(layer, 'wv.def.palette');
-      return isGranule || layer.isVector || !hasPalette || isCollapsed;
-    };
-
     // Running data for raster layers
-    map.getAllLayers().forEach((layer) => {
-      if (shouldNotProcessRasterLayer(layer)) return;
-      const { wv: { def: { id } } } = layer;
-      const data = layer.getData(pixel);
-      if (!data) return;
-      const [red, green, blue, alpha] = data;
-      const hexColor = util.rgbaToHex(red, green, blue, alpha);
-      activeLayerObj[id] = {
-        paletteLegends: getPalette(id, undefined, undefined, state),
-        paletteHex: hexColor,
-      };
-    });
+    if (!state.sidebar.isCollapsed) {
+      Object.assign(activeLayerObj, getRasterData(pixel, map));
+    }
 
     if (!lodashIsEqual(activeLayerObj, dataObj)) {
       dataObj = activeLayerObj;
@@ -108,6 +122,7 @@ export default function MapRunningData(compareUi, store) {
 
   return {
     clearAll,
+    getRasterData,
     newPoint,
   };
 }
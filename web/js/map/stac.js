@@ -0,0 +1,146 @@
+import lodashGet from 'lodash/get';
+
+/**
+ * Band combination ("ttiler") layers register a STAC search as a titiler mosaic
+ * and request tiles of the mosaic. The endpoints are set in the "stac" object
+ * of the layer source:
+ *
+ *   "stac": {
+ *     "searchUrl": "https://example.com/mosaic/register",
+ *     "tileUrl": "{url}mosaic/tiles/{searchId}/WGS1984Quad/{z}/{x}/{y}@1x?{params}",
+ *     "collections": { "HLS_Customizable_Landsat": "HLSL30" },
+ *     "defaultCollection": "HLSS30",
+ *     "maxCloudCover": 50
+ *   }
+ *
+ * "{url}" in the tile URL is the source url. The "stac" object of a layer can
+ * override any of these except "collections", which maps layer ids to collections
+ * for the whole source; a layer sets its own "collection" instead. A source
+ * without "collections" uses the HLS Landsat & Sentinel mapping.
+ */
+const LANDSAT_LAYERS = [
+  'HLS_Customizable_Landsat',
+  'HLS_False_Color_Landsat',
+  'HLS_False_Color_Urban_Landsat',
+  'HLS_False_Color_Vegetation_Landsat',
+  'HLS_Shortwave_Infrared_Landsat',
+  'HLS_NDVI_Landsat',
+  'HLS_NDWI_Landsat',
+  'HLS_NDSI_Landsat',
+  'HLS_Moisture_Index_Landsat',
+];
+
+// The HLS mosaic endpoints, used for sources without a stac configuration
+export const DEFAULT_STAC_OPTIONS = {
+  searchUrl: 'https://d1nzvsko7rbono.cloudfront.net/mosaic/register',
+  tileUrl: '{url}mosaic/tiles/{searchId}/WGS1984Quad/{z}/{x}/{y}@1x?{params}',
+  collections: LANDSAT_LAYERS.reduce((acc, id) => ({ ...acc, [id]: 'HLSL30' }), {}),
+  defaultCollection: 'HLSS30',
+  cloudCoverProperty: 'eo:cloud_cover',
+  postProcess: 'swir',
+};
+
+/**
+ * @param {Object} def | layer definition
+ * @param {Object} source | layer source from the config
+ * @returns {Object} stac options of the layer, collections always from the source
+ */
+export function getStacOptions(def, source) {
+  const sourceOptions = lodashGet(source, 'stac') || {};
+  const layerOptions = def.stac || {};
+  return {
+    ...DEFAULT_STAC_OPTIONS,
+    ...sourceOptions,
+    ...layerOptions,
+    collections: sourceOptions.collections || DEFAULT_STAC_OPTIONS.collections,
+  };
+}
+
+/**
+ * @param {Object} def | layer definition
+ * @param {Object} stacOptions | from getStacOptions
+ * @returns {String} id of the STAC collection searched for the layer
+ */
+export function getStacCollection(def, stacOptions) {
+  return stacOptions.collection
+    || stacOptions.collections[def.id]
+    || stacOptions.defaultCollection;
+}
+
+/**
+ * CQL2 search of the layer collection on a day, optionally limited to items
+ * below a cloud cover percentage
+ * @param {String} collection
+ * @param {String} day | YYYY-MM-DD
+ * @param {Object} stacOptions | from getStacOptions
+ * @returns {Object} search request body
+ */
+export function getStacSearchBody(collection, day, stacOptions) {
+  const { maxCloudCover, cloudCoverProperty } = stacOptions;
+  const args = [
+    {
+      op: '=',
+      args: [{ property: 'collection' }, collection],
+    },
+    {
+      op: 't_intersects',
+      args: [{ property: 'datetime' }, { interval: [`${day}T00:00:00Z`, `${day}T23:59:59Z`] }],
+    },
+  ];
+  if (Number.isFinite(maxCloudCover)) {
+    args.push({
+      op: '<=',
+      args: [{ property: cloudCoverProperty }, maxCloudCover],
+    });
+  }
+  return {
+    'filter-lang': 'cql2-json',
+    context: 'on',
+    filter: { op: 'and', args },
+  };
+}
+
+/**
+ * Local search response used instead of the search endpoint when the mockStac
+ * parameter is set
+ * @param {Object} config
+ * @returns {String} mock file, undefined when not mocked
+ */
+export function getStacMockURL(config) {
+  const mock = lodashGet(config, 'parameters.mockStac');
+  if (!mock) return;
+  const file = 'mock/stac_mosaic_register.json';
+  return mock === 'true' ? file : `${file}-${mock}`;
+}
+
+/**
+ * Titiler query parameters of a band combination
+ * @param {Object} bandCombo
+ * @param {String} postProcess
+ * @returns {String}
+ */
+export function getBandComboParams(bandCombo, postProcess) {
+  const {
+    r, g, b, assets = [], expression, rescale, colormap_name: colormap, asset_as_band: assetAsBand,
+  } = bandCombo;
+  const params = postProcess ? [`post_process=${postProcess}`] : [];
+  [r, g, b, ...assets]
+    .filter((asset) => asset)
+    .forEach((asset) => params.push(`assets=${asset}`));
+  if (expression !== undefined) params.push(`expression=${encodeURIComponent(expression)}`);
+  if (rescale !== undefined) params.push(`rescale=${encodeURIComponent(rescale)}`);
+  if (colormap !== undefined) params.push(`colormap_name=${colormap}`);
+  if (assetAsBand !== undefined) params.push(`asset_as_band=${assetAsBand}`);
+  return params.join('&');
+}
+
+/**
+ * @param {String} template | e.g. "{url}mosaic/tiles/{searchId}/{z}/{x}/{y}?{params}"
+ * @param {Object} values
+ * @returns {String} URL with the "{key}" placeholders of the template replaced
+ */
+export function fillUrlTemplate(template, values) {
+  return template.replace(/{(\w+)}/g, (match, key) => (
+    values[key] === undefined ? match : values[key]
+  ));
+}
@@ -0,0 +1,90 @@
+import {
+  DEFAULT_STAC_OPTIONS,
+  fillUrlTemplate,
+  getBandComboParams,
+  getStacCollection,
+  getStacMockURL,
+  getStacOptions,
+  getStacSearchBody,
+} from './stac';
+
+describe('STAC options', () => {
+  const source = {
+    url: 'https://example.com/',
+    stac: {
+      searchUrl: 'https://example.com/mosaic/register',
+      collections: { HLS_Customizable_Landsat: 'landsat-c2' },
+      defaultCollection: 'sentinel-2',
+    },
+  };
+
+  test('uses the default endpoints without a source configuration [stac-defaults]', () => {
+    const options = getStacOptions({ id: 'HLS_NDVI_Landsat' }, {});
+    expect(options).toEqual(DEFAULT_STAC_OPTIONS);
+    expect(getStacCollection({ id: 'HLS_NDVI_Landsat' }, options)).toEqual('HLSL30');
+    expect(getStacCollection({ id: 'HLS_NDVI_Sentinel' }, options)).toEqual('HLSS30');
+  });
+  test('layer options override the source options [stac-overrides]', () => {
+    const def = { id: 'HLS_Customizable_Landsat', stac: { maxCloudCover: 20 } };
+    const options = getStacOptions(def, source);
+    expect(options.searchUrl).toEqual('https://example.com/mosaic/register');
+    expect(options.tileUrl).toEqual(DEFAULT_STAC_OPTIONS.tileUrl);
+    expect(options.maxCloudCover).toEqual(20);
+    expect(getStacCollection(def, options)).toEqual('landsat-c2');
+    expect(getStacCollection({ id: 'HLS_NDVI_Landsat' }, options)).toEqual('sentinel-2');
+    const layerCollection = { ...def, stac: { collection: 'custom' } };
+    expect(getStacCollection(layerCollection, getStacOptions(layerCollection, source)))
+      .toEqual('custom');
+    const layerCollections = { ...def, stac: { collections: { HLS_Customizable_Landsat: 'other' } } };
+    expect(getStacOptions(layerCollections, source).collections).toEqual(source.stac.collections);
+  });
+});
+
+describe('STAC search', () => {
+  test('searches the collection on the day [stac-search]', () => {
+    const { filter } = getStacSearchBody('HLSS30', '2023-07-01', DEFAULT_STAC_OPTIONS);
+    expect(filter.args).toEqual([
+      { op: '=', args: [{ property: 'collection' }, 'HLSS30'] },
+      {
+        op: 't_intersects',
+        args: [{ property: 'datetime' }, { interval: ['2023-07-01T00:00:00Z', '2023-07-01T23:59:59Z'] }],
+      },
+    ]);
+  });
+  test('filters on cloud cover [stac-cloud-cover]', () => {
+    const options = { ...DEFAULT_STAC_OPTIONS, maxCloudCover: 0 };
+    const { filter } = getStacSearchBody('HLSS30', '2023-07-01', options);
+    expect(filter.args[2]).toEqual({ op: '<=', args: [{ property: 'eo:cloud_cover' }, 0] });
+  });
+  test('uses the mock file when mocked [stac-mock]', () => {
+    expect(getStacMockURL({ parameters: {} })).toBeUndefined();
+    expect(getStacMockURL({ parameters: { mockStac: 'true' } }))
+      .toEqual('mock/stac_mosaic_register.json');
+    expect(getStacMockURL({ parameters: { mockStac: 'empty' } }))
+      .toEqual('mock/stac_mosaic_register.json-empty');
+  });
+});
+
+describe('STAC tiles', () => {
+  test('adds the band combination params [stac-params]', () => {
+    expect(getBandComboParams({ r: 'B04', g: 'B03', b: 'B02' }, 'swir'))
+      .toEqual('post_process=swir&assets=B04&assets=B03&assets=B02');
+    expect(getBandComboParams({
+      assets: ['B05', 'B04'],
+      expression: '(B05-B04)/(B05+B04)',
+      rescale: '-1,1',
+      asset_as_band: true,
+    })).toEqual('assets=B05&assets=B04&expression=(B05-B04)%2F(B05%2BB04)&rescale=-1%2C1&asset_as_band=true');
+  });
+  test('fills the tile URL template [stac-tile-url]', () => {
+    expect(fillUrlTemplate(DEFAULT_STAC_OPTIONS.tileUrl, {
+      url: 'https://example.com/',
+      searchId: 'abc',
+      z: 2,
+      x: 1,
+      y: 0,
+      params: 'assets=B04',
+    })).toEqual('https://example.com/mosaic/tiles/abc/WGS1984Quad/2/1/0@1x?assets=B04');
+    expect(fillUrlTemplate('{url}{missing}', { url: 'a/' })).toEqual('a/{missing}');
+  });
+});
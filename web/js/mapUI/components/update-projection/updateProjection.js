@@ -336,6 +336,7 @@ function UpdateProjection(props) {
       case paletteConstants.SET_THRESHOLD_RANGE_AND_SQUASH:
       case paletteConstants.SET_CUSTOM:
       case paletteConstants.SET_DISABLED_CLASSIFICATION:
+      case paletteConstants.SET_CLASSIFICATION_STYLE:
       case paletteConstants.CLEAR_CUSTOM:
       case layerConstants.ADD_LAYERS_FOR_EVENT:
         return setTimeout(reloadLayers, 100);
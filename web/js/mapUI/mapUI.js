@@ -122,6 +122,7 @@ function MapUI(props) {
       case paletteConstants.SET_THRESHOLD_RANGE_AND_SQUASH:
       case paletteConstants.SET_CUSTOM:
       case paletteConstants.SET_DISABLED_CLASSIFICATION:
+      case paletteConstants.SET_CLASSIFICATION_STYLE:
       case paletteConstants.CLEAR_CUSTOM:
       case layerConstants.ADD_LAYERS_FOR_EVENT:
       case vectorStyleConstants.SET_FILTER_RANGE:
@@ -13,6 +13,9 @@ import {
   COLLAPSE_ANIMATION,
   TOGGLE_AUTOPLAY,
   PLAY_KIOSK_ANIMATIONS,
+  SET_CAMERA_KEYFRAME,
+  CLEAR_CAMERA_KEYFRAMES,
+  TOGGLE_FOLLOW_EVENT,
 } from './constants';
 import util from '../../util/util';
 import { TIME_SCALE_FROM_NUMBER } from '../date/constants';
@@ -121,3 +124,32 @@ export function playKioskAnimation(startDate, endDate) {
     endDate,
   };
 }
+/**
+ * Save the current map view as the camera keyframe at the start or end of the animation
+ * @param {String} key | start or end
+ */
+export function setCameraKeyframe(key) {
+  return (dispatch, getState) => {
+    const { map, proj } = getState();
+    const view = map.ui.selected.getView();
+    dispatch({
+      type: SET_CAMERA_KEYFRAME,
+      key,
+      value: {
+        center: view.getCenter(),
+        zoom: view.getZoom(),
+        proj: proj.selected.id,
+      },
+    });
+  };
+}
+export function clearCameraKeyframes() {
+  return {
+    type: CLEAR_CAMERA_KEYFRAMES,
+  };
+}
+export function toggleFollowEvent() {
+  return {
+    type: TOGGLE_FOLLOW_EVENT,
+  };
+}
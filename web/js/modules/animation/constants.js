@@ -13,3 +13,6 @@ export const KEY_PRESS_ACTION = 'ANIMATION/KEY_PRESS_ACTION';
 export const COLLAPSE_ANIMATION = 'ANIMATION/COLLAPSE_ANIMATION';
 export const TOGGLE_AUTOPLAY = 'ANIMATION/TOGGLE_AUTOPLAY';
 export const PLAY_KIOSK_ANIMATIONS = 'ANIMATION/PLAY_KIOSK_ANIMATIONS';
+export const SET_CAMERA_KEYFRAME = 'ANIMATION/SET_CAMERA_KEYFRAME';
+export const CLEAR_CAMERA_KEYFRAMES = 'ANIMATION/CLEAR_CAMERA_KEYFRAMES';
+export const TOGGLE_FOLLOW_EVENT = 'ANIMATION/TOGGLE_FOLLOW_EVENT';
@@ -99,3 +99,24 @@ test('KEY_PRESS_ACTION action does not toggle isPlaying bool when animation is i
   expect(defaultState.isPlaying).toBeFalsy();
   expect(response.isPlaying).toBeFalsy();
 });
+test('SET_CAMERA_KEYFRAME action saves a view [animation-reducer-camera-keyframe]', () => {
+  const view = { center: [10, 20], zoom: 4, proj: 'geographic' };
+  const response = animationReducer(defaultState, {
+    type: CONSTANTS.SET_CAMERA_KEYFRAME,
+    key: 'end',
+    value: view,
+  });
+  expect(response.keyframes).toEqual({ start: null, end: view });
+});
+test('CLEAR_CAMERA_KEYFRAMES action fixes the view [animation-reducer-camera-clear]', () => {
+  const updatedState = {
+    ...defaultState,
+    keyframes: { start: { center: [0, 0], zoom: 2 }, end: { center: [1, 1], zoom: 3 } },
+    followEvent: true,
+  };
+  const response = animationReducer(updatedState, {
+    type: CONSTANTS.CLEAR_CAMERA_KEYFRAMES,
+  });
+  expect(response.keyframes).toEqual({ start: null, end: null });
+  expect(response.followEvent).toEqual(false);
+});
@@ -15,6 +15,9 @@ import {
   COLLAPSE_ANIMATION,
   TOGGLE_AUTOPLAY,
   PLAY_KIOSK_ANIMATIONS,
+  SET_CAMERA_KEYFRAME,
+  CLEAR_CAMERA_KEYFRAMES,
+  TOGGLE_FOLLOW_EVENT,
 } from './constants';
 
 export const defaultState = {
@@ -28,6 +31,11 @@ export const defaultState = {
   boundaries: undefined,
   isCollapsed: false,
   autoplay: false,
+  keyframes: {
+    start: null,
+    end: null,
+  },
+  followEvent: false,
 };
 export function getInitialState(config) {
   return {
@@ -138,6 +146,25 @@ export function animationReducer(state = defaultState, action) {
         endDate: action.endDate,
         isPlaying: true,
       };
+    case SET_CAMERA_KEYFRAME:
+      return {
+        ...state,
+        keyframes: {
+          ...state.keyframes,
+          [action.key]: action.value,
+        },
+      };
+    case CLEAR_CAMERA_KEYFRAMES:
+      return {
+        ...state,
+        keyframes: defaultState.keyframes,
+        followEvent: false,
+      };
+    case TOGGLE_FOLLOW_EVENT:
+      return {
+        ...state,
+        followEvent: !state.followEvent,
+      };
 
     default:
       return state;
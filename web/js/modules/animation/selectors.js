@@ -7,6 +7,12 @@ import {
 import { subdailyLayersActive, getLayers } from '../layers/selectors';
 import { TIME_SCALE_FROM_NUMBER } from '../date/constants';
 import { formatDisplayDate } from '../date/util';
+import { getFilteredEvents } from '../natural-events/selectors';
+import {
+  getCameraFrameExtent,
+  getCameraView,
+  getEventTrack,
+} from './util';
 
 /*
  * retrieves renderable layers
@@ -41,65 +47,131 @@ function getProducts(date, state) {
   return layersArray;
 }
 
-/*
- * loops through dates and created image
- * download urls and pushs them to an
- * array
- *
- * @method getImageArray
- * @private
- *
- * @returns {array} array of jpg urls
- *
+/**
+ * Get the camera path of the animation from the saved start & end views and,
+ * when following an event, the track of the selected natural event
+ * @param {Object} state
+ * @returns {Object|null} | { start, end, track, startDate, endDate, zoom }, null if the view is fixed
  */
-export default function getImageArray(
+export function getAnimationCamera(state) {
+  const {
+    animation, proj, events, map,
+  } = state;
+  const {
+    keyframes, followEvent, startDate, endDate,
+  } = animation;
+  const { id, crs } = proj.selected;
+  // Keyframes saved in another projection don't apply
+  const start = keyframes.start && keyframes.start.proj === id ? keyframes.start : null;
+  const end = keyframes.end && keyframes.end.proj === id ? keyframes.end : null;
+  let track = null;
+  if (followEvent && events && events.selected.id) {
+    const event = getFilteredEvents(state).find((e) => e.id === events.selected.id);
+    if (event && event.geometry.length > 1) {
+      track = getEventTrack(event, crs);
+    }
+  }
+  if (!(start && end) && !track) return null;
+  return {
+    start,
+    end,
+    track,
+    startDate,
+    endDate,
+    zoom: map.ui.selected && map.ui.selected.getView().getZoom(),
+  };
+}
+
+/**
+ * Build the snapshot URL of every frame between the animation start & end dates
+ * @param {Object} options | { boundaries, startDate, endDate, url, fileType, isWorldfile, camera }
+ * @param {Object} dimensions | Snapshot width & height
+ * @param {Object} state
+ * @param {Number} maxFrames | Frame limit, defaults to the GIF limit
+ * @returns {Array|Boolean} | [{ date, url, layers }], false if there are too many frames
+ */
+export function getAnimationFrames(
   options,
   dimensions,
   state,
+  maxFrames = 40,
 ) {
   const {
-    animation, proj, map, date, locationSearch,
+    proj, map, date, locationSearch,
   } = state;
   const {
-    boundaries, showDates, startDate, endDate, url,
+    boundaries, startDate, endDate, url, fileType = false, isWorldfile = false, camera,
   } = options;
   const {
     customInterval, interval, customDelta, delta, customSelected,
   } = date;
-  const a = [];
+  const frames = [];
   const fromDate = new Date(startDate);
   const toDate = new Date(endDate);
   const markerCoordinates = locationSearch.coordinates;
-  const isSubDaily = subdailyLayersActive(state);
+  const lonlats = imageUtilGetCoordsFromPixelValues(boundaries, map.ui.selected);
+  const view = map.ui.selected.getView();
+  // Keep the crop box in the same place on screen as the camera moves
+  const getFrameLonlats = (frameDate) => {
+    if (!camera) return lonlats;
+    const { center, zoom } = getCameraView(camera, frameDate);
+    return getCameraFrameExtent(
+      lonlats,
+      { center: view.getCenter(), resolution: view.getResolution() },
+      { center, resolution: view.getResolutionForZoom(zoom) },
+    );
+  };
   let current = fromDate;
-  let j = 0;
-  let src;
-  let strDate;
-  let products;
   const useDelta = customSelected && customDelta ? customDelta : delta;
   const increment = customSelected
     ? TIME_SCALE_FROM_NUMBER[customInterval]
     : TIME_SCALE_FROM_NUMBER[interval];
 
   while (current <= toDate) {
-    j += 1;
-    strDate = formatDisplayDate(current, isSubDaily);
-    products = getProducts(current, state);
-
-    const lonlats = imageUtilGetCoordsFromPixelValues(boundaries, map.ui.selected);
-    const dlURL = getDownloadUrl(url, proj, products, lonlats, dimensions, current, false, false, markerCoordinates);
-
-    src = util.format(dlURL, strDate);
-    a.push({
-      src,
-      text: showDates ? strDate : '',
-      delay: 1000 / animation.speed,
+    const layers = getProducts(current, state);
+    frames.push({
+      date: current,
+      url: getDownloadUrl(url, proj, layers, getFrameLonlats(current), dimensions, current, fileType, isWorldfile, markerCoordinates),
+      layers,
     });
     current = util.dateAdd(current, increment, useDelta);
-    if (j > 40) {
+    if (frames.length > maxFrames) {
       // too many frames
       return false;
     }
   }
-  return a;
+  return frames;
+}
+
+/*
+ * loops through dates and created image
+ * download urls and pushs them to an
+ * array
+ *
+ * @method getImageArray
+ * @private
+ *
+ * @returns {array} array of jpg urls with the date text & layers of each frame
+ *
+ */
+export default function getImageArray(
+  options,
+  dimensions,
+  state,
+) {
+  const { animation } = state;
+  const { showDates } = options;
+  const isSubDaily = subdailyLayersActive(state);
+  const frames = getAnimationFrames(options, dimensions, state);
+  if (!frames) return false;
+
+  return frames.map(({ date, url, layers }) => {
+    const strDate = formatDisplayDate(date, isSubDaily);
+    return {
+      src: util.format(url, strDate),
+      text: showDates ? strDate : '',
+      delay: 1000 / animation.speed,
+      layers,
+    };
+  });
 }
@@ -0,0 +1,131 @@
+import { drawLayerLegends, drawText } from '../image-download/overlays';
+import { canvasToBlob } from '../image-download/util';
+import { createImagePDF } from '../../util/pdf';
+
+// Panels are scaled down so that large grids stay within browser canvas limits
+const MAX_GRID_PIXELS = 64000000;
+const BACKGROUND_COLOR = '#000';
+const LEGEND_WIDTH_RATIO = 13;
+const MEASURE_CANVAS_HEIGHT = 8000;
+
+export const SMALL_MULTIPLES_FILE_TYPES = {
+  values: [
+    { value: 'image/png', text: 'PNG' },
+    { value: 'application/pdf', text: 'PDF' },
+  ],
+};
+
+/**
+ * Get the number of columns & rows of a grid of frames
+ * @param {Number} count | Number of frames
+ * @param {Number} columns | Requested number of columns, 0 to keep the grid close to square
+ * @returns {Object} | { columns, rows }
+ */
+export function getGridLayout(count, columns) {
+  const gridColumns = Math.max(1, Math.min(count, columns || Math.ceil(Math.sqrt(count))));
+  return {
+    columns: gridColumns,
+    rows: Math.ceil(count / gridColumns),
+  };
+}
+
+/**
+ * Get the height of the layer legends column without drawing it
+ */
+function measureLegends(legendLayers, size, width) {
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = MEASURE_CANVAS_HEIGHT;
+  return drawLayerLegends(canvas.getContext('2d'), legendLayers, size, 0, 0);
+}
+
+/**
+ * Draw frames in a grid with the date of each frame & a shared legend
+ * @param {HTMLCanvasElement} canvas
+ * @param {Array} images | Loaded frame images, in date order
+ * @param {Object} options
+ * @param {Number} options.width | Frame width
+ * @param {Number} options.height | Frame height
+ * @param {Number} options.columns | 0 to keep the grid close to square
+ * @param {Array} options.labels | Date label of each frame
+ * @param {Array} options.legendLayers | [{ title, legends }] from getSnapshotOverlayContent
+ */
+export function drawSmallMultiples(canvas, images, options) {
+  const {
+    width, height, columns, labels = [], legendLayers = [],
+  } = options;
+  const layout = getGridLayout(images.length, columns);
+  const scale = Math.min(1, Math.sqrt(MAX_GRID_PIXELS / (layout.columns * layout.rows * width * height)));
+  const panelWidth = Math.floor(width * scale);
+  const panelHeight = Math.floor(height * scale);
+  const gap = Math.max(4, Math.round(Math.min(panelWidth, panelHeight) * 0.02));
+  const fontSize = Math.max(10, Math.round(Math.min(panelWidth, panelHeight) / 14));
+  const gridWidth = layout.columns * (panelWidth + gap) + gap;
+  const gridHeight = layout.rows * (panelHeight + gap) + gap;
+  const legendSize = Math.max(12, fontSize);
+  const legendWidth = legendLayers.length ? legendSize * LEGEND_WIDTH_RATIO + gap * 2 : 0;
+  const legendHeight = legendLayers.length ? measureLegends(legendLayers, legendSize, legendWidth) + gap * 2 : 0;
+
+  canvas.width = gridWidth + legendWidth;
+  canvas.height = Math.ceil(Math.max(gridHeight, legendHeight));
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = BACKGROUND_COLOR;
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+  images.forEach((image, i) => {
+    const x = gap + (i % layout.columns) * (panelWidth + gap);
+    const y = gap + Math.floor(i / layout.columns) * (panelHeight + gap);
+    ctx.drawImage(image, x, y, panelWidth, panelHeight);
+    if (labels[i]) {
+      drawText(ctx, labels[i], x + fontSize * 0.4, y + fontSize * 0.3, fontSize);
+    }
+  });
+  if (legendLayers.length) {
+    drawLayerLegends(ctx, legendLayers, legendSize, gridWidth + gap, gap);
+  }
+  return canvas;
+}
+
+function loadImage(src) {
+  return new Promise((resolve, reject) => {
+    const image = new Image();
+    image.crossOrigin = 'Anonymous';
+    image.onload = () => resolve(image);
+    image.onerror = () => reject(new Error(`Unable to load the frame image: ${src}`));
+    image.src = src;
+  });
+}
+
+/**
+ * Load the snapshot of every frame and lay them out as a grid image
+ * @param {Array} frames | [{ src, text }] from getImageArray
+ * @param {Object} options | drawSmallMultiples options plus:
+ * @param {String} options.fileType | image/png or application/pdf
+ * @param {Function} options.onProgress | (loadedFrames, totalFrames)
+ * @returns {Promise<Object>} | { blob, preview } where preview is an image of the grid
+ */
+export async function createSmallMultiples(frames, options) {
+  const { fileType, onProgress = () => {} } = options;
+  let loaded = 0;
+  onProgress(loaded, frames.length);
+  const images = await Promise.all(frames.map(async ({ src }) => {
+    const image = await loadImage(src);
+    loaded += 1;
+    onProgress(loaded, frames.length);
+    return image;
+  }));
+  const canvas = drawSmallMultiples(document.createElement('canvas'), images, {
+    ...options,
+    labels: frames.map(({ text }) => text),
+  });
+  if (fileType !== 'application/pdf') {
+    const blob = await canvasToBlob(canvas, 'image/png');
+    return { blob, preview: blob };
+  }
+  const jpeg = await canvasToBlob(canvas, 'image/jpeg');
+  const bytes = new Uint8Array(await jpeg.arrayBuffer());
+  return {
+    blob: createImagePDF(bytes, canvas.width, canvas.height),
+    preview: jpeg,
+  };
+}
@@ -0,0 +1,44 @@
+import { drawSmallMultiples, getGridLayout } from './small-multiples';
+
+test('Grid layout stays close to square [animation-small-multiples-layout]', () => {
+  expect(getGridLayout(8, 0)).toEqual({ columns: 3, rows: 3 });
+  expect(getGridLayout(4, 0)).toEqual({ columns: 2, rows: 2 });
+  expect(getGridLayout(1, 0)).toEqual({ columns: 1, rows: 1 });
+});
+
+test('Grid layout uses the requested columns [animation-small-multiples-columns]', () => {
+  expect(getGridLayout(8, 4)).toEqual({ columns: 4, rows: 2 });
+  // Never more columns than frames
+  expect(getGridLayout(3, 5)).toEqual({ columns: 3, rows: 1 });
+});
+
+test('Draws each frame with its date and a shared legend [animation-small-multiples-draw]', () => {
+  const images = [1, 2, 3].map(() => document.createElement('canvas'));
+  const canvas = drawSmallMultiples(document.createElement('canvas'), images, {
+    width: 200,
+    height: 100,
+    columns: 0,
+    labels: ['2018 APR 01', '2018 APR 02', '2018 APR 03'],
+    legendLayers: [{
+      title: 'Aerosol Optical Depth',
+      legends: [{
+        type: 'continuous',
+        colors: ['ff0000ff', '0000ffff'],
+        tooltips: ['0', '1'],
+      }],
+    }],
+  });
+  const drawCalls = canvas.getContext('2d').__getDrawCalls();
+  const drawnImages = drawCalls.filter(({ type }) => type === 'drawImage');
+  const text = drawCalls
+    .filter(({ type }) => type === 'fillText')
+    .map(({ props }) => props.text);
+
+  // 2 x 2 grid of 200 x 100 panels with 4px gaps, plus the legend column
+  expect(canvas.width).toBeGreaterThan(2 * 200 + 3 * 4);
+  expect(canvas.height).toBe(2 * 100 + 3 * 4);
+  expect(drawnImages.map(({ props }) => [props.dx, props.dy])).toEqual([[4, 4], [208, 4], [4, 108]]);
+  expect(text).toEqual(expect.arrayContaining([
+    '2018 APR 01', '2018 APR 02', '2018 APR 03', 'Aerosol Optical Depth', '0', '1',
+  ]));
+});
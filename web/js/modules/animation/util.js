@@ -1,8 +1,10 @@
 import { round as lodashRound, get as lodashGet } from 'lodash';
 import update from 'immutability-helper';
 import moment from 'moment';
+import { transform } from 'ol/proj';
 import canvg from '../../util/canvg';
 import util from '../../util/util';
+import { CRS } from '../map/constants';
 
 /**
  * Snap the value for the date/time to the closest previous playback step so that
@@ -150,3 +152,88 @@ export function mapLocationToAnimationState(
   }
   return stateFromLocation;
 }
+
+const lerp = (a, b, t) => a + (b - a) * t;
+const lerpCoordinate = (a, b, t) => [lerp(a[0], b[0], t), lerp(a[1], b[1], t)];
+
+/**
+ * Get how far through a date range a date is, clamped to 0 - 1
+ */
+function getFraction(date, startDate, endDate) {
+  const range = endDate - startDate;
+  if (range <= 0) return 0;
+  return Math.min(1, Math.max(0, (date - startDate) / range));
+}
+
+/**
+ * Get the center of each geometry of a natural event, in date order
+ * @param {Object} event | EONET event
+ * @param {String} crs | Map projection CRS
+ * @returns {Array} | [{ date, center }]
+ */
+export function getEventTrack(event, crs) {
+  return event.geometry
+    .map(({ date, type, coordinates }) => {
+      let lonlat = coordinates;
+      if (type === 'Polygon') {
+        // Skip the closing vertex, which repeats the first
+        const ring = coordinates[0].slice(0, -1);
+        lonlat = [0, 1].map((i) => ring.reduce((sum, coord) => sum + coord[i], 0) / ring.length);
+      }
+      return {
+        date: new Date(date),
+        center: crs === CRS.GEOGRAPHIC ? lonlat : transform(lonlat, CRS.GEOGRAPHIC, crs),
+      };
+    })
+    .sort((a, b) => a.date - b.date);
+}
+
+/**
+ * Get the center of an event track at a date, between the two closest track points
+ */
+function getTrackCenter(track, date) {
+  const first = track[0];
+  const last = track[track.length - 1];
+  if (date <= first.date) return first.center;
+  if (date >= last.date) return last.center;
+  const nextIndex = track.findIndex((point) => point.date > date);
+  const prev = track[nextIndex - 1];
+  const next = track[nextIndex];
+  return lerpCoordinate(prev.center, next.center, getFraction(date, prev.date, next.date));
+}
+
+/**
+ * Get the map view of an animation frame by interpolating between the camera
+ * keyframes, or along an event track
+ * @param {Object} camera | { start, end, track, startDate, endDate, zoom }
+ * @param {Date} date | Frame date
+ * @returns {Object} | { center, zoom }
+ */
+export function getCameraView(camera, date) {
+  const {
+    start, end, track, startDate, endDate, zoom,
+  } = camera;
+  const fraction = getFraction(date, startDate, endDate);
+  const hasKeyframes = !!(start && end);
+  return {
+    center: track
+      ? getTrackCenter(track, date)
+      : lerpCoordinate(start.center, end.center, fraction),
+    zoom: hasKeyframes ? lerp(start.zoom, end.zoom, fraction) : zoom,
+  };
+}
+
+/**
+ * Move a crop extent drawn over the current view to the same place in a frame's view
+ * @param {Array} extent | [[minX, minY], [maxX, maxY]] in the current view
+ * @param {Object} from | { center, resolution } of the current view
+ * @param {Object} to | { center, resolution } of the frame view
+ * @returns {Array} | [[minX, minY], [maxX, maxY]]
+ */
+export function getCameraFrameExtent(extent, from, to) {
+  const scale = to.resolution / from.resolution;
+  return extent.map(([x, y]) => [
+    to.center[0] + (x - from.center[0]) * scale,
+    to.center[1] + (y - from.center[1]) * scale,
+  ]);
+}
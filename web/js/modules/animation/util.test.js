@@ -1,4 +1,7 @@
 import {
+  getCameraFrameExtent,
+  getCameraView,
+  getEventTrack,
   mapLocationToAnimationState,
   snapToIntervalDelta,
 } from './util';
@@ -95,3 +98,48 @@ test('snapToIntervalDelta snaps to startDate if currentDate is before startDate
   const snappedDate = snapToIntervalDelta(currentDate, startDate, endDate, 'minute', 1);
   expect(snappedDate.valueOf()).toBe(expected.valueOf());
 });
+
+const cameraStart = new Date('2018-04-01T00:00:00Z');
+const cameraEnd = new Date('2018-04-05T00:00:00Z');
+
+test('getCameraView interpolates between the start and end views [animation-camera-keyframes]', () => {
+  const camera = {
+    start: { center: [0, 0], zoom: 2 },
+    end: { center: [40, -20], zoom: 6 },
+    track: null,
+    startDate: cameraStart,
+    endDate: cameraEnd,
+  };
+  expect(getCameraView(camera, cameraStart)).toEqual({ center: [0, 0], zoom: 2 });
+  expect(getCameraView(camera, new Date('2018-04-02T00:00:00Z'))).toEqual({ center: [10, -5], zoom: 3 });
+  expect(getCameraView(camera, new Date('2018-04-09T00:00:00Z'))).toEqual({ center: [40, -20], zoom: 6 });
+});
+
+test('getCameraView follows an event track at the current zoom [animation-camera-track]', () => {
+  const track = getEventTrack({
+    geometry: [
+      { date: '2018-04-03T00:00:00Z', type: 'Point', coordinates: [20, 10] },
+      { date: '2018-04-02T00:00:00Z', type: 'Polygon', coordinates: [[[0, 0], [4, 0], [4, 4], [0, 4], [0, 0]]] },
+    ],
+  }, 'EPSG:4326');
+  expect(track.map(({ center }) => center)).toEqual([[2, 2], [20, 10]]);
+
+  const camera = {
+    start: null,
+    end: null,
+    track,
+    startDate: cameraStart,
+    endDate: cameraEnd,
+    zoom: 4,
+  };
+  expect(getCameraView(camera, cameraStart)).toEqual({ center: [2, 2], zoom: 4 });
+  expect(getCameraView(camera, new Date('2018-04-02T12:00:00Z'))).toEqual({ center: [11, 6], zoom: 4 });
+  expect(getCameraView(camera, cameraEnd)).toEqual({ center: [20, 10], zoom: 4 });
+});
+
+test('getCameraFrameExtent keeps the crop box in place on screen [animation-camera-frame-extent]', () => {
+  const extent = [[-10, -5], [10, 5]];
+  const from = { center: [0, 0], resolution: 1 };
+  const to = { center: [100, 50], resolution: 0.5 };
+  expect(getCameraFrameExtent(extent, from, to)).toEqual([[95, 47.5], [105, 52.5]]);
+});
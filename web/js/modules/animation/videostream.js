@@ -0,0 +1,158 @@
+import Promise from 'bluebird';
+import GifStream from './gifstream';
+
+export const VIDEO_FORMATS = [
+  {
+    value: 'mp4',
+    text: 'MP4',
+    extension: 'mp4',
+    mimeTypes: ['video/mp4;codecs=avc1', 'video/mp4'],
+  },
+  {
+    value: 'webm',
+    text: 'WebM',
+    extension: 'webm',
+    mimeTypes: ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'],
+  },
+];
+
+export const VIDEO_QUALITIES = [
+  { value: 'low', text: 'Low (2 Mbps)', bitrate: 2000000 },
+  { value: 'medium', text: 'Medium (5 Mbps)', bitrate: 5000000 },
+  { value: 'high', text: 'High (10 Mbps)', bitrate: 10000000 },
+];
+
+export const VIDEO_FRAME_RATES = [1, 2, 3, 5, 10, 15, 24, 30];
+
+/**
+ * Get the first MIME type of a video format that this browser can record
+ * @param {String} format | mp4 or webm
+ * @returns {String|undefined}
+ */
+export function getSupportedMimeType(format) {
+  if (typeof MediaRecorder === 'undefined' || !MediaRecorder.isTypeSupported) return;
+  const videoFormat = VIDEO_FORMATS.find(({ value }) => value === format);
+  if (!videoFormat) return;
+  return videoFormat.mimeTypes.find((type) => MediaRecorder.isTypeSupported(type));
+}
+
+/**
+ * Video formats this browser can record from a canvas. Empty when
+ * MediaRecorder or canvas capture isn't available, leaving only GIF.
+ * @returns {Array}
+ */
+export function getSupportedVideoFormats() {
+  if (typeof HTMLCanvasElement === 'undefined' || !HTMLCanvasElement.prototype.captureStream) {
+    return [];
+  }
+  return VIDEO_FORMATS.filter(({ value }) => getSupportedMimeType(value));
+}
+
+/**
+ * Records animation frames to a video by drawing each frame to a canvas
+ * captured with MediaRecorder. Frames are cropped, stamped and loaded the
+ * same way as GIF frames.
+ */
+export default class VideoStream extends GifStream {
+  cancel() {
+    super.cancel();
+    clearTimeout(this.timeout);
+    if (this.recorder && this.recorder.state !== 'inactive') {
+      this.recorder.stop();
+    }
+  }
+
+  /**
+   * Create video from options
+   *
+   * @param  {Object}   options  GIF options plus format, bitrate & frameRate
+   * @param  {Function} callback Function to call once the video is created
+   * @return {void}
+   */
+  createVideo(options, callback) {
+    const mimeType = getSupportedMimeType(options.format);
+    if (!mimeType) {
+      callback({
+        blob: null,
+        error: new Error(`${options.format} video recording is not supported by this browser`),
+      });
+      return;
+    }
+    this.canvas = document.createElement('canvas');
+    this.cancelled = false;
+    this.ctx = this.canvas.getContext('2d');
+    this.options = options;
+    this.canvas.width = options.gifWidth;
+    this.canvas.height = options.gifHeight;
+
+    if (options.images.length < 1) {
+      throw new Error('No images found');
+    }
+    const imagePromiseArray = options.images.map((imageObj) => this.getImagePromise(imageObj));
+    this.promise = Promise.all(imagePromiseArray)
+      .then((images) => this.record(images, mimeType, callback))
+      .catch((e) => callback({ blob: null, error: e }));
+  }
+
+  /**
+   * Draw each frame to the canvas and hold it for 1 / frameRate seconds while
+   * MediaRecorder captures the canvas in real time
+   */
+  record(images, mimeType, callback) {
+    const { options, canvas } = this;
+    const stream = canvas.captureStream(0);
+    const [track] = stream.getVideoTracks();
+    const recorder = new MediaRecorder(stream, {
+      mimeType,
+      videoBitsPerSecond: options.bitrate,
+    });
+    const frameDuration = 1000 / options.frameRate;
+    const chunks = [];
+    let index = 0;
+    let error;
+    this.recorder = recorder;
+
+    recorder.ondataavailable = (e) => {
+      if (e.data && e.data.size) chunks.push(e.data);
+    };
+    recorder.onerror = (e) => {
+      error = e.error || new Error('Video recording failed');
+      clearTimeout(this.timeout);
+      if (recorder.state !== 'inactive') recorder.stop();
+    };
+    recorder.onstop = () => {
+      stream.getTracks().forEach((t) => t.stop());
+      this.recorder = null;
+      if (this.cancelled) {
+        console.warn('Video creation has been cancelled');
+        callback({ cancelled: true });
+      } else if (error || !chunks.length) {
+        callback({ blob: null, error: error || new Error('No video data was recorded') });
+      } else {
+        callback({
+          blob: new Blob(chunks, { type: mimeType.split(';')[0] }),
+          error: '',
+        });
+      }
+    };
+
+    const drawFrame = () => {
+      if (this.cancelled || index >= images.length) {
+        if (recorder.state !== 'inactive') recorder.stop();
+        return;
+      }
+      this.addFrameDetails(this.ctx, images[index]);
+      if (track.requestFrame) track.requestFrame();
+      index += 1;
+      options.progressCallback(Math.round((index / images.length) * 100));
+      const delay = index === images.length && options.extraLastFrameDelay
+        ? frameDuration + options.extraLastFrameDelay
+        : frameDuration;
+      this.timeout = setTimeout(drawFrame, delay);
+    };
+
+    recorder.start();
+    options.progressCallback(0);
+    drawFrame();
+  }
+}
@@ -0,0 +1,108 @@
+import VideoStream, {
+  getSupportedMimeType,
+  getSupportedVideoFormats,
+} from './videostream';
+
+class MockMediaRecorder {
+  constructor(stream, options) {
+    this.stream = stream;
+    this.options = options;
+    this.state = 'inactive';
+    MockMediaRecorder.instance = this;
+  }
+
+  start() {
+    this.state = 'recording';
+  }
+
+  stop() {
+    this.state = 'inactive';
+    this.ondataavailable({ data: new Blob(['video']) });
+    this.onstop();
+  }
+}
+MockMediaRecorder.isTypeSupported = (type) => type.startsWith('video/webm');
+
+const track = { requestFrame: jest.fn(), stop: jest.fn() };
+const stream = {
+  getVideoTracks: () => [track],
+  getTracks: () => [track],
+};
+
+beforeEach(() => {
+  global.MediaRecorder = MockMediaRecorder;
+  HTMLCanvasElement.prototype.captureStream = jest.fn(() => stream);
+});
+
+afterEach(() => {
+  delete global.MediaRecorder;
+  delete HTMLCanvasElement.prototype.captureStream;
+  jest.useRealTimers();
+});
+
+test('Picks the first MIME type the browser can record [animation-video-mime-type]', () => {
+  expect(getSupportedMimeType('webm')).toBe('video/webm;codecs=vp9');
+  expect(getSupportedMimeType('mp4')).toBeUndefined();
+  delete global.MediaRecorder;
+  expect(getSupportedMimeType('webm')).toBeUndefined();
+});
+
+test('Only formats the browser can record are offered [animation-video-formats]', () => {
+  expect(getSupportedVideoFormats().map(({ value }) => value)).toEqual(['webm']);
+  delete HTMLCanvasElement.prototype.captureStream;
+  expect(getSupportedVideoFormats()).toEqual([]);
+});
+
+test('Unsupported formats return an error so a GIF can be created instead [animation-video-unsupported]', () => {
+  const callback = jest.fn();
+  new VideoStream().createVideo({ format: 'mp4', images: [{}] }, callback);
+  expect(callback).toHaveBeenCalledWith({ blob: null, error: expect.any(Error) });
+});
+
+test('Records each frame for the selected frame rate [animation-video-record]', () => {
+  jest.useFakeTimers();
+  const videoStream = new VideoStream();
+  const progressCallback = jest.fn();
+  const callback = jest.fn();
+  videoStream.canvas = document.createElement('canvas');
+  videoStream.ctx = videoStream.canvas.getContext('2d');
+  videoStream.options = {
+    gifWidth: 100,
+    gifHeight: 100,
+    bitrate: 5000000,
+    frameRate: 2,
+    extraLastFrameDelay: 1000,
+    progressCallback,
+  };
+  const images = [new Image(), new Image(), new Image()];
+  videoStream.record(images, 'video/webm;codecs=vp9', callback);
+
+  expect(MockMediaRecorder.instance.options).toEqual({
+    mimeType: 'video/webm;codecs=vp9',
+    videoBitsPerSecond: 5000000,
+  });
+  expect(track.requestFrame).toHaveBeenCalledTimes(1);
+  jest.advanceTimersByTime(1000);
+  expect(track.requestFrame).toHaveBeenCalledTimes(3);
+  expect(progressCallback).toHaveBeenLastCalledWith(100);
+  // The last frame is held for the extra delay before recording stops
+  jest.advanceTimersByTime(1000);
+  expect(callback).not.toHaveBeenCalled();
+  jest.advanceTimersByTime(500);
+  expect(callback).toHaveBeenCalledWith({ blob: expect.any(Blob), error: '' });
+  expect(callback.mock.calls[0][0].blob.type).toBe('video/webm');
+});
+
+test('Cancelling stops the recording [animation-video-cancel]', () => {
+  jest.useFakeTimers();
+  const videoStream = new VideoStream();
+  const callback = jest.fn();
+  videoStream.canvas = document.createElement('canvas');
+  videoStream.ctx = videoStream.canvas.getContext('2d');
+  videoStream.options = {
+    gifWidth: 100, gifHeight: 100, frameRate: 1, progressCallback: jest.fn(),
+  };
+  videoStream.record([new Image(), new Image()], 'video/webm', callback);
+  videoStream.cancel();
+  expect(callback).toHaveBeenCalledWith({ cancelled: true });
+});
@@ -9,6 +9,9 @@ import {
   UPDATE_END_DATE,
   UPDATE_ACTIVE_CHART,
   UPDATE_REQUEST_STATUS_MESSAGE,
+  UPDATE_CHARTING_LAYER_SELECTION,
+  TOGGLE_ADDITIONAL_CHART,
+  UPDATE_AOI_DRAW_MODE,
 } from './constants';
 
 export function toggleChartingModeOnOff() {
@@ -41,9 +44,18 @@ export function updateChartingDateSelection(buttonClicked) {
     dispatch({ type: UPDATE_CHARTING_DATE_SELECTION, buttonClicked });
   };
 }
-export function updateChartingAOICoordinates(extent) {
+/**
+ * @param {Array} extent | Bounding box of the AOI in map projection units
+ * @param {Object} geometry | { type, coordinates } for polygon & point AOIs (map projection units)
+ */
+export function updateChartingAOICoordinates(extent, geometry = null) {
   return (dispatch) => {
-    dispatch({ type: UPDATE_AOI_COORDINATES, extent });
+    dispatch({ type: UPDATE_AOI_COORDINATES, extent, geometry });
+  };
+}
+export function updateChartingAOIDrawMode(mode) {
+  return (dispatch) => {
+    dispatch({ type: UPDATE_AOI_DRAW_MODE, mode });
   };
 }
 export function changeChartingStartDate(date) {
@@ -61,3 +73,23 @@ export function updateActiveChartingLayerAction(layerId) {
     dispatch({ type: UPDATE_ACTIVE_CHART, layerId });
   };
 }
+export function updateChartingLayerSelection(selection) {
+  return (dispatch) => {
+    dispatch({ type: UPDATE_CHARTING_LAYER_SELECTION, selection });
+  };
+}
+/**
+ * Select a layer for charting - replaces the active layer in 'single' layer
+ * selection mode, adds/removes the layer from the chart in 'multiple' mode
+ * @param {String} layerId
+ */
+export function toggleChartingLayer(layerId) {
+  return (dispatch, getState) => {
+    const { activeLayer, layerSelection } = getState().charting;
+    if (layerSelection === 'multiple') {
+      dispatch({ type: TOGGLE_ADDITIONAL_CHART, layerId });
+    } else if (layerId !== activeLayer) {
+      dispatch({ type: UPDATE_ACTIVE_CHART, layerId });
+    }
+  };
+}
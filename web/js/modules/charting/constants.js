@@ -9,3 +9,6 @@ export const UPDATE_END_DATE = 'CHARTING/UPDATE_END_DATE';
 export const UPDATE_CHARTING_DATE_SELECTION = 'CHARTING/UPDATE_CHARTING_DATE_SELECTION';
 export const UPDATE_ACTIVE_CHART = 'CHARTING/UPDATE_ACTIVE_CHART';
 export const UPDATE_REQUEST_STATUS_MESSAGE = 'CHARTING/UPDATE_REQUEST_STATUS_MESSAGE';
+export const UPDATE_CHARTING_LAYER_SELECTION = 'CHARTING/UPDATE_CHARTING_LAYER_SELECTION';
+export const TOGGLE_ADDITIONAL_CHART = 'CHARTING/TOGGLE_ADDITIONAL_CHART';
+export const UPDATE_AOI_DRAW_MODE = 'CHARTING/UPDATE_AOI_DRAW_MODE';
@@ -10,14 +10,21 @@ import {
   UPDATE_END_DATE,
   UPDATE_ACTIVE_CHART,
   UPDATE_REQUEST_STATUS_MESSAGE,
+  UPDATE_CHARTING_LAYER_SELECTION,
+  TOGGLE_ADDITIONAL_CHART,
+  UPDATE_AOI_DRAW_MODE,
 } from './constants';
 
 export const initialChartingState = {
   active: false,
   activeLayer: undefined,
+  additionalLayers: [],
+  layerSelection: 'single',
   aoiActive: false,
   aoiSelected: false,
   aoiCoordinates: [],
+  aoiDrawMode: 'box',
+  aoiGeometry: null,
   chartRequestInProgress: false,
   requestStatusMessage: '',
   timeSpanSelection: 'range',
@@ -32,8 +39,12 @@ export function chartingReducer(state = initialChartingState, action) {
         return lodashAssign({}, state, {
           active: false,
           activeLayer: undefined,
+          additionalLayers: [],
+          layerSelection: 'single',
           aoiActive: false,
           aoiCoordinates: null,
+          aoiDrawMode: 'box',
+          aoiGeometry: null,
           aoiSelected: false,
           chartRequestInProgress: false,
           requestStatusMessage: '',
@@ -58,9 +69,15 @@ export function chartingReducer(state = initialChartingState, action) {
         requestStatusMessage: action.message,
       });
     case UPDATE_AOI_COORDINATES:
-      // action.extent = the geometry from the drawn AOI box
+      // action.extent = the extent of the drawn AOI
+      // action.geometry = the polygon/point geometry, null for a box AOI
       return lodashAssign({}, state, {
         aoiCoordinates: action.extent,
+        aoiGeometry: action.geometry || null,
+      });
+    case UPDATE_AOI_DRAW_MODE:
+      return lodashAssign({}, state, {
+        aoiDrawMode: action.mode,
       });
     case TOGGLE_AOI_SELECTED_ON_OFF:
       if (action.action != null) {
@@ -72,6 +89,14 @@ export function chartingReducer(state = initialChartingState, action) {
         aoiSelected: !state.aoiSelected,
       });
     case UPDATE_CHARTING_DATE_SELECTION:
+      // Layers are only compared over a date range
+      if (action.buttonClicked === 'date') {
+        return lodashAssign({}, state, {
+          timeSpanSelection: action.buttonClicked,
+          layerSelection: 'single',
+          additionalLayers: [],
+        });
+      }
       return lodashAssign({}, state, {
         timeSpanSelection: action.buttonClicked,
       });
@@ -86,7 +111,31 @@ export function chartingReducer(state = initialChartingState, action) {
     case UPDATE_ACTIVE_CHART:
       return lodashAssign({}, state, {
         activeLayer: action.layerId,
+        additionalLayers: state.additionalLayers.filter((id) => id !== action.layerId),
+      });
+    case UPDATE_CHARTING_LAYER_SELECTION:
+      return lodashAssign({}, state, {
+        layerSelection: action.selection,
+        additionalLayers: action.selection === 'single' ? [] : state.additionalLayers,
+      });
+    case TOGGLE_ADDITIONAL_CHART: {
+      const { layerId } = action;
+      if (layerId === state.activeLayer) {
+        // At least one layer must remain selected; promote the next layer in line
+        if (!state.additionalLayers.length) return state;
+        const [nextActiveLayer, ...additionalLayers] = state.additionalLayers;
+        return lodashAssign({}, state, {
+          activeLayer: nextActiveLayer,
+          additionalLayers,
+        });
+      }
+      const isSelected = state.additionalLayers.includes(layerId);
+      return lodashAssign({}, state, {
+        additionalLayers: isSelected
+          ? state.additionalLayers.filter((id) => id !== layerId)
+          : [...state.additionalLayers, layerId],
       });
+    }
     default:
       break;
   }
@@ -0,0 +1,106 @@
+import { initialChartingState, chartingReducer } from './reducers';
+import * as CONSTANTS from './constants';
+
+const multipleLayerState = {
+  ...initialChartingState,
+  active: true,
+  activeLayer: 'layer-a',
+  layerSelection: 'multiple',
+};
+
+test('UPDATE_CHARTING_LAYER_SELECTION updates layer selection mode [charting-reducer-layer-selection]', () => {
+  const response = chartingReducer(initialChartingState, {
+    type: CONSTANTS.UPDATE_CHARTING_LAYER_SELECTION,
+    selection: 'multiple',
+  });
+  expect(initialChartingState.layerSelection).toEqual('single');
+  expect(response.layerSelection).toEqual('multiple');
+});
+
+test('UPDATE_CHARTING_LAYER_SELECTION clears additional layers for single selection [charting-reducer-layer-selection-single]', () => {
+  const response = chartingReducer({ ...multipleLayerState, additionalLayers: ['layer-b'] }, {
+    type: CONSTANTS.UPDATE_CHARTING_LAYER_SELECTION,
+    selection: 'single',
+  });
+  expect(response.additionalLayers).toEqual([]);
+});
+
+test('TOGGLE_ADDITIONAL_CHART adds & removes additional layers [charting-reducer-toggle-additional]', () => {
+  const added = chartingReducer(multipleLayerState, {
+    type: CONSTANTS.TOGGLE_ADDITIONAL_CHART,
+    layerId: 'layer-b',
+  });
+  expect(added.additionalLayers).toEqual(['layer-b']);
+  const removed = chartingReducer(added, {
+    type: CONSTANTS.TOGGLE_ADDITIONAL_CHART,
+    layerId: 'layer-b',
+  });
+  expect(removed.additionalLayers).toEqual([]);
+});
+
+test('TOGGLE_ADDITIONAL_CHART promotes the next layer when the active layer is removed [charting-reducer-toggle-active]', () => {
+  const state = { ...multipleLayerState, additionalLayers: ['layer-b', 'layer-c'] };
+  const response = chartingReducer(state, {
+    type: CONSTANTS.TOGGLE_ADDITIONAL_CHART,
+    layerId: 'layer-a',
+  });
+  expect(response.activeLayer).toEqual('layer-b');
+  expect(response.additionalLayers).toEqual(['layer-c']);
+});
+
+test('TOGGLE_ADDITIONAL_CHART keeps the only selected layer [charting-reducer-toggle-last]', () => {
+  const response = chartingReducer(multipleLayerState, {
+    type: CONSTANTS.TOGGLE_ADDITIONAL_CHART,
+    layerId: 'layer-a',
+  });
+  expect(response).toBe(multipleLayerState);
+});
+
+test('UPDATE_CHARTING_DATE_SELECTION stops comparing layers for a single date [charting-reducer-date-selection]', () => {
+  const state = { ...multipleLayerState, additionalLayers: ['layer-b'] };
+  const single = chartingReducer(state, {
+    type: CONSTANTS.UPDATE_CHARTING_DATE_SELECTION,
+    buttonClicked: 'date',
+  });
+  expect(single.timeSpanSelection).toEqual('date');
+  expect(single.layerSelection).toEqual('single');
+  expect(single.additionalLayers).toEqual([]);
+  const range = chartingReducer(state, {
+    type: CONSTANTS.UPDATE_CHARTING_DATE_SELECTION,
+    buttonClicked: 'range',
+  });
+  expect(range.additionalLayers).toEqual(['layer-b']);
+});
+
+test('TOGGLE_ON_OFF resets layer selection when exiting charting mode [charting-reducer-toggle-off]', () => {
+  const state = { ...multipleLayerState, additionalLayers: ['layer-b'] };
+  const response = chartingReducer(state, { type: CONSTANTS.TOGGLE_ON_OFF });
+  expect(response.active).toBeFalsy();
+  expect(response.layerSelection).toEqual('single');
+  expect(response.additionalLayers).toEqual([]);
+});
+
+test('UPDATE_AOI_COORDINATES stores the AOI geometry alongside the extent [charting-reducer-aoi-geometry]', () => {
+  const geometry = { type: 'Point', coordinates: [1, 2] };
+  const withGeometry = chartingReducer(initialChartingState, {
+    type: CONSTANTS.UPDATE_AOI_COORDINATES,
+    extent: [1, 2, 1, 2],
+    geometry,
+  });
+  expect(withGeometry.aoiGeometry).toEqual(geometry);
+  const box = chartingReducer(withGeometry, {
+    type: CONSTANTS.UPDATE_AOI_COORDINATES,
+    extent: [0, 0, 5, 5],
+  });
+  expect(box.aoiCoordinates).toEqual([0, 0, 5, 5]);
+  expect(box.aoiGeometry).toBeNull();
+});
+
+test('UPDATE_AOI_DRAW_MODE updates the AOI draw mode [charting-reducer-aoi-draw-mode]', () => {
+  const response = chartingReducer(initialChartingState, {
+    type: CONSTANTS.UPDATE_AOI_DRAW_MODE,
+    mode: 'polygon',
+  });
+  expect(initialChartingState.aoiDrawMode).toBe('box');
+  expect(response.aoiDrawMode).toBe('polygon');
+});
@@ -0,0 +1,77 @@
+import { get as lodashGet } from 'lodash';
+
+// Statistics Service API Request Options
+const CHARTING_REQUEST_OPTIONS = {
+  method: 'GET',
+  redirect: 'follow',
+};
+
+// Statistics service used when features.charting has no url
+export const DEFAULT_CHARTING_URL = 'https://d1igaxm6d8pbn2.cloudfront.net/get_stats';
+
+/**
+ * Build the statistics service request URL from the configured service url
+ * (`features.charting.url`, DEFAULT_CHARTING_URL if unset) or a local mock file if `mockCharting` is set
+ * @param {Object} uriParameters | ImageStat request parameters
+ * @param {Object} config
+ */
+export function getChartingRequestURL(uriParameters, config) {
+  const {
+    type,
+    timestamp,
+    endTimestamp,
+    steps,
+    layer,
+    colormap,
+    areaOfInterestCoords,
+    geometry,
+    bins,
+  } = uriParameters;
+  const mockCharting = lodashGet(config, 'parameters.mockCharting');
+  if (mockCharting) {
+    // eslint-disable-next-line no-console
+    console.warn(`Using mock charting data: ${mockCharting}`);
+    return mockCharting === 'true'
+      ? `mock/charting_${type}_data.json`
+      : `mock/charting_${type}_data.json-${mockCharting}`;
+  }
+  const baseUrl = lodashGet(config, 'features.charting.url') || DEFAULT_CHARTING_URL;
+  let requestURL = `${baseUrl}?_type=${type}&timestamp=${timestamp}&steps=${steps}&layer=${layer}&colormap=${colormap}&bbox=${areaOfInterestCoords}&bins=${bins}`;
+  if (type !== 'date') {
+    requestURL += `&end_timestamp=${endTimestamp}`;
+  }
+  if (geometry) {
+    requestURL += `&geometry=${encodeURIComponent(JSON.stringify(geometry))}`;
+  }
+  return requestURL;
+}
+
+/**
+ * Execute the statistics service request
+ * @param {Object} uriParameters | ImageStat request parameters
+ * @param {Object} config
+ */
+export async function requestChartingStatistics(uriParameters, config) {
+  const requestURL = getChartingRequestURL(uriParameters, config);
+  try {
+    const response = await fetch(requestURL, CHARTING_REQUEST_OPTIONS);
+    const data = await response.text();
+    // This is the response when the imageStat server fails
+    if (!response.ok || data === 'Internal Server Error') {
+      return {
+        ok: false,
+        body: data,
+      };
+    }
+
+    return {
+      ok: true,
+      body: JSON.parse(data),
+    };
+  } catch (error) {
+    return {
+      ok: false,
+      error,
+    };
+  }
+}
@@ -0,0 +1,64 @@
+import fetchMock from 'fetch-mock';
+import { DEFAULT_CHARTING_URL, getChartingRequestURL, requestChartingStatistics } from './util-api';
+import fixtures from '../../fixtures';
+import seriesResponse from '../../../mock/charting_series_data.json';
+
+const { config } = fixtures.getState();
+const uriParameters = {
+  timestamp: '2017-03-16',
+  endTimestamp: '2017-03-22',
+  type: 'series',
+  steps: 6,
+  layer: 'MODIS_Terra_Aerosol',
+  colormap: 'MODIS_Terra_Aerosol.xml',
+  areaOfInterestCoords: [-90, -180, 90, 180],
+  bins: 10,
+  scale: 1,
+};
+const requestURL = 'fake.charting.url/get_stats?_type=series&timestamp=2017-03-16&steps=6&layer=MODIS_Terra_Aerosol&colormap=MODIS_Terra_Aerosol.xml&bbox=-90,-180,90,180&bins=10&end_timestamp=2017-03-22';
+
+describe('Charting statistics request', () => {
+  afterEach(() => {
+    fetchMock.restore();
+  });
+
+  test('Request URL uses the configured statistics service url [charting-request-url]', () => {
+    expect(getChartingRequestURL(uriParameters, config)).toBe(requestURL);
+  });
+
+  test('Request URL omits end timestamp for a single date [charting-request-url-date]', () => {
+    const url = getChartingRequestURL({ ...uriParameters, type: 'date' }, config);
+    expect(url).toBe('fake.charting.url/get_stats?_type=date&timestamp=2017-03-16&steps=6&layer=MODIS_Terra_Aerosol&colormap=MODIS_Terra_Aerosol.xml&bbox=-90,-180,90,180&bins=10');
+  });
+
+  test('Request URL includes the AOI geometry when present [charting-request-url-geometry]', () => {
+    const geometry = { type: 'Point', coordinates: [12.5, -4] };
+    const url = getChartingRequestURL({ ...uriParameters, geometry }, config);
+    expect(url).toBe(`${requestURL}&geometry=${encodeURIComponent('{"type":"Point","coordinates":[12.5,-4]}')}`);
+  });
+
+  test('Uses mock charting data if mockCharting param is present [charting-mock-url]', () => {
+    const mockConfig = { ...config, parameters: { mockCharting: 'true' } };
+    expect(getChartingRequestURL(uriParameters, mockConfig)).toBe('mock/charting_series_data.json');
+    expect(getChartingRequestURL({ ...uriParameters, type: 'date' }, mockConfig)).toBe('mock/charting_date_data.json');
+  });
+
+  test('Returns the parsed statistics on success [charting-request-success]', async () => {
+    fetchMock.getOnce(requestURL, JSON.stringify(seriesResponse));
+    const data = await requestChartingStatistics(uriParameters, config);
+    expect(data.ok).toBe(true);
+    expect(data.body).toEqual(seriesResponse);
+  });
+
+  test('Reports failure when the statistics service errors [charting-request-failure]', async () => {
+    fetchMock.getOnce(requestURL, { status: 500, body: 'Internal Server Error' });
+    const data = await requestChartingStatistics(uriParameters, config);
+    expect(data.ok).toBe(false);
+  });
+
+  test('Request URL falls back to the default statistics service [charting-request-default-url]', () => {
+    const noUrlConfig = { ...config, features: { ...config.features, charting: true } };
+    expect(getChartingRequestURL(uriParameters, noUrlConfig))
+      .toBe(requestURL.replace('fake.charting.url/get_stats', DEFAULT_CHARTING_URL));
+  });
+});
@@ -1,13 +1,145 @@
+import { get as lodashGet, chunk as lodashChunk } from 'lodash';
 import update from 'immutability-helper';
+import { boundingExtent } from 'ol/extent';
+import OlFormatGeoJSON from 'ol/format/GeoJSON';
+import { Point as OlGeomPoint, Polygon as OlGeomPolygon } from 'ol/geom';
 import { initialChartingState } from './reducers';
-import { formatDisplayDate } from '../date/util';
+import { formatDisplayDate, serializeDate } from '../date/util';
+import { CRS } from '../map/constants';
+import { escapeCSVValue } from '../../util/csv';
+
+const roundCoordinate = (coord) => Number(coord.toFixed(4));
+
+/**
+ * Get the points of a polygon/point AOI geometry
+ * @param {Object} geometry | { type, coordinates }
+ */
+function getAOIGeometryPoints({ type, coordinates }) {
+  return type === 'Point' ? [coordinates] : coordinates[0];
+}
 
 export function mapLocationToChartingState(parameters, stateFromLocation) {
-  stateFromLocation = update(stateFromLocation, {
-    charting: { $set: initialChartingState },
+  // Charting & compare modes are mutually exclusive; compare takes precedence
+  if (parameters.cha !== 'on' || parameters.ca !== undefined) {
+    return update(stateFromLocation, {
+      charting: { $set: initialChartingState },
+    });
+  }
+  const chartingFromLocation = lodashGet(stateFromLocation, 'charting') || {};
+  const aoiGeometry = chartingFromLocation.aoiGeometry || null;
+  let aoiCoordinates = chartingFromLocation.aoiCoordinates || [];
+  if (aoiGeometry && aoiCoordinates.length !== 4) {
+    aoiCoordinates = boundingExtent(getAOIGeometryPoints(aoiGeometry));
+  }
+  // Layers are only compared over a date range
+  const additionalLayers = chartingFromLocation.timeSpanSelection === 'date'
+    ? []
+    : (chartingFromLocation.additionalLayers || [])
+      .filter((layerId) => layerId !== chartingFromLocation.activeLayer);
+  return update(stateFromLocation, {
+    charting: {
+      $set: {
+        ...initialChartingState,
+        ...chartingFromLocation,
+        active: true,
+        additionalLayers,
+        layerSelection: additionalLayers.length ? 'multiple' : 'single',
+        aoiCoordinates,
+        aoiDrawMode: aoiGeometry ? aoiGeometry.type.toLowerCase() : 'box',
+        aoiGeometry,
+        aoiSelected: aoiCoordinates.length === 4,
+      },
+    },
   });
-  return stateFromLocation;
 }
+
+/**
+ * Serialize the Area of Interest extent for the permalink
+ * @param {Array} coordinates | AOI extent [minX, minY, maxX, maxY] in map projection units
+ * @param {Object} state
+ */
+export function serializeChartingAOICoordinates(coordinates, state) {
+  const isChartingActive = lodashGet(state, 'charting.active');
+  if (!isChartingActive || !coordinates || coordinates.length !== 4) {
+    return undefined;
+  }
+  return coordinates.map(roundCoordinate).join(',');
+}
+
+/**
+ * Parse the Area of Interest extent from the permalink
+ * @param {String} str | Comma separated extent values
+ */
+export function parseChartingAOICoordinates(str) {
+  const coordinates = (str || '').split(',').map(parseFloat);
+  const isValid = coordinates.length === 4 && coordinates.every(Number.isFinite);
+  return isValid ? coordinates : [];
+}
+
+/**
+ * Serialize a polygon/point Area of Interest for the permalink as `type,x1,y1,x2,y2,...`
+ * @param {Object} geometry | { type, coordinates } in map projection units
+ * @param {Object} state
+ */
+export function serializeChartingAOIGeometry(geometry, state) {
+  const isChartingActive = lodashGet(state, 'charting.active');
+  if (!isChartingActive || !geometry) {
+    return undefined;
+  }
+  const values = getAOIGeometryPoints(geometry)
+    .reduce((prev, point) => prev.concat(point.map(roundCoordinate)), []);
+  return [geometry.type.toLowerCase(), ...values].join(',');
+}
+
+/**
+ * Parse a polygon/point Area of Interest from the permalink
+ * @param {String} str | `point,x,y` or `polygon,x1,y1,x2,y2,...` (closed ring)
+ */
+export function parseChartingAOIGeometry(str) {
+  const [type, ...values] = (str || '').split(',');
+  const numbers = values.map(parseFloat);
+  if (!numbers.length || numbers.length % 2 || !numbers.every(Number.isFinite)) {
+    return null;
+  }
+  const points = lodashChunk(numbers, 2);
+  if (type === 'point' && points.length === 1) {
+    return { type: 'Point', coordinates: points[0] };
+  }
+  if (type === 'polygon' && points.length >= 4) {
+    return { type: 'Polygon', coordinates: [points] };
+  }
+  return null;
+}
+
+/**
+ * Convert a polygon/point Area of Interest to a GeoJSON geometry in geographic (lon/lat)
+ * coordinates for the statistics request
+ * @param {Object} geometry | { type, coordinates } in map projection units
+ * @param {String} crs | Map projection
+ */
+export function getAOIGeometryForImageStat(geometry, crs) {
+  if (!geometry) return undefined;
+  const { type, coordinates } = geometry;
+  const olGeometry = type === 'Point'
+    ? new OlGeomPoint(coordinates)
+    : new OlGeomPolygon(coordinates);
+  return new OlFormatGeoJSON().writeGeometryObject(olGeometry, {
+    dataProjection: CRS.GEOGRAPHIC,
+    featureProjection: crs,
+    decimals: 4,
+  });
+}
+
+/**
+ * Serialize charting start/end dates only while charting mode is active
+ * @param {Date} date
+ * @param {Object} state
+ */
+export function serializeChartingDate(date, state) {
+  const isChartingActive = lodashGet(state, 'charting.active');
+  return isChartingActive && date ? serializeDate(date) : undefined;
+}
+
 /**
  * Is layer on active side of Map while in swipe mode -
  * No other modes will allow for running-data or vector interactions
@@ -36,3 +168,40 @@ export const getFormattedMonthAbbrevDates = function(selected, selectedB) {
   const dateB = formatDisplayDate(selectedB);
   return { dateA, dateB };
 };
+
+/**
+ * Describe the bounding box sent with a statistics request
+ * @param {Array} bbox | [minLat, minLon, maxLat, maxLon]
+ */
+export function getAOIDescription(bbox) {
+  if (!bbox || bbox.length !== 4) return '';
+  const [minLat, minLon, maxLat, maxLon] = bbox.map((coord) => Number(coord.toFixed(4)));
+  return `Area of Interest (lat, lon): ${minLat}, ${minLon} to ${maxLat}, ${maxLon}`;
+}
+
+/**
+ * Build CSV text for statistics returned by the charting request
+ * @param {Object} chartData
+ * @param {String} chartData.layerId
+ * @param {String} chartData.title
+ * @param {String} chartData.units | Units of measure from the layer palette legend
+ * @param {Array} chartData.bbox | [minLat, minLon, maxLat, maxLon]
+ * @param {Array} chartData.rows | Objects with name (date), min, max, mean, median & stddev per step
+ */
+export function getChartingCSV({
+  layerId, title, units, bbox, rows,
+}) {
+  const header = [
+    ['Layer', layerId],
+    ['Title', title],
+    ['Units', units],
+    ['Area of Interest (minLat minLon maxLat maxLon)', (bbox || []).join(' ')],
+  ];
+  const columns = ['date', 'min', 'max', 'mean', 'median', 'stdev'];
+  const dataRows = rows.map(({
+    name, min, max, mean, median, stddev,
+  }) => [name, min, max, mean, median, stddev]);
+  return [...header, [], columns, ...dataRows]
+    .map((row) => row.map(escapeCSVValue).join(','))
+    .join('\n');
+}
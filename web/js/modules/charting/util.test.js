@@ -0,0 +1,180 @@
+import {
+  mapLocationToChartingState,
+  serializeChartingAOICoordinates,
+  parseChartingAOICoordinates,
+  serializeChartingDate,
+  getChartingCSV,
+  getAOIDescription,
+  serializeChartingAOIGeometry,
+  parseChartingAOIGeometry,
+  getAOIGeometryForImageStat,
+} from './util';
+import { initialChartingState } from './reducers';
+
+const aoiCoordinates = [-10.123456, 20.5, 15.25, 40.987654];
+const activeState = {
+  charting: {
+    ...initialChartingState,
+    active: true,
+    aoiCoordinates,
+  },
+};
+
+test('mapLocationToChartingState sets charting as active if cha is on [charting-permalink-active]', () => {
+  const stateFromLocation = {
+    charting: {
+      ...initialChartingState,
+      activeLayer: 'MODIS_Terra_Aerosol',
+      aoiCoordinates,
+    },
+  };
+  const response = mapLocationToChartingState({ cha: 'on' }, stateFromLocation);
+  expect(stateFromLocation.charting.active).toBeFalsy();
+  expect(response.charting.active).toBeTruthy();
+  expect(response.charting.aoiSelected).toBeTruthy();
+  expect(response.charting.activeLayer).toBe('MODIS_Terra_Aerosol');
+});
+
+test('mapLocationToChartingState enables multiple layer selection for additional layers [charting-permalink-additional-layers]', () => {
+  const stateFromLocation = {
+    charting: {
+      ...initialChartingState,
+      activeLayer: 'MODIS_Terra_Aerosol',
+      additionalLayers: ['MODIS_Terra_Aerosol', 'MODIS_Terra_Brightness_Temp_Band31_Day'],
+    },
+  };
+  const response = mapLocationToChartingState({ cha: 'on' }, stateFromLocation);
+  expect(response.charting.layerSelection).toBe('multiple');
+  expect(response.charting.additionalLayers).toEqual(['MODIS_Terra_Brightness_Temp_Band31_Day']);
+});
+
+test('mapLocationToChartingState ignores additional layers for a single date [charting-permalink-additional-layers-date]', () => {
+  const stateFromLocation = {
+    charting: {
+      ...initialChartingState,
+      activeLayer: 'MODIS_Terra_Aerosol',
+      additionalLayers: ['MODIS_Terra_Brightness_Temp_Band31_Day'],
+      timeSpanSelection: 'date',
+    },
+  };
+  const response = mapLocationToChartingState({ cha: 'on' }, stateFromLocation);
+  expect(response.charting.layerSelection).toBe('single');
+  expect(response.charting.additionalLayers).toEqual([]);
+});
+
+test('mapLocationToChartingState resets charting state if cha is absent [charting-permalink-inactive]', () => {
+  const stateFromLocation = { charting: { ...initialChartingState, activeLayer: 'MODIS_Terra_Aerosol' } };
+  const response = mapLocationToChartingState({}, stateFromLocation);
+  expect(response.charting).toEqual(initialChartingState);
+});
+
+test('mapLocationToChartingState ignores charting when compare is active [charting-permalink-compare]', () => {
+  const stateFromLocation = { charting: initialChartingState };
+  const response = mapLocationToChartingState({ cha: 'on', ca: 'true' }, stateFromLocation);
+  expect(response.charting.active).toBeFalsy();
+});
+
+test('AOI coordinates round-trip through the permalink [charting-permalink-aoi]', () => {
+  const serialized = serializeChartingAOICoordinates(aoiCoordinates, activeState);
+  expect(serialized).toBe('-10.1235,20.5,15.25,40.9877');
+  expect(parseChartingAOICoordinates(serialized)).toEqual([-10.1235, 20.5, 15.25, 40.9877]);
+});
+
+test('AOI coordinates are not serialized when charting is inactive [charting-permalink-aoi-inactive]', () => {
+  const state = { charting: { ...activeState.charting, active: false } };
+  expect(serializeChartingAOICoordinates(aoiCoordinates, state)).toBeUndefined();
+});
+
+test('Invalid AOI coordinates parse to an empty extent [charting-permalink-aoi-invalid]', () => {
+  expect(parseChartingAOICoordinates('1,2,three,4')).toEqual([]);
+  expect(parseChartingAOICoordinates('1,2,3')).toEqual([]);
+});
+
+test('Charting dates serialize only when charting is active [charting-permalink-dates]', () => {
+  const date = new Date(Date.UTC(2021, 4, 3));
+  expect(serializeChartingDate(date, activeState)).toBe('2021-05-03-T00:00:00Z');
+  expect(serializeChartingDate(date, { charting: initialChartingState })).toBeUndefined();
+});
+
+test('Chart data is formatted as CSV with a metadata header [charting-csv]', () => {
+  const csv = getChartingCSV({
+    layerId: 'MODIS_Terra_Aerosol',
+    title: 'Aerosol Optical Depth',
+    units: '',
+    bbox: [-90, -180, 90, 180],
+    rows: [
+      {
+        name: '2017-03-16', min: 0.05, max: 0.78, mean: 0.25, median: 0.22, stddev: 0.13,
+      },
+      {
+        name: '2017-03-17', min: 0.05, max: 0.82, mean: 0.26, median: 0.24, stddev: 0.13,
+      },
+    ],
+  });
+  expect(csv).toBe([
+    'Layer,MODIS_Terra_Aerosol',
+    'Title,Aerosol Optical Depth',
+    'Units,',
+    'Area of Interest (minLat minLon maxLat maxLon),-90 -180 90 180',
+    '',
+    'date,min,max,mean,median,stdev',
+    '2017-03-16,0.05,0.78,0.25,0.22,0.13',
+    '2017-03-17,0.05,0.82,0.26,0.24,0.13',
+  ].join('\n'));
+});
+
+test('CSV values containing commas are quoted [charting-csv-escape]', () => {
+  const csv = getChartingCSV({
+    layerId: 'layer', title: 'Temperature, Day', units: 'K', bbox: [], rows: [],
+  });
+  expect(csv.split('\n')[1]).toBe('Title,"Temperature, Day"');
+});
+
+test('AOI description lists the bounding box [charting-aoi-description]', () => {
+  expect(getAOIDescription([-10.123456, 20.5, 15.25, 40.987654]))
+    .toBe('Area of Interest (lat, lon): -10.1235, 20.5 to 15.25, 40.9877');
+});
+
+test('Polygon AOI geometry round-trips through the permalink [charting-permalink-geometry]', () => {
+  const geometry = {
+    type: 'Polygon',
+    coordinates: [[[-10.123456, 20.5], [15.25, 20.5], [0, 40.987654], [-10.123456, 20.5]]],
+  };
+  const serialized = serializeChartingAOIGeometry(geometry, activeState);
+  expect(serialized).toBe('polygon,-10.1235,20.5,15.25,20.5,0,40.9877,-10.1235,20.5');
+  expect(parseChartingAOIGeometry(serialized)).toEqual({
+    type: 'Polygon',
+    coordinates: [[[-10.1235, 20.5], [15.25, 20.5], [0, 40.9877], [-10.1235, 20.5]]],
+  });
+});
+
+test('Point AOI geometry round-trips through the permalink [charting-permalink-point]', () => {
+  const serialized = serializeChartingAOIGeometry({ type: 'Point', coordinates: [1.5, -2] }, activeState);
+  expect(serialized).toBe('point,1.5,-2');
+  expect(parseChartingAOIGeometry(serialized)).toEqual({ type: 'Point', coordinates: [1.5, -2] });
+});
+
+test('Invalid AOI geometry parses to null [charting-permalink-geometry-invalid]', () => {
+  expect(parseChartingAOIGeometry('point,1,2,3,4')).toBeNull();
+  expect(parseChartingAOIGeometry('polygon,1,2,3,4,1,2')).toBeNull();
+  expect(parseChartingAOIGeometry('line,1,2,3,4')).toBeNull();
+});
+
+test('mapLocationToChartingState derives the AOI extent & draw mode from the geometry [charting-permalink-geometry-extent]', () => {
+  const stateFromLocation = {
+    charting: {
+      ...initialChartingState,
+      aoiGeometry: { type: 'Polygon', coordinates: [[[0, 0], [10, 0], [5, 8], [0, 0]]] },
+    },
+  };
+  const response = mapLocationToChartingState({ cha: 'on' }, stateFromLocation);
+  expect(response.charting.aoiCoordinates).toEqual([0, 0, 10, 8]);
+  expect(response.charting.aoiDrawMode).toBe('polygon');
+  expect(response.charting.aoiSelected).toBeTruthy();
+});
+
+test('AOI geometry is converted to geographic GeoJSON for the statistics request [charting-geometry-request]', () => {
+  expect(getAOIGeometryForImageStat(null, 'EPSG:4326')).toBeUndefined();
+  expect(getAOIGeometryForImageStat({ type: 'Point', coordinates: [12.345678, -4] }, 'EPSG:4326'))
+    .toEqual({ type: 'Point', coordinates: [12.3457, -4] });
+});
@@ -11,6 +11,7 @@ import {
   requestedEventSources,
   eventsReducer,
   eventRequestResponse,
+  eventsRequestResponse,
 } from './natural-events/reducers';
 import tourReducer from './tour/reducers';
 import mapReducer from './map/reducers';
@@ -37,6 +38,7 @@ import {
   getInitialVectorStyleState,
 } from './vector-styles/reducers';
 import { imageDownloadReducer } from './image-download/reducers';
+import { importedLayersReducer } from './imported-layers/reducers';
 import measureReducer from './measure/reducers';
 import {
   productPickerReducer,
@@ -76,7 +78,7 @@ export function getInitialState(models, config, parameters) {
     events: getInitialEventsState(config),
     settings: getInitialSettingsState(),
     screenSize: getInitialScreenSizeState(),
-    requestedEvents: eventRequestResponse(),
+    requestedEvents: eventsRequestResponse(),
     requestedEventSources: eventRequestResponse(),
     smartHandoffs: getSmartHandoffInitialState(config),
     palettes: getInitialPaletteState(config),
@@ -102,6 +104,7 @@ const reducers = {
   events: eventsReducer,
   feedback: feedbackReducer,
   imageDownload: imageDownloadReducer,
+  importedLayers: importedLayersReducer,
   lastAction,
   layers: layerReducer,
   loading: loadingReducer,
@@ -1,6 +1,7 @@
 import {
   UPDATE_BOUNDARIES,
   UPDATE_FILE_TYPE,
+  UPDATE_OVERLAYS,
   UPDATE_RESOLUTION,
   UPDATE_WORLDFILE,
 } from './constants';
@@ -17,6 +18,8 @@ export function onPanelChange(type, value) {
     actionType = UPDATE_RESOLUTION;
   } else if (type === 'worldfile') {
     actionType = UPDATE_WORLDFILE;
+  } else if (type === 'overlays') {
+    actionType = UPDATE_OVERLAYS;
   }
   return {
     type: actionType,
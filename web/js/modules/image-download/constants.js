@@ -2,6 +2,7 @@ export const UPDATE_BOUNDARIES = 'IMAGE-DOWNLOAD/UPDATE_BOUNDARIES';
 export const UPDATE_FILE_TYPE = 'IMAGE-DOWNLOAD/UPDATE_FILE_TYPE';
 export const UPDATE_WORLDFILE = 'IMAGE-DOWNLOAD/UPDATE_WORLDFILE';
 export const UPDATE_RESOLUTION = 'IMAGE-DOWNLOAD/UPDATE_RESOLUTION';
+export const UPDATE_OVERLAYS = 'IMAGE-DOWNLOAD/UPDATE_OVERLAYS';
 
 export const resolutionsGeo = {
   values: [
@@ -39,7 +40,28 @@ export const fileTypesPolar = {
     { value: 'image/tiff', text: 'GeoTIFF' },
   ],
 };
+export const fileTypesClient = {
+  values: [
+    { value: 'image/jpeg', text: 'JPEG' },
+    { value: 'image/png', text: 'PNG' },
+  ],
+};
 export const maxSize = 8200;
+export const MAX_SERIES_FRAMES = 100;
+export const overlayOptions = [
+  { key: 'date', label: 'Date' },
+  { key: 'titles', label: 'Layer titles' },
+  { key: 'legends', label: 'Legends' },
+  { key: 'scaleBar', label: 'Scale bar' },
+  { key: 'northArrow', label: 'North arrow' },
+  { key: 'attribution', label: 'Attribution' },
+];
+export const DEFAULT_ATTRIBUTION = 'Imagery from NASA Worldview & GIBS';
+
+// Snapshots are requested from the snapshot service, falling back to rendering
+// them in the browser if the service fails, unless configured for 'client' only
+export const DOWNLOAD_MODE_SERVER = 'server';
+export const DOWNLOAD_MODE_CLIENT = 'client';
 
 const PALETTE_WARNING = 'One or more layers on the map have been modified (changed palette, '
   + 'thresholds, etc.). These modifications cannot be used to take a '
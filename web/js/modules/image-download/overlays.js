@@ -0,0 +1,281 @@
+import { transform } from 'ol/proj';
+import { getDistance } from 'ol/sphere';
+import util from '../../util/util';
+import { CRS } from '../map/constants';
+import { getStampProps } from '../animation/util';
+import { drawPaletteOnCanvas } from '../palettes/util';
+import { canvasToBlob } from './util';
+
+const STAMP_WIDTH_RATIO = 4.889;
+const STAMP_BREAK_POINT = 300;
+const FONT_FAMILY = 'Open Sans, sans-serif';
+const MAX_CLASSIFICATION_ENTRIES = 12;
+// Number of output pixels used to measure the ground distance of a pixel
+const SCALE_SAMPLE_PIXELS = 100;
+
+/**
+ * Get the ground distance covered by a pixel at the center of a snapshot
+ * @param {Array} bbox | [[minX, minY], [maxX, maxY]] in the projection's CRS
+ * @param {String} crs
+ * @param {Number} width | Output image width
+ * @returns {Number} meters per pixel
+ */
+export function getMetersPerPixel(bbox, crs, width) {
+  const [[minX, minY], [maxX, maxY]] = bbox;
+  const unitsPerPixel = Math.abs(maxX - minX) / width;
+  const center = [(minX + maxX) / 2, (minY + maxY) / 2];
+  const sample = [center[0] + unitsPerPixel * SCALE_SAMPLE_PIXELS, center[1]];
+  const distance = getDistance(
+    transform(center, crs, CRS.GEOGRAPHIC),
+    transform(sample, crs, CRS.GEOGRAPHIC),
+  );
+  return distance / SCALE_SAMPLE_PIXELS;
+}
+
+/**
+ * Get the longest round (1, 2 or 5 x 10^n) scale bar length that fits in maxWidth
+ * @param {Number} metersPerPixel
+ * @param {Number} maxWidth | pixels
+ * @returns {Object} | { width, label }
+ */
+export function getScaleBar(metersPerPixel, maxWidth) {
+  const maxMeters = metersPerPixel * maxWidth;
+  const magnitude = 10 ** Math.floor(Math.log10(maxMeters));
+  const meters = [5, 2, 1].find((step) => step * magnitude <= maxMeters) * magnitude;
+  const label = meters >= 1000
+    ? `${(meters / 1000).toLocaleString('en-US')} km`
+    : `${meters.toLocaleString('en-US')} m`;
+  return { width: meters / metersPerPixel, label };
+}
+
+/**
+ * Get the direction of north at a coordinate
+ * @param {Array} coordinate | In the projection's CRS
+ * @param {String} crs
+ * @returns {Number} | Radians clockwise from the top of the image
+ */
+export function getNorthAngle(coordinate, crs) {
+  if (crs === CRS.GEOGRAPHIC) return 0;
+  const [lon, lat] = transform(coordinate, crs, CRS.GEOGRAPHIC);
+  const north = transform([lon, Math.min(lat + 0.1, 90)], CRS.GEOGRAPHIC, crs);
+  return Math.atan2(north[0] - coordinate[0], north[1] - coordinate[1]);
+}
+
+/**
+ * Collect the content to draw over a snapshot for the selected overlay options
+ * @param {Object} overlays | { date, titles, legends, scaleBar, northArrow, attribution }
+ * @param {Object} options
+ * @param {Array} options.layers | Layer definitions, top layer first
+ * @param {Function} options.getTitle | (layer) => title
+ * @param {Function} options.getLegends | (layer) => palette legends
+ * @param {String} options.dateText
+ * @param {String} options.attribution
+ * @param {Array} options.bbox | [[minX, minY], [maxX, maxY]] in the projection's CRS
+ * @param {String} options.crs
+ * @param {Number} options.width | Output image width
+ */
+export function getSnapshotOverlayContent(overlays, options) {
+  const {
+    layers, getTitle, getLegends, dateText, attribution, bbox, crs, width,
+  } = options;
+  const layerContent = overlays.titles || overlays.legends
+    ? layers.map((layer) => ({
+      title: overlays.titles ? getTitle(layer) : '',
+      legends: overlays.legends && layer.palette ? getLegends(layer) : [],
+    })).filter(({ title, legends }) => title || legends.length)
+    : [];
+  return {
+    dateText: overlays.date ? dateText : '',
+    layers: layerContent,
+    metersPerPixel: overlays.scaleBar ? getMetersPerPixel(bbox, crs, width) : null,
+    northAngle: overlays.northArrow ? getNorthAngle(bbox[1], crs) : null,
+    attribution: overlays.attribution ? attribution : '',
+  };
+}
+
+/**
+ * Draw outlined text so that it is readable over any imagery
+ */
+export function drawText(ctx, text, x, y, fontSize, align = 'left') {
+  ctx.font = `400 ${fontSize}px ${FONT_FAMILY}`;
+  ctx.textAlign = align;
+  ctx.textBaseline = 'top';
+  ctx.lineJoin = 'round';
+  ctx.lineWidth = Math.max(1, fontSize * 0.15);
+  ctx.strokeStyle = '#000';
+  ctx.strokeText(text, x, y);
+  ctx.fillStyle = '#fff';
+  ctx.fillText(text, x, y);
+}
+
+/**
+ * Draw a colorbar with its min & max labels
+ * @returns {Number} | height drawn
+ */
+function drawColorbar(ctx, legend, x, y, size) {
+  const barWidth = size * 12;
+  const barHeight = size * 0.8;
+  const { tooltips = [], units } = legend;
+  const min = legend.minLabel || tooltips[0] || '';
+  const max = legend.maxLabel || tooltips[tooltips.length - 1] || '';
+  ctx.save();
+  ctx.translate(x, y);
+  drawPaletteOnCanvas(ctx, legend.colors, barWidth, barHeight);
+  ctx.lineWidth = 1;
+  ctx.strokeStyle = '#000';
+  ctx.strokeRect(0, 0, barWidth, barHeight);
+  ctx.restore();
+  const labelSize = size * 0.65;
+  const labelY = y + barHeight + size * 0.15;
+  drawText(ctx, `${min}`, x, labelY, labelSize);
+  drawText(ctx, units ? `${max} ${units}` : `${max}`, x + barWidth, labelY, labelSize, 'right');
+  return barHeight + size * 0.15 + labelSize * 1.3;
+}
+
+/**
+ * Draw a swatch & label for each class of a classification legend
+ * @returns {Number} | height drawn
+ */
+function drawClassification(ctx, legend, x, y, size) {
+  const swatchSize = size * 0.65;
+  const rowHeight = size * 0.85;
+  const { colors, tooltips = [] } = legend;
+  const entries = colors.slice(0, MAX_CLASSIFICATION_ENTRIES);
+  entries.forEach((color, i) => {
+    const rowY = y + i * rowHeight;
+    ctx.fillStyle = util.hexToRGBA(color);
+    ctx.fillRect(x, rowY, swatchSize, swatchSize);
+    ctx.lineWidth = 1;
+    ctx.strokeStyle = '#000';
+    ctx.strokeRect(x, rowY, swatchSize, swatchSize);
+    drawText(ctx, `${tooltips[i] || ''}`, x + swatchSize * 1.5, rowY, swatchSize);
+  });
+  let height = entries.length * rowHeight;
+  if (colors.length > entries.length) {
+    drawText(ctx, `+${colors.length - entries.length} more`, x, y + height, swatchSize);
+    height += rowHeight;
+  }
+  return height;
+}
+
+/**
+ * Draw the title & legends of each layer in a column
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {Array} layers | [{ title, legends }] from getSnapshotOverlayContent
+ * @param {Number} size | Base font size
+ * @param {Number} x
+ * @param {Number} top
+ * @returns {Number} | y below the last legend
+ */
+export function drawLayerLegends(ctx, layers, size, x, top) {
+  let y = top;
+  layers.forEach(({ title, legends }) => {
+    if (title) {
+      drawText(ctx, title, x, y, size * 0.8);
+      y += size;
+    }
+    legends.forEach((legend) => {
+      if (!legend.colors || !legend.colors.length) return;
+      y += legend.type === 'classification'
+        ? drawClassification(ctx, legend, x, y, size)
+        : drawColorbar(ctx, legend, x, y, size);
+      y += size * 0.3;
+    });
+  });
+  return y;
+}
+
+function drawNorthArrow(ctx, angle, size, x, y) {
+  const half = size / 2;
+  ctx.save();
+  ctx.translate(x, y);
+  ctx.rotate(angle);
+  ctx.beginPath();
+  ctx.moveTo(0, -half);
+  ctx.lineTo(half * 0.6, half);
+  ctx.lineTo(0, half * 0.55);
+  ctx.lineTo(-half * 0.6, half);
+  ctx.closePath();
+  ctx.lineJoin = 'round';
+  ctx.lineWidth = Math.max(1, size * 0.06);
+  ctx.strokeStyle = '#000';
+  ctx.fillStyle = '#fff';
+  ctx.fill();
+  ctx.stroke();
+  drawText(ctx, 'N', 0, -half - size * 0.45, size * 0.4, 'center');
+  ctx.restore();
+}
+
+function drawScaleBar(ctx, metersPerPixel, size, right, bottom, maxWidth) {
+  const { width, label } = getScaleBar(metersPerPixel, maxWidth);
+  const barHeight = Math.max(3, size * 0.25);
+  const x = right - width;
+  const y = bottom - barHeight;
+  ctx.lineWidth = 1;
+  ctx.strokeStyle = '#000';
+  ctx.fillStyle = '#fff';
+  ctx.fillRect(x, y, width, barHeight);
+  ctx.strokeRect(x, y, width, barHeight);
+  drawText(ctx, label, x + width / 2, y - size * 0.85, size * 0.65, 'center');
+}
+
+/**
+ * Draw the date stamp, layer titles & legends, scale bar, north arrow and attribution
+ * over a snapshot
+ * @param {HTMLCanvasElement} canvas
+ * @param {Object} content | From getSnapshotOverlayContent
+ */
+export function drawSnapshotOverlays(canvas, content) {
+  const {
+    dateText, layers, metersPerPixel, northAngle, attribution,
+  } = content;
+  const { width, height } = canvas;
+  const ctx = canvas.getContext('2d');
+  const size = Math.max(10, Math.round(Math.min(width, height) / 40));
+  const margin = size / 2;
+  const { dateStamp } = getStampProps(
+    STAMP_WIDTH_RATIO,
+    STAMP_BREAK_POINT,
+    undefined,
+    { w: width, h: height },
+    width,
+    height,
+  );
+
+  if (dateText && dateStamp.fontSize) {
+    drawText(ctx, dateText, dateStamp.x, dateStamp.y, dateStamp.fontSize, dateStamp.align);
+  }
+  if (layers.length) {
+    drawLayerLegends(ctx, layers, size, margin, margin);
+  }
+  if (northAngle !== null) {
+    const arrowSize = size * 2;
+    drawNorthArrow(ctx, northAngle, arrowSize, width - margin - arrowSize / 2, margin + arrowSize);
+  }
+  let bottom = height - margin;
+  if (attribution) {
+    const attributionSize = size * 0.6;
+    drawText(ctx, attribution, width - margin, bottom - attributionSize * 1.2, attributionSize, 'right');
+    bottom -= attributionSize * 1.6;
+  }
+  if (metersPerPixel) {
+    drawScaleBar(ctx, metersPerPixel, size, width - margin, bottom, width / 4);
+  }
+}
+
+/**
+ * Draw overlays over a snapshot image returned by the snapshot service
+ * @param {Blob} blob
+ * @param {String} fileType | image/jpeg or image/png
+ * @param {Object} content | From getSnapshotOverlayContent
+ * @returns {Promise<Blob>}
+ */
+export async function addSnapshotOverlays(blob, fileType, content) {
+  const image = await createImageBitmap(blob);
+  const canvas = document.createElement('canvas');
+  canvas.width = image.width;
+  canvas.height = image.height;
+  canvas.getContext('2d').drawImage(image, 0, 0);
+  drawSnapshotOverlays(canvas, content);
+  return canvasToBlob(canvas, fileType);
+}
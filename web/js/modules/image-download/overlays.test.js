@@ -0,0 +1,95 @@
+import { register } from 'ol/proj/proj4';
+import proj4 from 'proj4';
+import {
+  drawSnapshotOverlays,
+  getMetersPerPixel,
+  getNorthAngle,
+  getScaleBar,
+  getSnapshotOverlayContent,
+} from './overlays';
+
+proj4.defs('EPSG:3413', '+proj=stere +lat_0=90 +lat_ts=70 +lon_0=-45 +k=1 +x_0=0 +y_0=0 +datum=WGS84 +units=m +no_defs');
+register(proj4);
+
+const legend = {
+  type: 'continuous',
+  colors: ['ff0000ff', '00ff00ff', '0000ffff'],
+  tooltips: ['0', '5', '10'],
+  units: 'mm',
+};
+const layers = [
+  { id: 'layer-a', title: 'Layer A', palette: {} },
+  { id: 'layer-b', title: 'Layer B' },
+];
+const allOverlays = {
+  date: true,
+  titles: true,
+  legends: true,
+  scaleBar: true,
+  northArrow: true,
+  attribution: true,
+};
+const contentOptions = {
+  layers,
+  getTitle: ({ title }) => title,
+  getLegends: () => [legend],
+  dateText: '2019 JUN 24',
+  attribution: 'NASA',
+  bbox: [[0, 0], [1, 1]],
+  crs: 'EPSG:4326',
+  width: 1000,
+};
+
+test('Meters per pixel at the center of a snapshot [imagedownload-overlays-meters-per-pixel]', () => {
+  // One degree of longitude at the equator is ~111.2 km
+  const metersPerPixel = getMetersPerPixel([[-0.5, -0.5], [0.5, 0.5]], 'EPSG:4326', 1000);
+  expect(metersPerPixel).toBeCloseTo(111.2, 0);
+});
+
+test('Scale bar uses a round length [imagedownload-overlays-scale-bar]', () => {
+  expect(getScaleBar(111.2, 250)).toEqual({ width: 20000 / 111.2, label: '20 km' });
+  expect(getScaleBar(1, 300)).toEqual({ width: 200, label: '200 m' });
+  expect(getScaleBar(10000, 250).label).toBe('2,000 km');
+});
+
+test('North arrow direction [imagedownload-overlays-north-arrow]', () => {
+  expect(getNorthAngle([10, 10], 'EPSG:4326')).toBe(0);
+  // On the negative x axis of the arctic projection north points right, towards the pole
+  expect(getNorthAngle([-1000000, 0], 'EPSG:3413')).toBeCloseTo(Math.PI / 2);
+});
+
+test('Overlay content for the selected options [imagedownload-overlays-content]', () => {
+  const content = getSnapshotOverlayContent(allOverlays, contentOptions);
+  expect(content.dateText).toBe('2019 JUN 24');
+  expect(content.attribution).toBe('NASA');
+  expect(content.northAngle).toBe(0);
+  expect(content.metersPerPixel).toBeGreaterThan(0);
+  expect(content.layers).toEqual([
+    { title: 'Layer A', legends: [legend] },
+    { title: 'Layer B', legends: [] },
+  ]);
+});
+
+test('Overlay content is empty when no options are selected [imagedownload-overlays-content-empty]', () => {
+  const content = getSnapshotOverlayContent({ legends: true }, contentOptions);
+  expect(content).toEqual({
+    dateText: '',
+    layers: [{ title: '', legends: [legend] }],
+    metersPerPixel: null,
+    northAngle: null,
+    attribution: '',
+  });
+});
+
+test('Drawing overlays over a snapshot [imagedownload-overlays-draw]', () => {
+  const canvas = document.createElement('canvas');
+  canvas.width = 800;
+  canvas.height = 600;
+  drawSnapshotOverlays(canvas, getSnapshotOverlayContent(allOverlays, contentOptions));
+  const text = canvas.getContext('2d').__getDrawCalls()
+    .filter(({ type }) => type === 'fillText')
+    .map(({ props }) => props.text);
+  expect(text).toEqual(expect.arrayContaining([
+    '2019 JUN 24', 'Layer A', 'Layer B', '0', '10 mm', 'N', 'NASA',
+  ]));
+});
@@ -4,6 +4,7 @@ import {
   UPDATE_FILE_TYPE,
   UPDATE_WORLDFILE,
   UPDATE_RESOLUTION,
+  UPDATE_OVERLAYS,
   fileTypesPolar,
 } from './constants';
 import { CHANGE_PROJECTION } from '../projection/constants';
@@ -13,6 +14,14 @@ export const defaultState = {
   boundaries: undefined,
   isWorldfile: false,
   resolution: '',
+  overlays: {
+    date: false,
+    titles: false,
+    legends: false,
+    scaleBar: false,
+    northArrow: false,
+    attribution: false,
+  },
 };
 
 export function imageDownloadReducer(state = defaultState, action) {
@@ -33,12 +42,16 @@ export function imageDownloadReducer(state = defaultState, action) {
       return lodashAssign({}, state, {
         resolution: action.value,
       });
+    case UPDATE_OVERLAYS:
+      return lodashAssign({}, state, {
+        overlays: { ...state.overlays, ...action.value },
+      });
     case CHANGE_PROJECTION: {
       const fileType = action.selected !== 'geographic'
         && !lodashFind(fileTypesPolar.values, { value: state.fileType })
         ? 'image/jpeg'
         : state.fileType;
-      return lodashAssign({}, defaultState, { fileType });
+      return lodashAssign({}, defaultState, { fileType, overlays: state.overlays });
     }
     default:
       return state;
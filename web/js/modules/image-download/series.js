@@ -0,0 +1,113 @@
+import util from '../../util/util';
+import { createZip, unzip } from '../../util/zip';
+import { escapeCSVValue } from '../../util/csv';
+import {
+  fetchSnapshot,
+  getFileNameDate,
+  getSnapshotFileName,
+  imageUtilGetLayers,
+} from './util';
+
+/**
+ * Build the manifest CSV listing the files & layers of each frame in a series
+ * @param {Array} rows | [{ date, files, layers, status }]
+ * @returns {String}
+ */
+export function getSeriesManifestCSV(rows) {
+  const header = ['date', 'files', 'layers', 'status'];
+  const lines = rows.map(({
+    date, files, layers, status,
+  }) => [
+    util.toISOStringSeconds(date),
+    files.join(';'),
+    layers.join(';'),
+    status,
+  ].map(escapeCSVValue).join(','));
+  return [header.join(','), ...lines].join('\n');
+}
+
+/**
+ * Get the file name of a series zip
+ * @param {Date} startDate
+ * @param {Date} endDate
+ * @param {Boolean} includeTime | Include the time for subdaily series
+ */
+export function getSeriesFileName(startDate, endDate, includeTime) {
+  return `snapshots-${getFileNameDate(startDate, includeTime)}_${getFileNameDate(endDate, includeTime)}.zip`;
+}
+
+/**
+ * Get the zip entries of a downloaded frame. Worldfile snapshots are returned
+ * as a zip themselves, so their contents are renamed after the frame instead.
+ * @param {Blob} blob
+ * @param {String} fileName | From getSnapshotFileName
+ * @param {Boolean} isWorldfile
+ * @returns {Promise<Array>} | [{ name, data }]
+ */
+async function getFrameEntries(blob, fileName, isWorldfile) {
+  const buffer = await blob.arrayBuffer();
+  if (!isWorldfile) {
+    return [{ name: fileName, data: buffer }];
+  }
+  const baseName = fileName.replace(/\.zip$/, '');
+  const files = await unzip(buffer);
+  return Object.keys(files)
+    .filter((name) => !name.endsWith('/'))
+    .map((name) => {
+      const extension = name.includes('.') ? name.split('.').pop() : 'dat';
+      return { name: `${baseName}.${extension}`, data: files[name] };
+    });
+}
+
+/**
+ * Download the snapshot of each animation frame, one at a time, and package
+ * them with a manifest in a zip. Frames that fail are listed in the manifest
+ * with their error.
+ * @param {Array} frames | [{ date, url, layers }] from getAnimationFrames
+ * @param {Object} options
+ * @param {String} options.projId
+ * @param {String} options.fileType
+ * @param {Boolean} options.isWorldfile
+ * @param {Boolean} options.includeTime | Include the time in file names for subdaily frames
+ * @param {Function} options.onProgress | (completed, total) => {}
+ * @param {AbortSignal} options.signal | Cancels the download
+ * @returns {Promise<Blob>}
+ */
+export async function downloadSnapshotSeries(frames, options) {
+  const {
+    projId, fileType, isWorldfile, includeTime, onProgress, signal,
+  } = options;
+  const entries = [];
+  const rows = [];
+
+  for (let i = 0; i < frames.length; i += 1) {
+    const { date, url, layers } = frames[i];
+    const fileName = getSnapshotFileName(date, fileType, isWorldfile, includeTime);
+    const row = {
+      date,
+      files: [],
+      layers: imageUtilGetLayers(layers, projId),
+      status: 'ok',
+    };
+    try {
+      // Frames are requested in sequence to avoid flooding the snapshot service
+      // eslint-disable-next-line no-await-in-loop
+      const blob = await fetchSnapshot(url, signal);
+      // eslint-disable-next-line no-await-in-loop
+      const frameEntries = await getFrameEntries(blob, fileName, isWorldfile);
+      entries.push(...frameEntries);
+      row.files = frameEntries.map(({ name }) => name);
+    } catch (e) {
+      if (signal && signal.aborted) throw e;
+      row.status = e.message;
+    }
+    rows.push(row);
+    if (onProgress) onProgress(i + 1, frames.length);
+  }
+
+  if (!entries.length) {
+    throw new Error(`None of the snapshots could be downloaded. ${rows.length ? rows[0].status : ''}`.trim());
+  }
+  entries.push({ name: 'manifest.csv', data: getSeriesManifestCSV(rows) });
+  return createZip(entries);
+}
@@ -0,0 +1,97 @@
+import { TextDecoder as NodeTextDecoder, TextEncoder as NodeTextEncoder } from 'util';
+import { unzip } from '../../util/zip';
+import {
+  downloadSnapshotSeries,
+  getSeriesFileName,
+  getSeriesManifestCSV,
+} from './series';
+
+// jsdom does not provide TextDecoder & TextEncoder
+if (typeof global.TextDecoder === 'undefined') {
+  global.TextDecoder = NodeTextDecoder;
+}
+if (typeof global.TextEncoder === 'undefined') {
+  global.TextEncoder = NodeTextEncoder;
+}
+
+const readBlob = (blob) => new Promise((resolve) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.readAsArrayBuffer(blob);
+});
+
+const layers = [{
+  id: 'MODIS_Terra_CorrectedReflectance_TrueColor',
+  projections: { geographic: {} },
+}];
+const frames = [
+  { date: new Date('2018-06-01T00:00:00Z'), url: 'snapshot?TIME=2018-06-01', layers },
+  { date: new Date('2018-06-02T00:00:00Z'), url: 'snapshot?TIME=2018-06-02', layers },
+];
+const mockResponse = (ok, bytes) => ({
+  ok,
+  status: ok ? 200 : 500,
+  headers: { get: () => 'image/tiff' },
+  blob: () => Promise.resolve({
+    arrayBuffer: () => Promise.resolve(new Uint8Array(bytes).buffer),
+  }),
+});
+
+afterEach(() => {
+  delete global.fetch;
+});
+
+test('Series manifest CSV [imagedownload-series-manifest]', () => {
+  const csv = getSeriesManifestCSV([{
+    date: new Date('2018-06-01T00:00:00Z'),
+    files: ['a.tif', 'a.tfw'],
+    layers: ['layer-a', 'layer-b'],
+    status: 'ok',
+  }]);
+  expect(csv).toBe('date,files,layers,status\n2018-06-01T00:00:00Z,a.tif;a.tfw,layer-a;layer-b,ok');
+});
+
+test('Series file name [imagedownload-series-file-name]', () => {
+  const start = new Date('2018-06-01T06:30:00Z');
+  const end = new Date('2018-06-02T06:30:00Z');
+  expect(getSeriesFileName(start, end, false)).toBe('snapshots-2018-06-01_2018-06-02.zip');
+  expect(getSeriesFileName(start, end, true)).toBe('snapshots-2018-06-01T063000Z_2018-06-02T063000Z.zip');
+});
+
+test('Downloads each frame into a zip with a manifest [imagedownload-series-download]', async () => {
+  global.fetch = jest.fn((url) => Promise.resolve(url.endsWith('06-02')
+    ? mockResponse(false)
+    : mockResponse(true, [1, 2, 3])));
+  const onProgress = jest.fn();
+  const blob = await downloadSnapshotSeries(frames, {
+    projId: 'geographic',
+    fileType: 'image/tiff',
+    isWorldfile: false,
+    onProgress,
+  });
+  const files = await unzip(await readBlob(blob));
+
+  expect(global.fetch).toHaveBeenCalledTimes(2);
+  expect(onProgress).toHaveBeenLastCalledWith(2, 2);
+  expect(Object.keys(files)).toEqual(['snapshot-2018-06-01.tif', 'manifest.csv']);
+  expect(Array.from(new Uint8Array(files['snapshot-2018-06-01.tif']))).toEqual([1, 2, 3]);
+  expect(new TextDecoder().decode(files['manifest.csv'])).toBe([
+    'date,files,layers,status',
+    '2018-06-01T00:00:00Z,snapshot-2018-06-01.tif,MODIS_Terra_CorrectedReflectance_TrueColor,ok',
+    '2018-06-02T00:00:00Z,,MODIS_Terra_CorrectedReflectance_TrueColor,The snapshot service responded with status 500.',
+  ].join('\n'));
+});
+
+test('Cancelling stops the series download [imagedownload-series-cancel]', async () => {
+  const controller = new AbortController();
+  global.fetch = jest.fn(() => {
+    controller.abort();
+    return Promise.reject(new Error('aborted'));
+  });
+  await expect(downloadSnapshotSeries(frames, {
+    projId: 'geographic',
+    fileType: 'image/jpeg',
+    signal: controller.signal,
+  })).rejects.toThrow('aborted');
+  expect(global.fetch).toHaveBeenCalledTimes(1);
+});
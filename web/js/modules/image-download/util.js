@@ -311,6 +311,152 @@ export function getDownloadUrl(url, proj, layerDefs, bbox, dimensions, dateTime,
   return `${url}?${params.join('&')}&ts=${Date.now()}`;
 }
 
+const FILE_EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/tiff': 'tif',
+  'application/vnd.google-earth.kmz': 'kmz',
+};
+
+/**
+ * Format a date for use in file names
+ * @param {Date} dateTime
+ * @param {Boolean} includeTime | Include the time for subdaily snapshots
+ */
+export function getFileNameDate(dateTime, includeTime) {
+  return includeTime
+    ? util.toISOStringSeconds(dateTime).replace(/:/g, '')
+    : util.toISOStringDate(dateTime);
+}
+
+/**
+ * Get the file name of a downloaded snapshot
+ * @param {Date} dateTime
+ * @param {String} fileType
+ * @param {Boolean} isWorldfile | Worldfile snapshots are zipped
+ * @param {Boolean} includeTime | Include the time for subdaily snapshots
+ */
+export function getSnapshotFileName(dateTime, fileType, isWorldfile, includeTime) {
+  const extension = isWorldfile ? 'zip' : FILE_EXTENSIONS[fileType] || 'jpg';
+  return `snapshot-${getFileNameDate(dateTime, includeTime)}.${extension}`;
+}
+
+/**
+ * Request an image from the snapshot service
+ * @param {String} url | Snapshot URL from getDownloadUrl
+ * @param {AbortSignal} signal | Optional, to cancel the request
+ * @returns {Promise<Blob>}
+ */
+export async function fetchSnapshot(url, signal) {
+  let response;
+  try {
+    response = await fetch(url, { signal });
+  } catch (e) {
+    if (signal && signal.aborted) throw e;
+    // Network failures, including a service that doesn't allow cross-origin requests
+    throw new Error('The snapshot service could not be reached.');
+  }
+  const contentType = response.headers.get('content-type') || '';
+  // Failed requests may be reported as an XML/HTML document rather than a status code
+  if (!response.ok || /xml|html/.test(contentType)) {
+    throw new Error(`The snapshot service responded with status ${response.status}.`);
+  }
+  return response.blob();
+}
+
+/**
+ * Get the CSS transform OpenLayers applied to a layer canvas to fit it to the viewport
+ * @param {HTMLCanvasElement} canvas
+ * @returns {Array} | [a, b, c, d, e, f]
+ */
+function getCanvasTransform(canvas) {
+  const match = (canvas.style.transform || '').match(/^matrix\(([^(]*)\)$/);
+  return match ? match[1].split(',').map(Number) : [1, 0, 0, 1, 0, 0];
+}
+
+/**
+ * Composite the layer canvases currently rendered by the map within a crop box.
+ * Compare mode clipping and vector styles are already drawn into each layer canvas,
+ * so only the opacity & transform of each canvas need to be applied here.
+ * @param {Object} map | OpenLayers map
+ * @param {Object} boundaries | Crop box in map pixels { x, y, x2, y2 }
+ * @param {Object} dimensions | Output image size { width, height }
+ * @param {String} fileType
+ * @returns {HTMLCanvasElement}
+ */
+export function imageUtilCompositeMapCanvas(map, boundaries, dimensions, fileType) {
+  const {
+    x, y, x2, y2,
+  } = boundaries;
+  const { width, height } = dimensions;
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const context = canvas.getContext('2d');
+  if (fileType === 'image/jpeg') {
+    // JPEG has no transparency; match the map background
+    context.fillStyle = '#000';
+    context.fillRect(0, 0, width, height);
+  }
+  const scaleX = width / (x2 - x);
+  const scaleY = height / (y2 - y);
+  map.getViewport().querySelectorAll('.ol-layers canvas').forEach((layerCanvas) => {
+    if (!layerCanvas.width || !layerCanvas.height) return;
+    const opacity = layerCanvas.parentNode.style.opacity || layerCanvas.style.opacity;
+    context.globalAlpha = opacity === '' ? 1 : Number(opacity);
+    context.setTransform(scaleX, 0, 0, scaleY, -x * scaleX, -y * scaleY);
+    context.transform(...getCanvasTransform(layerCanvas));
+    context.drawImage(layerCanvas, 0, 0);
+  });
+  context.globalAlpha = 1;
+  context.setTransform(1, 0, 0, 1, 0, 0);
+  return canvas;
+}
+
+/**
+ * Encode a canvas as an image
+ * @param {HTMLCanvasElement} canvas
+ * @param {String} fileType | image/jpeg or image/png
+ * @returns {Promise<Blob>}
+ */
+export function canvasToBlob(canvas, fileType) {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => {
+      if (blob) {
+        resolve(blob);
+      } else {
+        reject(new Error('The map could not be rendered to an image.'));
+      }
+    }, fileType, 0.92);
+  });
+}
+
+/**
+ * Render a snapshot in the browser from the imagery already drawn on the map,
+ * once the map has finished loading its tiles
+ * @param {Object} map | OpenLayers map
+ * @param {Object} boundaries | Crop box in map pixels { x, y, x2, y2 }
+ * @param {Object} dimensions | Output image size { width, height }
+ * @param {String} fileType | image/jpeg or image/png
+ * @param {Function} drawOverlays | Optional, called with the canvas before it is encoded
+ * @returns {Promise<Blob>}
+ */
+export function getClientSnapshot(map, boundaries, dimensions, fileType, drawOverlays) {
+  return new Promise((resolve, reject) => {
+    map.once('rendercomplete', () => {
+      try {
+        const canvas = imageUtilCompositeMapCanvas(map, boundaries, dimensions, fileType);
+        if (drawOverlays) drawOverlays(canvas);
+        resolve(canvasToBlob(canvas, fileType));
+      } catch (e) {
+        // Canvases that contain imagery loaded without CORS headers can't be exported
+        reject(e);
+      }
+    });
+    map.render();
+  });
+}
+
 export function imageUtilGetConversionFactor(proj) {
   if (proj === 'geographic') return POLAR_ESTIMATION_CONSTANT;
   return GEO_ESTIMATION_CONSTANT;
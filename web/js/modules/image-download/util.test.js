@@ -3,6 +3,9 @@ import {
   imageUtilCalculateResolution,
   getLatestIntervalTime,
   getDownloadUrl,
+  getSnapshotFileName,
+  fetchSnapshot,
+  imageUtilCompositeMapCanvas,
 } from './util';
 
 const geoResolutions = [
@@ -231,3 +234,77 @@ test('Download URL [imagedownload-url]', () => {
     + '&MARKER=2.7117,-19.1609,71.173,-39.0961';
   expect(dlURL.includes(expectedURL)).toBe(true);
 });
+
+test('Snapshot file names [imagedownload-file-name]', () => {
+  const dateTime = new Date('2019-06-24T19:04:00Z');
+  expect(getSnapshotFileName(dateTime, 'image/png', false)).toBe('snapshot-2019-06-24.png');
+  expect(getSnapshotFileName(dateTime, 'image/jpeg', true)).toBe('snapshot-2019-06-24.zip');
+  expect(getSnapshotFileName(dateTime, 'application/vnd.google-earth.kmz', false)).toBe('snapshot-2019-06-24.kmz');
+});
+
+describe('Fetching snapshots [imagedownload-fetch]', () => {
+  const mockResponse = (ok, contentType) => ({
+    ok,
+    status: ok ? 200 : 503,
+    headers: { get: () => contentType },
+    blob: () => Promise.resolve('image-blob'),
+  });
+  afterEach(() => {
+    delete global.fetch;
+  });
+
+  test('resolves the image blob', async () => {
+    global.fetch = jest.fn(() => Promise.resolve(mockResponse(true, 'image/jpeg')));
+    await expect(fetchSnapshot('http://localhost/snapshot')).resolves.toBe('image-blob');
+  });
+
+  test('rejects error statuses', async () => {
+    global.fetch = jest.fn(() => Promise.resolve(mockResponse(false, 'text/plain')));
+    await expect(fetchSnapshot('http://localhost/snapshot')).rejects.toThrow('status 503');
+  });
+
+  test('rejects error documents', async () => {
+    global.fetch = jest.fn(() => Promise.resolve(mockResponse(true, 'text/xml')));
+    await expect(fetchSnapshot('http://localhost/snapshot')).rejects.toThrow();
+  });
+
+  test('reports unreachable services', async () => {
+    global.fetch = jest.fn(() => Promise.reject(new TypeError('Failed to fetch')));
+    await expect(fetchSnapshot('http://localhost/snapshot')).rejects.toThrow('could not be reached');
+  });
+});
+
+test('Compositing map canvases within the crop box [imagedownload-composite]', () => {
+  const createLayerCanvas = (opacity, transform) => {
+    const container = document.createElement('div');
+    container.style.opacity = opacity;
+    const layerCanvas = document.createElement('canvas');
+    layerCanvas.width = 200;
+    layerCanvas.height = 100;
+    layerCanvas.style.transform = transform;
+    container.appendChild(layerCanvas);
+    return layerCanvas;
+  };
+  const layerCanvases = [
+    createLayerCanvas('', 'matrix(0.5, 0, 0, 0.5, 0, 0)'),
+    createLayerCanvas('0.4', ''),
+  ];
+  const map = {
+    getViewport: () => ({
+      querySelectorAll: () => layerCanvases,
+    }),
+  };
+  const boundaries = {
+    x: 10, y: 20, x2: 60, y2: 70,
+  };
+  const canvas = imageUtilCompositeMapCanvas(map, boundaries, { width: 100, height: 100 }, 'image/png');
+  const drawCalls = canvas.getContext('2d').__getDrawCalls()
+    .filter(({ type }) => type === 'drawImage');
+
+  expect(canvas.width).toBe(100);
+  expect(drawCalls.length).toBe(2);
+  // Crop box is scaled by 2, then the layer canvas transform is applied
+  expect(drawCalls[0].transform).toEqual([1, 0, 0, 1, -20, -40]);
+  expect(drawCalls[0].props.img).toBe(layerCanvases[0]);
+  expect(drawCalls[1].transform).toEqual([2, 0, 0, 2, -20, -40]);
+});
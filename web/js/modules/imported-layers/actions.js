@@ -0,0 +1,34 @@
+import { ADD_IMPORTED_LAYER } from './constants';
+import {
+  getImportedLayerId,
+  readImportFile,
+  saveImportedLayers,
+} from './util';
+import { addLayer } from '../layers/actions';
+import { openBasicContent } from '../modal/actions';
+
+/**
+ * Import a GeoJSON, KML, GPX or zipped Shapefile as a client-side vector layer
+ * & add it to the active layers
+ * @param {File} file
+ */
+// eslint-disable-next-line import/prefer-default-export
+export function importLayerFile(file) {
+  return async (dispatch, getState) => {
+    let importedLayer;
+    try {
+      importedLayer = await readImportFile(file);
+    } catch (error) {
+      dispatch(openBasicContent('Unable to import file', error.message));
+      return;
+    }
+    const id = getImportedLayerId();
+    dispatch({
+      type: ADD_IMPORTED_LAYER,
+      id,
+      importedLayer,
+    });
+    saveImportedLayers(getState().importedLayers);
+    dispatch(addLayer(id));
+  };
+}
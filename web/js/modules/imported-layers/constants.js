@@ -0,0 +1,15 @@
+export const ADD_IMPORTED_LAYER = 'IMPORTED-LAYERS/ADD_IMPORTED_LAYER';
+export const REMOVE_IMPORTED_LAYERS = 'IMPORTED-LAYERS/REMOVE_IMPORTED_LAYERS';
+export const IMPORTED_LAYER_TYPE = 'imported';
+export const IMPORTED_LAYER_ID_PREFIX = 'imported-';
+export const IMPORTED_LAYER_GROUP = 'Imported Overlays';
+// Layers whose GeoJSON is at most this many characters are embedded in the permalink;
+// larger layers are kept in local storage
+export const MAX_EMBEDDED_LENGTH = 2000;
+export const IMPORT_FILE_FORMATS = {
+  geojson: 'GeoJSON',
+  json: 'GeoJSON',
+  kml: 'KML',
+  gpx: 'GPX',
+  zip: 'Shapefile',
+};
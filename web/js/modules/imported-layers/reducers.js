@@ -0,0 +1,19 @@
+import { omit as lodashOmit } from 'lodash';
+import { ADD_IMPORTED_LAYER, REMOVE_IMPORTED_LAYERS } from './constants';
+
+// Imported layer data keyed by layer id: { title, format, data, embed }
+export const importedLayersState = {};
+
+export function importedLayersReducer(state = importedLayersState, action) {
+  switch (action.type) {
+    case ADD_IMPORTED_LAYER:
+      return {
+        ...state,
+        [action.id]: action.importedLayer,
+      };
+    case REMOVE_IMPORTED_LAYERS:
+      return lodashOmit(state, action.ids);
+    default:
+      return state;
+  }
+}
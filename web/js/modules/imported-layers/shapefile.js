@@ -0,0 +1,217 @@
+import proj4 from 'proj4';
+import { unzip } from '../../util/zip';
+
+const SHP_FILE_CODE = 9994;
+
+/**
+ * Read an array of x/y points
+ * @param {DataView} view
+ * @param {Number} offset
+ * @param {Number} count
+ */
+function readPoints(view, offset, count) {
+  const points = [];
+  for (let i = 0; i < count; i += 1) {
+    points.push([
+      view.getFloat64(offset + i * 16, true),
+      view.getFloat64(offset + i * 16 + 8, true),
+    ]);
+  }
+  return points;
+}
+
+/**
+ * Split the points of a PolyLine/Polygon record into its parts
+ * @param {DataView} view
+ * @param {Number} offset | Start of the record content
+ */
+function readParts(view, offset) {
+  const numParts = view.getInt32(offset + 36, true);
+  const numPoints = view.getInt32(offset + 40, true);
+  const partsOffset = offset + 44;
+  const points = readPoints(view, partsOffset + numParts * 4, numPoints);
+  const parts = [];
+  for (let i = 0; i < numParts; i += 1) {
+    const start = view.getInt32(partsOffset + i * 4, true);
+    const end = i + 1 < numParts ? view.getInt32(partsOffset + (i + 1) * 4, true) : numPoints;
+    parts.push(points.slice(start, end));
+  }
+  return parts;
+}
+
+/**
+ * Shapefile outer rings are clockwise, holes are counter-clockwise
+ * @param {Array} ring
+ */
+function isClockwise(ring) {
+  let sum = 0;
+  for (let i = 1; i < ring.length; i += 1) {
+    const [x1, y1] = ring[i - 1];
+    const [x2, y2] = ring[i];
+    sum += (x2 - x1) * (y2 + y1);
+  }
+  return sum > 0;
+}
+
+/**
+ * Group polygon rings into polygons, assigning each hole to the preceding outer ring
+ * @param {Array} rings
+ */
+function ringsToGeometry(rings) {
+  const polygons = [];
+  rings.forEach((ring) => {
+    if (isClockwise(ring) || !polygons.length) {
+      polygons.push([ring]);
+    } else {
+      polygons[polygons.length - 1].push(ring);
+    }
+  });
+  return polygons.length === 1
+    ? { type: 'Polygon', coordinates: polygons[0] }
+    : { type: 'MultiPolygon', coordinates: polygons };
+}
+
+/**
+ * Parse the geometries of a .shp file. Z & M values are ignored.
+ * @param {ArrayBuffer} buffer
+ * @returns {Array} | GeoJSON geometries, null for null shapes
+ */
+export function parseShp(buffer) {
+  const view = new DataView(buffer);
+  if (view.getInt32(0) !== SHP_FILE_CODE) {
+    throw new Error('Not a valid shapefile.');
+  }
+  const fileLength = Math.min(view.getInt32(24) * 2, buffer.byteLength);
+  const geometries = [];
+  let offset = 100;
+  while (offset + 8 <= fileLength) {
+    const contentLength = view.getInt32(offset + 4) * 2;
+    const contentOffset = offset + 8;
+    // Z & M variants share the x/y layout of the base shape type
+    const shapeType = view.getInt32(contentOffset, true) % 10;
+    let geometry = null;
+    if (shapeType === 1) {
+      geometry = { type: 'Point', coordinates: readPoints(view, contentOffset + 4, 1)[0] };
+    } else if (shapeType === 8) {
+      const numPoints = view.getInt32(contentOffset + 36, true);
+      geometry = { type: 'MultiPoint', coordinates: readPoints(view, contentOffset + 40, numPoints) };
+    } else if (shapeType === 3) {
+      const parts = readParts(view, contentOffset);
+      geometry = parts.length === 1
+        ? { type: 'LineString', coordinates: parts[0] }
+        : { type: 'MultiLineString', coordinates: parts };
+    } else if (shapeType === 5) {
+      geometry = ringsToGeometry(readParts(view, contentOffset));
+    }
+    geometries.push(geometry);
+    offset = contentOffset + contentLength;
+  }
+  return geometries;
+}
+
+/**
+ * Parse the attribute records of a .dbf file
+ * @param {ArrayBuffer} buffer
+ * @param {String} encoding | From the .cpg file, defaults to UTF-8
+ * @returns {Array} | One properties object per record
+ */
+export function parseDbf(buffer, encoding = 'utf-8') {
+  const view = new DataView(buffer);
+  const bytes = new Uint8Array(buffer);
+  let decoder;
+  try {
+    decoder = new TextDecoder(encoding);
+  } catch (e) {
+    decoder = new TextDecoder();
+  }
+  const recordCount = view.getUint32(4, true);
+  const headerLength = view.getUint16(8, true);
+  const recordLength = view.getUint16(10, true);
+
+  const fields = [];
+  for (let offset = 32; offset < headerLength - 1 && bytes[offset] !== 0x0d; offset += 32) {
+    const name = decoder.decode(bytes.subarray(offset, offset + 11)).replace(/\0.*$/, '');
+    fields.push({
+      name,
+      type: String.fromCharCode(bytes[offset + 11]),
+      length: bytes[offset + 16],
+    });
+  }
+
+  const parseValue = (type, value) => {
+    const trimmed = value.trim();
+    if (type === 'N' || type === 'F') {
+      return trimmed === '' ? null : parseFloat(trimmed);
+    }
+    if (type === 'L') {
+      return /^[TtYy]$/.test(trimmed);
+    }
+    return trimmed;
+  };
+
+  const records = [];
+  for (let i = 0; i < recordCount; i += 1) {
+    let offset = headerLength + i * recordLength;
+    // Skip the deletion flag
+    offset += 1;
+    const properties = {};
+    fields.forEach(({ name, type, length }) => {
+      properties[name] = parseValue(type, decoder.decode(bytes.subarray(offset, offset + length)));
+      offset += length;
+    });
+    records.push(properties);
+  }
+  return records;
+}
+
+/**
+ * Reproject all coordinates of a GeoJSON geometry
+ * @param {Object} geometry
+ * @param {Function} transform | ([x, y]) => [lon, lat]
+ */
+function transformGeometry(geometry, transform) {
+  const transformCoordinates = (coordinates) => (typeof coordinates[0] === 'number'
+    ? transform(coordinates)
+    : coordinates.map(transformCoordinates));
+  return { ...geometry, coordinates: transformCoordinates(geometry.coordinates) };
+}
+
+/**
+ * Convert the contents of a zipped shapefile to a GeoJSON FeatureCollection in
+ * geographic coordinates. All shapefiles in the archive are combined.
+ * @param {ArrayBuffer} buffer | Zip file contents
+ */
+export async function shapefileToGeoJSON(buffer) {
+  const files = await unzip(buffer);
+  const findFile = (baseName, extension) => Object.keys(files)
+    .find((name) => name.toLowerCase() === `${baseName}.${extension}`);
+  const shpFiles = Object.keys(files)
+    .filter((name) => /\.shp$/i.test(name) && !/(^|\/)__MACOSX\//.test(name));
+  if (!shpFiles.length) {
+    throw new Error('No shapefile (.shp) found in the zip file.');
+  }
+  const decoder = new TextDecoder();
+  const features = [];
+  shpFiles.forEach((shpName) => {
+    const baseName = shpName.slice(0, -4).toLowerCase();
+    const dbfName = findFile(baseName, 'dbf');
+    const prjName = findFile(baseName, 'prj');
+    const cpgName = findFile(baseName, 'cpg');
+    const encoding = cpgName ? decoder.decode(files[cpgName]).trim() : undefined;
+    const records = dbfName ? parseDbf(files[dbfName], encoding) : [];
+    const prj = prjName ? decoder.decode(files[prjName]).trim() : '';
+    const projection = prj && !/^GEOGCS/i.test(prj) ? proj4(prj, 'EPSG:4326') : null;
+
+    parseShp(files[shpName]).forEach((geometry, i) => {
+      if (!geometry) return;
+      features.push({
+        type: 'Feature',
+        geometry: projection
+          ? transformGeometry(geometry, (coord) => projection.forward(coord))
+          : geometry,
+        properties: records[i] || {},
+      });
+    });
+  });
+  return { type: 'FeatureCollection', features };
+}
@@ -0,0 +1,101 @@
+import { TextDecoder as NodeTextDecoder } from 'util';
+import { parseShp, parseDbf } from './shapefile';
+
+// jsdom does not provide TextDecoder
+if (typeof global.TextDecoder === 'undefined') {
+  global.TextDecoder = NodeTextDecoder;
+}
+
+/**
+ * Build a .shp file from record contents (shape type + geometry bytes)
+ * @param {Array} records | DataView writers for each record's content
+ */
+function buildShp(records) {
+  const contentLengths = records.map(({ length }) => length);
+  const fileLength = 100 + contentLengths.reduce((sum, length) => sum + 8 + length, 0);
+  const view = new DataView(new ArrayBuffer(fileLength));
+  view.setInt32(0, 9994);
+  view.setInt32(24, fileLength / 2);
+  let offset = 100;
+  records.forEach(({ length, write }, i) => {
+    view.setInt32(offset, i + 1);
+    view.setInt32(offset + 4, length / 2);
+    write(view, offset + 8);
+    offset += 8 + length;
+  });
+  return view.buffer;
+}
+
+const pointRecord = (x, y) => ({
+  length: 20,
+  write: (view, offset) => {
+    view.setInt32(offset, 1, true);
+    view.setFloat64(offset + 4, x, true);
+    view.setFloat64(offset + 12, y, true);
+  },
+});
+
+const polygonRecord = (rings) => {
+  const points = rings.flat();
+  return {
+    length: 44 + rings.length * 4 + points.length * 16,
+    write: (view, offset) => {
+      view.setInt32(offset, 5, true);
+      view.setInt32(offset + 36, rings.length, true);
+      view.setInt32(offset + 40, points.length, true);
+      let start = 0;
+      rings.forEach((ring, i) => {
+        view.setInt32(offset + 44 + i * 4, start, true);
+        start += ring.length;
+      });
+      const pointsOffset = offset + 44 + rings.length * 4;
+      points.forEach(([x, y], i) => {
+        view.setFloat64(pointsOffset + i * 16, x, true);
+        view.setFloat64(pointsOffset + i * 16 + 8, y, true);
+      });
+    },
+  };
+};
+
+test('Parses point records from a shapefile [imported-layers-shp-point]', () => {
+  const geometries = parseShp(buildShp([pointRecord(-120.5, 38.25), pointRecord(10, -5)]));
+  expect(geometries).toEqual([
+    { type: 'Point', coordinates: [-120.5, 38.25] },
+    { type: 'Point', coordinates: [10, -5] },
+  ]);
+});
+
+test('Parses polygon records with holes from a shapefile [imported-layers-shp-polygon]', () => {
+  const outer = [[0, 0], [0, 10], [10, 10], [10, 0], [0, 0]];
+  const hole = [[2, 2], [8, 2], [8, 8], [2, 8], [2, 2]];
+  const [geometry] = parseShp(buildShp([polygonRecord([outer, hole])]));
+  expect(geometry).toEqual({ type: 'Polygon', coordinates: [outer, hole] });
+});
+
+test('Rejects files that are not shapefiles [imported-layers-shp-invalid]', () => {
+  expect(() => parseShp(new ArrayBuffer(100))).toThrow('Not a valid shapefile.');
+});
+
+test('Parses dbf attribute records [imported-layers-dbf]', () => {
+  const fields = [
+    { name: 'NAME', type: 'C', length: 10 },
+    { name: 'ACRES', type: 'N', length: 8 },
+  ];
+  const headerLength = 32 + fields.length * 32 + 1;
+  const recordLength = 1 + 10 + 8;
+  const bytes = new Uint8Array(headerLength + recordLength);
+  const view = new DataView(bytes.buffer);
+  view.setUint32(4, 1, true);
+  view.setUint16(8, headerLength, true);
+  view.setUint16(10, recordLength, true);
+  fields.forEach(({ name, type, length }, i) => {
+    const offset = 32 + i * 32;
+    bytes.set(Array.from(name, (c) => c.charCodeAt(0)), offset);
+    bytes[offset + 11] = type.charCodeAt(0);
+    bytes[offset + 16] = length;
+  });
+  bytes[headerLength - 1] = 0x0d;
+  const record = ' Creek Fire  1520.5';
+  bytes.set(Array.from(record, (c) => c.charCodeAt(0)), headerLength);
+  expect(parseDbf(bytes.buffer)).toEqual([{ NAME: 'Creek Fire', ACRES: 1520.5 }]);
+});
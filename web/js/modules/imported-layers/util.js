@@ -0,0 +1,304 @@
+import {
+  get as lodashGet,
+  mapValues as lodashMapValues,
+  omit as lodashOmit,
+  pickBy as lodashPickBy,
+} from 'lodash';
+import OlFormatGeoJSON from 'ol/format/GeoJSON';
+import OlFormatGPX from 'ol/format/GPX';
+import OlFormatKML from 'ol/format/KML';
+import {
+  Circle as OlStyleCircle,
+  Fill as OlStyleFill,
+  Stroke as OlStyleStroke,
+  Style as OlStyle,
+} from 'ol/style';
+import safeLocalStorage from '../../util/local-storage';
+import { CRS } from '../map/constants';
+import { shapefileToGeoJSON } from './shapefile';
+import {
+  IMPORTED_LAYER_GROUP,
+  IMPORTED_LAYER_ID_PREFIX,
+  IMPORTED_LAYER_TYPE,
+  IMPORT_FILE_FORMATS,
+  MAX_EMBEDDED_LENGTH,
+  REMOVE_IMPORTED_LAYERS,
+} from './constants';
+
+const { IMPORTED_LAYERS } = safeLocalStorage.keys;
+
+const importedFill = new OlStyleFill({
+  color: 'rgba(255, 196, 0, 0.2)',
+});
+const importedStroke = new OlStyleStroke({
+  color: 'rgba(255, 196, 0, 1)',
+  width: 2,
+});
+
+export const importedLayerStyle = new OlStyle({
+  fill: importedFill,
+  stroke: importedStroke,
+  image: new OlStyleCircle({
+    radius: 5,
+    fill: importedFill,
+    stroke: importedStroke,
+  }),
+});
+
+/**
+ * Determine the import format from a file name
+ * @param {String} fileName
+ * @returns {String} | GeoJSON, KML, GPX, Shapefile or undefined if unsupported
+ */
+export function getImportFileFormat(fileName) {
+  const extension = (fileName || '').split('.').pop().toLowerCase();
+  return IMPORT_FILE_FORMATS[extension];
+}
+
+/**
+ * Parse GeoJSON, KML or GPX to a GeoJSON FeatureCollection in geographic coordinates
+ * @param {String|Object} source | File text, or a GeoJSON object
+ * @param {String} format | GeoJSON, KML or GPX
+ */
+export function parseImportData(source, format) {
+  const readers = {
+    GeoJSON: () => new OlFormatGeoJSON(),
+    KML: () => new OlFormatKML({ extractStyles: false }),
+    GPX: () => new OlFormatGPX(),
+  };
+  const projections = {
+    dataProjection: CRS.GEOGRAPHIC,
+    featureProjection: CRS.GEOGRAPHIC,
+  };
+  const features = readers[format]().readFeatures(source, projections)
+    .filter((feature) => feature.getGeometry());
+  return new OlFormatGeoJSON().writeFeaturesObject(features, {
+    ...projections,
+    decimals: 6,
+  });
+}
+
+/**
+ * Read an imported file
+ * @param {File} file | GeoJSON, KML, GPX or zipped Shapefile
+ * @returns {Object} | { title, format, data, embed }; data is a GeoJSON FeatureCollection
+ * in geographic coordinates & embed is true when it is small enough for the permalink
+ */
+export async function readImportFile(file) {
+  const format = getImportFileFormat(file.name);
+  if (!format) {
+    throw new Error(`${file.name} is not a supported file type. Please use GeoJSON, KML, GPX or a zipped Shapefile.`);
+  }
+  const source = format === 'Shapefile'
+    ? await shapefileToGeoJSON(await file.arrayBuffer())
+    : await file.text();
+  const data = parseImportData(source, format === 'Shapefile' ? 'GeoJSON' : format);
+  if (!data.features.length) {
+    throw new Error(`No features were found in ${file.name}.`);
+  }
+  return {
+    title: file.name.replace(/\.[^.]+$/, ''),
+    format,
+    data,
+    embed: JSON.stringify(data).length <= MAX_EMBEDDED_LENGTH,
+  };
+}
+
+let importCount = 0;
+
+/**
+ * Files imported together can finish parsing in the same millisecond, so the
+ * timestamp is suffixed with a count of the layers imported in this session
+ */
+export function getImportedLayerId() {
+  importCount += 1;
+  return `${IMPORTED_LAYER_ID_PREFIX}${Date.now().toString(36)}-${importCount}`;
+}
+
+export function isImportedLayerId(id) {
+  return typeof id === 'string' && id.startsWith(IMPORTED_LAYER_ID_PREFIX);
+}
+
+/**
+ * Build the layer definition for an imported layer
+ * @param {String} id
+ * @param {Object} importedLayer | { title, format }
+ * @param {Object} config
+ */
+export function getImportedLayerDef(id, { title, format }, config) {
+  const projections = Object.keys(config.projections)
+    .reduce((prev, key) => ({ ...prev, [key]: {} }), {});
+  return {
+    id,
+    title,
+    subtitle: `Imported ${format}`,
+    tags: 'imported',
+    type: IMPORTED_LAYER_TYPE,
+    group: 'overlays',
+    layergroup: IMPORTED_LAYER_GROUP,
+    format,
+    projections,
+    // Imported data only exists in this browser so it can't be included by the snapshot service
+    disableSnapshot: true,
+  };
+}
+
+/**
+ * Imported layers aren't part of the layer config; their definitions are built from state
+ * @param {Object} importedLayers | importedLayers state
+ * @param {Object} config
+ * @returns {Object} | layer definitions keyed by layer id
+ */
+export function getImportedLayerConfig(importedLayers, config) {
+  return lodashMapValues(importedLayers, (importedLayer, id) => getImportedLayerDef(id, importedLayer, config));
+}
+
+/**
+ * Complete the definitions of imported layers parsed from the `l` permalink parameters,
+ * dropping any whose data couldn't be restored
+ * @param {Array} layers | layer definitions
+ * @param {Object} importedLayers | importedLayers state
+ * @param {Object} config
+ */
+export function resolveImportedLayers(layers, importedLayers, config) {
+  return layers
+    .filter(({ id }) => !isImportedLayerId(id) || importedLayers[id])
+    .map((def) => (isImportedLayerId(def.id)
+      ? { ...def, ...getImportedLayerDef(def.id, importedLayers[def.id], config) }
+      : def));
+}
+
+export function isImportedLayer(def) {
+  return !!def && def.type === IMPORTED_LAYER_TYPE;
+}
+
+function getStoredImportedLayers() {
+  try {
+    return JSON.parse(safeLocalStorage.getItem(IMPORTED_LAYERS)) || {};
+  } catch (e) {
+    return {};
+  }
+}
+
+/**
+ * Keep imported layers that are too large for the permalink in local storage. Layers
+ * saved by other windows are kept unless they were removed in this one.
+ * @param {Object} importedLayers | importedLayers state
+ * @param {Array} removedIds | ids of imported layers removed in this session
+ */
+export function saveImportedLayers(importedLayers, removedIds = []) {
+  const storedLayers = lodashOmit({
+    ...getStoredImportedLayers(),
+    ...lodashPickBy(importedLayers, ({ embed }) => !embed),
+  }, removedIds);
+  try {
+    safeLocalStorage.setItem(IMPORTED_LAYERS, JSON.stringify(storedLayers));
+  } catch (e) {
+    // eslint-disable-next-line no-console
+    console.warn('Unable to save imported layers to local storage.');
+  }
+}
+
+/**
+ * Ids of the layers in the layer groups included in the permalink; both groups in
+ * compare mode, otherwise only the group being shown
+ * @param {Object} state
+ */
+function getActiveLayerIds(state) {
+  const compare = state.compare || {};
+  const groups = compare.active ? ['active', 'activeB'] : [compare.activeString || 'active'];
+  return groups
+    .flatMap((group) => lodashGet(state, ['layers', group, 'layers'], []))
+    .map(({ id }) => id);
+}
+
+/**
+ * @param {Object} state
+ * @returns {Array} ids of imported layers that are active in a layer group of the permalink
+ */
+export function getActiveImportedLayerIds(state) {
+  const activeLayerIds = getActiveLayerIds(state);
+  return Object.keys(state.importedLayers || {})
+    .filter((id) => activeLayerIds.includes(id));
+}
+
+/**
+ * Drop imported layers from state & local storage once they are no longer active, whether
+ * they were removed from the layer list, by starting over, by leaving compare mode or by
+ * loading another permalink
+ * @param {Object} store
+ * @returns {Function} | unsubscribe
+ */
+export function watchImportedLayers(store) {
+  let activeIds = getActiveImportedLayerIds(store.getState());
+  return store.subscribe(() => {
+    const state = store.getState();
+    const activeLayerIds = getActiveLayerIds(state);
+    const removedIds = activeIds.filter((id) => !activeLayerIds.includes(id));
+    activeIds = getActiveImportedLayerIds(state);
+    if (!removedIds.length) return;
+    store.dispatch({
+      type: REMOVE_IMPORTED_LAYERS,
+      ids: removedIds,
+    });
+    saveImportedLayers(store.getState().importedLayers, removedIds);
+  });
+}
+
+/**
+ * Serialize the imported layers that are active in either layer group. Small layers
+ * are embedded, larger layers are referenced by id & restored from local storage.
+ * @param {Object} importedLayers | importedLayers state
+ * @param {Object} state
+ */
+export function serializeImportedLayers(importedLayers, state) {
+  const activeLayerIds = getActiveLayerIds(state);
+  const entries = Object.keys(importedLayers)
+    .filter((id) => activeLayerIds.includes(id))
+    .map((id) => {
+      const {
+        title, format, data, embed,
+      } = importedLayers[id];
+      return {
+        id,
+        title,
+        format,
+        ...embed && { data },
+      };
+    });
+  return entries.length ? JSON.stringify(entries) : undefined;
+}
+
+/**
+ * Parse imported layers from the permalink
+ * @param {String} str
+ */
+export function parseImportedLayers(str) {
+  let entries;
+  try {
+    entries = JSON.parse(str);
+  } catch (e) {
+    // eslint-disable-next-line no-console
+    console.warn(`Error parsing imported layers: ${e}`);
+    return {};
+  }
+  const storedLayers = getStoredImportedLayers();
+  return [].concat(entries).reduce((prev, entry) => {
+    const {
+      id, title, format, data,
+    } = entry || {};
+    const layerData = data || lodashGet(storedLayers, [id, 'data']);
+    if (!id || !layerData) {
+      // eslint-disable-next-line no-console
+      console.warn(`No data found for imported layer: ${id}`);
+      return prev;
+    }
+    const importedLayer = {
+      title: title || id,
+      format,
+      data: layerData,
+      embed: !!data,
+    };
+    return { ...prev, [id]: importedLayer };
+  }, {});
+}
@@ -0,0 +1,203 @@
+import { combineReducers, createStore } from 'redux';
+import {
+  getImportFileFormat,
+  parseImportData,
+  getImportedLayerDef,
+  getImportedLayerId,
+  getActiveImportedLayerIds,
+  resolveImportedLayers,
+  serializeImportedLayers,
+  parseImportedLayers,
+  saveImportedLayers,
+  watchImportedLayers,
+} from './util';
+import { importedLayersReducer } from './reducers';
+import safeLocalStorage from '../../util/local-storage';
+import fixtures from '../../fixtures';
+
+const { IMPORTED_LAYERS } = safeLocalStorage.keys;
+
+const geojson = {
+  type: 'FeatureCollection',
+  features: [{
+    type: 'Feature',
+    geometry: { type: 'Point', coordinates: [-120.5, 38.25] },
+    properties: { name: 'Station' },
+  }],
+};
+const importedLayer = {
+  title: 'stations',
+  format: 'GeoJSON',
+  data: geojson,
+  embed: true,
+};
+
+const getConfig = () => {
+  const { config } = fixtures.getState();
+  return { ...config, layers: { ...config.layers } };
+};
+
+test('Import format is determined from the file extension [imported-layers-format]', () => {
+  expect(getImportFileFormat('perimeter.geojson')).toBe('GeoJSON');
+  expect(getImportFileFormat('track.GPX')).toBe('GPX');
+  expect(getImportFileFormat('fires.kml')).toBe('KML');
+  expect(getImportFileFormat('burn_scar.zip')).toBe('Shapefile');
+  expect(getImportFileFormat('image.tif')).toBeUndefined();
+});
+
+test('GeoJSON is parsed to a FeatureCollection [imported-layers-parse-geojson]', () => {
+  const data = parseImportData(JSON.stringify(geojson), 'GeoJSON');
+  expect(data.type).toBe('FeatureCollection');
+  expect(data.features[0].geometry).toEqual(geojson.features[0].geometry);
+  expect(data.features[0].properties).toEqual({ name: 'Station' });
+});
+
+test('KML is parsed to a FeatureCollection [imported-layers-parse-kml]', () => {
+  const kml = `<?xml version="1.0" encoding="UTF-8"?>
+    <kml xmlns="http://www.opengis.net/kml/2.2"><Document><Placemark>
+      <name>Burn perimeter</name>
+      <Polygon><outerBoundaryIs><LinearRing>
+        <coordinates>0,0 10,0 10,10 0,0</coordinates>
+      </LinearRing></outerBoundaryIs></Polygon>
+    </Placemark></Document></kml>`;
+  const data = parseImportData(kml, 'KML');
+  expect(data.features.length).toBe(1);
+  expect(data.features[0].geometry.type).toBe('Polygon');
+  expect(data.features[0].properties.name).toBe('Burn perimeter');
+});
+
+test('GPX is parsed to a FeatureCollection [imported-layers-parse-gpx]', () => {
+  const gpx = `<?xml version="1.0" encoding="UTF-8"?>
+    <gpx version="1.1" creator="test" xmlns="http://www.topografix.com/GPX/1/1">
+      <trk><name>Flight track</name><trkseg>
+        <trkpt lat="38.0" lon="-120.0"></trkpt>
+        <trkpt lat="38.5" lon="-120.5"></trkpt>
+      </trkseg></trk>
+    </gpx>`;
+  const data = parseImportData(gpx, 'GPX');
+  expect(data.features.length).toBe(1);
+  expect(data.features[0].geometry.type).toBe('MultiLineString');
+});
+
+test('Imported layer definitions are overlays available in all projections [imported-layers-def]', () => {
+  const config = getConfig();
+  const def = getImportedLayerDef('imported-abc', importedLayer, config);
+  expect(def.type).toBe('imported');
+  expect(def.group).toBe('overlays');
+  expect(def.title).toBe('stations');
+  expect(Object.keys(def.projections)).toEqual(Object.keys(config.projections));
+  expect(def.disableSnapshot).toBe(true);
+});
+
+test('Imported layer ids are unique within the same millisecond [imported-layers-id]', () => {
+  jest.spyOn(Date, 'now').mockReturnValue(1700000000000);
+  expect(getImportedLayerId()).not.toEqual(getImportedLayerId());
+  Date.now.mockRestore();
+});
+
+test('Imported layers are active in the layer groups of the permalink [imported-layers-active]', () => {
+  const state = {
+    importedLayers: {
+      'imported-abc': importedLayer,
+      'imported-def': importedLayer,
+      'imported-ghi': importedLayer,
+    },
+    layers: {
+      active: { layers: [{ id: 'imported-abc' }] },
+      activeB: { layers: [{ id: 'imported-def' }] },
+    },
+    compare: { active: true, activeString: 'active' },
+  };
+  expect(getActiveImportedLayerIds(state)).toEqual(['imported-abc', 'imported-def']);
+  const compareOff = { ...state, compare: { active: false, activeString: 'activeB' } };
+  expect(getActiveImportedLayerIds(compareOff)).toEqual(['imported-def']);
+});
+
+test('Imported layers are dropped from state & local storage once removed [imported-layers-watch]', () => {
+  const layersReducer = (state = { active: { layers: [] } }, action) => (
+    action.type === 'SET_LAYERS' ? { active: { layers: action.layers } } : state
+  );
+  const store = createStore(combineReducers({
+    importedLayers: importedLayersReducer,
+    layers: layersReducer,
+  }));
+  safeLocalStorage.removeItem(IMPORTED_LAYERS);
+  const bigLayer = { ...importedLayer, embed: false };
+  store.dispatch({ type: 'IMPORTED-LAYERS/ADD_IMPORTED_LAYER', id: 'imported-big', importedLayer: bigLayer });
+  saveImportedLayers(store.getState().importedLayers);
+  const unsubscribe = watchImportedLayers(store);
+  // Not yet added to the layer list
+  store.dispatch({ type: 'SET_LAYERS', layers: [] });
+  expect(store.getState().importedLayers['imported-big']).toBeDefined();
+  store.dispatch({ type: 'SET_LAYERS', layers: [{ id: 'imported-big' }] });
+  store.dispatch({ type: 'SET_LAYERS', layers: [] });
+  expect(store.getState().importedLayers).toEqual({});
+  expect(JSON.parse(safeLocalStorage.getItem(IMPORTED_LAYERS))).toEqual({});
+  unsubscribe();
+});
+
+test('Imported layers saved by another window are kept in local storage [imported-layers-save-merge]', () => {
+  safeLocalStorage.setItem(IMPORTED_LAYERS, JSON.stringify({ 'imported-other': importedLayer }));
+  saveImportedLayers({
+    'imported-big': { ...importedLayer, embed: false },
+    'imported-small': importedLayer,
+  });
+  expect(Object.keys(JSON.parse(safeLocalStorage.getItem(IMPORTED_LAYERS))))
+    .toEqual(['imported-other', 'imported-big']);
+  saveImportedLayers({}, ['imported-big']);
+  expect(Object.keys(JSON.parse(safeLocalStorage.getItem(IMPORTED_LAYERS))))
+    .toEqual(['imported-other']);
+});
+
+test('Only active imported layers are serialized [imported-layers-serialize]', () => {
+  const importedLayers = {
+    'imported-abc': importedLayer,
+    'imported-def': { ...importedLayer, title: 'removed' },
+  };
+  const state = {
+    layers: {
+      active: { layers: [{ id: 'imported-abc' }, { id: 'terra-cr' }] },
+      activeB: { layers: [] },
+    },
+  };
+  const serialized = serializeImportedLayers(importedLayers, state);
+  expect(JSON.parse(serialized)).toEqual([{
+    id: 'imported-abc', title: 'stations', format: 'GeoJSON', data: geojson,
+  }]);
+  expect(serializeImportedLayers(importedLayers, { layers: { active: { layers: [] } } })).toBeUndefined();
+});
+
+test('Embedded imported layers are parsed from the permalink [imported-layers-parse-permalink]', () => {
+  const str = JSON.stringify([{
+    id: 'imported-abc', title: 'stations', format: 'GeoJSON', data: geojson,
+  }]);
+  const importedLayers = parseImportedLayers(str);
+  expect(importedLayers['imported-abc']).toEqual(importedLayer);
+});
+
+test('Large imported layers are restored from local storage [imported-layers-local-storage]', () => {
+  saveImportedLayers({ 'imported-big': { ...importedLayer, embed: false } });
+  const str = JSON.stringify([{ id: 'imported-big', title: 'stations', format: 'GeoJSON' }]);
+  const importedLayers = parseImportedLayers(str);
+  expect(importedLayers['imported-big'].data).toEqual(geojson);
+});
+
+test('Imported layers without data are skipped [imported-layers-missing]', () => {
+  const str = JSON.stringify([{ id: 'imported-missing', title: 'missing' }]);
+  expect(parseImportedLayers(str)).toEqual({});
+  expect(parseImportedLayers('not json')).toEqual({});
+});
+
+test('Imported layers parsed from the permalink are completed from state [imported-layers-resolve]', () => {
+  const config = getConfig();
+  const layers = [
+    { id: 'imported-abc', opacity: 0.5 },
+    { id: 'imported-missing' },
+    { id: 'terra-cr' },
+  ];
+  const resolved = resolveImportedLayers(layers, { 'imported-abc': importedLayer }, config);
+  expect(resolved.map(({ id }) => id)).toEqual(['imported-abc', 'terra-cr']);
+  expect(resolved[0].title).toBe('stations');
+  expect(resolved[0].opacity).toBe(0.5);
+  expect(config.layers['imported-abc']).toBeUndefined();
+});
@@ -12,6 +12,7 @@ import {
   getGranuleLayer,
   getGranuleLayersOfActivePlatform,
   getActiveGranuleLayers,
+  getLayerConfig,
 } from './selectors';
 import {
   ADD_LAYER,
@@ -39,6 +40,7 @@ import { updateRecentLayers } from '../product-picker/util';
 import { getOverlayGroups, getLayersFromGroups } from './util';
 import safeLocalStorage from '../../util/local-storage';
 import { getGranuleFootprints } from '../../map/granule/util';
+import { isImportedLayer } from '../imported-layers/util';
 
 export function initSecondLayerGroup() {
   return {
@@ -120,7 +122,8 @@ export function addLayer(id) {
     const {
       layers, compare, proj, config,
     } = state;
-    const layerObj = layers.layerConfig[id];
+    const layerConfig = getLayerConfig(state);
+    const layerObj = layerConfig[id];
     const { groupOverlays } = layers[compare.activeString];
     const activeLayers = getActiveLayersSelector(state);
     const overlays = getLayersSelector(state, { group: 'overlays' });
@@ -128,13 +131,14 @@ export function addLayer(id) {
       id,
       {},
       activeLayers,
-      layers.layerConfig,
+      layerConfig,
       overlays.length || 0,
       proj.id,
       groupOverlays,
     );
     const projections = Object.keys(config.projections);
-    updateRecentLayers(layerObj, projections);
+    // Imported layers can't be added again from the product picker
+    if (!isImportedLayer(layerObj)) updateRecentLayers(layerObj, projections);
     dispatch({
       type: ADD_LAYER,
       id,
@@ -0,0 +1,244 @@
+import safeLocalStorage from '../../util/local-storage';
+
+/**
+ * Band math for the HLS customizable layers. A bandCombo is either an RGB
+ * combination { r, g, b } or an expression over the band assets, e.g.
+ *
+ *   { expression: '(B05-B04)/(B05+B04)', assets: ['B05', 'B04'], rescale: '-1,1',
+ *     colormap_name: 'greens', asset_as_band: true }
+ *
+ * Expressions are evaluated by titiler (numexpr): bands, numbers, arithmetic &
+ * comparison operators and a few functions. Three expressions separated by ";"
+ * make an RGB image.
+ */
+export const HLS_BANDS = {
+  landsat: ['B01', 'B02', 'B03', 'B04', 'B05', 'B06', 'B07', 'B09', 'B10'],
+  sentinel: ['B01', 'B02', 'B03', 'B04', 'B05', 'B06', 'B07', 'B08', 'B8A', 'B09', 'B10', 'B11', 'B12'],
+};
+
+export const EXPRESSION_FUNCTIONS = [
+  'abs', 'arctan', 'arctan2', 'cos', 'exp', 'log', 'log10', 'sin', 'sqrt', 'tan', 'where',
+];
+
+// Colormaps offered for single expression band math, as named by titiler
+export const BAND_MATH_COLORMAPS = [
+  'viridis', 'plasma', 'inferno', 'magma', 'cividis', 'greens', 'greys', 'blues',
+  'gnbu', 'ylgn', 'rdylgn', 'rdylbu', 'rdbu', 'brbg', 'spectral', 'terrain',
+  'jet_r', 'winter_r', 'coolwarm',
+];
+
+export const DEFAULT_RESCALE = '-1,1';
+
+const BAND_COMBO_KEYS = ['r', 'g', 'b', 'assets', 'expression', 'rescale', 'colormap_name', 'asset_as_band'];
+const TOKEN = /\s*(\*\*|<=|>=|==|!=|[-+*/()<>,&|~]|(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?|[A-Za-z_][A-Za-z0-9_]*)/y;
+const BINARY_OPERATORS = ['+', '-', '*', '/', '**', '<', '>', '<=', '>=', '==', '!=', '&', '|'];
+const UNARY_OPERATORS = ['-', '+', '~'];
+
+/**
+ * @param {Object} layer
+ * @returns {Array} band assets of the HLS layer
+ */
+export function getLayerBands(layer) {
+  const isLandsat = `${layer.id} ${layer.title}`.includes('Landsat');
+  return isLandsat ? HLS_BANDS.landsat : HLS_BANDS.sentinel;
+}
+
+function tokenize(expression) {
+  const tokens = [];
+  TOKEN.lastIndex = 0;
+  while (TOKEN.lastIndex < expression.length) {
+    const position = TOKEN.lastIndex;
+    const match = TOKEN.exec(expression);
+    if (!match) {
+      if (!expression.slice(position).trim()) break;
+      throw new Error(`Unexpected "${expression.slice(position).trim()[0]}"`);
+    }
+    tokens.push(match[1]);
+  }
+  return tokens;
+}
+
+/**
+ * Recursive descent check of a single expression, collecting the bands it uses
+ */
+function checkExpression(tokens, bands, usedBands) {
+  let position = 0;
+  const peek = () => tokens[position];
+  const next = () => {
+    position += 1;
+    return tokens[position - 1];
+  };
+  const expect = (token) => {
+    if (next() !== token) throw new Error(`Expected "${token}"`);
+  };
+
+  let parseExpression;
+  const parseOperand = () => {
+    const token = next();
+    if (token === undefined) throw new Error('Expression ends unexpectedly');
+    if (UNARY_OPERATORS.includes(token)) return parseOperand();
+    if (token === '(') {
+      parseExpression();
+      return expect(')');
+    }
+    if (/^[\d.]/.test(token)) return;
+    if (/^[A-Za-z_]/.test(token)) {
+      const band = bands.find((b) => b.toLowerCase() === token.toLowerCase());
+      if (band) {
+        if (!usedBands.includes(band)) usedBands.push(band);
+        return;
+      }
+      if (EXPRESSION_FUNCTIONS.includes(token)) {
+        expect('(');
+        parseExpression();
+        while (peek() === ',') {
+          next();
+          parseExpression();
+        }
+        return expect(')');
+      }
+      throw new Error(`Unknown band or function "${token}", available bands are ${bands.join(', ')}`);
+    }
+    throw new Error(`Unexpected "${token}"`);
+  };
+  parseExpression = () => {
+    parseOperand();
+    while (BINARY_OPERATORS.includes(peek())) {
+      next();
+      parseOperand();
+    }
+  };
+
+  parseExpression();
+  if (position < tokens.length) throw new Error(`Unexpected "${tokens[position]}"`);
+}
+
+/**
+ * Validate a band math expression against the available band assets
+ * @param {String} expression | one expression, or three separated by ";" for RGB
+ * @param {Array} bands | available band assets
+ * @returns {Object} { bands: band assets used, error: message for an invalid expression }
+ */
+export function validateExpression(expression, bands) {
+  const usedBands = [];
+  const parts = `${expression || ''}`.split(';');
+  try {
+    if (parts.length !== 1 && parts.length !== 3) {
+      throw new Error('Use one expression, or three separated by ";" for red, green and blue');
+    }
+    parts.forEach((part) => {
+      const tokens = tokenize(part);
+      if (!tokens.length) throw new Error('Expression is empty');
+      checkExpression(tokens, bands, usedBands);
+    });
+    if (!usedBands.length) throw new Error('Expression must use at least one band');
+  } catch (error) {
+    return { bands: usedBands, error: error.message };
+  }
+  return { bands: usedBands };
+}
+
+/**
+ * @param {String} rescale | "min,max"
+ * @returns {Array} [min, max], undefined unless min is less than max
+ */
+export function parseRescale(rescale) {
+  const [min, max] = `${rescale || ''}`.split(',').map((value) => (value.trim() ? Number(value) : NaN));
+  return Number.isFinite(min) && Number.isFinite(max) && min < max ? [min, max] : undefined;
+}
+
+/**
+ * Band combination applied to the layer for an expression
+ * @param {Object} options | { expression, rescale, colormap_name }
+ * @param {Array} bands | available band assets
+ * @returns {Object} bandCombo, undefined for an invalid expression
+ */
+export function getExpressionBandCombo({ expression, rescale, colormap_name: colormap }, bands) {
+  const { bands: assets, error } = validateExpression(expression, bands);
+  if (error) return;
+  const isRGB = expression.includes(';');
+  return {
+    assets,
+    expression: expression.replace(/\s+/g, ''),
+    rescale: parseRescale(rescale) ? rescale : DEFAULT_RESCALE,
+    colormap_name: !isRGB && BAND_MATH_COLORMAPS.includes(colormap) ? colormap : undefined,
+    asset_as_band: true,
+  };
+}
+
+/**
+ * @param {Object} bandCombo
+ * @returns {String} permalink value of the bandCombo layer attribute. Parens
+ * are escaped as the layer list uses them around attributes.
+ */
+export function serializeBandCombo(bandCombo) {
+  const value = BAND_COMBO_KEYS.reduce((acc, key) => {
+    if (bandCombo[key] !== undefined && bandCombo[key] !== null) acc[key] = bandCombo[key];
+    return acc;
+  }, {});
+  return encodeURIComponent(JSON.stringify(value))
+    .replace(/\(/g, '%28')
+    .replace(/\)/g, '%29');
+}
+
+/**
+ * @param {String} str | permalink value of the bandCombo layer attribute
+ * @returns {Object} bandCombo, undefined if the value isn't valid
+ */
+export function parseBandCombo(str) {
+  let value;
+  try {
+    value = JSON.parse(decodeURIComponent(str));
+  } catch (e) {
+    return;
+  }
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return;
+  const bandCombo = {};
+  BAND_COMBO_KEYS.forEach((key) => {
+    if (value[key] !== undefined) bandCombo[key] = value[key];
+  });
+  if (bandCombo.expression !== undefined && typeof bandCombo.expression !== 'string') return;
+  const allBands = [...new Set(HLS_BANDS.landsat.concat(HLS_BANDS.sentinel))];
+  if (bandCombo.expression && validateExpression(bandCombo.expression, allBands).error) return;
+  return Object.keys(bandCombo).length ? bandCombo : undefined;
+}
+
+/**
+ * Band math presets saved in local storage
+ * @returns {Array} [{ id, title, type, expression, rescale, colormap_name }]
+ */
+export function getStoredBandPresets() {
+  const { BAND_PRESETS } = safeLocalStorage.keys;
+  try {
+    const presets = JSON.parse(safeLocalStorage.getItem(BAND_PRESETS) || '[]');
+    return Array.isArray(presets) ? presets : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+/**
+ * Save a band math preset, replacing a preset with the same title
+ * @param {Object} preset | { title, type, expression, rescale, colormap_name }
+ * @returns {Array} saved presets
+ */
+export function saveBandPreset(preset) {
+  const { BAND_PRESETS } = safeLocalStorage.keys;
+  const id = `user-preset-${preset.type}-${preset.title}`;
+  const presets = getStoredBandPresets()
+    .filter((saved) => saved.id !== id)
+    .concat({ ...preset, id });
+  safeLocalStorage.setItem(BAND_PRESETS, JSON.stringify(presets));
+  return presets;
+}
+
+/**
+ * @param {String} id
+ * @returns {Array} remaining presets
+ */
+export function removeBandPreset(id) {
+  const { BAND_PRESETS } = safeLocalStorage.keys;
+  const presets = getStoredBandPresets().filter((preset) => preset.id !== id);
+  safeLocalStorage.setItem(BAND_PRESETS, JSON.stringify(presets));
+  return presets;
+}
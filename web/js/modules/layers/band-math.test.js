@@ -0,0 +1,110 @@
+import { assign } from 'lodash';
+import {
+  HLS_BANDS,
+  getExpressionBandCombo,
+  getStoredBandPresets,
+  parseBandCombo,
+  parseRescale,
+  removeBandPreset,
+  saveBandPreset,
+  serializeBandCombo,
+  validateExpression,
+} from './band-math';
+import { layersParse12, serializeLayers } from './util';
+import { initialState } from './reducers';
+import safeLocalStorage from '../../util/local-storage';
+import fixtures from '../../fixtures';
+
+const bands = HLS_BANDS.sentinel;
+
+describe('band math expressions', () => {
+  test('lists the bands used by valid expressions [band-math-valid]', () => {
+    expect(validateExpression('(B08-B04)/(B08+B04)', bands)).toEqual({ bands: ['B08', 'B04'] });
+    expect(validateExpression('where(B8A > 0.3, sqrt(B8A), -1)', bands)).toEqual({ bands: ['B8A'] });
+    expect(validateExpression('B04*2.5;B03**2;B02', bands)).toEqual({ bands: ['B04', 'B03', 'B02'] });
+  });
+  test('reports bands missing from the layer [band-math-unknown-band]', () => {
+    expect(validateExpression('B08-B04', HLS_BANDS.landsat).error)
+      .toEqual(`Unknown band or function "B08", available bands are ${HLS_BANDS.landsat.join(', ')}`);
+  });
+  test('reports malformed expressions [band-math-invalid]', () => {
+    expect(validateExpression('(B08-B04', bands).error).toEqual('Expected ")"');
+    expect(validateExpression('B08 B04', bands).error).toEqual('Unexpected "B04"');
+    expect(validateExpression('B08 $ 2', bands).error).toEqual('Unexpected "$"');
+    expect(validateExpression('B08;B04', bands).error).toContain('three separated by ";"');
+    expect(validateExpression('1 + 2', bands).error).toEqual('Expression must use at least one band');
+    expect(validateExpression('', bands).error).toEqual('Expression is empty');
+  });
+  test('parses rescale ranges [band-math-rescale]', () => {
+    expect(parseRescale('-1,1')).toEqual([-1, 1]);
+    expect(parseRescale('1,-1')).toBeUndefined();
+    expect(parseRescale('0,')).toBeUndefined();
+  });
+  test('builds the band combination of an expression [band-math-band-combo]', () => {
+    expect(getExpressionBandCombo({
+      expression: '(B03 - B11) / (B03 + B11)',
+      rescale: '0,0.5',
+      colormap_name: 'winter_r',
+    }, bands)).toEqual({
+      assets: ['B03', 'B11'],
+      expression: '(B03-B11)/(B03+B11)',
+      rescale: '0,0.5',
+      colormap_name: 'winter_r',
+      asset_as_band: true,
+    });
+    expect(getExpressionBandCombo({ expression: 'B04;B03;B02', colormap_name: 'greens' }, bands))
+      .toEqual({
+        assets: ['B04', 'B03', 'B02'],
+        expression: 'B04;B03;B02',
+        rescale: '-1,1',
+        colormap_name: undefined,
+        asset_as_band: true,
+      });
+    expect(getExpressionBandCombo({ expression: 'B99' }, bands)).toBeUndefined();
+  });
+});
+
+describe('band combination permalink', () => {
+  const bandCombo = {
+    assets: ['B08', 'B04'],
+    expression: 'where((B08-B04)/(B08+B04)>0.3,1,0)',
+    rescale: '0,1',
+    colormap_name: 'greens',
+    asset_as_band: true,
+  };
+
+  test('escapes characters used by the layer list [band-math-serialize]', () => {
+    expect(serializeBandCombo(bandCombo)).not.toMatch(/[(),=;]/);
+    expect(parseBandCombo(serializeBandCombo(bandCombo))).toEqual(bandCombo);
+  });
+  test('rejects invalid values [band-math-parse-invalid]', () => {
+    expect(parseBandCombo('%7Bnope')).toBeUndefined();
+    expect(parseBandCombo(encodeURIComponent('["B04"]'))).toBeUndefined();
+    expect(parseBandCombo(encodeURIComponent('{"expression":"B99"}'))).toBeUndefined();
+  });
+  test('round trips through the layer list [band-math-permalink]', () => {
+    const state = assign({}, fixtures.getState(), { layers: initialState });
+    const def = { ...fixtures.config().layers['terra-aod'], bandCombo };
+    const [layerStr] = serializeLayers([def], state, 'active');
+    const [layer] = layersParse12(layerStr, fixtures.config());
+    expect(layer.bandCombo).toEqual(bandCombo);
+  });
+  test('keeps RGB band selections [band-math-permalink-rgb]', () => {
+    const [layer] = layersParse12('terra-aod(bands=B04;B03;B02)', fixtures.config());
+    expect(layer.bandCombo).toEqual({ r: 'B04', g: 'B03', b: 'B02' });
+  });
+});
+
+describe('band math presets', () => {
+  beforeEach(() => safeLocalStorage.removeItem(safeLocalStorage.keys.BAND_PRESETS));
+
+  test('saves, replaces & removes presets [band-math-presets]', () => {
+    const preset = { title: 'Red edge', type: 'sentinel', expression: 'B05-B04' };
+    saveBandPreset(preset);
+    saveBandPreset({ ...preset, expression: 'B06-B04' });
+    expect(getStoredBandPresets()).toEqual([{
+      ...preset, expression: 'B06-B04', id: 'user-preset-sentinel-Red edge',
+    }]);
+    expect(removeBandPreset('user-preset-sentinel-Red edge')).toEqual([]);
+  });
+});
@@ -29,12 +29,14 @@ import {
   CLEAR_CUSTOM as CLEAR_CUSTOM_PALETTE,
   SET_THRESHOLD_RANGE_AND_SQUASH,
   SET_DISABLED_CLASSIFICATION,
+  SET_CLASSIFICATION_STYLE,
 } from '../palettes/constants';
 import {
   CLEAR_VECTORSTYLE,
   SET_VECTORSTYLE,
   SET_FILTER_RANGE,
 } from '../vector-styles/constants';
+import { REMOVE_IMPORTED_LAYERS } from '../imported-layers/constants';
 import { resetLayers } from './selectors';
 import { getOverlayGroups } from './util';
 import safeLocalStorage from '../../util/local-storage';
@@ -186,7 +188,8 @@ export function layerReducer(state = initialState, action) {
       });
 
     case SET_THRESHOLD_RANGE_AND_SQUASH:
-    case SET_DISABLED_CLASSIFICATION: {
+    case SET_DISABLED_CLASSIFICATION:
+    case SET_CLASSIFICATION_STYLE: {
       return update(state, {
         [compareState]: {
           layers: {
@@ -390,6 +393,25 @@ export function layerReducer(state = initialState, action) {
       });
     }
 
+    // Imported layers can't be drawn once their data is gone, e.g. in the layer
+    // group that was hidden when leaving compare mode
+    case REMOVE_IMPORTED_LAYERS: {
+      const removeFromGroup = (group) => {
+        const layers = group.layers.filter(({ id }) => !action.ids.includes(id));
+        if (layers.length === group.layers.length) return group;
+        return {
+          ...group,
+          layers,
+          overlayGroups: getOverlayGroups(layers, group.overlayGroups),
+        };
+      };
+      return {
+        ...state,
+        active: removeFromGroup(state.active),
+        activeB: removeFromGroup(state.activeB),
+      };
+    }
+
     default:
       return state;
   }
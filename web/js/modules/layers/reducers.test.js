@@ -20,6 +20,7 @@ import {
   CLEAR_CUSTOM as CLEAR_CUSTOM_PALETTE,
   SET_THRESHOLD_RANGE_AND_SQUASH,
 } from '../palettes/constants';
+import { REMOVE_IMPORTED_LAYERS } from '../imported-layers/constants';
 
 const config = fixtures.config();
 const newLayer = {
@@ -144,6 +145,21 @@ describe('layer Reducer tests', () => {
     expect(initialState.active).toEqual(response.activeB);
   });
 
+  test('REMOVE_IMPORTED_LAYERS removes imported layers from both groups [layers-reducer-remove-imported]', () => {
+    const importedLayer = { ...newLayer, id: 'imported-abc', layergroup: 'Imported Overlays' };
+    const state = update(initialState, {
+      active: { layers: { $push: [importedLayer] } },
+      activeB: { layers: { $push: [importedLayer] } },
+    });
+    const response = layerReducer(state, {
+      type: REMOVE_IMPORTED_LAYERS,
+      ids: ['imported-abc'],
+    });
+    expect(response.active.layers).toEqual(initialLayers);
+    expect(response.active.overlayGroups).toEqual(initialGroups);
+    expect(response.activeB.layers).toEqual([]);
+  });
+
   test('TOGGLE_LAYER_VISIBILITY action toggles layer state visibility [layers-reducer-toggle-visibility]', () => {
     const response = layerReducer(initialState, {
       type: TOGGLE_LAYER_VISIBILITY,
@@ -6,6 +6,7 @@ import {
   cloneDeep as lodashCloneDeep,
   isUndefined as lodashIsUndefined,
   findIndex as lodashFindIndex,
+  isEmpty as lodashIsEmpty,
   memoize as lodashMemoize,
 } from 'lodash';
 import { createSelector } from 'reselect';
@@ -13,12 +14,15 @@ import update from 'immutability-helper';
 import util from '../../util/util';
 import { getLayerNoticesForLayer } from '../notifications/util';
 import { getSelectedDate } from '../date/selectors';
+import { getImportedLayerConfig } from '../imported-layers/util';
 
 const getConfigParameters = ({ config }) => (config ? config.parameters : {});
 const getProjState = ({ proj }) => proj;
 const getCompareState = ({ compare }) => compare;
 const getLayerState = ({ layers }) => layers;
 const getConfig = ({ config }) => config;
+const getLayerConfigState = ({ layers }) => layers.layerConfig;
+const getImportedLayers = ({ importedLayers }) => importedLayers;
 const getLayerId = (state, { layer }) => layer && layer.id;
 
 export function addLayer(id, spec = {}, layersParam, layerConfig, overlayLength, projection, groupOverlays, bandComboParam) {
@@ -40,15 +44,20 @@ export function addLayer(id, spec = {}, layersParam, layerConfig, overlayLength,
   def.custom = spec.custom || undefined;
   def.max = spec.max || undefined;
   def.squash = spec.squash || undefined;
+  def.stretch = spec.stretch || undefined;
   def.disabled = spec.disabled || undefined;
+  def.recolor = spec.recolor || undefined;
+  def.groups = spec.groups || undefined;
   def.count = spec.count || undefined;
 
-  if (spec.bandCombo) {
+  if (Array.isArray(spec.bandCombo)) {
     def.bandCombo = {
       r: spec.bandCombo[0],
       g: spec.bandCombo[1],
       b: spec.bandCombo[2],
     };
+  } else if (spec.bandCombo) {
+    def.bandCombo = spec.bandCombo;
   } else if (bandComboParam) {
     def.bandCombo = bandComboParam;
   }
@@ -116,6 +125,16 @@ export function resetLayers(config) {
 
 export const getStartingLayers = createSelector([getConfig], (config) => resetLayers(config));
 
+/**
+ * The layer config along with the definitions of layers imported from file
+ */
+export const getLayerConfig = createSelector(
+  [getLayerConfigState, getImportedLayers, getConfig],
+  (layerConfig, importedLayers, config) => (lodashIsEmpty(importedLayers)
+    ? layerConfig
+    : { ...layerConfig, ...getImportedLayerConfig(importedLayers, config) }),
+);
+
 export const isGroupingEnabled = ({ compare, layers }) => layers[compare.activeString].groupOverlays;
 
 export const getCollections = (layers, date, layer) => {
@@ -616,6 +635,15 @@ export function getTitles(config, layerId, projId) {
   }
 }
 
+/**
+ * Get the titles of a layer from the config, or of a layer imported from file
+ * @param {*} state
+ * @param {*} layerId
+ */
+export function getLayerTitles(state, layerId) {
+  return getTitles({ layers: getLayerConfig(state) }, layerId, state.proj.id);
+}
+
 export const getAllActiveLayers = createSelector(
   [getProjState, getCompareState, getLayerState],
   (proj, compare, layers) => getLayers({ proj, compare, layers }, {}),
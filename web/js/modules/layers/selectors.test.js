@@ -9,6 +9,8 @@ import {
   pushToBottom,
   moveBefore,
   getFutureLayerEndDate,
+  getLayerConfig,
+  getLayerTitles,
 } from './selectors';
 
 const config = fixtures.config();
@@ -36,6 +38,20 @@ test('adds base layer', () => {
   expect(layerList).toEqual(['mask', 'terra-cr', 'terra-aod']);
 });
 
+test('imported layers are defined from state, not the config', () => {
+  const state = {
+    ...getState([]),
+    layers: { layerConfig: config.layers },
+    importedLayers: { 'imported-abc': { title: 'stations', format: 'GeoJSON' } },
+  };
+  const layerConfig = getLayerConfig(state);
+  expect(layerConfig['imported-abc'].type).toBe('imported');
+  expect(layerConfig['terra-cr']).toBe(config.layers['terra-cr']);
+  expect(config.layers['imported-abc']).toBeUndefined();
+  expect(getLayerTitles(state, 'imported-abc').title).toBe('stations');
+  expect(addLayer('imported-abc', {}, [], layerConfig, 0)[0].id).toBe('imported-abc');
+});
+
 test('adds overlay layer', () => {
   let layers = addLayer('terra-cr', {}, [], config.layers, 0);
   layers = addLayer('terra-aod', {}, layers, config.layers, 0);
@@ -21,8 +21,14 @@ import {
 } from './selectors';
 import { getPaletteAttributeArray } from '../palettes/util';
 import { getVectorStyleAttributeArray } from '../vector-styles/util';
+import { parseBandCombo, serializeBandCombo } from './band-math';
 import util from '../../util/util';
 import { parseDate } from '../date/util';
+import {
+  getImportedLayerDef,
+  isImportedLayerId,
+  resolveImportedLayers,
+} from '../imported-layers/util';
 
 export function getOrbitTrackTitle(def) {
   const { track } = def;
@@ -833,13 +839,12 @@ export function serializeLayers(layers, state, groupName) {
       });
     }
     if (def.bandCombo) {
-      const bandComboString = JSON.stringify(def.bandCombo).replaceAll('(', '<').replaceAll(')', '>');
       item.attributes.push({
         id: 'bandCombo',
-        value: encodeURIComponent(bandComboString),
+        value: serializeBandCombo(def.bandCombo),
       });
     }
-    if (def.palette && (def.custom || def.min || def.max || def.squash || def.disabled)) {
+    if (def.palette && (def.custom || def.min || def.max || def.squash || def.stretch || def.disabled || def.recolor || def.groups)) {
       // If layer has palette and palette attributes
       const paletteAttributeArray = getPaletteAttributeArray(
         def.id,
@@ -903,8 +908,11 @@ const getLayerSpec = (attributes) => {
   let max;
   let min;
   let squash;
+  let stretch;
   let custom;
   let disabled;
+  let recolor;
+  let groups;
   let count;
   let bandCombo;
 
@@ -921,6 +929,12 @@ const getLayerSpec = (attributes) => {
       const values = util.toArray(attr.value.split(';'));
       disabled = values;
     }
+    if (attr.id === 'recolor' && typeof attr.value === 'string') {
+      recolor = util.toArray(attr.value.split(';'));
+    }
+    if (attr.id === 'groups' && typeof attr.value === 'string') {
+      groups = util.toArray(attr.value.split(';'));
+    }
 
     if (attr.id === 'max' && typeof attr.value === 'string') {
       const maxArray = [];
@@ -971,10 +985,21 @@ const getLayerSpec = (attributes) => {
       }
     }
 
+    if (attr.id === 'stretch' && typeof attr.value === 'string') {
+      stretch = util.toArray(attr.value.split(';'));
+    }
+
     if (attr.id === 'bands') {
       const values = util.toArray(attr.value.split(';'));
       bandCombo = values;
     }
+    if (attr.id === 'bandCombo' && typeof attr.value === 'string') {
+      bandCombo = parseBandCombo(attr.value);
+      if (!bandCombo) {
+        // eslint-disable-next-line no-console
+        console.warn(`Invalid band combination: ${attr.value}`);
+      }
+    }
 
     if (attr.id === 'palette') {
       const values = util.toArray(attr.value.split(';'));
@@ -1001,8 +1026,11 @@ const getLayerSpec = (attributes) => {
     ...isArray(custom) && { custom },
     ...isArray(min) && { min },
     ...isArray(squash) && { squash },
+    ...isArray(stretch) && { stretch },
     ...isArray(max) && { max },
     ...isArray(disabled) && { disabled },
+    ...isArray(recolor) && { recolor },
+    ...isArray(groups) && { groups },
   };
 };
 
@@ -1013,16 +1041,19 @@ const createLayerArrayFromState = function(layers, config) {
   }
   const projection = lodashGet(config, 'parameters.p') || 'geographic';
   layers.reverse().forEach((layerDef) => {
-    if (!config.layers[layerDef.id]) {
+    const { id } = layerDef;
+    // Imported layers are completed from the imported layers state by mapLocationToLayerState
+    const isImported = !config.layers[id] && isImportedLayerId(id);
+    if (!config.layers[id] && !isImported) {
       // eslint-disable-next-line no-console
-      console.warn(`No such layer: ${layerDef.id}`);
+      console.warn(`No such layer: ${id}`);
       return;
     }
     layerArray = addLayer(
-      layerDef.id,
+      id,
       getLayerSpec(layerDef.attributes),
       layerArray,
-      config.layers,
+      isImported ? { [id]: getImportedLayerDef(id, {}, config) } : config.layers,
       null,
       projection,
     );
@@ -1222,7 +1253,19 @@ export function mapLocationToLayerState(
   config,
 ) {
   let newStateFromLocation = stateFromLocation;
-  const { layers } = stateFromLocation;
+  const importedLayers = stateFromLocation.importedLayers || {};
+  ['active', 'activeB'].forEach((group) => {
+    const groupLayers = lodashGet(newStateFromLocation, ['layers', group, 'layers']);
+    if (!groupLayers || !groupLayers.some(({ id }) => isImportedLayerId(id))) return;
+    newStateFromLocation = update(newStateFromLocation, {
+      layers: {
+        [group]: {
+          layers: { $set: resolveImportedLayers(groupLayers, importedLayers, config) },
+        },
+      },
+    });
+  });
+  const { layers } = newStateFromLocation;
   const { active, activeB } = layers;
 
   // No B group layers param but compare active param is present
@@ -102,6 +102,32 @@ test('serialize layers and palettes [layers-serialize]', () => {
   expect(layerStr).toBe('terra-aod(hidden,opacity=0.54)');
 });
 
+test('Imported layers in the permalink are defined from the imported layers state [layers-parse-imported]', () => {
+  const l = 'imported-abc(opacity=0.5),imported-missing,terra-cr';
+  const importedLayers = {
+    'imported-abc': {
+      title: 'stations', format: 'GeoJSON', data: { type: 'FeatureCollection', features: [] }, embed: true,
+    },
+  };
+  const stateFromLocation = mapLocationToLayerState(
+    { l },
+    {
+      layers: {
+        active: { layers: layersParse12(l, config) },
+        activeB: { layers: [] },
+      },
+      importedLayers,
+    },
+    globalState,
+    config,
+  );
+  const activeLayers = stateFromLocation.layers.active.layers;
+  expect(activeLayers.map(({ id }) => id)).toEqual(['imported-abc', 'terra-cr']);
+  expect(activeLayers[0].title).toBe('stations');
+  expect(activeLayers[0].opacity).toBe(0.5);
+  expect(config.layers['imported-abc']).toBeUndefined();
+});
+
 // Permalink 1.0
 describe('permalink 1.0', () => {
   beforeEach(() => {
@@ -1,3 +1,14 @@
 export const CHANGE_UNITS = 'MEASURE/CHANGE_UNITS';
 export const TOGGLE_MEASURE_ACTIVE = 'MEASURE/TOGGLE_MEASURE_ACTIVE';
 export const UPDATE_MEASUREMENTS = 'MEASURE/UPDATE_MEASUREMENTS';
+
+export const UNITS_OF_MEASURE = {
+  km: 'Kilometers',
+  m: 'Meters',
+  ha: 'Hectares',
+  mi: 'Miles',
+  ft: 'Feet',
+  acres: 'Acres',
+  nmi: 'Nautical Miles',
+};
+export const IMPERIAL_UNITS = ['mi', 'ft', 'acres'];
@@ -5,7 +5,7 @@ import {
 } from './constants';
 import { CRS } from '../map/constants';
 
-const defaultState = {
+export const initialMeasureState = {
   isActive: false,
   unitOfMeasure: 'km',
   allMeasurements: {
@@ -17,7 +17,7 @@ const defaultState = {
   },
 };
 
-export default function measureReducer(state = defaultState, action) {
+export default function measureReducer(state = initialMeasureState, action) {
   switch (action.type) {
     case CHANGE_UNITS:
       return {
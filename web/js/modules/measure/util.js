@@ -0,0 +1,103 @@
+import { get as lodashGet } from 'lodash';
+import OlFeature from 'ol/Feature';
+import {
+  LineString as OlGeomLineString,
+  Polygon as OlGeomPolygon,
+} from 'ol/geom';
+import { CRS } from '../map/constants';
+import { initialMeasureState } from './reducers';
+
+// e.g. me=geographic;l-70.1,40.2,-65,41;p0,0,10,0,10,10~arctic;l10,80,20,80
+const PROJECTION_SEPARATOR = '~';
+const MEASUREMENT_SEPARATOR = ';';
+const LINE_PREFIX = 'l';
+const POLYGON_PREFIX = 'p';
+// ~10 meters at the equator
+const COORDINATE_PRECISION = 4;
+
+/**
+ * Encode a measurement as its type prefix followed by geographic coordinates. The closing
+ * coordinate of a polygon is implied.
+ * @param {*} geometry - LineString or Polygon
+ * @param {String} crs - the projection of the geometry
+ */
+function encodeMeasurement(geometry, crs) {
+  const isPolygon = geometry instanceof OlGeomPolygon;
+  const geographic = geometry.clone().transform(crs, CRS.GEOGRAPHIC);
+  const coordinates = isPolygon
+    ? geographic.getCoordinates()[0].slice(0, -1)
+    : geographic.getCoordinates();
+  const values = coordinates
+    .reduce((prev, [lon, lat]) => [...prev, lon, lat], [])
+    .map((value) => Number(value.toFixed(COORDINATE_PRECISION)));
+  return `${isPolygon ? POLYGON_PREFIX : LINE_PREFIX}${values.join(',')}`;
+}
+
+/**
+ * @param {String} str - an encoded measurement
+ * @param {String} crs - the projection to create the feature in
+ * @returns {Object} - OL feature or null if invalid
+ */
+function decodeMeasurement(str, crs) {
+  const type = str.charAt(0);
+  const values = str.slice(1).split(',').map(parseFloat);
+  if (values.some(Number.isNaN) || values.length % 2) return null;
+  const coordinates = [];
+  for (let i = 0; i < values.length; i += 2) {
+    coordinates.push([values[i], values[i + 1]]);
+  }
+  let geometry;
+  if (type === LINE_PREFIX && coordinates.length >= 2) {
+    geometry = new OlGeomLineString(coordinates);
+  } else if (type === POLYGON_PREFIX && coordinates.length >= 3) {
+    geometry = new OlGeomPolygon([[...coordinates, coordinates[0]]]);
+  } else {
+    return null;
+  }
+  return new OlFeature({ geometry: geometry.transform(CRS.GEOGRAPHIC, crs) });
+}
+
+/**
+ * Serialize the measurements of every projection for the permalink
+ * @param {Object} allMeasurements - { [crs]: { [id]: { feature, overlay } } }
+ * @param {Object} state
+ */
+export function serializeMeasurements(allMeasurements, state) {
+  const projections = Object.values(lodashGet(state, 'config.projections', {}));
+  const entries = projections.reduce((prev, { id, crs }) => {
+    const measurements = Object.values(lodashGet(allMeasurements, crs, {}));
+    if (!measurements.length) return prev;
+    const encoded = measurements
+      .map(({ feature }) => encodeMeasurement(feature.getGeometry(), crs));
+    return [...prev, [id, ...encoded].join(MEASUREMENT_SEPARATOR)];
+  }, []);
+  return entries.length ? entries.join(PROJECTION_SEPARATOR) : undefined;
+}
+
+/**
+ * Parse measurements from the permalink. Parsed measurements don't have a tooltip
+ * overlay until they are drawn on the map of their projection.
+ * @param {String} str
+ * @param {Object} config
+ * @returns {Object} - { [crs]: { [id]: { feature, overlay: null } } }
+ */
+export function parseMeasurements(str, config) {
+  const allMeasurements = Object.keys(initialMeasureState.allMeasurements)
+    .reduce((prev, crs) => ({ ...prev, [crs]: {} }), {});
+  `${str}`.split(PROJECTION_SEPARATOR).forEach((entry) => {
+    const [projId, ...measurements] = entry.split(MEASUREMENT_SEPARATOR);
+    const crs = lodashGet(config, ['projections', projId, 'crs']);
+    if (!crs) {
+      // eslint-disable-next-line no-console
+      console.warn(`Measurements ignored for unknown projection: ${projId}`);
+      return;
+    }
+    measurements.forEach((measurementStr) => {
+      const feature = decodeMeasurement(measurementStr, crs);
+      if (!feature) return;
+      allMeasurements[crs] = allMeasurements[crs] || {};
+      allMeasurements[crs][feature.ol_uid] = { feature, overlay: null };
+    });
+  });
+  return allMeasurements;
+}
@@ -0,0 +1,66 @@
+import OlFeature from 'ol/Feature';
+import { LineString, Polygon } from 'ol/geom';
+import { serializeMeasurements, parseMeasurements } from './util';
+import fixtures, { registerProjections } from '../../fixtures';
+
+const config = fixtures.config();
+
+beforeEach(registerProjections);
+
+function getMeasurements(geometries) {
+  return geometries.reduce((prev, geometry) => {
+    const feature = new OlFeature({ geometry });
+    return { ...prev, [feature.ol_uid]: { feature, overlay: {} } };
+  }, {});
+}
+
+test('measurements are not serialized when there are none [measure-permalink-empty]', () => {
+  const allMeasurements = { 'EPSG:4326': {}, 'EPSG:3413': {}, 'EPSG:3031': {} };
+  expect(serializeMeasurements(allMeasurements, { config })).toBeUndefined();
+});
+
+test('lines & polygons are serialized with geographic coordinates [measure-permalink-serialize]', () => {
+  const allMeasurements = {
+    'EPSG:4326': getMeasurements([
+      new LineString([[-70.123456, 40.2], [-65, 41]]),
+      new Polygon([[[0, 0], [10, 0], [10, 10], [0, 0]]]),
+    ]),
+    'EPSG:3413': {},
+    'EPSG:3031': {},
+  };
+  expect(serializeMeasurements(allMeasurements, { config }))
+    .toBe('geographic;l-70.1235,40.2,-65,41;p0,0,10,0,10,10');
+});
+
+test('measurements round-trip through the permalink for each projection [measure-permalink-round-trip]', () => {
+  const arcticLine = new LineString([[10, 80], [20, 80]]).transform('EPSG:4326', 'EPSG:3413');
+  const allMeasurements = {
+    'EPSG:4326': getMeasurements([new LineString([[1, 2], [3, 4]])]),
+    'EPSG:3413': getMeasurements([arcticLine]),
+    'EPSG:3031': {},
+  };
+  const serialized = serializeMeasurements(allMeasurements, { config });
+  expect(serialized).toBe('geographic;l1,2,3,4~arctic;l10,80,20,80');
+
+  const parsed = parseMeasurements(serialized, config);
+  const [geographic] = Object.values(parsed['EPSG:4326']);
+  const [arctic] = Object.values(parsed['EPSG:3413']);
+  expect(Object.keys(parsed['EPSG:3031'])).toHaveLength(0);
+  expect(geographic.overlay).toBeNull();
+  expect(geographic.feature.getGeometry().getCoordinates()).toEqual([[1, 2], [3, 4]]);
+  const [x, y] = arctic.feature.getGeometry().getFirstCoordinate();
+  const [expectedX, expectedY] = arcticLine.getFirstCoordinate();
+  expect(x).toBeCloseTo(expectedX, 0);
+  expect(y).toBeCloseTo(expectedY, 0);
+});
+
+test('parsed polygons are closed [measure-permalink-polygon]', () => {
+  const parsed = parseMeasurements('geographic;p0,0,10,0,10,10', config);
+  const [{ feature }] = Object.values(parsed['EPSG:4326']);
+  expect(feature.getGeometry().getCoordinates()).toEqual([[[0, 0], [10, 0], [10, 10], [0, 0]]]);
+});
+
+test('invalid measurements are ignored [measure-permalink-invalid]', () => {
+  const parsed = parseMeasurements('geographic;l1,2,3;p0,0,1,1;x1,2,3,4;l1,2,3,4~mars;l1,2,3,4', config);
+  expect(Object.keys(parsed['EPSG:4326'])).toHaveLength(1);
+});
@@ -2,30 +2,92 @@ import {
   get as lodashGet,
   isEqual as lodashEqual,
 } from 'lodash';
+import { getEventsQueryKey } from './util';
 import {
-  getEventsRequestURL,
-} from './util';
+  getEventProviders,
+  getProviderRequestURL,
+  normalizeProviderEvents,
+} from './providers';
 
 import {
+  EVENTS_CACHE_TTL,
+  LIMIT_EVENT_REQUEST_COUNT,
   REQUEST_EVENTS,
+  REQUEST_EVENTS_CACHED,
   REQUEST_SOURCES,
   SELECT_EVENT,
   DESELECT_EVENT,
   SET_EVENTS_FILTER,
   FINISHED_ANIMATING_TO_EVENT,
 } from './constants';
-import { requestAction } from '../core/actions';
+import util from '../../util/util';
+import {
+  fetchFailure,
+  fetchSuccess,
+  requestAction,
+  startRequest,
+} from '../core/actions';
 
-export function requestEvents() {
-  return (dispatch, getState) => {
+/**
+ * Request events from one provider, normalized to EONET events
+ * @returns {Promise<Object>} | { events, hasMore } or { error }
+ */
+async function requestProviderEvents(provider, state, limit) {
+  try {
+    const response = await fetch(getProviderRequestURL(provider, state, limit));
+    const data = await response.json();
+    return normalizeProviderEvents(provider, data, state, limit);
+  } catch (error) {
+    util.warn(`Unable to load events from ${provider.title}`, error);
+    return { error };
+  }
+}
+
+/**
+ * Request events for the current filter from all providers, reusing a cached
+ * response for the same query when it already holds enough events and hasn't
+ * expired. The request only fails when no provider responds.
+ * @param {Number} limit | Number of events to load from each provider
+ */
+export function requestEvents(limit = LIMIT_EVENT_REQUEST_COUNT) {
+  return async (dispatch, getState) => {
     const state = getState();
-    const requestUrl = getEventsRequestURL(state);
-    requestAction(
-      dispatch,
-      REQUEST_EVENTS,
-      requestUrl,
-      'application/json',
+    const key = getEventsQueryKey(state);
+    const cached = state.requestedEvents.cache[key];
+    const isExpired = !cached || Date.now() - cached.requestedAt > EVENTS_CACHE_TTL;
+    if (!isExpired && (cached.limit >= limit || !cached.hasMore)) {
+      dispatch({ type: REQUEST_EVENTS_CACHED, key });
+      return;
+    }
+    const providers = getEventProviders(state.config);
+    const requestedAt = Date.now();
+    dispatch({ ...startRequest(REQUEST_EVENTS), key, limit });
+    const results = await Promise.all(
+      providers.map((provider) => requestProviderEvents(provider, state, limit)),
     );
+    const loaded = results.filter(({ error }) => !error);
+    if (!loaded.length) {
+      const error = results.length ? results[0].error : new Error('No natural events providers are configured');
+      dispatch({ ...fetchFailure(REQUEST_EVENTS, error), key, limit });
+      return;
+    }
+    const response = {
+      events: loaded.flatMap(({ events }) => events),
+      hasMore: loaded.some(({ hasMore }) => hasMore),
+    };
+    dispatch({
+      ...fetchSuccess(REQUEST_EVENTS, response), key, limit, requestedAt,
+    });
+  };
+}
+
+/**
+ * Request the next page of events for the current filter
+ */
+export function loadMoreEvents() {
+  return (dispatch, getState) => {
+    const { limit } = getState().requestedEvents;
+    dispatch(requestEvents(limit + LIMIT_EVENT_REQUEST_COUNT));
   };
 }
 
@@ -36,6 +98,12 @@ export function requestSources() {
     const mockSources = lodashGet(config, 'parameters.mockSources');
     let sourcesURL = `${baseUrl}/sources`;
 
+    // Events only come from other providers, which list their own source on each event
+    if (!baseUrl && !mockSources) {
+      dispatch(fetchSuccess(REQUEST_SOURCES, { sources: [] }));
+      return;
+    }
+
     if (mockSources) {
       // eslint-disable-next-line no-console
       console.warn(`Using mock sources data: ${mockSources}`);
@@ -68,14 +136,16 @@ export function deselectEvent(id, date) {
   };
 }
 
-export function setEventsFilter(categories, start, end, showAll, showAllTracks) {
+/**
+ * Magnitude is filtered in the browser, so changing it alone doesn't request events
+ */
+export function setEventsFilter(categories, start, end, showAll, showAllTracks, magnitude) {
   return (dispatch, getState) => {
     const {
       selectedCategories,
       selectedDates,
       showAll: prevShowAll,
     } = getState().events;
-    const requestUrl = getEventsRequestURL(getState());
     const sameCategories = lodashEqual(selectedCategories, categories);
     const sameDates = lodashEqual(selectedDates, { start, end });
     dispatch({
@@ -85,10 +155,11 @@ export function setEventsFilter(categories, start, end, showAll, showAllTracks)
       end,
       showAll,
       showAllTracks,
+      magnitude,
     });
     // Only make request if something has changed
     if (!showAll || (prevShowAll !== showAll) || !sameCategories || !sameDates) {
-      dispatch(requestEvents(requestUrl));
+      dispatch(requestEvents());
     }
   };
 }
@@ -0,0 +1,182 @@
+import { TextEncoder, TextDecoder } from 'util';
+import configureMockStore from 'redux-mock-store';
+import thunk from 'redux-thunk';
+import fetchMock from 'fetch-mock';
+import { requestEvents, loadMoreEvents, setEventsFilter } from './actions';
+import { eventsRequestResponse } from './reducers';
+import { getEventsQueryKey } from './util';
+import {
+  EVENTS_CACHE_TTL,
+  REQUEST_EVENTS_CACHED,
+  REQUEST_EVENTS_START,
+  REQUEST_EVENTS_SUCCESS,
+  SET_EVENTS_FILTER,
+} from './constants';
+import fixtures from '../../fixtures';
+
+// jsdom polyfills
+global.TextEncoder = TextEncoder;
+global.TextDecoder = TextDecoder;
+
+const mockStore = configureMockStore([thunk]);
+const fixtureState = fixtures.getState();
+const baseState = {
+  ...fixtureState,
+  events: {
+    ...fixtureState.events,
+    selectedDates: { start: '2020-05-01', end: '2020-07-01' },
+  },
+  requestedEvents: eventsRequestResponse(),
+};
+const key = getEventsQueryKey(baseState);
+const events = [{ id: 'EONET_1', geometry: [{ date: '2020-06-01T00:00:00Z' }] }];
+
+describe('Natural events request actions', () => {
+  beforeEach(() => {
+    jest.spyOn(Date, 'now').mockReturnValue(EVENTS_CACHE_TTL * 2);
+  });
+  afterEach(() => {
+    fetchMock.restore();
+    Date.now.mockRestore();
+  });
+
+  test('requests the first page of events for the current filter [naturalevents-actions-request]', async () => {
+    fetchMock.getOnce('*', { events });
+    const store = mockStore(baseState);
+    await store.dispatch(requestEvents());
+    expect(store.getActions()).toEqual([
+      { type: REQUEST_EVENTS_START, key, limit: 50 },
+      {
+        type: REQUEST_EVENTS_SUCCESS,
+        response: { events, hasMore: false },
+        key,
+        limit: 50,
+        requestedAt: EVENTS_CACHE_TTL * 2,
+      },
+    ]);
+    expect(fetchMock.lastUrl()).toContain('limit=50');
+  });
+
+  test('merges events from configured providers [naturalevents-actions-providers]', async () => {
+    const fireFeature = {
+      type: 'Feature',
+      geometry: { type: 'Point', coordinates: [10, 10] },
+      properties: { id: '7', date: '2020-06-01T00:00:00Z', category: 'manmade' },
+    };
+    fetchMock.getOnce((url) => url.includes('fake.eonet.url'), { events });
+    fetchMock.getOnce((url) => url.includes('fires.geojson'), { type: 'FeatureCollection', features: [fireFeature] });
+    const store = mockStore({
+      ...baseState,
+      config: {
+        ...baseState.config,
+        features: {
+          ...baseState.config.features,
+          naturalEvents: {
+            ...baseState.config.features.naturalEvents,
+            providers: [{
+              id: 'fires', title: 'Fires', type: 'geojson', url: 'fires.geojson',
+            }],
+          },
+        },
+      },
+    });
+    await store.dispatch(requestEvents());
+    const { response } = store.getActions()[1];
+    expect(response.events.map(({ id }) => id)).toEqual(['EONET_1', 'fires_7']);
+    expect(response.events[1].provider).toEqual({ id: 'fires', title: 'Fires' });
+  });
+
+  test('a provider that fails doesn\'t fail the request [naturalevents-actions-provider-error]', async () => {
+    fetchMock.getOnce((url) => url.includes('fake.eonet.url'), { events });
+    fetchMock.getOnce((url) => url.includes('fires.geojson'), { throws: new Error('unavailable') });
+    const store = mockStore({
+      ...baseState,
+      config: {
+        ...baseState.config,
+        features: {
+          ...baseState.config.features,
+          naturalEvents: {
+            ...baseState.config.features.naturalEvents,
+            providers: [{
+              id: 'fires', title: 'Fires', type: 'geojson', url: 'fires.geojson',
+            }],
+          },
+        },
+      },
+    });
+    await store.dispatch(requestEvents());
+    expect(store.getActions()[1].type).toBe(REQUEST_EVENTS_SUCCESS);
+    expect(store.getActions()[1].response.events).toEqual(events);
+  });
+
+  test('uses a cached response for a query that was already loaded [naturalevents-actions-cached]', async () => {
+    const store = mockStore({
+      ...baseState,
+      requestedEvents: eventsRequestResponse({
+        cache: {
+          [key]: {
+            events, limit: 50, hasMore: false, requestedAt: EVENTS_CACHE_TTL * 1.5,
+          },
+        },
+      }),
+    });
+    await store.dispatch(requestEvents());
+    expect(store.getActions()).toEqual([{ type: REQUEST_EVENTS_CACHED, key }]);
+    expect(fetchMock.called()).toBe(false);
+  });
+
+  test('requests a cached query again once it expires [naturalevents-actions-cache-expired]', async () => {
+    fetchMock.getOnce('*', { events });
+    const store = mockStore({
+      ...baseState,
+      requestedEvents: eventsRequestResponse({
+        cache: {
+          [key]: {
+            events, limit: 50, hasMore: false, requestedAt: EVENTS_CACHE_TTL * 0.5,
+          },
+        },
+      }),
+    });
+    await store.dispatch(requestEvents());
+    expect(store.getActions()[0]).toEqual({ type: REQUEST_EVENTS_START, key, limit: 50 });
+    expect(fetchMock.called()).toBe(true);
+  });
+
+  test('loads the next page with a larger limit [naturalevents-actions-load-more]', async () => {
+    fetchMock.getOnce('*', { events });
+    const store = mockStore({
+      ...baseState,
+      requestedEvents: eventsRequestResponse({
+        key,
+        limit: 50,
+        cache: { [key]: { events, limit: 50, hasMore: true } },
+      }),
+    });
+    await store.dispatch(loadMoreEvents());
+    expect(store.getActions()[0]).toEqual({ type: REQUEST_EVENTS_START, key, limit: 100 });
+    expect(fetchMock.lastUrl()).toContain('limit=100');
+  });
+
+  test('changing only the magnitude filter doesn\'t request events [naturalevents-actions-magnitude-filter]', () => {
+    const { selectedCategories, selectedDates } = baseState.events;
+    const magnitude = { unit: 'kts', min: 64, max: null };
+    const store = mockStore({ ...baseState, events: { ...baseState.events, showAll: true } });
+    store.dispatch(setEventsFilter(
+      selectedCategories,
+      selectedDates.start,
+      selectedDates.end,
+      true,
+      false,
+      magnitude,
+    ));
+    expect(store.getActions()).toEqual([{
+      type: SET_EVENTS_FILTER,
+      categories: selectedCategories,
+      start: selectedDates.start,
+      end: selectedDates.end,
+      showAll: true,
+      showAllTracks: false,
+      magnitude,
+    }]);
+  });
+});
@@ -2,6 +2,7 @@ export const REQUEST_EVENTS = 'EVENTS/REQUEST_EVENTS';
 export const REQUEST_EVENTS_START = 'EVENTS/REQUEST_EVENTS_START';
 export const REQUEST_EVENTS_FAILURE = 'EVENTS/REQUEST_EVENTS_FAILURE';
 export const REQUEST_EVENTS_SUCCESS = 'EVENTS/REQUEST_EVENTS_SUCCESS';
+export const REQUEST_EVENTS_CACHED = 'EVENTS/REQUEST_EVENTS_CACHED';
 
 export const REQUEST_SOURCES = 'EVENTS/REQUEST_SOURCES';
 export const REQUEST_SOURCES_START = 'EVENTS/REQUEST_SOURCES_START';
@@ -15,4 +16,8 @@ export const ADD_CATEGORY = 'EVENTS/ADD_CATEGORY';
 export const REMOVE_CATEGORY = 'EVENTS/REMOVE_CATEGORY';
 export const FINISHED_ANIMATING_TO_EVENT = 'EVENTS/FINISHED_ANIMATING_TO_EVENT';
 
+// EONET has no offset parameter, so each page re-requests with a higher limit
 export const LIMIT_EVENT_REQUEST_COUNT = 50;
+export const MAX_CACHED_EVENT_QUERIES = 20;
+// Cached queries are requested again after this long (ms), as open events change
+export const EVENTS_CACHE_TTL = 10 * 60 * 1000;
@@ -0,0 +1,216 @@
+import { escapeCSVValue } from '../../util/csv';
+
+export const EVENT_EXPORT_FORMATS = [
+  {
+    value: 'geojson', text: 'GeoJSON', extension: 'geojson', mimeType: 'application/geo+json',
+  },
+  {
+    value: 'csv', text: 'CSV', extension: 'csv', mimeType: 'text/csv;charset=utf-8',
+  },
+  {
+    value: 'kml', text: 'KML', extension: 'kml', mimeType: 'application/vnd.google-earth.kml+xml',
+  },
+];
+
+const CSV_COLUMNS = [
+  'event_id', 'title', 'categories', 'date', 'geometry_type', 'longitude', 'latitude',
+  'magnitude_value', 'magnitude_unit', 'sources', 'link', 'closed',
+];
+
+/**
+ * Geometries of an event from oldest to newest. EONET events are stored newest first.
+ */
+function getChronologicalGeometries({ geometry }) {
+  return [...geometry].sort((a, b) => new Date(a.date) - new Date(b.date));
+}
+
+function getTrackCoordinates(event) {
+  return getChronologicalGeometries(event)
+    .filter(({ type }) => type === 'Point')
+    .map(({ coordinates }) => coordinates);
+}
+
+function getEventProperties({
+  id, title, categories, sources, link, closed,
+}) {
+  return {
+    eventId: id,
+    title,
+    categories: categories.map((c) => c.title),
+    sources: sources.map((s) => ({ id: s.id, url: s.url })),
+    link,
+    closed,
+  };
+}
+
+/**
+ * Center of the bounding box of a polygon's outer ring, used where a single
+ * location is needed
+ */
+function getPolygonCenter([ring]) {
+  const lons = ring.map(([lon]) => lon);
+  const lats = ring.map(([, lat]) => lat);
+  return [
+    (Math.min(...lons) + Math.max(...lons)) / 2,
+    (Math.min(...lats) + Math.max(...lats)) / 2,
+  ];
+}
+
+/**
+ * A feature for every event point or polygon, plus a LineString track for
+ * events with more than one point
+ * @param {Array} events | Filtered events from getFilteredEvents
+ * @returns {Object} GeoJSON FeatureCollection
+ */
+export function getEventsGeoJSON(events) {
+  const features = events.flatMap((event) => {
+    const properties = getEventProperties(event);
+    const geometries = getChronologicalGeometries(event);
+    const eventFeatures = geometries.map(({
+      type, coordinates, date, magnitudeValue, magnitudeUnit,
+    }) => ({
+      type: 'Feature',
+      geometry: { type, coordinates },
+      properties: {
+        ...properties,
+        featureType: 'observation',
+        date,
+        magnitudeValue: magnitudeValue === undefined ? null : magnitudeValue,
+        magnitudeUnit: magnitudeUnit || null,
+      },
+    }));
+    const track = getTrackCoordinates(event);
+    if (track.length > 1) {
+      eventFeatures.push({
+        type: 'Feature',
+        geometry: { type: 'LineString', coordinates: track },
+        properties: {
+          ...properties,
+          featureType: 'track',
+          startDate: geometries[0].date,
+          endDate: geometries[geometries.length - 1].date,
+        },
+      });
+    }
+    return eventFeatures;
+  });
+  return { type: 'FeatureCollection', features };
+}
+
+/**
+ * One row per event observation. Polygons are located by the center of their extent.
+ * @param {Array} events | Filtered events from getFilteredEvents
+ * @returns {String}
+ */
+export function getEventsCSV(events) {
+  const rows = events.flatMap((event) => {
+    const {
+      eventId, title, categories, sources, link, closed,
+    } = getEventProperties(event);
+    return getChronologicalGeometries(event).map(({
+      type, coordinates, date, magnitudeValue, magnitudeUnit,
+    }) => {
+      const [lon, lat] = type === 'Point' ? coordinates : getPolygonCenter(coordinates);
+      return [
+        eventId, title, categories.join('; '), date, type, lon, lat,
+        magnitudeValue, magnitudeUnit, sources.map((s) => s.url).join(' '), link, closed,
+      ];
+    });
+  });
+  return [CSV_COLUMNS, ...rows]
+    .map((row) => row.map(escapeCSVValue).join(','))
+    .join('\n');
+}
+
+function escapeXML(value) {
+  const str = value === undefined || value === null ? '' : `${value}`;
+  return str
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+const toKMLCoordinates = (coordinates) => coordinates.map(([lon, lat]) => `${lon},${lat}`).join(' ');
+
+function getKMLData(data) {
+  const fields = Object.entries(data)
+    .filter(([, value]) => value !== undefined && value !== null && value !== '')
+    .map(([name, value]) => `<Data name="${name}"><value>${escapeXML(value)}</value></Data>`);
+  return `<ExtendedData>${fields.join('')}</ExtendedData>`;
+}
+
+function getKMLGeometry({ type, coordinates }) {
+  if (type === 'Point') {
+    return `<Point><coordinates>${toKMLCoordinates([coordinates])}</coordinates></Point>`;
+  }
+  const [outer, ...inner] = coordinates;
+  const innerRings = inner.map((ring) => `<innerBoundaryIs><LinearRing><coordinates>${toKMLCoordinates(ring)}</coordinates></LinearRing></innerBoundaryIs>`);
+  return `<Polygon><outerBoundaryIs><LinearRing><coordinates>${toKMLCoordinates(outer)}</coordinates>`
+    + `</LinearRing></outerBoundaryIs>${innerRings.join('')}</Polygon>`;
+}
+
+/**
+ * A folder per event holding a time stamped placemark for each observation and the track
+ * @param {Array} events | Filtered events from getFilteredEvents
+ * @returns {String}
+ */
+export function getEventsKML(events) {
+  const folders = events.map((event) => {
+    const {
+      eventId, title, categories, sources, link, closed,
+    } = getEventProperties(event);
+    const eventData = {
+      eventId,
+      categories: categories.join('; '),
+      sources: sources.map((s) => s.url).join(' '),
+      link,
+      closed,
+    };
+    const placemarks = getChronologicalGeometries(event).map((geometry) => {
+      const { date, magnitudeValue, magnitudeUnit } = geometry;
+      return `<Placemark><name>${escapeXML(date)}</name>`
+        + `<TimeStamp><when>${escapeXML(date)}</when></TimeStamp>`
+        + `${getKMLData({ ...eventData, magnitudeValue, magnitudeUnit })}`
+        + `${getKMLGeometry(geometry)}</Placemark>`;
+    });
+    const track = getTrackCoordinates(event);
+    if (track.length > 1) {
+      placemarks.push(
+        `<Placemark><name>${escapeXML(`${title} track`)}</name>${getKMLData(eventData)}`
+        + `<LineString><coordinates>${toKMLCoordinates(track)}</coordinates></LineString></Placemark>`,
+      );
+    }
+    return `<Folder><name>${escapeXML(title)}</name>${placemarks.join('')}</Folder>`;
+  });
+  return '<?xml version="1.0" encoding="UTF-8"?>\n'
+    + '<kml xmlns="http://www.opengis.net/kml/2.2"><Document><name>Worldview Natural Events</name>'
+    + `${folders.join('')}</Document></kml>`;
+}
+
+/**
+ * Build the export file for a list of events
+ * @param {Array} events | Filtered events from getFilteredEvents
+ * @param {String} format | geojson, csv or kml
+ * @returns {Blob}
+ */
+export function getEventsExportBlob(events, format) {
+  const { mimeType } = EVENT_EXPORT_FORMATS.find(({ value }) => value === format);
+  const data = format === 'csv'
+    ? getEventsCSV(events)
+    : format === 'kml'
+      ? getEventsKML(events)
+      : JSON.stringify(getEventsGeoJSON(events), undefined, 2);
+  return new Blob([data], { type: mimeType });
+}
+
+/**
+ * File name including the filter dates, e.g. worldview-events_2020-01-01_2020-05-01.csv
+ * @param {Object} selectedDates | { start, end }
+ * @param {String} format
+ */
+export function getEventsExportFileName({ start, end }, format) {
+  const { extension } = EVENT_EXPORT_FORMATS.find(({ value }) => value === format);
+  const dates = start && end ? `_${start}_${end}` : '';
+  return `worldview-events${dates}.${extension}`;
+}
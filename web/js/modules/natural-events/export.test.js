@@ -0,0 +1,83 @@
+import {
+  getEventsCSV,
+  getEventsExportFileName,
+  getEventsGeoJSON,
+  getEventsKML,
+} from './export';
+
+const storm = {
+  id: 'EONET_1',
+  title: 'Tropical Storm "A"',
+  link: 'https://eonet.gsfc.nasa.gov/api/v3/events/EONET_1',
+  closed: null,
+  categories: [{ id: 'severeStorms', title: 'Severe Storms' }],
+  sources: [{ id: 'JTWC', url: 'https://example.com/jtwc' }],
+  geometry: [
+    {
+      date: '2020-06-02T00:00:00Z', type: 'Point', coordinates: [11, 21], magnitudeValue: 50, magnitudeUnit: 'kts',
+    },
+    {
+      date: '2020-06-01T00:00:00Z', type: 'Point', coordinates: [10, 20], magnitudeValue: 35, magnitudeUnit: 'kts',
+    },
+  ],
+};
+const fire = {
+  id: 'EONET_2',
+  title: 'Fire <North>',
+  link: 'https://eonet.gsfc.nasa.gov/api/v3/events/EONET_2',
+  closed: '2020-06-05T00:00:00Z',
+  categories: [{ id: 'wildfires', title: 'Wildfires' }],
+  sources: [{ id: 'IRWIN', url: 'https://example.com/irwin' }],
+  geometry: [
+    {
+      date: '2020-06-03T00:00:00Z', type: 'Polygon', coordinates: [[[0, 0], [4, 0], [4, 2], [0, 2], [0, 0]]],
+    },
+  ],
+};
+
+describe('Natural events export', () => {
+  test('GeoJSON has observations in date order and a track for moving events [naturalevents-export-geojson]', () => {
+    const { type, features } = getEventsGeoJSON([storm, fire]);
+    expect(type).toBe('FeatureCollection');
+    expect(features.map(({ geometry }) => geometry.type)).toEqual(['Point', 'Point', 'LineString', 'Polygon']);
+    expect(features[0].properties).toEqual({
+      eventId: 'EONET_1',
+      title: 'Tropical Storm "A"',
+      categories: ['Severe Storms'],
+      sources: [{ id: 'JTWC', url: 'https://example.com/jtwc' }],
+      link: storm.link,
+      closed: null,
+      featureType: 'observation',
+      date: '2020-06-01T00:00:00Z',
+      magnitudeValue: 35,
+      magnitudeUnit: 'kts',
+    });
+    expect(features[2].geometry.coordinates).toEqual([[10, 20], [11, 21]]);
+    expect(features[2].properties.startDate).toBe('2020-06-01T00:00:00Z');
+    expect(features[2].properties.endDate).toBe('2020-06-02T00:00:00Z');
+    expect(features[3].properties.magnitudeValue).toBe(null);
+  });
+
+  test('CSV has a row per observation, locating polygons by their center [naturalevents-export-csv]', () => {
+    const lines = getEventsCSV([storm, fire]).split('\n');
+    expect(lines[0]).toBe('event_id,title,categories,date,geometry_type,longitude,latitude,magnitude_value,magnitude_unit,sources,link,closed');
+    expect(lines[1]).toBe(`EONET_1,"Tropical Storm ""A""",Severe Storms,2020-06-01T00:00:00Z,Point,10,20,35,kts,https://example.com/jtwc,${storm.link},`);
+    expect(lines[3]).toBe(`EONET_2,Fire <North>,Wildfires,2020-06-03T00:00:00Z,Polygon,2,1,,,https://example.com/irwin,${fire.link},2020-06-05T00:00:00Z`);
+  });
+
+  test('KML has a folder per event with escaped text [naturalevents-export-kml]', () => {
+    const kml = getEventsKML([storm, fire]);
+    expect(kml.match(/<Folder>/g).length).toBe(2);
+    expect(kml).toContain('<name>Fire &lt;North&gt;</name>');
+    expect(kml).toContain('<TimeStamp><when>2020-06-01T00:00:00Z</when></TimeStamp>');
+    expect(kml).toContain('<LineString><coordinates>10,20 11,21</coordinates></LineString>');
+    expect(kml).toContain('<Data name="magnitudeValue"><value>35</value></Data>');
+    expect(kml).toContain('<outerBoundaryIs><LinearRing><coordinates>0,0 4,0 4,2 0,2 0,0</coordinates>');
+  });
+
+  test('File name includes the filter dates [naturalevents-export-file-name]', () => {
+    expect(getEventsExportFileName({ start: '2020-01-01', end: '2020-05-01' }, 'kml'))
+      .toBe('worldview-events_2020-01-01_2020-05-01.kml');
+    expect(getEventsExportFileName({ start: null, end: null }, 'geojson')).toBe('worldview-events.geojson');
+  });
+});
@@ -0,0 +1,130 @@
+/**
+ * Magnitude units reported by EONET. Breaks split magnitudes into the classes
+ * used to size event markers, e.g. tropical storm, hurricane & major hurricane
+ * wind speeds. Values are shown with up to `precision` decimal places.
+ */
+export const MAGNITUDE_UNITS = {
+  kts: {
+    label: 'Wind Speed',
+    unit: 'kts',
+    breaks: [34, 64, 96],
+    precision: 1,
+  },
+  'NM^2': {
+    label: 'Surface Area',
+    unit: 'NM²',
+    breaks: [50, 500, 5000],
+    precision: 1,
+  },
+  acres: {
+    label: 'Burned Area',
+    unit: 'acres',
+    breaks: [1000, 10000, 100000],
+    precision: 1,
+  },
+};
+
+// Marker glow colors of each class, matching the .magnitude-N marker styles in events.scss
+export const MAGNITUDE_CLASS_COLORS = ['#ffe066', '#ffa94d', '#ff6b6b', '#c2255c'];
+
+export const defaultMagnitudeFilter = {
+  unit: null,
+  min: null,
+  max: null,
+};
+
+/**
+ * Display label & unit for a magnitude unit, including units without classes
+ * @param {String} magnitudeUnit
+ * @returns {Object} | { label, unit, breaks, precision }
+ */
+export function getMagnitudeInfo(magnitudeUnit) {
+  return MAGNITUDE_UNITS[magnitudeUnit] || {
+    label: 'Magnitude',
+    unit: magnitudeUnit,
+    breaks: null,
+    precision: 2,
+  };
+}
+
+const formatValue = (value, precision) => value.toLocaleString(undefined, {
+  maximumFractionDigits: precision,
+});
+
+const hasMagnitude = ({ magnitudeUnit, magnitudeValue }) => !!magnitudeUnit
+  && magnitudeValue !== undefined && magnitudeValue !== null;
+
+/**
+ * @param {Object} geometry | Event geometry with magnitudeValue & magnitudeUnit
+ * @returns {String} e.g. "Wind Speed: 65 kts", empty when there is no magnitude
+ */
+export function formatMagnitude(geometry) {
+  if (!hasMagnitude(geometry)) return '';
+  const { label, unit, precision } = getMagnitudeInfo(geometry.magnitudeUnit);
+  return `${label}: ${formatValue(geometry.magnitudeValue, precision)} ${unit}`;
+}
+
+/**
+ * Class of a magnitude within the breaks of its unit
+ * @param {Object} geometry
+ * @returns {Number} | 0 (smallest) to breaks.length, -1 when there is no magnitude to classify
+ */
+export function getMagnitudeClass(geometry) {
+  if (!hasMagnitude(geometry)) return -1;
+  const { breaks } = getMagnitudeInfo(geometry.magnitudeUnit);
+  if (!breaks) return -1;
+  const index = breaks.findIndex((value) => geometry.magnitudeValue < value);
+  return index === -1 ? breaks.length : index;
+}
+
+/**
+ * Legend entries for the magnitude units present in a list of events. Classes
+ * include their lower break & exclude their upper break, which are labeled as
+ * such since magnitudes aren't always whole numbers.
+ * @param {Array} events
+ * @returns {Array} | [{ magnitudeUnit, label, unit, classes: [{ text, color }] }]
+ */
+export function getMagnitudeLegend(events) {
+  const units = new Set();
+  events.forEach(({ geometry }) => geometry.forEach((g) => {
+    if (hasMagnitude(g) && MAGNITUDE_UNITS[g.magnitudeUnit]) units.add(g.magnitudeUnit);
+  }));
+  return Object.keys(MAGNITUDE_UNITS)
+    .filter((magnitudeUnit) => units.has(magnitudeUnit))
+    .map((magnitudeUnit) => {
+      const {
+        label, unit, breaks, precision,
+      } = MAGNITUDE_UNITS[magnitudeUnit];
+      const [lower, upper] = [[null, ...breaks], [...breaks, null]]
+        .map((bounds) => bounds.map((value) => value !== null && formatValue(value, precision)));
+      const classes = lower.map((min, i) => ({
+        text: !min
+          ? `< ${upper[i]}`
+          : !upper[i]
+            ? `≥ ${min}`
+            : `${min} to < ${upper[i]}`,
+        color: MAGNITUDE_CLASS_COLORS[i],
+      }));
+      return {
+        magnitudeUnit, label, unit, classes,
+      };
+    });
+}
+
+/**
+ * Whether the peak magnitude of an event is within the filter range. Events
+ * without a magnitude in the filtered unit are excluded once a unit is selected.
+ * @param {Object} event
+ * @param {Object} filter | { unit, min, max }; null bounds are open
+ * @returns {Boolean}
+ */
+export function eventMatchesMagnitude({ geometry }, filter) {
+  const { unit, min, max } = filter || defaultMagnitudeFilter;
+  if (!unit) return true;
+  const values = geometry
+    .filter((g) => hasMagnitude(g) && g.magnitudeUnit === unit)
+    .map(({ magnitudeValue }) => magnitudeValue);
+  if (!values.length) return false;
+  const peak = Math.max(...values);
+  return (min === null || peak >= min) && (max === null || peak <= max);
+}
@@ -0,0 +1,57 @@
+import {
+  eventMatchesMagnitude,
+  formatMagnitude,
+  getMagnitudeClass,
+  getMagnitudeLegend,
+} from './magnitude';
+
+const storm = {
+  geometry: [
+    { magnitudeValue: 70, magnitudeUnit: 'kts' },
+    { magnitudeValue: 35, magnitudeUnit: 'kts' },
+  ],
+};
+const fire = { geometry: [{ magnitudeValue: 25000, magnitudeUnit: 'acres' }] };
+const volcano = { geometry: [{ magnitudeValue: null, magnitudeUnit: null }] };
+
+describe('Natural event magnitudes', () => {
+  test('formats magnitude with its label and unit [naturalevents-magnitude-format]', () => {
+    expect(formatMagnitude(storm.geometry[0])).toBe('Wind Speed: 70 kts');
+    expect(formatMagnitude({ magnitudeValue: 120, magnitudeUnit: 'NM^2' })).toBe('Surface Area: 120 NM²');
+    expect(formatMagnitude({ magnitudeValue: 3, magnitudeUnit: 'm' })).toBe('Magnitude: 3 m');
+    expect(formatMagnitude(volcano.geometry[0])).toBe('');
+  });
+
+  test('classifies magnitudes by the breaks of their unit [naturalevents-magnitude-class]', () => {
+    expect(getMagnitudeClass({ magnitudeValue: 30, magnitudeUnit: 'kts' })).toBe(0);
+    expect(getMagnitudeClass({ magnitudeValue: 64, magnitudeUnit: 'kts' })).toBe(2);
+    expect(getMagnitudeClass({ magnitudeValue: 140, magnitudeUnit: 'kts' })).toBe(3);
+    expect(getMagnitudeClass({ magnitudeValue: 3, magnitudeUnit: 'm' })).toBe(-1);
+    expect(getMagnitudeClass(volcano.geometry[0])).toBe(-1);
+  });
+
+  test('legend only includes units of the listed events [naturalevents-magnitude-legend]', () => {
+    const legend = getMagnitudeLegend([storm, volcano]);
+    expect(legend.length).toBe(1);
+    expect(legend[0].label).toBe('Wind Speed');
+    expect(legend[0].classes.map(({ text }) => text)).toEqual(['< 34', '34 to < 64', '64 to < 96', '≥ 96']);
+  });
+
+  test('fractional magnitudes are within the labeled class [naturalevents-magnitude-fractional]', () => {
+    const area = { magnitudeValue: 499.75, magnitudeUnit: 'NM^2' };
+    const legend = getMagnitudeLegend([{ geometry: [area] }]);
+    expect(formatMagnitude(area)).toBe('Surface Area: 499.8 NM²');
+    expect(getMagnitudeClass(area)).toBe(1);
+    expect(legend[0].classes[getMagnitudeClass(area)].text).toBe('50 to < 500');
+    expect(getMagnitudeClass({ magnitudeValue: 63.9, magnitudeUnit: 'kts' })).toBe(1);
+    expect(getMagnitudeClass({ magnitudeValue: 999.5, magnitudeUnit: 'acres' })).toBe(0);
+  });
+
+  test('filters events by their peak magnitude [naturalevents-magnitude-filter]', () => {
+    expect(eventMatchesMagnitude(volcano, { unit: null, min: null, max: null })).toBe(true);
+    expect(eventMatchesMagnitude(storm, { unit: 'kts', min: 64, max: null })).toBe(true);
+    expect(eventMatchesMagnitude(storm, { unit: 'kts', min: null, max: 50 })).toBe(false);
+    expect(eventMatchesMagnitude(fire, { unit: 'kts', min: null, max: null })).toBe(false);
+    expect(eventMatchesMagnitude(fire, { unit: 'acres', min: 10000, max: 50000 })).toBe(true);
+  });
+});
@@ -0,0 +1,187 @@
+import { get as lodashGet } from 'lodash';
+import util from '../../util/util';
+import { getEventsFilterParams, getEventsRequestURL } from './util';
+
+/**
+ * Event providers turn the events filter into a request URL and normalize the
+ * response into EONET shaped events:
+ *
+ *   { id, title, link, closed, categories: [{ id, title }], sources: [{ id, title, url }],
+ *     geometry: [{ date, type, coordinates, magnitudeValue, magnitudeUnit }], provider }
+ *
+ * EONET is the built-in provider, used when features.naturalEvents.host is set.
+ * Additional providers are listed in features.naturalEvents.providers, e.g.
+ *
+ *   { "id": "fires", "title": "Fire Detections", "type": "ogc-features",
+ *     "url": "https://example.com/ogc", "collection": "fires", "category": "wildfires" }
+ */
+const providerTypes = {};
+
+/**
+ * Add a provider type that can be used in features.naturalEvents.providers
+ * @param {String} type
+ * @param {Object} providerType
+ * @param {Function} providerType.getRequestURL | (provider, state, limit) => url
+ * @param {Function} providerType.normalize | (provider, response, state, limit) => { events, hasMore }
+ */
+export function registerEventProviderType(type, { getRequestURL, normalize }) {
+  providerTypes[type] = { getRequestURL, normalize };
+}
+
+// Feature properties read by the GeoJSON based providers, unless the provider maps its own
+const defaultPropertyNames = {
+  id: 'id',
+  title: 'title',
+  date: 'date',
+  category: 'category',
+  magnitudeValue: 'magnitudeValue',
+  magnitudeUnit: 'magnitudeUnit',
+  link: 'link',
+  closed: 'closed',
+};
+
+const SUPPORTED_GEOMETRY_TYPES = ['Point', 'Polygon'];
+
+/**
+ * Configured event providers, with EONET first when it has a host
+ * @param {Object} config
+ * @returns {Array}
+ */
+export function getEventProviders(config) {
+  const { host, providers = [] } = lodashGet(config, 'features.naturalEvents') || {};
+  const eonet = host ? [{ id: 'eonet', title: 'EONET', type: 'eonet' }] : [];
+  return eonet.concat(providers.filter(({ type }) => {
+    if (providerTypes[type]) return true;
+    util.warn(`Unknown natural events provider type: ${type}`);
+    return false;
+  }));
+}
+
+/**
+ * Local file used instead of the provider URL when the mockEventProviders parameter is set
+ */
+function getMockURL(provider, config) {
+  const mock = lodashGet(config, 'parameters.mockEventProviders');
+  if (!mock) return;
+  const file = `mock/events_provider_${provider.id}.json`;
+  return mock === 'true' ? file : `${file}-${mock}`;
+}
+
+export function getProviderRequestURL(provider, state, limit) {
+  const mockURL = provider.type !== 'eonet' && getMockURL(provider, state.config);
+  return mockURL || providerTypes[provider.type].getRequestURL(provider, state, limit);
+}
+
+export function normalizeProviderEvents(provider, response, state, limit) {
+  return providerTypes[provider.type].normalize(provider, response, state, limit);
+}
+
+const toMinMaxExtent = ([x1, y1, x2, y2]) => [
+  Math.min(x1, x2), Math.min(y1, y2), Math.max(x1, x2), Math.max(y1, y2),
+];
+
+function geometryInExtent({ type, coordinates }, [minX, minY, maxX, maxY]) {
+  const points = type === 'Point' ? [coordinates] : coordinates[0];
+  return points.some(([x, y]) => x >= minX && x <= maxX && y >= minY && y <= maxY);
+}
+
+/**
+ * Group GeoJSON features into events by their id property, each feature being
+ * one dated geometry of the event. Features outside of the events filter are dropped.
+ * @param {Object} provider
+ * @param {Array} features
+ * @param {Object} state
+ * @returns {Array} events, most recently updated first
+ */
+export function getEventsFromFeatures(provider, features, state) {
+  const names = { ...defaultPropertyNames, ...provider.properties };
+  const {
+    bbox, start, end, categories: categoryIds,
+  } = getEventsFilterParams(state);
+  const allCategories = lodashGet(state, 'config.naturalEvents.categories') || [];
+  const extent = toMinMaxExtent(bbox);
+  const eventsById = {};
+
+  features.forEach(({ geometry, properties = {} }) => {
+    const rawId = properties[names.id];
+    const date = new Date(properties[names.date]);
+    if (rawId === undefined || !properties[names.date] || Number.isNaN(date.getTime()) || !geometry) return;
+    if (!SUPPORTED_GEOMETRY_TYPES.includes(geometry.type)) return;
+    const categoryId = properties[names.category] || provider.category;
+    if (categoryIds && !categoryIds.includes(categoryId)) return;
+    const day = date.toISOString().split('T')[0];
+    if (start && end && (day < start || day > end)) return;
+    if (!geometryInExtent(geometry, extent)) return;
+
+    const id = `${provider.id}_${rawId}`;
+    if (!eventsById[id]) {
+      const link = properties[names.link] || null;
+      eventsById[id] = {
+        id,
+        title: properties[names.title] || `${provider.title} ${rawId}`,
+        link,
+        closed: properties[names.closed] || null,
+        categories: [
+          allCategories.find((c) => c.id === categoryId) || { id: categoryId, title: categoryId },
+        ],
+        sources: [{ id: provider.id, title: provider.title, url: link }],
+        geometry: [],
+        provider: { id: provider.id, title: provider.title },
+      };
+    }
+    const magnitudeValue = properties[names.magnitudeValue];
+    eventsById[id].geometry.push({
+      date: date.toISOString(),
+      type: geometry.type,
+      coordinates: geometry.coordinates,
+      magnitudeValue: magnitudeValue === undefined ? null : magnitudeValue,
+      magnitudeUnit: properties[names.magnitudeUnit] || null,
+    });
+  });
+
+  const latestDate = ({ geometry }) => Math.max(...geometry.map(({ date }) => new Date(date)));
+  return Object.values(eventsById).sort((a, b) => latestDate(b) - latestDate(a));
+}
+
+registerEventProviderType('eonet', {
+  getRequestURL: (provider, state, limit) => getEventsRequestURL(state, limit),
+  normalize: (provider, { events }, state, limit) => ({
+    events,
+    hasMore: events.length >= limit,
+  }),
+});
+
+// A static GeoJSON FeatureCollection, filtered & paged in the browser
+registerEventProviderType('geojson', {
+  getRequestURL: ({ url }) => url,
+  normalize: (provider, { features = [] }, state, limit) => {
+    const events = getEventsFromFeatures(provider, features, state);
+    return {
+      events: events.slice(0, limit),
+      hasMore: events.length > limit,
+    };
+  },
+});
+
+// An OGC API - Features collection, filtered by extent & dates on the server
+registerEventProviderType('ogc-features', {
+  getRequestURL: ({ url, collection }, state, limit) => {
+    const { bbox, start, end } = getEventsFilterParams(state);
+    const params = {
+      f: 'json',
+      limit,
+      bbox: toMinMaxExtent(bbox),
+    };
+    if (start && end) {
+      params.datetime = `${start}T00:00:00Z/${end}T23:59:59Z`;
+    }
+    return `${url}/collections/${collection}/items${util.toQueryString(params)}`;
+  },
+  normalize: (provider, response, state, limit) => {
+    const { features = [], numberMatched } = response;
+    return {
+      events: getEventsFromFeatures(provider, features, state),
+      hasMore: numberMatched !== undefined ? numberMatched > features.length : features.length >= limit,
+    };
+  },
+});
@@ -0,0 +1,129 @@
+import {
+  getEventProviders,
+  getEventsFromFeatures,
+  getProviderRequestURL,
+  normalizeProviderEvents,
+  registerEventProviderType,
+} from './providers';
+import fixtures from '../../fixtures';
+
+const fixtureState = fixtures.getState();
+const state = {
+  ...fixtureState,
+  events: {
+    ...fixtureState.events,
+    selectedDates: { start: '2020-06-01', end: '2020-06-30' },
+    selectedCategories: [{ id: 'manmade' }, { id: 'seaLakeIce' }],
+  },
+};
+
+const fires = {
+  id: 'fires',
+  title: 'Fire Detections',
+  type: 'geojson',
+  url: 'https://example.com/fires.geojson',
+  category: 'manmade',
+};
+const feature = (id, date, coordinates, properties = {}) => ({
+  type: 'Feature',
+  geometry: { type: 'Point', coordinates },
+  properties: {
+    id, date, title: `Fire ${id}`, ...properties,
+  },
+});
+
+describe('Natural event providers', () => {
+  test('EONET is listed before configured providers [naturalevents-providers-list]', () => {
+    const config = {
+      features: {
+        naturalEvents: {
+          host: 'fake.eonet.url/api',
+          providers: [fires, { id: 'other', type: 'unknown' }],
+        },
+      },
+    };
+    expect(getEventProviders(config).map(({ id }) => id)).toEqual(['eonet', 'fires']);
+    expect(getEventProviders({ features: { naturalEvents: { providers: [fires] } } }).length).toBe(1);
+  });
+
+  test('features are grouped into events in the EONET shape [naturalevents-providers-normalize]', () => {
+    const events = getEventsFromFeatures(fires, [
+      feature('1', '2020-06-02T00:00:00Z', [10, 10], { magnitudeValue: 1200, magnitudeUnit: 'acres' }),
+      feature('1', '2020-06-03T00:00:00Z', [11, 10]),
+      feature('2', '2020-06-05T00:00:00Z', [20, 20], { category: 'seaLakeIce' }),
+    ], state);
+    expect(events.map(({ id }) => id)).toEqual(['fires_2', 'fires_1']);
+    expect(events[1]).toEqual({
+      id: 'fires_1',
+      title: 'Fire 1',
+      link: null,
+      closed: null,
+      categories: [expect.objectContaining({ id: 'manmade', title: 'Manmade' })],
+      sources: [{ id: 'fires', title: 'Fire Detections', url: null }],
+      geometry: [
+        {
+          date: '2020-06-02T00:00:00.000Z', type: 'Point', coordinates: [10, 10], magnitudeValue: 1200, magnitudeUnit: 'acres',
+        },
+        {
+          date: '2020-06-03T00:00:00.000Z', type: 'Point', coordinates: [11, 10], magnitudeValue: null, magnitudeUnit: null,
+        },
+      ],
+      provider: { id: 'fires', title: 'Fire Detections' },
+    });
+    expect(events[0].categories[0].title).toBe('Sea and Lake Ice');
+  });
+
+  test('features outside of the events filter are dropped [naturalevents-providers-filter]', () => {
+    const events = getEventsFromFeatures(fires, [
+      feature('1', '2020-05-01T00:00:00Z', [10, 10]),
+      feature('2', '2020-06-02T00:00:00Z', [10, 10], { category: 'wildfires' }),
+      feature('3', 'not a date', [10, 10]),
+      feature('4', '2020-06-02T00:00:00Z', [10, 10], { title: undefined }),
+    ], state);
+    expect(events.map(({ id, title }) => [id, title])).toEqual([['fires_4', 'Fire Detections 4']]);
+  });
+
+  test('feature property names can be mapped per provider [naturalevents-providers-properties]', () => {
+    const provider = { ...fires, properties: { id: 'incident', date: 'detected' } };
+    const events = getEventsFromFeatures(provider, [{
+      type: 'Feature',
+      geometry: { type: 'Point', coordinates: [0, 0] },
+      properties: { incident: 'A', detected: '2020-06-10' },
+    }], state);
+    expect(events[0].id).toBe('fires_A');
+  });
+
+  test('GeoJSON providers are paged in the browser [naturalevents-providers-geojson-paging]', () => {
+    const features = [1, 2, 3].map((i) => feature(`${i}`, `2020-06-0${i}T00:00:00Z`, [0, 0]));
+    const { events, hasMore } = normalizeProviderEvents(fires, { features }, state, 2);
+    expect(events.map(({ id }) => id)).toEqual(['fires_3', 'fires_2']);
+    expect(hasMore).toBe(true);
+  });
+
+  test('OGC API Features requests are filtered by extent and dates [naturalevents-providers-ogc]', () => {
+    const provider = {
+      id: 'ogc', title: 'OGC', type: 'ogc-features', url: 'https://example.com/ogc', collection: 'fires',
+    };
+    expect(getProviderRequestURL(provider, state, 50)).toBe(
+      'https://example.com/ogc/collections/fires/items?f=json&limit=50&bbox=-180%2C-90%2C180%2C90'
+      + '&datetime=2020-06-01T00%3A00%3A00Z%2F2020-06-30T23%3A59%3A59Z',
+    );
+    const { hasMore } = normalizeProviderEvents(provider, { features: [], numberMatched: 10 }, state, 50);
+    expect(hasMore).toBe(true);
+  });
+
+  test('providers use local files with the mockEventProviders parameter [naturalevents-providers-mock]', () => {
+    const mockState = { ...state, config: { ...state.config, parameters: { mockEventProviders: 'true' } } };
+    expect(getProviderRequestURL(fires, mockState, 50)).toBe('mock/events_provider_fires.json');
+  });
+
+  test('custom provider types can be registered [naturalevents-providers-register]', () => {
+    registerEventProviderType('custom', {
+      getRequestURL: ({ url }, s, limit) => `${url}?n=${limit}`,
+      normalize: (provider, { items }) => ({ events: items, hasMore: false }),
+    });
+    const provider = { id: 'c', type: 'custom', url: 'custom.json' };
+    expect(getProviderRequestURL(provider, state, 5)).toBe('custom.json?n=5');
+    expect(normalizeProviderEvents(provider, { items: [1] }, state, 5).events).toEqual([1]);
+  });
+});
@@ -6,13 +6,19 @@ import {
 import moment from 'moment';
 import {
   REQUEST_EVENTS,
+  REQUEST_EVENTS_START,
+  REQUEST_EVENTS_SUCCESS,
+  REQUEST_EVENTS_FAILURE,
+  REQUEST_EVENTS_CACHED,
   REQUEST_SOURCES,
   SELECT_EVENT,
   DESELECT_EVENT,
   SET_EVENTS_FILTER,
   FINISHED_ANIMATING_TO_EVENT,
+  MAX_CACHED_EVENT_QUERIES,
 } from './constants';
 import { CHANGE_TAB as CHANGE_SIDEBAR_TAB } from '../sidebar/constants';
+import { defaultMagnitudeFilter } from './magnitude';
 
 /**
  * Sort events by date
@@ -52,6 +58,7 @@ const eventsReducerState = {
     start: null,
     end: null,
   },
+  selectedMagnitude: defaultMagnitudeFilter,
 };
 
 export function getInitialEventsState(config) {
@@ -99,6 +106,7 @@ export function eventsReducer(state = eventsReducerState, action) {
           start: action.start,
           end: action.end,
         },
+        selectedMagnitude: action.magnitude || defaultMagnitudeFilter,
       };
     case CHANGE_SIDEBAR_TAB: {
       const isActive = action.activeTab === 'events';
@@ -166,8 +174,96 @@ export function eventsRequestReducer(actionName, state, action) {
   }
 }
 
+const defaultEventsRequestState = {
+  ...defaultRequestState,
+  cache: {},
+  key: null,
+  limit: 0,
+  hasMore: false,
+  isLoadingMore: false,
+};
+
+export function eventsRequestResponse(props = {}) {
+  return lodashAssign({}, defaultEventsRequestState, props);
+}
+
+/**
+ * Keep the most recently requested queries, dropping the oldest ones
+ */
+function addToCache(cache, key, entry) {
+  const keys = Object.keys(cache).filter((k) => k !== key);
+  const keep = keys.slice(Math.max(0, keys.length - MAX_CACHED_EVENT_QUERIES + 1));
+  const newCache = keep.reduce((kept, k) => ({ ...kept, [k]: cache[k] }), {});
+  return { ...newCache, [key]: entry };
+}
+
+/**
+ * Events responses are cached per query (the request URL without a limit) so that
+ * switching back to a previous filter doesn't request it again. Loading more
+ * events for the current query keeps the loaded events shown until the
+ * larger page arrives.
+ */
 export function requestedEvents(state = {}, action) {
-  return eventsRequestReducer(REQUEST_EVENTS, state, action);
+  const current = eventsRequestResponse(state);
+  switch (action.type) {
+    case REQUEST_EVENTS_START: {
+      const isLoadingMore = action.key === current.key && !!current.response;
+      return {
+        ...current,
+        key: action.key,
+        limit: action.limit,
+        error: null,
+        isLoading: !isLoadingMore,
+        isLoadingMore,
+        response: isLoadingMore ? current.response : null,
+        hasMore: isLoadingMore ? current.hasMore : false,
+      };
+    }
+    case REQUEST_EVENTS_SUCCESS: {
+      const events = sortEvents(action.response.events);
+      const entry = {
+        events,
+        limit: action.limit,
+        hasMore: action.response.hasMore,
+        requestedAt: action.requestedAt,
+      };
+      const cache = addToCache(current.cache, action.key, entry);
+      // The filter changed while this request was loading
+      if (action.key !== current.key) return { ...current, cache };
+      return {
+        ...current,
+        cache,
+        response: events,
+        hasMore: entry.hasMore,
+        isLoading: false,
+        isLoadingMore: false,
+      };
+    }
+    case REQUEST_EVENTS_FAILURE:
+      if (action.key !== current.key) return current;
+      return {
+        ...current,
+        error: action.error,
+        isLoading: false,
+        isLoadingMore: false,
+        response: current.isLoadingMore ? current.response : null,
+      };
+    case REQUEST_EVENTS_CACHED: {
+      const { events, limit, hasMore } = current.cache[action.key];
+      return {
+        ...current,
+        key: action.key,
+        limit,
+        hasMore,
+        error: null,
+        response: events,
+        isLoading: false,
+        isLoadingMore: false,
+      };
+    }
+    default:
+      return current;
+  }
 }
 
 export function requestedEventSources(state = {}, action) {
@@ -0,0 +1,79 @@
+import { requestedEvents, eventsRequestResponse } from './reducers';
+import {
+  REQUEST_EVENTS_CACHED,
+  REQUEST_EVENTS_FAILURE,
+  REQUEST_EVENTS_START,
+  REQUEST_EVENTS_SUCCESS,
+  MAX_CACHED_EVENT_QUERIES,
+} from './constants';
+
+const getEvents = (count) => [...Array(count)].map((v, i) => ({
+  id: `EONET_${i}`,
+  geometry: [{ date: `2020-06-${String((i % 28) + 1).padStart(2, '0')}T00:00:00Z` }],
+}));
+const start = (key, limit = 50) => ({ type: REQUEST_EVENTS_START, key, limit });
+const success = (key, events, limit = 50) => ({
+  type: REQUEST_EVENTS_SUCCESS,
+  response: { events, hasMore: events.length >= limit },
+  key,
+  limit,
+  requestedAt: 1000,
+});
+
+describe('requestedEvents reducer', () => {
+  test('caches the response for the requested query [naturalevents-reducer-cache]', () => {
+    let state = requestedEvents(eventsRequestResponse(), start('a'));
+    expect(state.isLoading).toBe(true);
+    state = requestedEvents(state, success('a', getEvents(50)));
+    expect(state.isLoading).toBe(false);
+    expect(state.response.length).toBe(50);
+    expect(state.hasMore).toBe(true);
+    expect(state.cache.a).toEqual({
+      events: state.response, limit: 50, hasMore: true, requestedAt: 1000,
+    });
+  });
+
+  test('switching back to a cached query restores its events [naturalevents-reducer-cached]', () => {
+    let state = requestedEvents(eventsRequestResponse(), start('a'));
+    state = requestedEvents(state, success('a', getEvents(10)));
+    state = requestedEvents(state, start('b'));
+    state = requestedEvents(state, success('b', getEvents(3)));
+    state = requestedEvents(state, { type: REQUEST_EVENTS_CACHED, key: 'a' });
+    expect(state.key).toBe('a');
+    expect(state.response.length).toBe(10);
+    expect(state.hasMore).toBe(false);
+  });
+
+  test('keeps loaded events shown while loading more [naturalevents-reducer-load-more]', () => {
+    let state = requestedEvents(eventsRequestResponse(), start('a'));
+    state = requestedEvents(state, success('a', getEvents(50)));
+    state = requestedEvents(state, start('a', 100));
+    expect(state.isLoading).toBe(false);
+    expect(state.isLoadingMore).toBe(true);
+    expect(state.response.length).toBe(50);
+    state = requestedEvents(state, { type: REQUEST_EVENTS_FAILURE, error: 'error', key: 'a' });
+    expect(state.response.length).toBe(50);
+    expect(state.isLoadingMore).toBe(false);
+  });
+
+  test('a response for a previous query is cached but not shown [naturalevents-reducer-stale]', () => {
+    let state = requestedEvents(eventsRequestResponse(), start('a'));
+    state = requestedEvents(state, start('b'));
+    state = requestedEvents(state, success('a', getEvents(5)));
+    expect(state.isLoading).toBe(true);
+    expect(state.response).toBe(null);
+    expect(state.cache.a.events.length).toBe(5);
+  });
+
+  test('drops the oldest queries from the cache [naturalevents-reducer-cache-size]', () => {
+    let state = eventsRequestResponse();
+    [...Array(MAX_CACHED_EVENT_QUERIES + 1)].forEach((v, i) => {
+      state = requestedEvents(state, start(`${i}`));
+      state = requestedEvents(state, success(`${i}`, getEvents(1)));
+    });
+    const keys = Object.keys(state.cache);
+    expect(keys.length).toBe(MAX_CACHED_EVENT_QUERIES);
+    expect(keys).not.toContain('0');
+    expect(keys).toContain(`${MAX_CACHED_EVENT_QUERIES}`);
+  });
+});
@@ -1,9 +1,11 @@
 import { createSelector } from 'reselect';
 import { validateGeometryCoords } from './util';
+import { eventMatchesMagnitude, getMagnitudeLegend } from './magnitude';
 
 const getActiveCategories = ({ events }) => events.selectedCategories;
 const getEvents = ({ requestedEvents }) => requestedEvents.response;
 const getProjection = ({ proj }) => proj.selected;
+const getMagnitudeFilter = ({ events }) => events.selectedMagnitude;
 
 /**
  * Since the EONET API bounding box parameter only accepts a geographic coordinate format
@@ -16,13 +18,16 @@ const getProjection = ({ proj }) => proj.selected;
  * which A) we support and B) are currently selected in the event filter
  * so that an inappropriate icon does not show.  (E.g. event belongs to
  * "Severe Storms" and "Snow" but was returned from a search for "Snow")
+ *
+ * Events outside of the magnitude filter range are removed here too, since
+ * the magnitude filter isn't part of the EONET request.
  */
-// eslint-disable-next-line import/prefer-default-export
 export const getFilteredEvents = createSelector(
-  [getActiveCategories, getEvents, getProjection],
-  (activeCategories, events, proj) => {
+  [getActiveCategories, getEvents, getProjection, getMagnitudeFilter],
+  (activeCategories, events, proj, magnitudeFilter) => {
     if (!events) return [];
     return events
+      .filter((event) => eventMatchesMagnitude(event, magnitudeFilter))
       .reduce((filteredEvents, event) => {
         const { geometry } = event;
         const filteredGeometries = geometry.filter((g) => validateGeometryCoords(g, proj));
@@ -44,3 +49,8 @@ export const getFilteredEvents = createSelector(
       });
   },
 );
+
+export const getEventsMagnitudeLegend = createSelector(
+  [getFilteredEvents],
+  getMagnitudeLegend,
+);
@@ -106,15 +106,53 @@ export function mapLocationToEventFilterState(parameters, stateFromLocation, sta
   });
 }
 
-export function getEventsRequestURL (state) {
-  const {
-    config, proj, events, map,
-  } = state;
+// Rough extents used for EONET projection extent filtering.  Polar extents do not
+// represent exact bounds seen in app since they are expressed in EPSG:4326
+// format which is the only format the API supports
+const extentBounds = {
+  [CRS.GEOGRAPHIC]: [-180, 90, 180, -90],
+  [CRS.ARCTIC]: [-180, 40, 180, 90],
+  [CRS.ANTARCTIC]: [-180, -90, 180, -40],
+};
+
+/**
+ * The events filter as request parameters, shared by all event providers
+ * @param {Object} state
+ * @returns {Object} | { bbox, start, end, categories }; dates & categories are omitted when not set
+ */
+export function getEventsFilterParams(state) {
+  const { proj, events, map } = state;
   const {
     selectedCategories,
     selectedDates,
     showAll,
   } = events;
+  const { crs } = proj.selected;
+  const selectedMap = map && map.ui.selected;
+  const bbox = !showAll && selectedMap && selectedMap.getView().calculateExtent();
+  const { start, end } = selectedDates;
+  const useBbox = bbox && bbox.length && crs === CRS.GEOGRAPHIC;
+  const params = {
+    bbox: useBbox ? bbox : extentBounds[crs],
+  };
+  if (start && end) {
+    params.start = moment.utc(start).format('YYYY-MM-DD');
+    params.end = moment.utc(end).format('YYYY-MM-DD');
+  }
+  if (selectedCategories.length) {
+    params.categories = selectedCategories.map(({ id }) => id);
+  }
+  return params;
+}
+
+/**
+ * Build the EONET events request URL for the current filter
+ * @param {Object} state
+ * @param {Number} limit | Maximum number of events, omitted when null
+ * @returns {String}
+ */
+export function getEventsRequestURL (state, limit = LIMIT_EVENT_REQUEST_COUNT) {
+  const { config } = state;
   const baseUrl = lodashGet(config, 'features.naturalEvents.host');
   const mockEvents = lodashGet(config, 'parameters.mockEvents');
   if (mockEvents) {
@@ -124,35 +162,34 @@ export function getEventsRequestURL (state) {
       ? 'mock/events_data.json'
       : `mock/events_data.json-${mockEvents}`;
   }
-  // Rough extents used for EONET projection extent filtering.  Polar extents do not
-  // represent exact bounds seen in app since they are expressed in EPSG:4326
-  // format which is the only format the API supports
-  const extentBounds = {
-    [CRS.GEOGRAPHIC]: [-180, 90, 180, -90],
-    [CRS.ARCTIC]: [-180, 40, 180, 90],
-    [CRS.ANTARCTIC]: [-180, -90, 180, -40],
-  };
-  const { crs } = proj.selected;
-  const selectedMap = map && map.ui.selected;
-  const bbox = !showAll && selectedMap && selectedMap.getView().calculateExtent();
-  const { start, end } = selectedDates;
+  const {
+    bbox, start, end, categories,
+  } = getEventsFilterParams(state);
   const params = {
     status: 'all',
-    limit: LIMIT_EVENT_REQUEST_COUNT,
+    ...limit !== null && { limit },
+    bbox,
   };
-  const useBbox = bbox && bbox.length && crs === CRS.GEOGRAPHIC;
-  params.bbox = useBbox ? bbox : extentBounds[crs];
-
   if (start && end) {
-    params.start = moment.utc(start).format('YYYY-MM-DD');
-    params.end = moment.utc(end).format('YYYY-MM-DD');
+    params.start = start;
+    params.end = end;
   }
-  if (selectedCategories.length) {
-    params.category = selectedCategories.map(({ id }) => id).join(',');
+  if (categories) {
+    params.category = categories.join(',');
   }
   return `${baseUrl}/events${util.toQueryString(params)}`;
 }
 
+/**
+ * Key that identifies the events filter of a request, independent of the page size,
+ * so that responses can be cached per query
+ * @param {Object} state
+ * @returns {String}
+ */
+export function getEventsQueryKey(state) {
+  return getEventsRequestURL(state, null);
+}
+
 export const toEventDateString = (d) => d.toISOString().split('T')[0];
 
 /**
@@ -1,5 +1,5 @@
 import { config } from '@fortawesome/fontawesome-svg-core';
-import { getEventsRequestURL } from './util';
+import { getEventsQueryKey, getEventsRequestURL } from './util';
 import fixtures from '../../fixtures';
 
 let initialState = fixtures.getState();
@@ -52,6 +52,11 @@ test('Request URL with grographic proj and bbox set [naturalevents-geo-proj-bbox
   expect(requestURL).toBe('fake.eonet.url/api/events?status=all&limit=50&bbox=-15.06%2C27.16%2C13.32%2C56.06&start=2020-01-01&end=2021-01-01&category=snow%2Cwildfires%2Cmanmade');
 });
 
+test('Query key is the request URL without a limit [naturalevents-query-key]', () => {
+  expect(getEventsQueryKey(initialState)).toBe('fake.eonet.url/api/events?status=all&bbox=-180%2C90%2C180%2C-90&start=2020-01-01&end=2021-01-01&category=snow%2Cwildfires%2Cmanmade');
+  expect(getEventsRequestURL(initialState, 100)).toContain('limit=100');
+});
+
 test('Request URL doesn\'t include categories param if none set [naturalevents-categories-param]', () => {
   const state = updateEventState({ selectedCategories: [] }, initialState);
   const requestURL = getEventsRequestURL(state);
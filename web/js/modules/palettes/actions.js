@@ -9,6 +9,7 @@ import {
   CLEAR_CUSTOM,
   SET_CUSTOM,
   SET_DISABLED_CLASSIFICATION,
+  SET_CLASSIFICATION_STYLE,
   LOADED_CUSTOM_PALETTES,
 } from './constants';
 import {
@@ -17,7 +18,14 @@ import {
   clearCustomSelector,
   refreshDisabledSelector,
   setDisabledSelector,
+  setClassificationSelector,
+  getPalette,
 } from './selectors';
+import {
+  getHistogramBreaks,
+  getLayerHistogram,
+  getStretchRange,
+} from './stretch';
 
 /**
  * Request palette using core request utility
@@ -66,6 +74,38 @@ export function setThresholdRangeAndSquash(layerId, props, index, groupName) {
     });
   };
 }
+
+/**
+ * Stretch the colors of a palette between its thresholds. Histogram equalization
+ * first counts the pixels of each colormap entry in the current map view.
+ *
+ * @param {String} layerId
+ * @param {Object} stretch | { type, gamma }
+ * @param {Number} index | Palette index value for multi-paletted layers
+ * @param {String} groupName | layer group string
+ * @returns {Promise} rejected when there is nothing in view to equalize
+ */
+export function setPaletteStretch(layerId, stretch, index, groupName) {
+  return async (dispatch, getState) => {
+    const state = getState();
+    const palette = getPalette(layerId, index, groupName, state);
+    const { min, max, squash } = palette;
+    let newStretch = stretch;
+    if (stretch.type === 'histogram') {
+      const { colors } = palette.entries;
+      const counts = await getLayerHistogram(state.map.ui.selected, layerId, colors);
+      const breaks = getHistogramBreaks(counts, ...getStretchRange(palette, colors.length));
+      if (!breaks) {
+        throw new Error('No data for this layer in the current map view');
+      }
+      newStretch = { type: 'histogram', breaks };
+    }
+    dispatch(setThresholdRangeAndSquash(layerId, {
+      min, max, squash, stretch: newStretch,
+    }, index, groupName));
+  };
+}
+
 /**
  * Action to set custom palette
  *
@@ -162,6 +202,40 @@ export function setToggledClassification(layerId, classIndex, index, groupName)
   };
 }
 
+/**
+ * Recolor and group the classes of a classification palette
+ *
+ * @param {String} layerId
+ * @param {Object} style | { recolor, groups }, see ./classification
+ * @param {Number} index | Palette index value for multi-paletted layers
+ * @param {String} groupName | layer group string
+ */
+export function setClassificationStyle(layerId, style, index, groupName) {
+  return (dispatch, getState) => {
+    const state = getState();
+    const newActivePalettesObj = setClassificationSelector(
+      layerId,
+      style,
+      index,
+      state.palettes[groupName],
+      state,
+    );
+    if (!newActivePalettesObj[layerId]) return;
+    const { maps } = newActivePalettesObj[layerId];
+    dispatch({
+      type: SET_CLASSIFICATION_STYLE,
+      groupName,
+      activeString: groupName,
+      layerId,
+      palettes: newActivePalettesObj,
+      props: {
+        recolor: maps.some(({ recolor }) => !!recolor),
+        groups: maps.some(({ groups }) => !!groups),
+      },
+    });
+  };
+}
+
 /**
  * Action to remove custom palettes
  *
@@ -175,18 +249,23 @@ export function clearCustoms() {
     const { palettes, compare } = state;
     const groupName = compare.activeString;
     const activePalettes = palettes[groupName];
-    const props = { squash: undefined, min: undefined, max: undefined };
+    const props = {
+      squash: undefined, min: undefined, max: undefined, stretch: undefined,
+    };
     lodashForOwn(activePalettes, (value, key) => {
       activePalettes[key].maps.forEach((colormap, index) => {
         if (colormap.custom) {
           dispatch(clearCustomPalette(key, index, groupName));
         }
-        if (colormap.max || colormap.min || colormap.squash) {
+        if (colormap.max || colormap.min || colormap.squash || colormap.stretch) {
           dispatch(setThresholdRangeAndSquash(key, props, index, groupName));
         }
         if (colormap.disabled) {
           dispatch(setToggledClassification(key, undefined, index, groupName));
         }
+        if (colormap.recolor || colormap.groups) {
+          dispatch(setClassificationStyle(key, {}, index, groupName));
+        }
       });
     });
   };
@@ -238,12 +317,21 @@ export function refreshPalettes(activePalettes) {
         if (colormap.custom) {
           dispatch(setCustomPalette(key, colormap.custom, index, groupName));
         }
-        if (colormap.max || colormap.min || colormap.squash) {
-          dispatch(setThresholdRangeAndSquash(key, { squash: colormap.squash, min: colormap.min, max: colormap.max }, index, groupName));
+        if (colormap.max || colormap.min || colormap.squash || colormap.stretch) {
+          const {
+            squash, min, max, stretch,
+          } = colormap;
+          dispatch(setThresholdRangeAndSquash(key, {
+            squash, min, max, stretch,
+          }, index, groupName));
         }
         if (colormap.disabled) {
           dispatch(refreshDisabledClassification(key, colormap.disabled, index, groupName));
         }
+        if (colormap.recolor || colormap.groups) {
+          const { recolor, groups } = colormap;
+          dispatch(setClassificationStyle(key, { recolor, groups }, index, groupName));
+        }
       });
     });
   };
@@ -1,5 +1,6 @@
 import { TextEncoder, TextDecoder } from 'util';
 import configureMockStore from 'redux-mock-store';
+import { createStore, applyMiddleware } from 'redux';
 import thunk from 'redux-thunk';
 import fetchMock from 'fetch-mock';
 import { assign, cloneDeep } from 'lodash';
@@ -9,7 +10,10 @@ import {
   setThresholdRangeAndSquash,
   setCustomPalette,
   clearCustomPalette,
+  clearCustoms,
+  refreshPalettes,
 } from './actions';
+import { paletteReducer } from './reducers';
 import { addLayer } from '../layers/selectors';
 import {
   REQUEST_PALETTE_START,
@@ -257,3 +261,28 @@ describe('Test lookup actions [palettes-actions-lookup]', () => {
     },
   );
 });
+
+describe('Restoring palettes after a GIF or snapshot [palettes-actions-refresh]', () => {
+  test('refreshPalettes restores the stretch removed by clearCustoms [palettes-actions-refresh-stretch]', () => {
+    let layers = addLayer('terra-aod', {}, [], config.layers, 0);
+    layers = addLayer('aqua-cr', {}, layers, config.layers, 1);
+    const reducer = (currentState, action) => ({
+      ...currentState,
+      palettes: paletteReducer(currentState.palettes, action),
+    });
+    const store = createStore(reducer, update(state, {
+      layers: { active: { $set: layers } },
+    }), applyMiddleware(thunk));
+    const stretch = { type: 'gamma', gamma: 1.8 };
+    store.dispatch(setThresholdRangeAndSquash('terra-aod', { min: 1, stretch }, 0, 'active'));
+    const savedPalettes = store.getState().palettes.active;
+
+    store.dispatch(clearCustoms());
+    expect(store.getState().palettes.active['terra-aod']).toBeUndefined();
+
+    store.dispatch(refreshPalettes(savedPalettes));
+    const [colormap] = store.getState().palettes.active['terra-aod'].maps;
+    expect(colormap.min).toEqual(1);
+    expect(colormap.stretch).toEqual(stretch);
+  });
+});
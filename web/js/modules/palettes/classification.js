@@ -0,0 +1,154 @@
+/**
+ * Classes of a classification palette can be recolored and merged into groups,
+ * e.g. a "Forest" group of the forest classes of a land cover layer.
+ *
+ * On the active colormap, recolor is { [classIndex]: 'rrggbb' } and groups is
+ * [{ label, classes }], the first class of a group giving the group its color.
+ * In the permalink they are "recolor=3.ff0000-7.00ff00" and
+ * "groups=Forest~0.1.2-Non_forest~4.5" (spaces in labels are stored as "_").
+ */
+const HEX_COLOR = /^[0-9a-f]{6}$/;
+
+/**
+ * Group labels are limited to characters that are safe in the permalink
+ * @param {String} label
+ * @returns {String}
+ */
+export function sanitizeGroupLabel(label) {
+  return `${label || ''}`
+    .replace(/[^A-Za-z0-9 ]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * @param {Object} recolor | { [classIndex]: 'rrggbb' }
+ * @returns {String} permalink value, empty when no classes are recolored
+ */
+export function serializeRecolor(recolor) {
+  return Object.keys(recolor || {})
+    .map(Number)
+    .sort((a, b) => a - b)
+    .map((classIndex) => `${classIndex}.${recolor[classIndex]}`)
+    .join('-');
+}
+
+/**
+ * @param {String} str | permalink value
+ * @returns {Object} recolor, undefined if the value has no valid class colors
+ */
+export function parseRecolor(str) {
+  const recolor = {};
+  `${str || ''}`.split('-').forEach((pair) => {
+    const [classIndex, color] = pair.split('.');
+    const colorHex = `${color}`.toLowerCase();
+    if (/^\d+$/.test(classIndex) && HEX_COLOR.test(colorHex)) {
+      recolor[Number(classIndex)] = colorHex;
+    }
+  });
+  return Object.keys(recolor).length ? recolor : undefined;
+}
+
+/**
+ * @param {Array} groups | [{ label, classes }]
+ * @returns {String} permalink value, empty when there are no groups
+ */
+export function serializeGroups(groups) {
+  return (groups || [])
+    .map(({ label, classes }) => `${sanitizeGroupLabel(label).replace(/ /g, '_')}~${classes.join('.')}`)
+    .join('-');
+}
+
+/**
+ * @param {String} str | permalink value
+ * @returns {Array} groups, undefined if the value has no valid groups
+ */
+export function parseGroups(str) {
+  const grouped = [];
+  const groups = `${str || ''}`.split('-').reduce((acc, group) => {
+    const [label, classList] = group.split('~');
+    const classes = `${classList || ''}`.split('.')
+      .filter((classIndex) => /^\d+$/.test(classIndex))
+      .map(Number)
+      .filter((classIndex) => !grouped.includes(classIndex));
+    if (classes.length < 2) return acc;
+    grouped.push(...classes);
+    return acc.concat({ label: sanitizeGroupLabel(label.replace(/_/g, ' ')), classes });
+  }, []);
+  return groups.length ? groups : undefined;
+}
+
+/**
+ * Merge classes into a new group, taking them out of any group they were in.
+ * Groups left with a single class are removed.
+ * @param {Array} groups | current groups
+ * @param {String} label
+ * @param {Array} classes | class indexes of the new group
+ * @returns {Array} groups, undefined when there are none
+ */
+export function addGroup(groups, label, classes) {
+  const sorted = [...classes].sort((a, b) => a - b);
+  const updated = (groups || [])
+    .map((group) => ({
+      ...group,
+      classes: group.classes.filter((classIndex) => !sorted.includes(classIndex)),
+    }))
+    .filter((group) => group.classes.length > 1);
+  if (sorted.length > 1) {
+    updated.push({ label: sanitizeGroupLabel(label), classes: sorted });
+  }
+  return updated.length ? updated : undefined;
+}
+
+/**
+ * Color of every class, recolored classes first and then grouped classes
+ * taking the color of the first class of their group
+ * @param {Array} colors | 'rrggbbaa' class colors of the colormap
+ * @param {Object} recolor
+ * @param {Array} groups
+ * @returns {Array} 'rrggbbaa' class colors
+ */
+export function getClassColors(colors, recolor, groups) {
+  const classColors = colors.map((color, classIndex) => (
+    recolor && recolor[classIndex] ? `${recolor[classIndex]}ff` : color
+  ));
+  (groups || []).forEach(({ classes }) => {
+    const groupColor = classColors[classes[0]];
+    classes.forEach((classIndex) => {
+      if (classIndex < classColors.length) classColors[classIndex] = groupColor;
+    });
+  });
+  return classColors;
+}
+
+/**
+ * Legend of a recolored/grouped colormap. A group is shown as its first class
+ * with the group label; the other classes of the group are listed in merged.
+ * @param {Object} legend | rendered legend of the colormap
+ * @param {Array} refs | colormap entry refs, to find the legend key of each class
+ * @param {Array} classColors | from getClassColors
+ * @param {Array} groups
+ * @returns {Object} legend
+ */
+export function getClassificationLegend(legend, refs, classColors, groups) {
+  const keyIndex = (classIndex) => legend.refs.indexOf(refs[classIndex]);
+  const colors = [...legend.colors];
+  const tooltips = [...legend.tooltips];
+  const merged = [];
+  classColors.forEach((color, classIndex) => {
+    const key = keyIndex(classIndex);
+    if (key >= 0) colors[key] = color;
+  });
+  (groups || []).forEach(({ label, classes }) => {
+    const [first, ...rest] = classes.map(keyIndex).filter((key) => key >= 0);
+    if (first === undefined) return;
+    tooltips[first] = label || tooltips[first];
+    merged.push(...rest);
+  });
+  return {
+    ...legend,
+    colors,
+    tooltips,
+    merged,
+  };
+}
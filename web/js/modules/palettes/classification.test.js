@@ -0,0 +1,123 @@
+import update from 'immutability-helper';
+import {
+  addGroup,
+  getClassColors,
+  parseGroups,
+  parseRecolor,
+  sanitizeGroupLabel,
+  serializeGroups,
+  serializeRecolor,
+} from './classification';
+import { setClassificationSelector } from './selectors';
+import { getPaletteAttributeArray, loadPalettes } from './util';
+import { layersParse12 } from '../layers/util';
+import fixtures from '../../fixtures';
+
+const colors = ['ff0000ff', '00ff00ff', '0000ffff', 'ffff00ff'];
+
+describe('classification permalink values', () => {
+  test('serializes & parses recolored classes [classification-recolor]', () => {
+    const recolor = { 7: '00ff00', 3: 'ff0000' };
+    expect(serializeRecolor(recolor)).toEqual('3.ff0000-7.00ff00');
+    expect(parseRecolor('3.ff0000-7.00FF00')).toEqual({ 3: 'ff0000', 7: '00ff00' });
+    expect(serializeRecolor(undefined)).toEqual('');
+  });
+  test('ignores invalid class colors [classification-recolor-invalid]', () => {
+    expect(parseRecolor('a.ff0000-3.red')).toBeUndefined();
+    expect(parseRecolor('1.ff0000-2.f00')).toEqual({ 1: 'ff0000' });
+  });
+  test('serializes & parses groups [classification-groups]', () => {
+    const groups = [
+      { label: 'Forest', classes: [0, 1, 2] },
+      { label: 'Non forest', classes: [4, 5] },
+    ];
+    expect(serializeGroups(groups)).toEqual('Forest~0.1.2-Non_forest~4.5');
+    expect(parseGroups('Forest~0.1.2-Non_forest~4.5')).toEqual(groups);
+  });
+  test('drops single class groups & repeated classes [classification-groups-invalid]', () => {
+    expect(parseGroups('A~1-B~2.x')).toBeUndefined();
+    expect(parseGroups('A~0.1-B~1.2.3')).toEqual([
+      { label: 'A', classes: [0, 1] },
+      { label: 'B', classes: [2, 3] },
+    ]);
+  });
+  test('keeps group labels permalink safe [classification-label]', () => {
+    expect(sanitizeGroupLabel('  Forest, (dense)  ')).toEqual('Forest dense');
+  });
+});
+
+describe('classification styles', () => {
+  test('moves classes into a new group [classification-add-group]', () => {
+    const groups = [{ label: 'A', classes: [0, 1, 2] }, { label: 'B', classes: [3, 4] }];
+    expect(addGroup(groups, 'C', [4, 2])).toEqual([
+      { label: 'A', classes: [0, 1] },
+      { label: 'C', classes: [2, 4] },
+    ]);
+    expect(addGroup([{ label: 'A', classes: [0, 1] }], 'B', [1])).toBeUndefined();
+  });
+  test('grouped classes take the color of the first class [classification-colors]', () => {
+    const groups = [{ label: 'A', classes: [1, 3] }];
+    expect(getClassColors(colors, { 1: '123456' }, groups))
+      .toEqual(['ff0000ff', '123456ff', '0000ffff', '123456ff']);
+  });
+});
+
+describe('styled classification palettes', () => {
+  const state = update(fixtures.getState(), {
+    palettes: {
+      rendered: {
+        'terra-aod': {
+          maps: {
+            0: {
+              type: { $set: 'classification' },
+              entries: { type: { $set: 'classification' } },
+            },
+          },
+        },
+      },
+    },
+  });
+
+  test('recolors & merges classes in the lookup & legend [classification-lookup]', () => {
+    const palettes = setClassificationSelector('terra-aod', {
+      recolor: { 0: '112233' },
+      groups: [{ label: 'Forest', classes: [0, 2] }],
+    }, 0, {}, state);
+    const { lookup, maps } = palettes['terra-aod'];
+    const forest = {
+      r: 17, g: 34, b: 51, a: 255,
+    };
+    expect(lookup['0,255,0,255']).toEqual(forest);
+    expect(lookup['255,0,0,255']).toEqual(forest);
+    expect(lookup['255,255,0,255']).toEqual({
+      r: 255, g: 255, b: 0, a: 255,
+    });
+    expect(maps[0].legend.colors).toEqual(['112233ff', fixtures.yellow, '112233ff']);
+    expect(maps[0].legend.tooltips[0]).toEqual('Forest');
+    expect(maps[0].legend.merged).toEqual([2]);
+  });
+  test('restores the rendered legend when the style is cleared [classification-clear]', () => {
+    const palettes = setClassificationSelector('terra-aod', {
+      groups: [{ label: 'Forest', classes: [0, 2] }],
+    }, 0, {}, state);
+    const cleared = setClassificationSelector('terra-aod', {}, 0, palettes, state);
+    expect(cleared['terra-aod'].maps[0].legend)
+      .toEqual(state.palettes.rendered['terra-aod'].maps[0].legend);
+  });
+  test('loads & re-serializes the style from the permalink [classification-permalink]', () => {
+    const l = 'terra-aod(recolor=1.00ff00,groups=Forest~0.2)';
+    const loadedState = loadPalettes({ l }, update(state, {
+      layers: {
+        active: {
+          layers: { $set: layersParse12(l, fixtures.config()) },
+        },
+      },
+    }));
+    const { active } = loadedState.palettes;
+    expect(active['terra-aod'].maps[0].groups).toEqual([{ label: 'Forest', classes: [0, 2] }]);
+    expect(getPaletteAttributeArray('terra-aod', active, loadedState)).toEqual([
+      { id: 'recolor', value: '1.00ff00' },
+      { id: 'groups', value: 'Forest~0.2' },
+    ]);
+  });
+});
@@ -3,6 +3,7 @@ export const REQUEST_PALETTE_START = 'PALETTES/REQUEST_PALETTE_START';
 export const REQUEST_PALETTE_SUCCESS = 'PALETTES/REQUEST_PALETTE_SUCCESS';
 export const REQUEST_PALETTE_FAILURE = 'PALETTES/REQUEST_PALETTE_FAILURE';
 export const SET_DISABLED_CLASSIFICATION = 'PALETTES/SET_DISABLED_CLASSIFICATION';
+export const SET_CLASSIFICATION_STYLE = 'PALETTES/SET_CLASSIFICATION_STYLE';
 export const PALETTE_CHANGE = 'PALETTES/CHANGE_OF_ACTIVE_PALETTE';
 export const SET_THRESHOLD_RANGE_AND_SQUASH = 'PALETTES/SET_THRESHOLD_RANGE_AND_SQUASH';
 export const CLEAR_CUSTOM = 'PALETTES/CLEAR_CUSTOM';
@@ -14,8 +15,11 @@ export const BULK_PALETTE_RENDERING_SUCCESS = 'PALETTES/BULK_PALETTE_RENDERING_S
 export const PALETTE_STRINGS_PERMALINK_ARRAY = [
   'palette',
   'squash',
+  'stretch',
   'min',
   'max',
   'disabled',
+  'recolor',
+  'groups',
 ];
-export const CUSTOM_PALETTE_TYPE_ARRAY = ['custom', 'squash', 'min', 'max', 'disabled'];
+export const CUSTOM_PALETTE_TYPE_ARRAY = ['custom', 'squash', 'stretch', 'min', 'max', 'disabled', 'recolor', 'groups'];
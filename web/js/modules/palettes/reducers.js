@@ -14,6 +14,7 @@ import {
   BULK_PALETTE_RENDERING_SUCCESS,
   CLEAR_CUSTOM,
   SET_DISABLED_CLASSIFICATION,
+  SET_CLASSIFICATION_STYLE,
 } from './constants';
 import { INIT_SECOND_LAYER_GROUP } from '../layers/constants';
 
@@ -63,6 +64,7 @@ export function paletteReducer(state = defaultPaletteState, action) {
     case SET_THRESHOLD_RANGE_AND_SQUASH:
     case SET_CUSTOM:
     case SET_DISABLED_CLASSIFICATION:
+    case SET_CLASSIFICATION_STYLE:
     case CLEAR_CUSTOM:
       return lodashAssign({}, state, {
         [groupName]: action.palettes || {},
@@ -8,6 +8,14 @@ import {
 } from 'lodash';
 import update from 'immutability-helper';
 import { getMinValue } from './util';
+import { getUserPalette, isUserPaletteId } from './user-palettes';
+import {
+  getStretchFunction,
+  getStretchRange,
+  getStretchTicks,
+  isStretched,
+} from './stretch';
+import { getClassColors, getClassificationLegend } from './classification';
 
 
 export function getRenderedPalette(layerId, index, state) {
@@ -107,7 +115,8 @@ export function getDefaultLegend(layerId, index, state) {
 }
 
 export function getCustomPalette(paletteId, customsPaletteConfig) {
-  const palette = customsPaletteConfig[paletteId];
+  const palette = customsPaletteConfig[paletteId]
+    || (isUserPaletteId(paletteId) && getUserPalette(paletteId));
   if (!palette) {
     throw new Error(`Invalid palette: ${paletteId}`);
   }
@@ -118,7 +127,7 @@ const useLookup = function(layerId, palettesObj, state) {
   let use = false;
   const active = palettesObj[layerId].maps;
   lodashEach(active, (palette, index) => {
-    if (palette.custom) {
+    if (palette.custom || isStretched(palette.stretch)) {
       use = true;
       return false;
     }
@@ -183,6 +192,18 @@ const updateLookup = function(layerId, palettesObj, state) {
     const targetCount = target.length;
     const appliedLegends = [];
     const disabled = palette.disabled || [];
+    const stretched = isStretched(palette.stretch);
+    const [stretchStart, stretchEnd] = getStretchRange(palette, sourceCount);
+    const stretch = stretched
+      && getStretchFunction(palette.stretch, entries.values, stretchStart, stretchEnd);
+    if (stretched) {
+      legend.stretch = palette.stretch.type;
+      legend.ticks = getStretchTicks(stretch, stretchStart, stretchEnd)
+        .map((index) => refs.indexOf(entries.refs[index]))
+        .filter((refIndex) => refIndex >= 0);
+    } else {
+      legend.ticks = lodashGet(getRenderedPalette(layerId, index, state), 'legend.ticks');
+    }
     lodashEach(source, (color, index) => {
       let targetColor;
       if (index < min || index > max || disabled.includes(index)) {
@@ -190,7 +211,9 @@ const updateLookup = function(layerId, palettesObj, state) {
       } else {
         let sourcePercent; let
           targetIndex;
-        if (palette.squash) {
+        if (stretched) {
+          targetIndex = Math.min(Math.floor(stretch(index) * targetCount), targetCount - 1);
+        } else if (palette.squash) {
           sourcePercent = (index - min) / (max - min);
           if (index === max) {
             sourcePercent = 1.0;
@@ -238,7 +261,7 @@ const updateLookup = function(layerId, palettesObj, state) {
 };
 
 const toggleLookup = function(layerId, palettesObj, state) {
-  const newPalettes = palettesObj;
+  let newPalettes = palettesObj;
   if (!useLookup(layerId, newPalettes, state)) {
     delete newPalettes[layerId];
     return newPalettes;
@@ -257,10 +280,28 @@ const toggleLookup = function(layerId, palettesObj, state) {
     const targetCount = target.length;
     const appliedLegends = [];
     const disabled = palette.disabled || [];
+    const { recolor, groups } = palette;
+    const classColors = !palette.custom && (recolor || groups)
+      ? getClassColors(source, recolor, groups)
+      : undefined;
+    if (classColors || palette.legend.merged) {
+      // Recolored & grouped legends are rebuilt from the rendered legend
+      const renderedLegend = getRenderedPalette(layerId, index, state).legend;
+      const legend = classColors
+        ? getClassificationLegend(renderedLegend, entries.refs, classColors, groups)
+        : renderedLegend;
+      newPalettes = update(newPalettes, {
+        [layerId]: {
+          maps: { [index]: { legend: { $set: legend } } },
+        },
+      });
+    }
     lodashEach(source, (color, index) => {
       let targetColor;
       if (disabled.includes(index)) {
         targetColor = '00000000';
+      } else if (classColors) {
+        targetColor = classColors[index];
       } else {
         const sourcePercent = index / sourceCount;
         const targetIndex = Math.floor(sourcePercent * targetCount);
@@ -443,12 +484,41 @@ export function setDisabledSelector(
   return toggleLookup(layerId, newPalettes, state);
 }
 
+/**
+ * Recolor and group the classes of a classification colormap
+ * @param {String} layerId
+ * @param {Object} style | { recolor, groups }, see ./classification
+ * @param {Number} index | colormap index
+ * @param {Object} palettes | active palettes of the layer group
+ * @param {Object} state
+ */
+export function setClassificationSelector(layerId, style, index, palettes, state) {
+  let newPalettes = prepare(layerId, palettes, state);
+  newPalettes = update(newPalettes, {
+    [layerId]: {
+      maps: {
+        [index]: {
+          $merge: {
+            recolor: style.recolor,
+            groups: style.groups,
+          },
+        },
+      },
+    },
+  });
+  return toggleLookup(layerId, newPalettes, state);
+}
+
 export function setRange(layerId, props, index, palettes, state) {
   let { min } = props;
   let { max } = props;
   const { squash } = props;
   let newPalettes = prepare(layerId, palettes, state);
   index = lodashIsUndefined(index) ? 0 : index;
+  // Threshold changes keep the current stretch
+  const stretch = Object.prototype.hasOwnProperty.call(props, 'stretch')
+    ? props.stretch
+    : newPalettes[layerId].maps[index].stretch;
   if (min === 0) {
     min = undefined;
   }
@@ -470,6 +540,7 @@ export function setRange(layerId, props, index, palettes, state) {
             max,
             min,
             squash,
+            stretch: isStretched(stretch) ? stretch : undefined,
           },
         },
       },
@@ -0,0 +1,266 @@
+import { getIntersection as olGetIntersection } from 'ol/extent';
+
+/**
+ * Stretches remap the colors of a palette between its min & max thresholds.
+ * Log, square root & gamma stretches work on the data values of the colormap
+ * entries; histogram equalization spreads the colors evenly over the pixels
+ * of the layer in view.
+ *
+ * A stretch is stored on the palette as { type, gamma } or { type, breaks },
+ * and in the permalink as e.g. "stretch=log", "stretch=gamma-1.8" or
+ * "stretch=histogram-3-8-15-..." (the entry index of each histogram decile).
+ */
+export const STRETCH_TYPES = [
+  { value: 'linear', text: 'Linear' },
+  { value: 'log', text: 'Logarithmic' },
+  { value: 'sqrt', text: 'Square root' },
+  { value: 'gamma', text: 'Gamma' },
+  { value: 'histogram', text: 'Histogram equalized' },
+];
+
+export const DEFAULT_GAMMA = 2;
+export const HISTOGRAM_BREAKS = 10;
+
+// Where tick marks are drawn on the legend of a stretched palette
+const STRETCH_TICKS = [0.25, 0.5, 0.75];
+
+const clamp = (value) => Math.min(Math.max(value, 0), 1);
+
+/**
+ * @param {Object} stretch
+ * @returns {Boolean} true for stretches other than linear
+ */
+export const isStretched = (stretch) => !!stretch && stretch.type !== 'linear';
+
+/**
+ * Entries the stretch is spread over: the thresholds when the palette is
+ * squashed, otherwise the whole colormap
+ * @param {Object} palette | active colormap with min, max & squash
+ * @param {Number} count | number of colormap entries
+ * @returns {Array} [start, end] entry indexes
+ */
+export function getStretchRange({ min, max, squash }, count) {
+  return squash
+    ? [min || 0, Math.min(max || count - 1, count - 1)]
+    : [0, count - 1];
+}
+
+/**
+ * @param {Object} stretch | { type, gamma, breaks }
+ * @returns {String} permalink value, empty for a linear stretch
+ */
+export function serializeStretch(stretch) {
+  if (!isStretched(stretch)) return '';
+  const { type, gamma, breaks } = stretch;
+  if (type === 'gamma') return `gamma-${gamma}`;
+  if (type === 'histogram') return ['histogram', ...breaks].join('-');
+  return type;
+}
+
+/**
+ * @param {String} str | permalink value
+ * @returns {Object} stretch, undefined if the value isn't a valid stretch
+ */
+export function parseStretch(str) {
+  const [type, ...params] = `${str}`.split('-');
+  if (type === 'log' || type === 'sqrt') return { type };
+  if (type === 'gamma') {
+    const gamma = parseFloat(params[0]);
+    return gamma > 0 ? { type, gamma } : undefined;
+  }
+  if (type === 'histogram') {
+    const breaks = params.map(Number);
+    const isValid = breaks.length === HISTOGRAM_BREAKS - 1
+      && breaks.every((b, i) => Number.isInteger(b) && b >= 0 && (i === 0 || b >= breaks[i - 1]));
+    return isValid ? { type, breaks } : undefined;
+  }
+}
+
+/**
+ * Data value of a colormap entry, the middle of its range for [min, max] entries
+ */
+function getEntryValue(value) {
+  const numbers = [].concat(value).map(Number).filter(Number.isFinite);
+  return numbers.length
+    ? numbers.reduce((sum, n) => sum + n, 0) / numbers.length
+    : NaN;
+}
+
+/**
+ * Linear position of an entry between the start & end entries, by data value
+ * when the values increase over the range, otherwise by index
+ */
+function getLinearPosition(values, start, end) {
+  const indexPosition = (index) => (end > start ? clamp((index - start) / (end - start)) : 0);
+  if (!values) return indexPosition;
+  const range = values.slice(start, end + 1).map(getEntryValue);
+  const isIncreasing = range.every((v, i) => !Number.isNaN(v) && (i === 0 || v >= range[i - 1]));
+  const [first] = range;
+  const last = range[range.length - 1];
+  if (!isIncreasing || last <= first) return indexPosition;
+  return (index) => clamp((getEntryValue(values[index]) - first) / (last - first));
+}
+
+function getLogPosition(values, start, end, linear) {
+  const range = (values || []).slice(start, end + 1).map(getEntryValue);
+  const positive = range.filter((v) => v > 0);
+  const last = range[range.length - 1];
+  if (!positive.length || range.some(Number.isNaN)) return linear;
+  const low = Math.log(Math.min(...positive));
+  const high = Math.log(last);
+  if (high <= low) return linear;
+  return (index) => {
+    const value = getEntryValue(values[index]);
+    return value > 0 ? clamp((Math.log(value) - low) / (high - low)) : 0;
+  };
+}
+
+/**
+ * Piecewise linear position through the histogram breaks, so each decile of
+ * the pixels gets a tenth of the colors
+ */
+function getHistogramPosition(breaks, start, end) {
+  const points = [[start, 0]]
+    .concat(breaks.map((index, i) => [index, (i + 1) / (breaks.length + 1)]))
+    .filter(([index]) => index >= start && index <= end)
+    .concat([[end, 1]]);
+  return (index) => {
+    const next = points.findIndex(([x]) => x > index);
+    if (next <= 0) return next === 0 ? 0 : 1;
+    const [x0, y0] = points[next - 1];
+    const [x1, y1] = points[next];
+    return y0 + ((index - x0) / (x1 - x0)) * (y1 - y0);
+  };
+}
+
+/**
+ * @param {Object} stretch | { type, gamma, breaks }
+ * @param {Array} values | colormap entry values
+ * @param {Number} start | first entry index of the stretched range
+ * @param {Number} end | last entry index of the stretched range
+ * @returns {Function} (entryIndex) => position of 0 - 1 in the target colors
+ */
+export function getStretchFunction(stretch, values, start, end) {
+  const linear = getLinearPosition(values, start, end);
+  const { type, gamma, breaks } = stretch || {};
+  switch (type) {
+    case 'log':
+      return getLogPosition(values, start, end, linear);
+    case 'sqrt':
+      return (index) => Math.sqrt(linear(index));
+    case 'gamma':
+      return (index) => linear(index) ** (1 / gamma);
+    case 'histogram':
+      return getHistogramPosition(breaks, start, end);
+    default:
+      return linear;
+  }
+}
+
+/**
+ * Entry indexes where a stretched palette reaches each quarter of its colors
+ * @param {Function} position | from getStretchFunction
+ * @param {Number} start
+ * @param {Number} end
+ * @returns {Array}
+ */
+export function getStretchTicks(position, start, end) {
+  const indexes = Array.from({ length: end - start + 1 }, (v, i) => start + i);
+  return STRETCH_TICKS
+    .map((tick) => indexes.find((index) => position(index) >= tick))
+    .filter((index) => index !== undefined);
+}
+
+/**
+ * @param {Array} counts | pixel count of each colormap entry
+ * @param {Number} start | first entry index of the range
+ * @param {Number} end | last entry index of the range
+ * @returns {Array} entry index of each decile, undefined when there are no pixels in range
+ */
+export function getHistogramBreaks(counts, start, end) {
+  const inRange = counts.slice(start, end + 1);
+  const total = inRange.reduce((sum, count) => sum + count, 0);
+  if (!total) return;
+  let cumulative = 0;
+  const cdf = inRange.map((count) => {
+    cumulative += count;
+    return cumulative / total;
+  });
+  return Array.from({ length: HISTOGRAM_BREAKS - 1 }, (v, i) => {
+    const quantile = (i + 1) / HISTOGRAM_BREAKS;
+    return start + cdf.findIndex((value) => value >= quantile);
+  });
+}
+
+const findTileSources = (layers, layerId) => layers.flatMap((layer) => {
+  if (layer.getLayers) return findTileSources(layer.getLayers().getArray(), layerId);
+  const source = layer.getSource && layer.getSource();
+  return layer.wv && layer.wv.id === layerId && source && source.getTileUrlFunction
+    ? [source]
+    : [];
+});
+
+const loadImage = (url) => new Promise((resolve, reject) => {
+  const image = new Image();
+  image.crossOrigin = 'anonymous';
+  image.onload = () => resolve(image);
+  image.onerror = reject;
+  image.src = url;
+});
+
+/**
+ * Count the pixels of each colormap entry in the tiles of a layer covering the
+ * map view. Coarser tiles are used when the view needs more than maxTiles tiles.
+ * @param {Object} map | OpenLayers map
+ * @param {String} layerId
+ * @param {Array} colors | colormap entry colors
+ * @param {Number} maxTiles
+ * @returns {Promise} resolving to the pixel count of each entry
+ */
+export async function getLayerHistogram(map, layerId, colors, maxTiles = 16) {
+  const [source] = findTileSources(map.getLayers().getArray(), layerId);
+  if (!source) {
+    throw new Error(`No tiles found for ${layerId}`);
+  }
+  const view = map.getView();
+  const tileGrid = source.getTileGrid();
+  const extent = olGetIntersection(view.calculateExtent(map.getSize()), tileGrid.getExtent());
+  const getTileCoords = (z) => {
+    const tileCoords = [];
+    tileGrid.forEachTileCoord(extent, z, (tileCoord) => tileCoords.push(tileCoord));
+    return tileCoords;
+  };
+  let z = tileGrid.getZForResolution(view.getResolution());
+  let tileCoords = getTileCoords(z);
+  while (tileCoords.length > maxTiles && z > tileGrid.getMinZoom()) {
+    z -= 1;
+    tileCoords = getTileCoords(z);
+  }
+
+  const getTileURL = source.getTileUrlFunction();
+  const urls = tileCoords
+    .map((tileCoord) => getTileURL(tileCoord, 1, view.getProjection()))
+    .filter(Boolean);
+  const indexByColor = {};
+  colors.forEach((color, index) => {
+    const key = [0, 2, 4].map((i) => parseInt(color.substring(i, i + 2), 16)).join(',');
+    if (indexByColor[key] === undefined) indexByColor[key] = index;
+  });
+  const counts = colors.map(() => 0);
+  const canvas = document.createElement('canvas');
+  const ctx = canvas.getContext('2d');
+
+  await Promise.all(urls.map((url) => loadImage(url).then((image) => {
+    canvas.width = image.width;
+    canvas.height = image.height;
+    ctx.drawImage(image, 0, 0);
+    const { data } = ctx.getImageData(0, 0, image.width, image.height);
+    for (let i = 0; i < data.length; i += 4) {
+      const index = data[i + 3] ? indexByColor[`${data[i]},${data[i + 1]},${data[i + 2]}`] : undefined;
+      if (index !== undefined) counts[index] += 1;
+    }
+  }).catch(() => {
+    // Missing tiles are left out of the histogram
+  })));
+  return counts;
+}
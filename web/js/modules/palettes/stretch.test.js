@@ -0,0 +1,113 @@
+import update from 'immutability-helper';
+import {
+  getHistogramBreaks,
+  getStretchFunction,
+  getStretchRange,
+  getStretchTicks,
+  parseStretch,
+  serializeStretch,
+} from './stretch';
+import { setRange } from './selectors';
+import { getPaletteAttributeArray, loadPalettes } from './util';
+import { layersParse12 } from '../layers/util';
+import fixtures from '../../fixtures';
+
+const values = [[0, 1], [1, 10], [10, 100], [100, 1000]];
+const positions = (fn) => [0, 1, 2, 3].map((i) => Math.round(fn(i) * 100) / 100);
+
+describe('stretch permalink values', () => {
+  test('serializes stretches [stretch-serialize]', () => {
+    expect(serializeStretch({ type: 'linear' })).toEqual('');
+    expect(serializeStretch({ type: 'log' })).toEqual('log');
+    expect(serializeStretch({ type: 'gamma', gamma: 1.8 })).toEqual('gamma-1.8');
+    expect(serializeStretch({ type: 'histogram', breaks: [1, 2, 3, 4, 5, 6, 7, 8, 9] }))
+      .toEqual('histogram-1-2-3-4-5-6-7-8-9');
+  });
+  test('parses stretches [stretch-parse]', () => {
+    expect(parseStretch('sqrt')).toEqual({ type: 'sqrt' });
+    expect(parseStretch('gamma-1.8')).toEqual({ type: 'gamma', gamma: 1.8 });
+    expect(parseStretch('histogram-1-2-3-4-5-6-7-8-9'))
+      .toEqual({ type: 'histogram', breaks: [1, 2, 3, 4, 5, 6, 7, 8, 9] });
+  });
+  test('rejects invalid stretches [stretch-parse-invalid]', () => {
+    expect(parseStretch('cubic')).toBeUndefined();
+    expect(parseStretch('gamma-0')).toBeUndefined();
+    expect(parseStretch('histogram-5-4-3-2-1-0-0-0-0')).toBeUndefined();
+    expect(parseStretch('histogram-1-2')).toBeUndefined();
+  });
+});
+
+describe('stretch functions', () => {
+  test('linear stretch follows the entry values [stretch-linear]', () => {
+    expect(positions(getStretchFunction({ type: 'linear' }, values, 0, 3)))
+      .toEqual([0, 0.01, 0.1, 1]);
+  });
+  test('linear stretch falls back to entry indexes [stretch-linear-index]', () => {
+    expect(positions(getStretchFunction({ type: 'linear' }, undefined, 0, 3)))
+      .toEqual([0, 0.33, 0.67, 1]);
+  });
+  test('log stretch spreads orders of magnitude evenly [stretch-log]', () => {
+    expect(positions(getStretchFunction({ type: 'log' }, values, 0, 3)))
+      .toEqual([0, 0.34, 0.67, 1]);
+  });
+  test('square root & gamma stretches expand low values [stretch-gamma]', () => {
+    const sqrt = positions(getStretchFunction({ type: 'sqrt' }, undefined, 0, 3));
+    expect(sqrt).toEqual([0, 0.58, 0.82, 1]);
+    expect(positions(getStretchFunction({ type: 'gamma', gamma: 2 }, undefined, 0, 3))).toEqual(sqrt);
+  });
+  test('histogram stretch interpolates between breaks [stretch-histogram]', () => {
+    const fn = getStretchFunction({ type: 'histogram', breaks: [1, 1, 1, 1, 1, 2, 2, 2, 2] }, values, 0, 3);
+    expect(positions(fn)).toEqual([0, 0.5, 0.9, 1]);
+  });
+  test('ticks mark each quarter of the colors [stretch-ticks]', () => {
+    const fn = getStretchFunction({ type: 'log' }, values, 0, 3);
+    expect(getStretchTicks(fn, 0, 3)).toEqual([1, 2, 3]);
+  });
+  test('range is the thresholds only when squashed [stretch-range]', () => {
+    expect(getStretchRange({ min: 1, max: 2, squash: true }, 4)).toEqual([1, 2]);
+    expect(getStretchRange({ min: 1, max: 2 }, 4)).toEqual([0, 3]);
+  });
+  test('histogram breaks are the deciles of the pixel counts [stretch-histogram-breaks]', () => {
+    expect(getHistogramBreaks([50, 0, 30, 20], 0, 3)).toEqual([0, 0, 0, 0, 0, 2, 2, 2, 3]);
+    expect(getHistogramBreaks([0, 0, 0], 0, 2)).toBeUndefined();
+  });
+});
+
+describe('stretched palettes', () => {
+  const state = fixtures.getState();
+
+  test('recolors the lookup with the stretch [stretch-lookup]', () => {
+    const palettes = setRange('terra-aod', { stretch: { type: 'log' } }, 0, {}, state);
+    const { lookup, maps } = palettes['terra-aod'];
+    expect(maps[0].stretch).toEqual({ type: 'log' });
+    expect(lookup['255,255,0,255']).toEqual({
+      r: 0, g: 255, b: 0, a: 255,
+    });
+    expect(maps[0].legend.stretch).toEqual('log');
+  });
+  test('keeps the stretch when thresholds change [stretch-keep]', () => {
+    const palettes = setRange('terra-aod', { stretch: { type: 'sqrt' } }, 0, {}, state);
+    const updated = setRange('terra-aod', { min: 1 }, 0, palettes, state);
+    expect(updated['terra-aod'].maps[0].stretch).toEqual({ type: 'sqrt' });
+  });
+  test('removes the lookup for a linear stretch [stretch-clear]', () => {
+    const palettes = setRange('terra-aod', { stretch: { type: 'sqrt' } }, 0, {}, state);
+    expect(setRange('terra-aod', { stretch: { type: 'linear' } }, 0, palettes, state)['terra-aod'])
+      .toBeUndefined();
+  });
+  test('loads & re-serializes the stretch from the permalink [stretch-permalink]', () => {
+    const l = 'terra-aod(stretch=gamma-1.5)';
+    const loadedState = loadPalettes({ l }, update(state, {
+      layers: {
+        active: {
+          layers: { $set: layersParse12(l, fixtures.config()) },
+        },
+      },
+    }));
+    const { active } = loadedState.palettes;
+    expect(active['terra-aod'].maps[0].stretch).toEqual({ type: 'gamma', gamma: 1.5 });
+    expect(getPaletteAttributeArray('terra-aod', active, loadedState)).toEqual([
+      { id: 'stretch', value: 'gamma-1.5' },
+    ]);
+  });
+});
@@ -0,0 +1,325 @@
+import safeLocalStorage from '../../util/local-storage';
+
+const { USER_PALETTES } = safeLocalStorage.keys;
+
+/**
+ * User palettes are color ramps created in the palette editor. The color stops
+ * are encoded in the palette id, e.g. "user-313695.0_ffffbf.50_a5002680.100"
+ * (rrggbb[aa].offset, with offsets in percent), so a permalink using one renders
+ * the same ramp without the palette being stored on the receiving end.
+ */
+export const USER_PALETTE_PREFIX = 'user-';
+export const USER_PALETTE_BINS = 256;
+export const MAX_USER_PALETTE_STOPS = 32;
+
+export const USER_PALETTE_IMPORT_FORMATS = [
+  { value: 'cpt', text: 'GMT / cpt-city (.cpt)' },
+  { value: 'qgis', text: 'QGIS color map export' },
+  { value: 'matplotlib', text: 'Matplotlib color list' },
+];
+
+export const defaultUserPaletteStops = [
+  { offset: 0, color: '313695ff' },
+  { offset: 0.5, color: 'ffffbfff' },
+  { offset: 1, color: 'a50026ff' },
+];
+
+const toHexByte = (value) => Math.round(Math.min(Math.max(value, 0), 255))
+  .toString(16)
+  .padStart(2, '0');
+
+export const rgbaToHex = (r, g, b, a = 255) => [r, g, b, a].map(toHexByte).join('');
+
+/**
+ * @param {String} color | #rgb, #rrggbb or #rrggbbaa, with or without the #
+ * @returns {String} rrggbbaa, null if the color is invalid
+ */
+export function normalizeHexColor(color) {
+  const hex = `${color}`.trim().replace(/^#/, '').toLowerCase();
+  if (/^[0-9a-f]{3}$/.test(hex)) {
+    return `${hex.split('').map((c) => c + c).join('')}ff`;
+  }
+  if (/^[0-9a-f]{6}$/.test(hex)) return `${hex}ff`;
+  if (/^[0-9a-f]{8}$/.test(hex)) return hex;
+  return null;
+}
+
+const hexToChannels = (hex) => [0, 2, 4, 6].map((i) => parseInt(hex.substring(i, i + 2), 16));
+
+/**
+ * Sort stops by offset, clamping offsets to 0 - 1. Stops sharing an offset keep
+ * their order, making a hard edge in the ramp.
+ * @param {Array} stops | [{ offset, color }]
+ * @returns {Array}
+ */
+export function sortStops(stops) {
+  return stops
+    .map(({ offset, color }) => ({ offset: Math.min(Math.max(offset, 0), 1), color }))
+    .map((stop, i) => ({ ...stop, i }))
+    .sort((a, b) => a.offset - b.offset || a.i - b.i)
+    .map(({ offset, color }) => ({ offset, color }));
+}
+
+function getColorAt(stops, t) {
+  const first = stops[0];
+  const last = stops[stops.length - 1];
+  if (t <= first.offset) return first.color;
+  if (t >= last.offset) return last.color;
+  const index = stops.findIndex(({ offset }) => offset > t);
+  const start = stops[index - 1];
+  const end = stops[index];
+  const ratio = (t - start.offset) / (end.offset - start.offset);
+  const from = hexToChannels(start.color);
+  const to = hexToChannels(end.color);
+  return rgbaToHex(...from.map((value, i) => value + (to[i] - value) * ratio));
+}
+
+/**
+ * Sample a ramp into evenly spaced colors, as used by palette lookups
+ * @param {Array} stops | [{ offset, color }]
+ * @param {Number} bins
+ * @returns {Array} rrggbbaa colors
+ */
+export function interpolateStops(stops, bins = USER_PALETTE_BINS) {
+  const sorted = sortStops(stops);
+  return Array.from({ length: bins }, (v, i) => getColorAt(sorted, bins > 1 ? i / (bins - 1) : 0));
+}
+
+/**
+ * Resample ramps with more stops than fit in a permalink
+ */
+function limitStops(stops) {
+  if (stops.length <= MAX_USER_PALETTE_STOPS) return stops;
+  const sorted = sortStops(stops);
+  return Array.from({ length: MAX_USER_PALETTE_STOPS }, (v, i) => {
+    const offset = i / (MAX_USER_PALETTE_STOPS - 1);
+    return { offset, color: getColorAt(sorted, offset) };
+  });
+}
+
+/**
+ * Scale stop values, e.g. data values of an imported colormap, to offsets of 0 - 1
+ */
+function valuesToStops(entries) {
+  if (entries.length < 2) {
+    throw new Error('At least two colors are needed to make a palette.');
+  }
+  const values = entries.map(({ value }) => value);
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  if (min === max) {
+    throw new Error('The colormap values must cover a range.');
+  }
+  return limitStops(sortStops(entries.map(({ value, color }) => ({
+    offset: (value - min) / (max - min),
+    color,
+  }))));
+}
+
+const evenlySpaced = (colors) => valuesToStops(colors.map((color, value) => ({ value, color })));
+
+const isNumber = (str) => str !== '' && !Number.isNaN(Number(str));
+
+/**
+ * Parse a GMT color palette table: "z0 r g b z1 r g b" slices, with colors written as
+ * r g b, r/g/b or #rrggbb. Background, foreground & NaN colors are ignored.
+ * @param {String} text
+ * @returns {Array} stops
+ */
+export function parseCPT(text) {
+  if (/COLOR_MODEL\s*=\s*\+?(HSV|CMYK)/i.test(text)) {
+    throw new Error('Only RGB color palette tables are supported.');
+  }
+  const entries = [];
+  text.split(/\r?\n/).forEach((line) => {
+    const tokens = line.replace(/#(?![0-9a-f]{6}\b).*$/i, '').trim().split(/\s+/).filter(Boolean);
+    if (!tokens.length || ['B', 'F', 'N'].includes(tokens[0])) return;
+    let i = 0;
+    while (i < tokens.length && isNumber(tokens[i])) {
+      const value = Number(tokens[i]);
+      let color;
+      if (tokens.slice(i + 1, i + 4).length === 3 && tokens.slice(i + 1, i + 4).every(isNumber)) {
+        color = rgbaToHex(...tokens.slice(i + 1, i + 4).map(Number));
+        i += 4;
+      } else if (/^\d+([/-]\d+){2}$/.test(tokens[i + 1] || '')) {
+        color = rgbaToHex(...tokens[i + 1].split(/[/-]/).map(Number));
+        i += 2;
+      } else {
+        color = normalizeHexColor(tokens[i + 1] || '');
+        i += 2;
+      }
+      if (!color) {
+        throw new Error(`Unable to read the colors of line: ${line.trim()}`);
+      }
+      entries.push({ value, color });
+    }
+  });
+  return valuesToStops(entries);
+}
+
+/**
+ * Parse a QGIS color map export: "value,r,g,b,a,label" lines. Discrete color maps,
+ * where each color applies up to its value, are converted to hard edged ramps.
+ * @param {String} text
+ * @returns {Array} stops
+ */
+export function parseQGISColorMap(text) {
+  const isDiscrete = /INTERPOLATION\s*:\s*DISCRETE/i.test(text);
+  const entries = [];
+  text.split(/\r?\n/).forEach((line) => {
+    const fields = line.trim().split(',').map((field) => field.trim());
+    if (line.trim().startsWith('#') || fields.length < 4 || !fields.slice(0, 4).every(isNumber)) return;
+    const [value, r, g, b] = fields.map(Number);
+    const a = isNumber(fields[4]) ? Number(fields[4]) : 255;
+    entries.push({ value, color: rgbaToHex(r, g, b, a) });
+  });
+  if (!isDiscrete) return valuesToStops(entries);
+  const sorted = [...entries].sort((a, b) => a.value - b.value);
+  return valuesToStops(sorted.flatMap(({ value, color }, i) => (i === 0
+    ? [{ value, color }]
+    : [{ value: sorted[i - 1].value, color }, { value, color }])));
+}
+
+/**
+ * Parse a Matplotlib color list, e.g. ListedColormap(['#440154', ...]).colors or
+ * cmap(np.linspace(0, 1, 8)), as hex strings or RGB(A) tuples of 0 - 1 floats
+ * @param {String} text
+ * @returns {Array} stops, evenly spaced
+ */
+export function parseMatplotlibColormap(text) {
+  const hexColors = text.match(/#[0-9a-f]{6}(?:[0-9a-f]{2})?\b/gi);
+  if (hexColors) return evenlySpaced(hexColors.map(normalizeHexColor));
+
+  // Innermost (...) or [...] groups, e.g. the rows of an RGBA array
+  const tuples = (text.match(/[[(][^[\]()]+[\])]/g) || [])
+    .map((tuple) => tuple.slice(1, -1).split(/[\s,]+/).filter(Boolean).map(Number))
+    .filter((channels) => [3, 4].includes(channels.length) && channels.every((c) => !Number.isNaN(c)));
+  if (!tuples.length) {
+    throw new Error('No colors found. Paste hex strings or RGB(A) tuples.');
+  }
+  const scale = tuples.some((channels) => channels.some((c) => c > 1)) ? 1 : 255;
+  return evenlySpaced(tuples.map(([r, g, b, a = scale === 1 ? 255 : 1]) => rgbaToHex(
+    r * scale,
+    g * scale,
+    b * scale,
+    a * scale,
+  )));
+}
+
+/**
+ * @param {String} text | Pasted colormap
+ * @param {String} format | cpt, qgis or matplotlib
+ * @returns {Array} stops
+ */
+export function parsePaletteText(text, format) {
+  switch (format) {
+    case 'cpt':
+      return parseCPT(text);
+    case 'qgis':
+      return parseQGISColorMap(text);
+    case 'matplotlib':
+      return parseMatplotlibColormap(text);
+    default:
+      throw new Error(`Unknown colormap format: ${format}`);
+  }
+}
+
+export const isUserPaletteId = (id) => typeof id === 'string' && id.startsWith(USER_PALETTE_PREFIX);
+
+/**
+ * @param {Array} stops | [{ offset, color }]
+ * @returns {String} Permalink safe palette id
+ */
+export function encodeUserPaletteId(stops) {
+  const encoded = sortStops(limitStops(stops)).map(({ offset, color }) => {
+    const hex = color.endsWith('ff') ? color.substring(0, 6) : color;
+    return `${hex}.${Math.round(offset * 1000) / 10}`;
+  });
+  return `${USER_PALETTE_PREFIX}${encoded.join('_')}`;
+}
+
+/**
+ * @param {String} id
+ * @returns {Array} stops, null if the id isn't a valid user palette
+ */
+export function decodeUserPaletteId(id) {
+  if (!isUserPaletteId(id)) return null;
+  const parts = id.substring(USER_PALETTE_PREFIX.length).split('_');
+  if (parts.length < 2 || parts.length > MAX_USER_PALETTE_STOPS) return null;
+  const stops = parts.map((part) => {
+    const match = part.match(/^([0-9a-f]{6}|[0-9a-f]{8})\.(\d+(?:\.\d+)?)$/i);
+    return match && Number(match[2]) <= 100
+      ? { color: normalizeHexColor(match[1]), offset: Number(match[2]) / 100 }
+      : null;
+  });
+  return stops.includes(null) ? null : sortStops(stops);
+}
+
+/**
+ * Palettes saved from the editor, as [{ id, name }]
+ */
+export function getStoredUserPalettes() {
+  try {
+    const stored = JSON.parse(safeLocalStorage.getItem(USER_PALETTES));
+    return Array.isArray(stored) ? stored.filter(({ id }) => decodeUserPaletteId(id)) : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+function setStoredUserPalettes(palettes) {
+  try {
+    safeLocalStorage.setItem(USER_PALETTES, JSON.stringify(palettes));
+  } catch (e) {
+    // eslint-disable-next-line no-console
+    console.warn('Unable to save custom palettes to local storage.');
+  }
+}
+
+const decodedPalettes = {};
+
+/**
+ * A user palette in the shape of the configured custom palettes
+ * @param {String} id
+ * @returns {Object} | { id, name, colors, stops }, undefined if the id isn't valid
+ */
+export function getUserPalette(id) {
+  if (!decodedPalettes[id]) {
+    const stops = decodeUserPaletteId(id);
+    if (!stops) return;
+    const stored = getStoredUserPalettes().find((palette) => palette.id === id);
+    decodedPalettes[id] = {
+      id,
+      name: stored ? stored.name : 'Custom Palette',
+      colors: interpolateStops(stops),
+      stops,
+    };
+  }
+  return decodedPalettes[id];
+}
+
+/**
+ * Save a palette, replacing a saved palette with the same colors
+ * @param {String} id
+ * @param {String} name
+ * @returns {Array} saved palettes
+ */
+export function saveUserPalette(id, name) {
+  const palettes = getStoredUserPalettes()
+    .filter((palette) => palette.id !== id)
+    .concat({ id, name });
+  delete decodedPalettes[id];
+  setStoredUserPalettes(palettes);
+  return palettes;
+}
+
+/**
+ * @param {String} id
+ * @returns {Array} saved palettes
+ */
+export function removeUserPalette(id) {
+  const palettes = getStoredUserPalettes().filter((palette) => palette.id !== id);
+  delete decodedPalettes[id];
+  setStoredUserPalettes(palettes);
+  return palettes;
+}
@@ -0,0 +1,171 @@
+import update from 'immutability-helper';
+import {
+  decodeUserPaletteId,
+  encodeUserPaletteId,
+  getStoredUserPalettes,
+  getUserPalette,
+  interpolateStops,
+  normalizeHexColor,
+  parseCPT,
+  parseMatplotlibColormap,
+  parsePaletteText,
+  parseQGISColorMap,
+  removeUserPalette,
+  saveUserPalette,
+} from './user-palettes';
+import { getCustomPalette } from './selectors';
+import { getPaletteAttributeArray, loadPalettes } from './util';
+import { layersParse12 } from '../layers/util';
+import safeLocalStorage from '../../util/local-storage';
+import fixtures from '../../fixtures';
+
+const stops = [
+  { offset: 0, color: 'ff0000ff' },
+  { offset: 0.5, color: 'ffff0080' },
+  { offset: 1, color: '0000ffff' },
+];
+const ID = 'user-ff0000.0_ffff0080.50_0000ff.100';
+
+describe('user palette ids', () => {
+  test('encodes stops into a permalink safe id [user-palettes-encode]', () => {
+    expect(encodeUserPaletteId(stops)).toEqual(ID);
+  });
+  test('decodes ids back into stops [user-palettes-decode]', () => {
+    expect(decodeUserPaletteId(ID)).toEqual(stops);
+  });
+  test('rejects invalid ids [user-palettes-decode-invalid]', () => {
+    expect(decodeUserPaletteId('red_1')).toBeNull();
+    expect(decodeUserPaletteId('user-ff0000.0')).toBeNull();
+    expect(decodeUserPaletteId('user-ff0000.0_zz0000.100')).toBeNull();
+    expect(decodeUserPaletteId('user-ff0000.0_0000ff.150')).toBeNull();
+  });
+  test('survives permalink layer parsing [user-palettes-permalink-parse]', () => {
+    const [layer] = layersParse12(`terra-aod(palette=${ID})`, fixtures.config());
+    expect(layer.custom).toEqual([ID]);
+  });
+  test('resolves as a custom palette without being configured [user-palettes-get-custom]', () => {
+    const palette = getCustomPalette(ID, {});
+    expect(palette.colors.length).toEqual(256);
+    expect(palette.colors[0]).toEqual('ff0000ff');
+    expect(palette.colors[255]).toEqual('0000ffff');
+    expect(() => getCustomPalette('user-nope', {})).toThrow();
+  });
+});
+
+describe('user palette interpolation', () => {
+  test('interpolates colors & alpha between stops [user-palettes-interpolate]', () => {
+    expect(interpolateStops(stops, 5)).toEqual([
+      'ff0000ff', 'ff8000c0', 'ffff0080', '808080c0', '0000ffff',
+    ]);
+  });
+  test('keeps hard edges of stops sharing an offset [user-palettes-interpolate-edge]', () => {
+    const edge = [
+      { offset: 0, color: '000000ff' },
+      { offset: 0.5, color: '000000ff' },
+      { offset: 0.5, color: 'ffffffff' },
+      { offset: 1, color: 'ffffffff' },
+    ];
+    expect(interpolateStops(edge, 4)).toEqual(['000000ff', '000000ff', 'ffffffff', 'ffffffff']);
+  });
+  test('normalizes hex colors [user-palettes-hex]', () => {
+    expect(normalizeHexColor('#F00')).toEqual('ff0000ff');
+    expect(normalizeHexColor('00ff00')).toEqual('00ff00ff');
+    expect(normalizeHexColor('nope')).toBeNull();
+  });
+});
+
+describe('colormap import', () => {
+  test('parses GMT CPT slices [user-palettes-cpt]', () => {
+    const cpt = [
+      '# COLOR_MODEL = RGB',
+      '0 255 0 0 10 255 255 0',
+      '10 255/255/0 20 #0000ff',
+      'B 0 0 0',
+      'N 128 128 128',
+    ].join('\n');
+    expect(parseCPT(cpt)).toEqual([
+      { offset: 0, color: 'ff0000ff' },
+      { offset: 0.5, color: 'ffff00ff' },
+      { offset: 0.5, color: 'ffff00ff' },
+      { offset: 1, color: '0000ffff' },
+    ]);
+  });
+  test('rejects HSV CPT files [user-palettes-cpt-hsv]', () => {
+    expect(() => parseCPT('# COLOR_MODEL = HSV\n0 0-1-1 1 120-1-1')).toThrow('RGB');
+  });
+  test('parses QGIS color map exports [user-palettes-qgis]', () => {
+    const qgis = [
+      '# QGIS Generated Color Map Export File',
+      'INTERPOLATION:INTERPOLATED',
+      '0,255,0,0,255,0',
+      '50,0,0,255,128,50',
+    ].join('\n');
+    expect(parseQGISColorMap(qgis)).toEqual([
+      { offset: 0, color: 'ff0000ff' },
+      { offset: 1, color: '0000ff80' },
+    ]);
+  });
+  test('converts discrete QGIS color maps to hard edges [user-palettes-qgis-discrete]', () => {
+    const qgis = 'INTERPOLATION:DISCRETE\n0,255,0,0,255,a\n1,0,255,0,255,b\n2,0,0,255,255,c';
+    expect(parseQGISColorMap(qgis)).toEqual([
+      { offset: 0, color: 'ff0000ff' },
+      { offset: 0, color: '00ff00ff' },
+      { offset: 0.5, color: '00ff00ff' },
+      { offset: 0.5, color: '0000ffff' },
+      { offset: 1, color: '0000ffff' },
+    ]);
+  });
+  test('parses Matplotlib hex lists [user-palettes-matplotlib-hex]', () => {
+    expect(parseMatplotlibColormap("['#440154', '#21918c', '#fde725']")).toEqual([
+      { offset: 0, color: '440154ff' },
+      { offset: 0.5, color: '21918cff' },
+      { offset: 1, color: 'fde725ff' },
+    ]);
+  });
+  test('parses Matplotlib RGBA arrays [user-palettes-matplotlib-rgba]', () => {
+    const rgba = 'array([[0.   , 0.   , 0.   , 1.   ],\n       [1.   , 1.   , 1.   , 0.5  ]])';
+    expect(parseMatplotlibColormap(rgba)).toEqual([
+      { offset: 0, color: '000000ff' },
+      { offset: 1, color: 'ffffff80' },
+    ]);
+  });
+  test('reports colormaps without colors [user-palettes-import-error]', () => {
+    expect(() => parsePaletteText('nothing here', 'matplotlib')).toThrow('No colors found');
+    expect(() => parsePaletteText('0 0 0 0', 'cpt')).toThrow('two colors');
+  });
+});
+
+describe('saved user palettes', () => {
+  beforeEach(() => safeLocalStorage.removeItem(safeLocalStorage.keys.USER_PALETTES));
+
+  test('saves, renames & removes palettes [user-palettes-storage]', () => {
+    saveUserPalette(ID, 'Warm');
+    expect(getStoredUserPalettes()).toEqual([{ id: ID, name: 'Warm' }]);
+    expect(getUserPalette(ID).name).toEqual('Warm');
+    saveUserPalette(ID, 'Renamed');
+    expect(getStoredUserPalettes()).toEqual([{ id: ID, name: 'Renamed' }]);
+    expect(removeUserPalette(ID)).toEqual([]);
+    expect(getStoredUserPalettes()).toEqual([]);
+  });
+  test('ignores invalid stored data [user-palettes-storage-invalid]', () => {
+    safeLocalStorage.setItem(safeLocalStorage.keys.USER_PALETTES, '{not json');
+    expect(getStoredUserPalettes()).toEqual([]);
+  });
+});
+
+test('loads & re-serializes a user palette from the permalink [user-palettes-permalink-roundtrip]', () => {
+  const state = fixtures.getState();
+  const l = `terra-aod(palette=${ID})`;
+  const loadedState = loadPalettes({ l }, update(state, {
+    layers: {
+      active: {
+        layers: { $set: layersParse12(l, fixtures.config()) },
+      },
+    },
+  }));
+  const { active } = loadedState.palettes;
+  expect(active['terra-aod'].maps[0].custom).toEqual(ID);
+  expect(getPaletteAttributeArray('terra-aod', active, loadedState)).toEqual([
+    { id: 'palette', value: ID },
+  ]);
+});
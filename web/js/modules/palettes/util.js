@@ -16,8 +16,16 @@ import {
   setRange as setRangeSelector,
   findIndex as findPaletteExtremeIndex,
   initDisabledSelector,
+  setClassificationSelector,
 } from './selectors';
 import util from '../../util/util';
+import { parseStretch, serializeStretch } from './stretch';
+import {
+  parseGroups,
+  parseRecolor,
+  serializeGroups,
+  serializeRecolor,
+} from './classification';
 
 /**
  * Create checkerboard canvas pattern object
@@ -117,7 +125,8 @@ export function drawTicksOnCanvas(ctx, legend, width) {
   const binWidth = width / bins;
   const drawWidth = Math.ceil(binWidth);
   const halfWidth = drawWidth / 2;
-  if (ticks && ticks.length > 0 && bins > 100) {
+  // Stretched palettes mark where each quarter of the colors starts
+  if (ticks && ticks.length > 0 && (bins > 100 || legend.stretch)) {
     ctx.beginPath();
     ticks.forEach((tick) => {
       const start = binWidth * tick;
@@ -154,6 +163,42 @@ export function lookup(sourcePalette, targetPalette) {
   return lookup;
 }
 
+/**
+ * Parse the numeric value of a legend tooltip, e.g. "0.05 - 0.10", "< 0" or "1,000".
+ * Ranges are decoded to their midpoint.
+ * @param {String} label
+ * @returns {Number} | null for non-numeric (classification) labels
+ */
+export function parseLegendLabelValue(label) {
+  const numbers = `${label}`
+    .replace(/(\d),(?=\d{3})/g, '$1')
+    // A dash between two numbers is a range separator, not a minus sign
+    .replace(/(\d)\s*-\s*(?=[-.\d])/g, '$1 ')
+    .match(/-?\d*\.?\d+(?:e[-+]?\d+)?/gi);
+  if (!numbers) return null;
+  const values = numbers.slice(0, 2).map(Number);
+  return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+/**
+ * Decode a rendered color to the legend entry it was drawn from
+ * @param {Object} legend
+ * @param {String} hex | Rendered color, e.g. from running data
+ * @param {Number} acceptableDifference | Max distance between the rendered & legend colors
+ * @returns {Object} | { label, value, index } or null if the color isn't in the legend
+ */
+export function getLegendValue(legend, hex, acceptableDifference = 3) {
+  const index = legend.colors
+    .findIndex((color) => util.hexColorDelta(color, hex) < acceptableDifference);
+  if (index < 0) return null;
+  const label = legend.tooltips[index];
+  return {
+    label,
+    value: parseLegendLabelValue(label),
+    index,
+  };
+}
+
 export function loadRenderedPalette(config, layerId) {
   const layer = config.layers[layerId];
   return util.load.config(
@@ -256,7 +301,10 @@ export function getPaletteAttributeArray(layerId, palettes, state) {
     let minObj = lodashAssign({}, { key: 'min', array: [] }, DEFAULT_OBJ);
     let maxObj = lodashAssign({}, { key: 'max', array: [] }, DEFAULT_OBJ);
     let squashObj = lodashAssign({}, { key: 'squash', array: [] }, DEFAULT_OBJ);
+    let stretchObj = lodashAssign({}, { key: 'stretch', array: [] }, DEFAULT_OBJ);
     let disabledObj = lodashAssign({}, { key: 'disabled', array: [] }, DEFAULT_OBJ);
+    let recolorObj = lodashAssign({}, { key: 'recolor', array: [] }, DEFAULT_OBJ);
+    let groupsObj = lodashAssign({}, { key: 'groups', array: [] }, DEFAULT_OBJ);
     const attrArray = [];
     for (let i = 0; i < count; i += 1) {
       if (!palettes[layerId].maps[i]) {
@@ -302,15 +350,33 @@ export function getPaletteAttributeArray(layerId, palettes, state) {
         squashObj,
         count,
       );
+      stretchObj = createPaletteAttributeObject(
+        paletteDef,
+        serializeStretch(paletteDef.stretch),
+        stretchObj,
+        count,
+      );
       disabledObj = createPaletteAttributeObject(
         paletteDef,
         disabledValue,
         disabledObj,
         count,
       );
+      recolorObj = createPaletteAttributeObject(
+        paletteDef,
+        serializeRecolor(paletteDef.recolor),
+        recolorObj,
+        count,
+      );
+      groupsObj = createPaletteAttributeObject(
+        paletteDef,
+        serializeGroups(paletteDef.groups),
+        groupsObj,
+        count,
+      );
     }
 
-    [palObj, minObj, maxObj, squashObj, disabledObj].forEach((obj) => {
+    [palObj, minObj, maxObj, squashObj, stretchObj, disabledObj, recolorObj, groupsObj].forEach((obj) => {
       if (obj.isActive) {
         attrArray.push({
           id: obj.key === 'custom' ? 'palette' : obj.key,
@@ -347,6 +413,7 @@ export function loadPalettes(permlinkState, state) {
         const min = [];
         const max = [];
         let squash = [];
+        const stretch = [];
         let count = 0;
         if (layerDef.custom) {
           lodashEach(layerDef.custom, (value, index) => {
@@ -403,6 +470,14 @@ export function loadPalettes(permlinkState, state) {
         if (layerDef.squash) {
           squash = layerDef.squash;
         }
+        if (layerDef.stretch) {
+          lodashEach(layerDef.stretch, (value, index) => {
+            stretch[index] = value ? parseStretch(value) : undefined;
+            if (value && !stretch[index]) {
+              console.warn(`Invalid stretch: ${value}`);
+            }
+          });
+        }
         if (layerDef.disabled) {
           lodashEach(layerDef.disabled, (value, index) => {
             try {
@@ -421,13 +496,38 @@ export function loadPalettes(permlinkState, state) {
             }
           });
         }
-        if (min.length > 0 || max.length > 0) {
+        if (layerDef.recolor || layerDef.groups) {
+          count = getCount(layerId, state);
+          for (let i = 0; i < count; i += 1) {
+            const recolor = parseRecolor(lodashGet(layerDef, `recolor[${i}]`));
+            const groups = parseGroups(lodashGet(layerDef, `groups[${i}]`));
+            if (recolor || groups) {
+              try {
+                const newPalettes = setClassificationSelector(
+                  layerId,
+                  { recolor, groups },
+                  i,
+                  state.palettes[stateObj.groupStr],
+                  state,
+                );
+                state = update(state, {
+                  palettes: { [stateObj.groupStr]: { $set: newPalettes } },
+                });
+              } catch (error) {
+                console.warn(`Unable to set classification style: ${layerId}`);
+              }
+            }
+          }
+        }
+        if (min.length > 0 || max.length > 0 || stretch.some(Boolean)) {
           count = getCount(layerId, state);
           for (let i = 0; i < count; i += 1) {
             const vmin = min.length > 0 ? min[i] : undefined;
             const vmax = max.length > 0 ? max[i] : undefined;
             const vsquash = squash.length > 0 ? squash[i] : undefined;
-            const props = { min: vmin, max: vmax, squash: vsquash };
+            const props = {
+              min: vmin, max: vmax, squash: vsquash, stretch: stretch[i],
+            };
             const newPalettes = setRangeSelector(
               layerId,
               props,
@@ -1,9 +1,11 @@
 import update from 'immutability-helper';
 import { layersParse12 } from '../layers/util';
 import {
+  getLegendValue,
   hasCustomTypePalette,
   loadPalettes,
   mapLocationToPaletteState,
+  parseLegendLabelValue,
 } from './util';
 import fixtures from '../../fixtures';
 
@@ -122,3 +124,23 @@ describe('permalink 1.1', () => {
     expect(stateFromLocation.layers.active.layers.length).toBe(1);
   });
 });
+
+test('parseLegendLabelValue decodes single values & ranges [palettes-legend-label-value]', () => {
+  expect(parseLegendLabelValue('290')).toBe(290);
+  expect(parseLegendLabelValue('0.05 - 0.10')).toBeCloseTo(0.075);
+  expect(parseLegendLabelValue('0.05-0.10')).toBeCloseTo(0.075);
+  expect(parseLegendLabelValue('-5 - -2')).toBe(-3.5);
+  expect(parseLegendLabelValue('< -10')).toBe(-10);
+  expect(parseLegendLabelValue('1,000 - 2,000')).toBe(1500);
+  expect(parseLegendLabelValue('1e-5')).toBe(0.00001);
+  expect(parseLegendLabelValue('Cloud')).toBeNull();
+});
+
+test('getLegendValue finds the legend entry of a rendered color [palettes-legend-value]', () => {
+  const legend = {
+    colors: ['000000ff', 'ff0000ff', '00ff00ff'],
+    tooltips: ['0 - 10', '10 - 20', '20 - 30'],
+  };
+  expect(getLegendValue(legend, 'fe0000ff')).toEqual({ label: '10 - 20', value: 15, index: 1 });
+  expect(getLegendValue(legend, '0000ffff')).toBeNull();
+});
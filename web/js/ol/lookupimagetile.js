@@ -164,12 +164,13 @@ LookupImageTile.prototype.load = function() {
             const rgbaStr = `${r},${g},${b},${a}`;
             const drawThisColor = pixelsToDisplay[rgbaStr];
 
-            // If the intended color exists in pixelsToDisplay obj, draw that color, otherwise draw transparent
+            // If the intended color exists in pixelsToDisplay obj, draw its (possibly recolored)
+            // lookup color, otherwise draw transparent
             if (drawThisColor !== undefined) {
-              arrBuffer[arrBuffIndex + 0] = r;
-              arrBuffer[arrBuffIndex + 1] = g;
-              arrBuffer[arrBuffIndex + 2] = b;
-              arrBuffer[arrBuffIndex + 3] = a;
+              arrBuffer[arrBuffIndex + 0] = drawThisColor.r;
+              arrBuffer[arrBuffIndex + 1] = drawThisColor.g;
+              arrBuffer[arrBuffIndex + 2] = drawThisColor.b;
+              arrBuffer[arrBuffIndex + 3] = drawThisColor.a;
             } else {
             // console.log('drawThisColor undefined, rgbaStr:', rgbaStr);
               arrBuffer[arrBuffIndex] = 0;
@@ -20,6 +20,8 @@ export const MEASURE_AREA = 'measure:area';
 export const MEASURE_CLEAR = 'measure:clear';
 export const MEASURE_DISTANCE = 'measure:distance';
 export const MEASURE_DOWNLOAD_GEOJSON = 'measure:download-geojson';
+export const MEASURE_IMPORT_GEOJSON = 'measure:import-geojson';
+export const MEASURE_PROFILE = 'measure:profile';
 export const REDUX_ACTION_DISPATCHED = 'redux:action-dispatched';
 export const SIDEBAR_LAYER_HOVER = 'sidebar:layer-hover';
 export const STARTUP = 'startup';
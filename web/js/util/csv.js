@@ -0,0 +1,10 @@
+/**
+ * Quote a CSV value if it contains a quote, comma or line break
+ * @param {*} value | undefined & null are written as empty values
+ * @returns {String}
+ */
+// eslint-disable-next-line import/prefer-default-export
+export function escapeCSVValue(value) {
+  const str = value === undefined || value === null ? '' : `${value}`;
+  return /[",\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
@@ -0,0 +1,8 @@
+import { escapeCSVValue } from './csv';
+
+test('Quotes CSV values containing separators [csv-escape]', () => {
+  expect(escapeCSVValue('Fire, Australia')).toBe('"Fire, Australia"');
+  expect(escapeCSVValue('12" rain\nfall')).toBe('"12"" rain\nfall"');
+  expect(escapeCSVValue(1.5)).toBe('1.5');
+  expect(escapeCSVValue(null)).toBe('');
+});
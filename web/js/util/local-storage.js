@@ -34,6 +34,9 @@ export default {
     GROUP_OVERLAYS: 'groupOverlays',
     ALWAYS_SHOW_DATELINES: 'alwaysShowDatelines',
     ALLOW_GRANULE_REORDER: 'allowGranuleReorder',
+    IMPORTED_LAYERS: 'importedLayers',
+    USER_PALETTES: 'userPalettes',
+    BAND_PRESETS: 'bandPresets',
   },
   getItem(key) {
     return enabled && localStorage.getItem(key);
@@ -0,0 +1,58 @@
+// Resolution the image is placed on the page at
+const PDF_DPI = 150;
+const POINTS_PER_INCH = 72;
+
+/**
+ * Create a single page PDF showing a JPEG image. The page is sized to the image.
+ * @param {Uint8Array} jpeg | JPEG file bytes
+ * @param {Number} width | Image width in pixels
+ * @param {Number} height | Image height in pixels
+ * @returns {Blob} | application/pdf
+ */
+// eslint-disable-next-line import/prefer-default-export
+export function createImagePDF(jpeg, width, height) {
+  const encoder = new TextEncoder();
+  const scale = POINTS_PER_INCH / PDF_DPI;
+  const pageWidth = +(width * scale).toFixed(2);
+  const pageHeight = +(height * scale).toFixed(2);
+  const content = `q ${pageWidth} 0 0 ${pageHeight} 0 0 cm /Im0 Do Q`;
+  const objects = [
+    ['<< /Type /Catalog /Pages 2 0 R >>'],
+    ['<< /Type /Pages /Kids [3 0 R] /Count 1 >>'],
+    [
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${pageWidth} ${pageHeight}] `
+      + '/Resources << /XObject << /Im0 4 0 R >> >> /Contents 5 0 R >>',
+    ],
+    [
+      `<< /Type /XObject /Subtype /Image /Width ${width} /Height ${height} `
+      + `/ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${jpeg.length} >>\nstream\n`,
+      jpeg,
+      '\nendstream',
+    ],
+    [`<< /Length ${content.length} >>\nstream\n${content}\nendstream`],
+  ];
+
+  const chunks = [];
+  let offset = 0;
+  const write = (part) => {
+    const bytes = typeof part === 'string' ? encoder.encode(part) : part;
+    chunks.push(bytes);
+    offset += bytes.length;
+  };
+  const offsets = [];
+
+  write('%PDF-1.4\n');
+  objects.forEach((parts, i) => {
+    offsets.push(offset);
+    write(`${i + 1} 0 obj\n`);
+    parts.forEach(write);
+    write('\nendobj\n');
+  });
+  const xrefOffset = offset;
+  write(`xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`);
+  offsets.forEach((objectOffset) => {
+    write(`${String(objectOffset).padStart(10, '0')} 00000 n \n`);
+  });
+  write(`trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`);
+  return new Blob(chunks, { type: 'application/pdf' });
+}
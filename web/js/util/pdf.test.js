@@ -0,0 +1,37 @@
+import { TextEncoder as NodeTextEncoder } from 'util';
+import { createImagePDF } from './pdf';
+
+// jsdom does not provide TextEncoder
+if (typeof global.TextEncoder === 'undefined') {
+  global.TextEncoder = NodeTextEncoder;
+}
+
+const readBlob = (blob) => new Promise((resolve) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.readAsBinaryString(blob);
+});
+
+test('Creates a PDF page sized to the image [pdf-create-image]', async () => {
+  const jpeg = new Uint8Array([0xff, 0xd8, 0xff, 0xd9]);
+  const blob = createImagePDF(jpeg, 300, 150);
+  const pdf = await readBlob(blob);
+
+  expect(blob.type).toBe('application/pdf');
+  expect(pdf.startsWith('%PDF-1.4\n')).toBe(true);
+  expect(pdf).toContain('/MediaBox [0 0 144 72]');
+  expect(pdf).toContain('/Width 300 /Height 150');
+  expect(pdf).toContain('/Length 4 >>\nstream\n\xff\xd8\xff\xd9\nendstream');
+});
+
+test('Cross-reference table points at each object [pdf-xref]', async () => {
+  const pdf = await readBlob(createImagePDF(new Uint8Array([1, 2, 3]), 10, 10));
+  const xrefOffset = Number(pdf.match(/startxref\n(\d+)/)[1]);
+  expect(pdf.slice(xrefOffset, xrefOffset + 4)).toBe('xref');
+  const offsets = pdf.slice(xrefOffset).match(/(\d{10}) 00000 n/g)
+    .map((entry) => Number(entry.slice(0, 10)));
+  expect(offsets).toHaveLength(5);
+  offsets.forEach((offset, i) => {
+    expect(pdf.slice(offset).startsWith(`${i + 1} 0 obj`)).toBe(true);
+  });
+});
@@ -0,0 +1,145 @@
+const ZIP_END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const ZIP_CENTRAL_DIRECTORY_ENTRY = 0x02014b50;
+const ZIP_STORED = 0;
+const ZIP_DEFLATED = 8;
+const ZIP_LOCAL_FILE_HEADER = 0x04034b50;
+
+/**
+ * Inflate raw deflate data
+ * @param {Uint8Array} data
+ */
+async function inflateRaw(data) {
+  if (typeof DecompressionStream === 'undefined') {
+    throw new Error('This browser is unable to decompress zip files.');
+  }
+  const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+  return new Response(stream).arrayBuffer();
+}
+
+/**
+ * Extract all files from a zip archive
+ * @param {ArrayBuffer} buffer
+ * @returns {Object} | { [fileName]: ArrayBuffer }
+ */
+export async function unzip(buffer) {
+  const view = new DataView(buffer);
+  let endOffset = buffer.byteLength - 22;
+  while (endOffset >= 0 && view.getUint32(endOffset, true) !== ZIP_END_OF_CENTRAL_DIRECTORY) {
+    endOffset -= 1;
+  }
+  if (endOffset < 0) {
+    throw new Error('Not a valid zip file.');
+  }
+  const entryCount = view.getUint16(endOffset + 10, true);
+  let offset = view.getUint32(endOffset + 16, true);
+  const decoder = new TextDecoder();
+  const files = {};
+
+  for (let i = 0; i < entryCount; i += 1) {
+    if (view.getUint32(offset, true) !== ZIP_CENTRAL_DIRECTORY_ENTRY) {
+      throw new Error('Not a valid zip file.');
+    }
+    const method = view.getUint16(offset + 10, true);
+    const compressedSize = view.getUint32(offset + 20, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const localHeaderOffset = view.getUint32(offset + 42, true);
+    const name = decoder.decode(new Uint8Array(buffer, offset + 46, nameLength));
+
+    const localNameLength = view.getUint16(localHeaderOffset + 26, true);
+    const localExtraLength = view.getUint16(localHeaderOffset + 28, true);
+    const dataOffset = localHeaderOffset + 30 + localNameLength + localExtraLength;
+    const data = new Uint8Array(buffer, dataOffset, compressedSize);
+
+    if (method === ZIP_STORED) {
+      files[name] = data.slice().buffer;
+    } else if (method === ZIP_DEFLATED) {
+      // eslint-disable-next-line no-await-in-loop
+      files[name] = await inflateRaw(data);
+    }
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+  return files;
+}
+
+let crcTable;
+
+/**
+ * CRC-32 checksum of a zip entry
+ * @param {Uint8Array} data
+ */
+/* eslint-disable no-bitwise */
+export function crc32(data) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n += 1) {
+      let c = n;
+      for (let k = 0; k < 8; k += 1) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+  let crc = 0xffffffff;
+  for (let i = 0; i < data.length; i += 1) {
+    crc = crcTable[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+/* eslint-enable no-bitwise */
+
+/**
+ * Create a zip archive. Entries are stored without compression since
+ * images are already compressed.
+ * @param {Array} files | [{ name, data }] where data is a Uint8Array, ArrayBuffer or String
+ * @returns {Blob}
+ */
+export function createZip(files) {
+  const encoder = new TextEncoder();
+  const parts = [];
+  const centralDirectory = [];
+  let offset = 0;
+
+  files.forEach(({ name, data }) => {
+    const nameBytes = encoder.encode(name);
+    const bytes = typeof data === 'string' ? encoder.encode(data) : new Uint8Array(data);
+    const crc = crc32(bytes);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, ZIP_LOCAL_FILE_HEADER, true);
+    local.setUint16(4, 20, true); // version needed to extract
+    local.setUint16(6, 0x0800, true); // UTF-8 file names
+    local.setUint16(8, ZIP_STORED, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, bytes.length, true);
+    local.setUint32(22, bytes.length, true);
+    local.setUint16(26, nameBytes.length, true);
+    parts.push(local, nameBytes, bytes);
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, ZIP_CENTRAL_DIRECTORY_ENTRY, true);
+    central.setUint16(4, 20, true); // version made by
+    central.setUint16(6, 20, true);
+    central.setUint16(8, 0x0800, true);
+    central.setUint16(10, ZIP_STORED, true);
+    central.setUint32(16, crc, true);
+    central.setUint32(20, bytes.length, true);
+    central.setUint32(24, bytes.length, true);
+    central.setUint16(28, nameBytes.length, true);
+    central.setUint32(42, offset, true);
+    centralDirectory.push(central, nameBytes);
+
+    offset += 30 + nameBytes.length + bytes.length;
+  });
+
+  const centralSize = centralDirectory.reduce((size, part) => size + part.byteLength, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, ZIP_END_OF_CENTRAL_DIRECTORY, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  return new Blob([...parts, ...centralDirectory, end], { type: 'application/zip' });
+}
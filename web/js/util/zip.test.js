@@ -0,0 +1,63 @@
+import { TextDecoder as NodeTextDecoder, TextEncoder as NodeTextEncoder } from 'util';
+import { createZip, crc32, unzip } from './zip';
+
+// jsdom does not provide TextDecoder & TextEncoder
+if (typeof global.TextDecoder === 'undefined') {
+  global.TextDecoder = NodeTextDecoder;
+}
+if (typeof global.TextEncoder === 'undefined') {
+  global.TextEncoder = NodeTextEncoder;
+}
+
+const readBlob = (blob) => new Promise((resolve) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.readAsArrayBuffer(blob);
+});
+
+test('Extracts stored entries from a zip file [util-zip-unzip]', async () => {
+  const name = 'a.txt';
+  const content = [104, 105];
+  const local = 30 + name.length;
+  const central = 46 + name.length;
+  const bytes = new Uint8Array(local + content.length + central + 22);
+  const view = new DataView(bytes.buffer);
+  // Local file header
+  view.setUint32(0, 0x04034b50, true);
+  view.setUint16(26, name.length, true);
+  bytes.set(Array.from(name, (c) => c.charCodeAt(0)), 30);
+  bytes.set(content, local);
+  // Central directory entry
+  const centralOffset = local + content.length;
+  view.setUint32(centralOffset, 0x02014b50, true);
+  view.setUint32(centralOffset + 20, content.length, true);
+  view.setUint32(centralOffset + 24, content.length, true);
+  view.setUint16(centralOffset + 28, name.length, true);
+  bytes.set(Array.from(name, (c) => c.charCodeAt(0)), centralOffset + 46);
+  // End of central directory
+  const endOffset = centralOffset + central;
+  view.setUint32(endOffset, 0x06054b50, true);
+  view.setUint16(endOffset + 10, 1, true);
+  view.setUint32(endOffset + 12, central, true);
+  view.setUint32(endOffset + 16, centralOffset, true);
+
+  const files = await unzip(bytes.buffer);
+  expect(Object.keys(files)).toEqual([name]);
+  expect(Array.from(new Uint8Array(files[name]))).toEqual(content);
+});
+
+test('CRC-32 checksum [util-zip-crc32]', () => {
+  expect(crc32(new TextEncoder().encode('123456789'))).toBe(0xcbf43926);
+});
+
+test('Creates a zip file that can be extracted [util-zip-create]', async () => {
+  const blob = createZip([
+    { name: 'manifest.csv', data: 'date,file\n' },
+    { name: 'image.jpg', data: new Uint8Array([1, 2, 3]) },
+  ]);
+  expect(blob.type).toBe('application/zip');
+  const files = await unzip(await readBlob(blob));
+  expect(Object.keys(files)).toEqual(['manifest.csv', 'image.jpg']);
+  expect(new TextDecoder().decode(files['manifest.csv'])).toBe('date,file\n');
+  expect(Array.from(new Uint8Array(files['image.jpg']))).toEqual([1, 2, 3]);
+});